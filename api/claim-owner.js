@@ -0,0 +1,60 @@
+// Assign an owner to a list from before access control
+//
+// Lists created before access control have no access record (see shared/access.js): signed-in
+// users can still write to them, but nobody can change their editors or share links until an
+// owner is assigned here. A list that already has an owner is never changed.
+//
+// The new owner signs in and opens /.auth/me, which shows their userId, identityProvider and
+// userDetails (login name).
+//
+// Usage: node claim-owner.js <container> <name> <identityProvider> <userDetails> <userId>
+//   Storage is configured as for the function (STORAGE_BACKEND, BLOB_SAS_URL, LOCAL_STORAGE_PATH).
+
+const { createStorage } = require('./shared/storage');
+const { claimDocument } = require('./shared/access');
+const { isValidName, getParentName } = require('./shared/list-names');
+
+/**
+ * Make a user the owner of a list that has no access record
+ * @param {Object} storage - Storage adapter
+ * @param {string} container - Container name
+ * @param {string} name - List name (not a sub-list; those use their parent's record)
+ * @param {Object} owner - { userId, identityProvider, userDetails }
+ * @returns {Promise<{ok: boolean, message: string}>}
+ */
+async function assignOwner(storage, container, name, owner) {
+    if (!isValidName(name) || getParentName(name) !== name) {
+        return { ok: false, message: `${name} is not a list name` };
+    }
+    try {
+        await storage.get(container, `${name}.json`);
+    } catch (e) {
+        if (e.statusCode !== 404) throw e;
+        return { ok: false, message: `${container}/${name} does not exist` };
+    }
+
+    const meta = await claimDocument(storage, container, name, owner);
+    if (meta.owner.userId !== owner.userId) {
+        return { ok: false, message: `${container}/${name} is already owned by ${meta.owner.userDetails}` };
+    }
+    return { ok: true, message: `${owner.userDetails} owns ${container}/${name}` };
+}
+
+if (require.main === module) {
+    const [container, name, identityProvider, userDetails, userId] = process.argv.slice(2);
+    if (!userId) {
+        console.error('Usage: node claim-owner.js <container> <name> <identityProvider> <userDetails> <userId>');
+        process.exit(2);
+    }
+    assignOwner(createStorage(), container, name, { userId, identityProvider, userDetails })
+        .then(result => {
+            console.log(result.message);
+            process.exit(result.ok ? 0 : 1);
+        })
+        .catch(error => {
+            console.error(error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { assignOwner };
@@ -0,0 +1,54 @@
+/**
+ * Tests for claim-owner.js (assigning an owner to a list from before access control)
+ *
+ * Runs against the local filesystem storage adapter in a temp folder.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalFileStorage } = require('./shared/local-file-storage');
+const { assignOwner } = require('./claim-owner');
+
+const ALICE = { userId: 'alice-id', identityProvider: 'github', userDetails: 'alice' };
+const BOB = { userId: 'bob-id', identityProvider: 'github', userDetails: 'bob' };
+
+let rootDir;
+let storage;
+
+beforeEach(async () => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'listlet-claim-'));
+    storage = createLocalFileStorage(rootDir);
+    await storage.put('tasks', 'grocery.json', '[]');
+});
+
+afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+function readMeta() {
+    return JSON.parse(fs.readFileSync(path.join(rootDir, 'tasks', '_meta', 'grocery.json'), 'utf-8'));
+}
+
+test('assigns an owner to a list without an access record', async () => {
+    const result = await assignOwner(storage, 'tasks', 'grocery', ALICE);
+
+    expect(result).toEqual({ ok: true, message: 'alice owns tasks/grocery' });
+    expect(readMeta()).toMatchObject({ owner: ALICE, editors: [{ identityProvider: 'github', userDetails: 'alice' }] });
+});
+
+test('never replaces an existing owner', async () => {
+    await assignOwner(storage, 'tasks', 'grocery', ALICE);
+
+    const result = await assignOwner(storage, 'tasks', 'grocery', BOB);
+
+    expect(result).toEqual({ ok: false, message: 'tasks/grocery is already owned by alice' });
+    expect(readMeta().owner.userId).toBe('alice-id');
+});
+
+test('refuses missing lists, sub-lists and reserved names', async () => {
+    expect((await assignOwner(storage, 'tasks', 'missing', ALICE)).ok).toBe(false);
+    expect((await assignOwner(storage, 'tasks', 'grocery~archive', ALICE)).ok).toBe(false);
+    expect((await assignOwner(storage, 'tasks', '_meta/grocery', ALICE)).ok).toBe(false);
+    expect(fs.existsSync(path.join(rootDir, 'tasks', '_meta'))).toBe(false);
+});
@@ -0,0 +1,271 @@
+// Local development server
+//
+// Serves client/ statically and mounts the store API handler at
+// /api/store/{container}/{name} (and /api/store/{container} for listings), adapting Node requests to the Azure Functions
+// context/req shape. Documents are persisted with the local filesystem storage
+// backend, so the app works offline with the same atomic operations as production.
+//
+// Static Web Apps auth is emulated: /.auth/login/{provider} signs in (as DEV_USER, default
+// 'developer', or ?user=name to try another account), /.auth/logout signs out, /.auth/me
+// reports the login, and API requests from a signed-in browser carry the
+// x-ms-client-principal header like on SWA.
+//
+// Usage: npm run dev   (PORT, LOCAL_STORAGE_PATH, CLIENT_DIR, DEV_USER and SHARE_SECRET are optional)
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { getPrincipal, encodePrincipal } = require('./shared/access');
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_CLIENT_DIR = path.join(__dirname, '..', 'client');
+const DEFAULT_STORAGE_PATH = path.join(__dirname, '.data');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json'
+};
+
+const STORE_ROUTE = /^\/api\/store\/([^/]+)(?:\/([^/]+))?\/?$/;
+const AUTH_COOKIE = 'dev-auth';
+
+/**
+ * Create the dev server (not yet listening)
+ * @param {Object} options
+ * @param {string} options.clientDir - Directory served as the site root
+ * @param {string} options.storagePath - Directory for documents (local storage backend)
+ * @returns {http.Server}
+ */
+function createDevServer({ clientDir = DEFAULT_CLIENT_DIR, storagePath = DEFAULT_STORAGE_PATH } = {}) {
+    // The handler reads its storage configuration from the environment on every request
+    process.env.STORAGE_BACKEND = 'local';
+    process.env.LOCAL_STORAGE_PATH = storagePath;
+    // Share links need a signing key; any fixed one will do locally
+    process.env.SHARE_SECRET = process.env.SHARE_SECRET || 'dev-share-secret';
+
+    const handler = require('./tasks');
+    const allowedMethods = require('./tasks/function.json').bindings[0].methods.map(m => m.toUpperCase());
+
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        try {
+            const match = url.pathname.match(STORE_ROUTE);
+            if (url.pathname.startsWith('/.auth/')) {
+                handleAuthRequest(req, res, url);
+            } else if (match) {
+                await handleStoreRequest(handler, allowedMethods, req, res, url, match);
+            } else if (url.pathname.startsWith('/api/')) {
+                sendJson(res, 404, { error: 'Not found' });
+            } else {
+                serveStatic(clientDir, req, res, url);
+            }
+        } catch (error) {
+            console.error('[dev-server]', error);
+            if (!res.headersSent) {
+                sendJson(res, 500, { error: error.message });
+            } else {
+                res.end();
+            }
+        }
+    });
+}
+
+/**
+ * Invoke the Azure Function handler for a store request
+ */
+async function handleStoreRequest(handler, allowedMethods, req, res, url, match) {
+    if (!allowedMethods.includes(req.method)) {
+        sendJson(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    const [, container, name] = match.map(part => part && decodeURIComponent(part));
+    const context = {
+        res: null,
+        bindingData: { container, name },
+        log: console.log
+    };
+    const principal = readAuthCookie(req);
+    const headers = principal && !req.headers['x-ms-client-principal']
+        ? { ...req.headers, 'x-ms-client-principal': encodePrincipal(principal) }
+        : req.headers;
+    const functionReq = {
+        method: req.method,
+        url: req.url,
+        headers,
+        query: Object.fromEntries(url.searchParams),
+        params: { container, name },
+        body: await readBody(req)
+    };
+
+    await handler(context, functionReq);
+
+    const result = context.res || { status: 204 };
+    const body = result.body === undefined || typeof result.body === 'string'
+        ? result.body
+        : JSON.stringify(result.body);
+    res.writeHead(result.status || 200, result.headers || {});
+    res.end(body);
+}
+
+/**
+ * Emulate the Static Web Apps auth endpoints with a cookie holding the principal
+ */
+function handleAuthRequest(req, res, url) {
+    const login = url.pathname.match(/^\/\.auth\/login\/([a-z]+)\/?$/);
+    if (login) {
+        const user = url.searchParams.get('user') || process.env.DEV_USER || 'developer';
+        const principal = {
+            identityProvider: login[1],
+            userId: `dev-${login[1]}-${user.toLowerCase()}`,
+            userDetails: user,
+            userRoles: ['anonymous', 'authenticated']
+        };
+        res.writeHead(302, {
+            'Set-Cookie': `${AUTH_COOKIE}=${encodeURIComponent(encodePrincipal(principal))}; Path=/; HttpOnly; SameSite=Lax`,
+            Location: localRedirect(url.searchParams.get('post_login_redirect_uri'))
+        });
+        res.end();
+    } else if (url.pathname === '/.auth/logout') {
+        res.writeHead(302, {
+            'Set-Cookie': `${AUTH_COOKIE}=; Path=/; Max-Age=0`,
+            Location: localRedirect(url.searchParams.get('post_logout_redirect_uri'))
+        });
+        res.end();
+    } else if (url.pathname === '/.auth/me') {
+        sendJson(res, 200, { clientPrincipal: readAuthCookie(req) });
+    } else {
+        sendJson(res, 404, { error: 'Not found' });
+    }
+}
+
+/**
+ * Read the emulated login from the request's cookie
+ * @returns {Object|null} - Client principal, or null when signed out
+ */
+function readAuthCookie(req) {
+    const cookies = (req.headers.cookie || '').split(';').map(c => c.trim());
+    const cookie = cookies.find(c => c.startsWith(`${AUTH_COOKIE}=`));
+    if (!cookie) return null;
+    const value = decodeURIComponent(cookie.slice(AUTH_COOKIE.length + 1));
+    return value ? getPrincipal({ 'x-ms-client-principal': value }) : null;
+}
+
+/**
+ * Only redirect to paths on this site after login/logout
+ */
+function localRedirect(target) {
+    return target && target.startsWith('/') && !target.startsWith('//') ? target : '/';
+}
+
+/**
+ * Read a request body, parsing JSON like the Functions host does
+ * @returns {Promise<*>} - Parsed JSON, raw string if not JSON, or null if empty
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('error', reject);
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf-8');
+            if (!text) return resolve(null);
+            try {
+                resolve(JSON.parse(text));
+            } catch (e) {
+                resolve(text);
+            }
+        });
+    });
+}
+
+/**
+ * Serve a file from the client directory
+ * Mirrors the SWA behavior the app relies on: folders redirect to a trailing
+ * slash and serve index.html; unknown paths fall back to /index.html.
+ */
+function serveStatic(clientDir, req, res, url) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        sendJson(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    const root = path.resolve(clientDir);
+    let filePath = path.resolve(root, '.' + decodeURIComponent(url.pathname));
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+        sendJson(res, 403, { error: 'Forbidden' });
+        return;
+    }
+
+    if (isDirectory(filePath)) {
+        if (!url.pathname.endsWith('/')) {
+            res.writeHead(301, { Location: url.pathname + '/' + url.search });
+            res.end();
+            return;
+        }
+        filePath = path.join(filePath, 'index.html');
+    }
+
+    if (!isFile(filePath)) {
+        // Navigation fallback (assets 404 instead of returning HTML)
+        if (path.extname(filePath)) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found');
+            return;
+        }
+        filePath = path.join(root, 'index.html');
+    }
+
+    const contentType = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-cache' });
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+    fs.createReadStream(filePath).pipe(res);
+}
+
+function isDirectory(filePath) {
+    try {
+        return fs.statSync(filePath).isDirectory();
+    } catch (e) {
+        return false;
+    }
+}
+
+function isFile(filePath) {
+    try {
+        return fs.statSync(filePath).isFile();
+    } catch (e) {
+        return false;
+    }
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.PORT, 10) || DEFAULT_PORT;
+    const clientDir = process.env.CLIENT_DIR || DEFAULT_CLIENT_DIR;
+    const storagePath = process.env.LOCAL_STORAGE_PATH || DEFAULT_STORAGE_PATH;
+
+    createDevServer({ clientDir, storagePath }).listen(port, () => {
+        console.log(`[dev-server] Serving ${path.resolve(clientDir)}`);
+        console.log(`[dev-server] Documents stored in ${path.resolve(storagePath)}`);
+        console.log(`[dev-server] Open http://localhost:${port}/`);
+    });
+}
+
+module.exports = { createDevServer };
@@ -0,0 +1,219 @@
+/**
+ * Tests for the local development server
+ *
+ * Starts the server on a random port against temp client/storage folders and
+ * checks that static files and the store API are served together.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDevServer } = require('./dev-server');
+
+let tempDir;
+let clientDir;
+let storagePath;
+let server;
+let baseUrl;
+
+beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'listlet-dev-'));
+    clientDir = path.join(tempDir, 'client');
+    storagePath = path.join(tempDir, 'data');
+    fs.mkdirSync(path.join(clientDir, 'tasks'), { recursive: true });
+    fs.writeFileSync(path.join(clientDir, 'index.html'), '<p>router</p>');
+    fs.writeFileSync(path.join(clientDir, 'tasks', 'index.html'), '<p>tasks</p>');
+    fs.writeFileSync(path.join(clientDir, 'config.js'), 'const CONFIG = {};');
+
+    server = createDevServer({ clientDir, storagePath });
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+/**
+ * Sign in through the emulated /.auth/login and return the session cookie
+ * @param {string} user - Login name
+ */
+async function signIn(user = 'developer') {
+    const response = await fetch(`${baseUrl}/.auth/login/github?user=${user}`, { redirect: 'manual' });
+    return response.headers.get('set-cookie').split(';')[0];
+}
+
+afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    delete process.env.STORAGE_BACKEND;
+    delete process.env.LOCAL_STORAGE_PATH;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('Static files', () => {
+    test('serves files with a content type', async () => {
+        const response = await fetch(`${baseUrl}/config.js`);
+        expect(response.status).toBe(200);
+        expect(response.headers.get('content-type')).toContain('text/javascript');
+        expect(await response.text()).toBe('const CONFIG = {};');
+    });
+
+    test('serves the web app manifest as application/manifest+json', async () => {
+        fs.writeFileSync(path.join(clientDir, 'manifest.webmanifest'), '{}');
+        const response = await fetch(`${baseUrl}/manifest.webmanifest`);
+        expect(response.headers.get('content-type')).toBe('application/manifest+json');
+    });
+
+    test('serves index.html for folders and redirects missing trailing slash', async () => {
+        const redirect = await fetch(`${baseUrl}/tasks?list=grocery`, { redirect: 'manual' });
+        expect(redirect.status).toBe(301);
+        expect(redirect.headers.get('location')).toBe('/tasks/?list=grocery');
+
+        const response = await fetch(`${baseUrl}/tasks/?list=grocery`);
+        expect(await response.text()).toBe('<p>tasks</p>');
+    });
+
+    test('falls back to /index.html for unknown pages but 404s unknown assets', async () => {
+        expect(await (await fetch(`${baseUrl}/nowhere`)).text()).toBe('<p>router</p>');
+        expect((await fetch(`${baseUrl}/missing.js`)).status).toBe(404);
+    });
+
+    test('does not serve files outside the client folder', async () => {
+        fs.writeFileSync(path.join(tempDir, 'secret.txt'), 'secret');
+        const response = await fetch(`${baseUrl}/%2e%2e/secret.txt`);
+        expect(response.status).not.toBe(200);
+    });
+});
+
+describe('Auth emulation', () => {
+    test('login sets a cookie that /.auth/me reports, logout clears it', async () => {
+        const login = await fetch(`${baseUrl}/.auth/login/github?post_login_redirect_uri=/tasks/?list=a`, { redirect: 'manual' });
+        expect(login.status).toBe(302);
+        expect(login.headers.get('location')).toBe('/tasks/?list=a');
+        const cookie = login.headers.get('set-cookie').split(';')[0];
+
+        const me = await (await fetch(`${baseUrl}/.auth/me`, { headers: { Cookie: cookie } })).json();
+        expect(me.clientPrincipal).toMatchObject({ identityProvider: 'github', userDetails: 'developer' });
+
+        const logout = await fetch(`${baseUrl}/.auth/logout`, { redirect: 'manual', headers: { Cookie: cookie } });
+        expect(logout.headers.get('set-cookie')).toContain('Max-Age=0');
+        expect((await (await fetch(`${baseUrl}/.auth/me`)).json()).clientPrincipal).toBeNull();
+    });
+
+    test('only redirects to paths on this site', async () => {
+        const login = await fetch(`${baseUrl}/.auth/login/github?post_login_redirect_uri=https://evil.example`, { redirect: 'manual' });
+        expect(login.headers.get('location')).toBe('/');
+    });
+});
+
+describe('Store API', () => {
+    test('PUT then GET round-trips through the local folder', async () => {
+        const put = await fetch(`${baseUrl}/api/store/tasks/grocery`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', Cookie: await signIn() },
+            body: '[]'
+        });
+        expect(put.status).toBe(200);
+        expect(fs.existsSync(path.join(storagePath, 'tasks', 'grocery.json'))).toBe(true);
+
+        const get = await fetch(`${baseUrl}/api/store/tasks/grocery`);
+        expect(get.status).toBe(200);
+        expect(await get.json()).toEqual([]);
+    });
+
+    test('atomic POST returns the full document', async () => {
+        await fetch(`${baseUrl}/api/store/swarm/game1`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', Cookie: await signIn() },
+            body: JSON.stringify({ title: '', setting: '', currentWeekId: null, weeks: [], resources: [], locations: [], names: [] })
+        });
+
+        const response = await fetch(`${baseUrl}/api/store/swarm/game1`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Cookie: await signIn() },
+            body: JSON.stringify({ path: 'resources', value: { id: 'r1', name: 'Water', status: 'scarce' } })
+        });
+
+        expect(response.status).toBe(200);
+        const result = await response.json();
+        expect(result.data.resources).toEqual([{ id: 'r1', name: 'Water', status: 'scarce' }]);
+    });
+
+    test('?events answers as a Server-Sent Events stream', async () => {
+        await fetch(`${baseUrl}/api/store/tasks/grocery`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', Cookie: await signIn() },
+            body: '[]'
+        });
+
+        const response = await fetch(`${baseUrl}/api/store/tasks/grocery?events`);
+        expect(response.status).toBe(200);
+        expect(response.headers.get('content-type')).toBe('text/event-stream');
+        expect(await response.text()).toContain('event: ready');
+    });
+
+    test('GET returns 404 for a missing list', async () => {
+        const response = await fetch(`${baseUrl}/api/store/tasks/missing`);
+        expect(response.status).toBe(404);
+        expect((await response.json()).error).toBe('List not found');
+    });
+
+    test('GET without a name lists the container\'s documents the caller may edit', async () => {
+        const cookie = await signIn();
+        await fetch(`${baseUrl}/api/store/tasks/listed`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', Cookie: cookie },
+            body: JSON.stringify([{ id: 'a', name: 'Milk', status: 'not-started', tags: [] }])
+        });
+
+        const response = await fetch(`${baseUrl}/api/store/tasks?prefix=list`, { headers: { Cookie: cookie } });
+        const anonymous = await fetch(`${baseUrl}/api/store/tasks?prefix=list`);
+
+        expect(response.status).toBe(200);
+        expect((await response.json()).items).toEqual([expect.objectContaining({ name: 'listed', title: 'Milk' })]);
+        expect((await anonymous.json()).items).toEqual([]);
+    });
+
+    test('an encoded / cannot reach another list\'s access record', async () => {
+        const alice = await signIn('alice');
+        await fetch(`${baseUrl}/api/store/notes/grocery`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', Cookie: alice },
+            body: '{}'
+        });
+        const metaPath = path.join(storagePath, 'notes', '_meta', 'grocery.json');
+        const before = fs.readFileSync(metaPath, 'utf-8');
+
+        const response = await fetch(`${baseUrl}/api/store/notes/_meta%2Fgrocery`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', Cookie: await signIn('mallory') },
+            body: JSON.stringify({ owner: { userId: 'mallory' } })
+        });
+
+        expect(response.status).toBe(400);
+        expect(fs.readFileSync(metaPath, 'utf-8')).toBe(before);
+    });
+
+    test('rejects methods the function does not bind', async () => {
+        const response = await fetch(`${baseUrl}/api/store/tasks/grocery`, { method: 'HEAD' });
+        expect(response.status).toBe(405);
+    });
+
+    test('writes need a login; other accounts can read but not write', async () => {
+        const anonymous = await fetch(`${baseUrl}/api/store/tasks/grocery`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: '[]'
+        });
+        expect(anonymous.status).toBe(401);
+
+        await fetch(`${baseUrl}/api/store/tasks/grocery`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', Cookie: await signIn('alice') },
+            body: '[]'
+        });
+        const access = await fetch(`${baseUrl}/api/store/tasks/grocery?access`, { headers: { Cookie: await signIn('bob') } });
+        expect(await access.json()).toMatchObject({ user: { userDetails: 'bob' }, canWrite: false });
+    });
+
+    test('unknown API routes return JSON 404', async () => {
+        const response = await fetch(`${baseUrl}/api/other`);
+        expect(response.status).toBe(404);
+    });
+});
@@ -1,5 +1,6 @@
+// Runs the API tests and the client tests (browser modules loaded into Node, beside each
+// module in ../client), so `npm test` here and CI cover both.
 module.exports = {
-    testEnvironment: 'node',
     verbose: true,
     collectCoverageFrom: [
         '**/*.js',
@@ -7,5 +8,17 @@ module.exports = {
         '!jest.config.js'
     ],
     coverageDirectory: 'coverage',
-    testMatch: ['**/*.test.js']
+    projects: [
+        {
+            displayName: 'api',
+            testEnvironment: 'node',
+            testMatch: ['<rootDir>/**/*.test.js']
+        },
+        {
+            displayName: 'client',
+            rootDir: '../client',
+            testEnvironment: 'node',
+            testMatch: ['<rootDir>/**/*.test.js']
+        }
+    ]
 };
@@ -0,0 +1,410 @@
+// Per-document write access
+//
+// Reads are public. Writes need a signed-in user - Static Web Apps passes the login in
+// the x-ms-client-principal header (base64 JSON) - who is an editor of the document:
+//   {container}/_meta/{name}.json -> { owner, editors, createdAt }
+//   owner:   { userId, identityProvider, userDetails }
+//   editors: [{ identityProvider, userDetails }] (userDetails is the login name, matched
+//            case-insensitively; the owner is always an editor)
+//
+// The record is written when a signed-in user creates the document, making them the owner.
+// Documents from before access control have no record: signed-in users can still write to
+// them, but nobody owns them (so nobody can change editors or share links) until an owner
+// is assigned with claim-owner.js.
+//
+// WRITE_ACCESS=editors (default) enforces this; WRITE_ACCESS=anyone lets every request
+// write (no login needed, no records written).
+//
+// Share links: the owner can create links with a role (viewer or editor) and an optional
+// expiry. They are kept in the record as shares: [{ id, role, createdAt, expiresAt, createdBy }]
+// and carry a signed token (see share-tokens.js), sent in the X-Share-Token header or as
+// ?token=. An editor link lets anyone holding it write, signed in or not.
+//
+// READ_ACCESS=public (default) lets anyone read; READ_ACCESS=restricted limits reads of
+// documents with an access record to editors and share link holders.
+//
+// Sub-lists ({name}~shopping, {name}~archive, see list-names.js) use their parent list's record and links.
+
+const { getShareSecret, createShareId, signShareToken, verifyShareToken } = require('./share-tokens');
+const { getParentName } = require('./list-names');
+
+const META_FOLDER = '_meta';
+const SHARE_ROLES = ['viewer', 'editor'];
+
+/**
+ * Decode the Static Web Apps client principal header
+ * @param {Object} headers - Request headers
+ * @returns {{userId: string, identityProvider: string, userDetails: string, userRoles: Array}|null} -
+ *   null when anonymous or the header is malformed
+ */
+function getPrincipal(headers = {}) {
+    const header = headers['x-ms-client-principal'] || headers['X-MS-CLIENT-PRINCIPAL'];
+    if (!header) return null;
+
+    try {
+        const principal = JSON.parse(Buffer.from(header, 'base64').toString('utf-8'));
+        if (!principal || typeof principal.userId !== 'string' || !principal.userId ||
+            typeof principal.userDetails !== 'string' || typeof principal.identityProvider !== 'string') {
+            return null;
+        }
+        return {
+            userId: principal.userId,
+            identityProvider: principal.identityProvider,
+            userDetails: principal.userDetails,
+            userRoles: Array.isArray(principal.userRoles) ? principal.userRoles : []
+        };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Get the share token sent with a request
+ * @param {Object} headers - Request headers
+ * @param {Object} query - Query parameters
+ * @returns {string|null}
+ */
+function getShareToken(headers = {}, query = {}) {
+    return headers['x-share-token'] || headers['X-Share-Token'] || query.token || null;
+}
+
+/**
+ * Encode a principal as Static Web Apps would (for the dev server and tests)
+ * @param {Object} principal - { userId, identityProvider, userDetails, userRoles }
+ * @returns {string} - x-ms-client-principal header value
+ */
+function encodePrincipal(principal) {
+    return Buffer.from(JSON.stringify(principal)).toString('base64');
+}
+
+/**
+ * Check whether writes are restricted to editors
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {boolean}
+ */
+function isAccessEnforced(env = process.env) {
+    return (env.WRITE_ACCESS || 'editors').toLowerCase() !== 'anyone';
+}
+
+/**
+ * Check whether reads are restricted to editors and share link holders
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {boolean}
+ */
+function isReadRestricted(env = process.env) {
+    return (env.READ_ACCESS || 'public').toLowerCase() === 'restricted';
+}
+
+function metaName(name) {
+    return `${META_FOLDER}/${getParentName(name)}.json`;
+}
+
+/**
+ * Read a document's access record and its ETag
+ * @returns {Promise<{meta: Object|null, etag: string|null}>} - meta null if the document has none yet
+ */
+async function readAccess(storage, container, name) {
+    try {
+        const { content, etag } = await storage.get(container, metaName(name));
+        return { meta: JSON.parse(content), etag };
+    } catch (e) {
+        if (e.statusCode !== 404) throw e;
+        return { meta: null, etag: null };
+    }
+}
+
+/**
+ * Check if a user may write to a document
+ * @param {Object|null} meta - Access record
+ * @param {Object|null} principal - Signed-in user
+ * @returns {boolean}
+ */
+function isEditor(meta, principal) {
+    if (!meta || !principal) return false;
+    if (meta.owner.userId === principal.userId) return true;
+    const login = principal.userDetails.toLowerCase();
+    return meta.editors.some(editor =>
+        editor.identityProvider === principal.identityProvider && editor.userDetails.toLowerCase() === login
+    );
+}
+
+/**
+ * Find the share link a token belongs to
+ * @param {Object|null} meta - Access record
+ * @param {string|null} token - Token sent with the request
+ * @returns {Object|null} - The link ({ id, role, ... }), or null if the token is invalid,
+ *   expired or revoked
+ */
+function findShare(meta, token, container, name) {
+    if (!meta || !token) return null;
+    const verified = verifyShareToken(token, container, getParentName(name), getShareSecret());
+    if (!verified) return null;
+    return (meta.shares || []).find(share => share.id === verified.id && share.role === verified.role) || null;
+}
+
+/**
+ * Decide whether a write may go ahead
+ * @param {Object} storage - Storage adapter
+ * @param {string} container - Container name
+ * @param {string} name - Document name without extension
+ * @param {Object|null} principal - Signed-in user (from getPrincipal)
+ * @param {string|null} token - Share token (from getShareToken)
+ * @returns {Promise<{status: number, error?: string, unclaimed?: boolean}>} - status 200 to proceed
+ *   (unclaimed: no access record yet - call claimDocument if the write created the document);
+ *   401 when not signed in, 403 when not an editor
+ */
+async function checkWriteAccess(storage, container, name, principal, token = null) {
+    if (!isAccessEnforced()) return { status: 200 };
+
+    const { meta } = await readAccess(storage, container, name);
+    const share = findShare(meta, token, container, name);
+    if (share && share.role === 'editor') return { status: 200 };
+    if (isEditor(meta, principal)) return { status: 200 };
+
+    if (share) return { status: 403, error: 'This share link is view only' };
+    if (token && meta) return { status: 403, error: 'Share link is invalid or has expired' };
+    if (!principal) return { status: 401, error: 'Login required' };
+    if (!meta) return { status: 200, unclaimed: true };
+    return { status: 403, error: 'Not an editor of this list' };
+}
+
+/**
+ * Decide whether a read may go ahead (only restricted with READ_ACCESS=restricted)
+ * Documents without an access record stay readable.
+ * @returns {Promise<{status: number, error?: string}>} - status 200 to proceed; 401 when not
+ *   signed in, 403 when neither an editor nor holding a share link
+ */
+async function checkReadAccess(storage, container, name, principal, token = null) {
+    if (!isReadRestricted()) return { status: 200 };
+
+    const { meta } = await readAccess(storage, container, name);
+    if (!meta || findShare(meta, token, container, name) || isEditor(meta, principal)) {
+        return { status: 200 };
+    }
+    if (token) return { status: 403, error: 'Share link is invalid or has expired' };
+    if (!principal) return { status: 401, error: 'Login required' };
+    return { status: 403, error: 'Not allowed to view this list' };
+}
+
+/**
+ * Make a user the owner of a document that has no access record yet
+ * Another writer may have claimed it meanwhile; the first record wins.
+ * @returns {Promise<Object>} - The document's access record
+ */
+async function claimDocument(storage, container, name, principal) {
+    const meta = {
+        owner: {
+            userId: principal.userId,
+            identityProvider: principal.identityProvider,
+            userDetails: principal.userDetails
+        },
+        editors: [{ identityProvider: principal.identityProvider, userDetails: principal.userDetails }],
+        shares: [],
+        createdAt: new Date().toISOString()
+    };
+
+    try {
+        await storage.put(container, metaName(name), JSON.stringify(meta), { ifNoneMatch: '*' });
+        return meta;
+    } catch (e) {
+        if (e.statusCode !== 412) throw e;
+        return (await readAccess(storage, container, name)).meta;
+    }
+}
+
+/**
+ * Describe a document's access for the signed-in user (GET ?access)
+ * @param {Object} storage - Storage adapter
+ * @param {string} container - Container name
+ * @param {string} name - Document name without extension
+ * @param {Object|null} principal - Signed-in user
+ * @param {string|null} token - Share token
+ * @returns {Promise<Object>} - { user, owner, editors, canWrite, isOwner, share } (share: the
+ *   link in use as { role, expiresAt }, or null)
+ */
+async function describeAccess(storage, container, name, principal, token = null) {
+    const { meta } = await readAccess(storage, container, name);
+    const user = principal ? { identityProvider: principal.identityProvider, userDetails: principal.userDetails } : null;
+    const share = findShare(meta, token, container, name);
+
+    let canWrite;
+    if (!isAccessEnforced()) canWrite = true;
+    else if (share && share.role === 'editor') canWrite = true;
+    else if (!principal) canWrite = false;
+    else canWrite = !meta || isEditor(meta, principal);
+
+    return {
+        user,
+        owner: meta ? { identityProvider: meta.owner.identityProvider, userDetails: meta.owner.userDetails } : null,
+        editors: meta ? meta.editors : [],
+        canWrite,
+        isOwner: !!(meta && principal && meta.owner.userId === principal.userId),
+        share: share ? { role: share.role, expiresAt: share.expiresAt } : null
+    };
+}
+
+/**
+ * Load the access record for a change only the owner may make
+ * Documents from before access control have no owner until one is assigned (claim-owner.js).
+ * @returns {Promise<{meta: Object, etag: string}|{status: number, body: Object}>} - The record,
+ *   or the error response (401 not signed in, 403 not the owner or no owner yet)
+ */
+async function readOwnedAccess(storage, container, name, principal, action) {
+    if (!principal) return { status: 401, body: { error: 'Login required' } };
+
+    const { meta, etag } = await readAccess(storage, container, name);
+    if (!meta) {
+        await storage.get(container, `${name}.json`);
+        return { status: 403, body: { error: 'This list has no owner yet' } };
+    }
+    if (meta.owner.userId !== principal.userId) {
+        return { status: 403, body: { error: `Only the owner can ${action}` } };
+    }
+    return { meta, etag };
+}
+
+/**
+ * Write an updated access record if it is unchanged since it was read
+ * @returns {Promise<boolean>} - False on conflict
+ */
+async function writeAccess(storage, container, name, meta, etag) {
+    try {
+        await storage.put(container, metaName(name), JSON.stringify(meta), { ifMatch: etag });
+        return true;
+    } catch (e) {
+        if (e.statusCode !== 412) throw e;
+        return false;
+    }
+}
+
+/**
+ * Replace a document's editors (owner only; the owner stays an editor)
+ * @param {Object} storage - Storage adapter
+ * @param {string} container - Container name
+ * @param {string} name - Document name without extension
+ * @param {Object|null} principal - Signed-in user
+ * @param {Array} editors - [{ identityProvider, userDetails }]
+ * @returns {Promise<{status: number, body: Object}>} - Response status and body
+ */
+async function updateEditors(storage, container, name, principal, editors) {
+    if (!principal) return { status: 401, body: { error: 'Login required' } };
+    if (!Array.isArray(editors) || !editors.every(isValidEditor)) {
+        return { status: 400, body: { error: 'Invalid editors' } };
+    }
+
+    const owned = await readOwnedAccess(storage, container, name, principal, 'change editors');
+    if (owned.status) return owned;
+    const { meta, etag } = owned;
+
+    const owner = { identityProvider: meta.owner.identityProvider, userDetails: meta.owner.userDetails };
+    const updated = {
+        ...meta,
+        editors: [owner, ...editors
+            .map(({ identityProvider, userDetails }) => ({ identityProvider, userDetails: userDetails.trim() }))
+            .filter((editor, index, all) => !sameEditor(editor, owner) &&
+                all.findIndex(other => sameEditor(other, editor)) === index)]
+    };
+
+    if (!(await writeAccess(storage, container, name, updated, etag))) {
+        return { status: 409, body: { error: 'Conflict, please retry' } };
+    }
+    return { status: 200, body: { success: true, editors: updated.editors } };
+}
+
+/**
+ * List a document's share links with their tokens (owner only)
+ * @returns {Promise<{status: number, body: Object}>} - { shares: [{ id, role, createdAt, expiresAt, createdBy, token }] }
+ */
+async function listShares(storage, container, name, principal) {
+    const owned = await readOwnedAccess(storage, container, name, principal, 'manage share links');
+    if (owned.status) return owned;
+
+    const secret = getShareSecret();
+    const shares = (owned.meta.shares || []).map(share => ({
+        ...share,
+        token: secret ? signShareToken(share, container, getParentName(name), secret) : null
+    }));
+    return { status: 200, body: { shares } };
+}
+
+/**
+ * Create a share link (owner only)
+ * @param {Object} options - { role: 'viewer' | 'editor', expiresAt: ISO string (optional) }
+ * @returns {Promise<{status: number, body: Object}>} - { success, share } with the link's token
+ */
+async function createShare(storage, container, name, principal, options) {
+    if (!getShareSecret()) return { status: 501, body: { error: 'Share links are not configured' } };
+    if (!options || !SHARE_ROLES.includes(options.role)) {
+        return { status: 400, body: { error: 'Invalid share role' } };
+    }
+    const expires = options.expiresAt === undefined || options.expiresAt === null ? null : Date.parse(options.expiresAt);
+    if (expires !== null && (isNaN(expires) || expires <= Date.now())) {
+        return { status: 400, body: { error: 'Invalid share expiry' } };
+    }
+
+    const owned = await readOwnedAccess(storage, container, name, principal, 'manage share links');
+    if (owned.status) return owned;
+    const { meta, etag } = owned;
+
+    const share = {
+        id: createShareId(),
+        role: options.role,
+        createdAt: new Date().toISOString(),
+        expiresAt: expires === null ? null : new Date(expires).toISOString(),
+        createdBy: principal.userDetails
+    };
+    const updated = { ...meta, shares: [...(meta.shares || []), share] };
+    if (!(await writeAccess(storage, container, name, updated, etag))) {
+        return { status: 409, body: { error: 'Conflict, please retry' } };
+    }
+    return {
+        status: 200,
+        body: { success: true, share: { ...share, token: signShareToken(share, container, getParentName(name), getShareSecret()) } }
+    };
+}
+
+/**
+ * Revoke a share link (owner only); its token stops working straight away
+ * @param {string} shareId - Link id from listShares or createShare
+ * @returns {Promise<{status: number, body: Object}>} - 404 if there is no such link
+ */
+async function revokeShare(storage, container, name, principal, shareId) {
+    const owned = await readOwnedAccess(storage, container, name, principal, 'manage share links');
+    if (owned.status) return owned;
+    const { meta, etag } = owned;
+
+    const shares = meta.shares || [];
+    if (!shares.some(share => share.id === shareId)) {
+        return { status: 404, body: { error: 'Share link not found' } };
+    }
+    const updated = { ...meta, shares: shares.filter(share => share.id !== shareId) };
+    if (!(await writeAccess(storage, container, name, updated, etag))) {
+        return { status: 409, body: { error: 'Conflict, please retry' } };
+    }
+    return { status: 200, body: { success: true } };
+}
+
+function isValidEditor(editor) {
+    return editor && typeof editor.identityProvider === 'string' && editor.identityProvider.trim() !== '' &&
+        typeof editor.userDetails === 'string' && editor.userDetails.trim() !== '';
+}
+
+function sameEditor(a, b) {
+    return a.identityProvider === b.identityProvider && a.userDetails.toLowerCase() === b.userDetails.toLowerCase();
+}
+
+module.exports = {
+    getPrincipal,
+    getShareToken,
+    encodePrincipal,
+    isAccessEnforced,
+    isReadRestricted,
+    checkWriteAccess,
+    checkReadAccess,
+    claimDocument,
+    describeAccess,
+    updateEditors,
+    listShares,
+    createShare,
+    revokeShare
+};
@@ -0,0 +1,116 @@
+const { BlobServiceClient } = require('@azure/storage-blob');
+
+/**
+ * Create a storage adapter backed by Azure Blob Storage
+ * @param {string} sasUrl - Account SAS URL (https://<account>.blob.core.windows.net?<sas-token>)
+ * @returns {Object} - Storage adapter (get, put, list, delete)
+ */
+function createAzureBlobStorage(sasUrl) {
+    if (!sasUrl) {
+        throw new Error('BLOB_SAS_URL not configured');
+    }
+
+    let blobServiceClient;
+    try {
+        const url = new URL(sasUrl);
+        const sasToken = url.search; // includes the '?'
+        blobServiceClient = new BlobServiceClient(`${url.origin}${sasToken}`);
+    } catch (e) {
+        throw new Error(`Invalid BLOB_SAS_URL: ${e.message}`);
+    }
+
+    function getBlobClient(container, name) {
+        return blobServiceClient.getContainerClient(container).getBlockBlobClient(name);
+    }
+
+    return {
+        /**
+         * Read a document and its ETag
+         * @param {string} container - Container name
+         * @param {string} name - Blob name (e.g., 'grocery.json')
+         * @returns {Promise<{content: string, etag: string}>}
+         */
+        async get(container, name) {
+            const downloadResponse = await getBlobClient(container, name).download(0);
+            const content = await streamToString(downloadResponse.readableStreamBody);
+            return { content, etag: downloadResponse.etag };
+        },
+
+        /**
+         * Write a document, optionally only if its ETag still matches
+         * @param {string} container - Container name
+         * @param {string} name - Blob name
+         * @param {string} content - Serialized document
+         * @param {Object} options
+         * @param {string} options.ifMatch - Required current ETag (412 error on mismatch)
+         * @param {string} options.ifNoneMatch - '*' to only create (412 error if it exists)
+         * @returns {Promise<{etag: string}>}
+         */
+        async put(container, name, content, { ifMatch, ifNoneMatch } = {}) {
+            const uploadOptions = { overwrite: true };
+            if (ifMatch) {
+                uploadOptions.conditions = { ifMatch };
+            }
+            if (ifNoneMatch) {
+                uploadOptions.conditions = { ...uploadOptions.conditions, ifNoneMatch };
+            }
+            try {
+                const response = await getBlobClient(container, name).upload(content, Buffer.byteLength(content), uploadOptions);
+                return { etag: response && response.etag };
+            } catch (e) {
+                // Blob storage reports an existing blob as 409 BlobAlreadyExists; match the local adapter
+                if (ifNoneMatch && e.statusCode === 409) e.statusCode = 412;
+                throw e;
+            }
+        },
+
+        /**
+         * List documents in a container
+         * @param {string} container - Container name
+         * @param {Object} options
+         * @param {string} options.prefix - Only include blobs whose name starts with this
+         * @param {boolean} options.recursive - False to skip blobs inside virtual folders (name/...)
+         * @returns {Promise<Array<{name: string, size: number, lastModified: Date, etag: string}>>}
+         */
+        async list(container, { prefix, recursive = true } = {}) {
+            const containerClient = blobServiceClient.getContainerClient(container);
+            const blobs = recursive
+                ? containerClient.listBlobsFlat({ prefix })
+                : containerClient.listBlobsByHierarchy('/', { prefix });
+            const items = [];
+            for await (const blob of blobs) {
+                // Hierarchy listings also return the folders themselves
+                if (blob.kind === 'prefix') continue;
+                items.push({
+                    name: blob.name,
+                    size: blob.properties.contentLength,
+                    lastModified: blob.properties.lastModified,
+                    etag: blob.properties.etag
+                });
+            }
+            return items;
+        },
+
+        /**
+         * Delete a document, optionally only if its ETag still matches
+         * @param {string} container - Container name
+         * @param {string} name - Blob name
+         * @param {Object} options
+         * @param {string} options.ifMatch - Required current ETag (412 error on mismatch)
+         */
+        async delete(container, name, { ifMatch } = {}) {
+            const deleteOptions = ifMatch ? { conditions: { ifMatch } } : {};
+            await getBlobClient(container, name).delete(deleteOptions);
+        }
+    };
+}
+
+async function streamToString(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks).toString('utf-8');
+}
+
+module.exports = { createAzureBlobStorage };
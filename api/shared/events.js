@@ -0,0 +1,104 @@
+// Server-Sent Events for the change feed
+//
+// GET ?events holds the request open until operations are logged after the client's
+// position (the Last-Event-ID header, or ?since on the first connection), then answers
+// with one SSE event per operation and ends. EventSource reconnects on its own, sending
+// the last event id, so each response works like a long poll. This fits the Functions
+// HTTP model, where a response body is sent only once the handler returns.
+//
+// Events:
+//   event: ready      - no position given; data: { seq } to start from
+//   event: operation  - one logged operation (id: its seq; data: the log entry)
+//   event: reset      - the client's position is unavailable; refetch the document
+// A response with no events (just a comment) means nothing changed while waiting.
+//
+// EVENTS_WAIT_MS (default 25000) is how long a request waits for changes. The log is
+// checked after EVENTS_POLL_MS (default 3000), then at doubling intervals while nothing
+// changes, up to EVENTS_MAX_POLL_MS (default 12000) apart.
+//
+// Cost: this is polling moved to the server, not a push channel. Every open tab
+// holds a function invocation for the whole wait and reads the _oplog blob on each
+// check - with the defaults about 5 reads and 25 s of function time per idle cycle
+// (the client's 15 s polling fallback costs one read per 15 s and no waiting).
+// Clients close the stream after 5 minutes without activity (client/shared/sync.js).
+// A real push service (Web PubSub, SignalR) would remove the waiting and the reads.
+
+const { getOplogLimit, getCurrentSeq, readChanges } = require('./oplog');
+
+const DEFAULT_WAIT_MS = 25000;
+const DEFAULT_POLL_MS = 3000;
+const DEFAULT_MAX_POLL_MS = 12000;
+const RECONNECT_MS = 500;
+
+function getNumberSetting(value, defaultValue) {
+    const number = parseInt(value, 10);
+    return isNaN(number) || number < 0 ? defaultValue : number;
+}
+
+/**
+ * Wait for changes to a document and render them as an SSE response body
+ * @param {Object} storage - Storage adapter
+ * @param {string} container - Container name
+ * @param {string} name - Document name without extension
+ * @param {string|undefined} since - Last seq the client has seen (Last-Event-ID or ?since)
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Promise<{status: number, body: string|Object}>} - SSE text on 200; { error } otherwise
+ */
+async function waitForEvents(storage, container, name, since, env = process.env) {
+    if (getOplogLimit(env) === 0) {
+        return { status: 503, body: { error: 'Change feed disabled' } };
+    }
+
+    if (since === undefined || since === '') {
+        const seq = await getCurrentSeq(storage, container, name);
+        return { status: 200, body: formatEvents([{ id: seq, event: 'ready', data: { seq } }]) };
+    }
+    if (!/^\d+$/.test(since)) {
+        return { status: 400, body: { error: 'Invalid since' } };
+    }
+
+    const waitMs = getNumberSetting(env.EVENTS_WAIT_MS, DEFAULT_WAIT_MS);
+    const pollMs = getNumberSetting(env.EVENTS_POLL_MS, DEFAULT_POLL_MS);
+    const maxPollMs = Math.max(pollMs, getNumberSetting(env.EVENTS_MAX_POLL_MS, DEFAULT_MAX_POLL_MS));
+    const deadline = Date.now() + waitMs;
+    const position = parseInt(since, 10);
+    let delay = pollMs;
+
+    for (;;) {
+        const changes = await readChanges(storage, container, name, position);
+        if (changes.reset) {
+            return { status: 200, body: formatEvents([{ id: changes.seq, event: 'reset', data: { seq: changes.seq } }]) };
+        }
+        if (changes.operations.length > 0) {
+            return {
+                status: 200,
+                body: formatEvents(changes.operations.map(entry => ({ id: entry.seq, event: 'operation', data: entry })))
+            };
+        }
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+            return { status: 200, body: formatEvents([]) };
+        }
+        // Nothing yet - check less often the longer the document stays unchanged
+        await new Promise(resolve => setTimeout(resolve, Math.min(delay, remaining)));
+        delay = Math.min(delay * 2, maxPollMs);
+    }
+}
+
+/**
+ * Render events in text/event-stream format
+ * @param {Array<{id: number, event: string, data: *}>} events
+ * @returns {string} - Response body (starts with the reconnect delay)
+ */
+function formatEvents(events) {
+    const lines = [`retry: ${RECONNECT_MS}`, ''];
+    if (events.length === 0) {
+        lines.push(': no changes', '');
+    }
+    events.forEach(({ id, event, data }) => {
+        lines.push(`id: ${id}`, `event: ${event}`, `data: ${JSON.stringify(data)}`, '');
+    });
+    return lines.join('\n') + '\n';
+}
+
+module.exports = { waitForEvents, formatEvents };
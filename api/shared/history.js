@@ -0,0 +1,142 @@
+// Document version history
+//
+// Every successful write also stores the resulting document as a version:
+//   {container}/_versions/{name}/{versionId}.json -> { id, timestamp, operation, data }
+//
+// Version IDs are '{timestamp}-{random}-{type}' so they sort chronologically and
+// the list endpoint can show when/what without downloading every version. The type is
+// the operation as sent, so it may be mixed case (e.g., 'addValue').
+// Document names cannot contain '/' or start with '_' (isValidName in list-names.js), so the
+// _versions folder never collides with a list.
+//
+// VERSION_HISTORY_LIMIT (default 50) caps versions kept per document; 0 disables history.
+
+const VERSIONS_FOLDER = '_versions';
+const DEFAULT_LIMIT = 50;
+const VERSION_ID_PATTERN = /^(\d+)-[a-z0-9]+-([A-Za-z]+)$/;
+
+// Last timestamp used, so versions written in the same millisecond still sort in order
+let lastTimestamp = 0;
+
+/**
+ * Get the configured number of versions to keep per document
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {number} - Max versions (0 = history disabled)
+ */
+function getHistoryLimit(env = process.env) {
+    const limit = parseInt(env.VERSION_HISTORY_LIMIT, 10);
+    return isNaN(limit) || limit < 0 ? DEFAULT_LIMIT : limit;
+}
+
+function versionPrefix(name) {
+    return `${VERSIONS_FOLDER}/${name}/`;
+}
+
+/**
+ * Store a written document as a new version and prune old ones
+ * @param {Object} storage - Storage adapter
+ * @param {string} container - Container name
+ * @param {string} name - Document name without extension (e.g., 'grocery')
+ * @param {*} data - The document as written
+ * @param {Object} operation - What produced it (e.g., { type: 'restore', restoredFrom: '<id>' })
+ * @returns {Promise<string|null>} - New version ID, or null if history is disabled
+ */
+async function recordVersion(storage, container, name, data, operation) {
+    const limit = getHistoryLimit();
+    if (limit === 0) return null;
+
+    const timestamp = Math.max(Date.now(), lastTimestamp + 1);
+    lastTimestamp = timestamp;
+    const id = `${timestamp}-${Math.random().toString(36).substr(2, 6)}-${operation.type}`;
+    const version = { id, timestamp: new Date(timestamp).toISOString(), operation, data };
+    await storage.put(container, `${versionPrefix(name)}${id}.json`, JSON.stringify(version));
+
+    // Prune oldest versions beyond the limit
+    const existing = await storage.list(container, { prefix: versionPrefix(name) });
+    const excess = existing.length - limit;
+    for (let i = 0; i < excess; i++) {
+        try {
+            await storage.delete(container, existing[i].name);
+        } catch (e) {
+            // Another writer may have pruned it already
+            if (e.statusCode !== 404) throw e;
+        }
+    }
+
+    return id;
+}
+
+/**
+ * List versions of a document, newest first
+ * @param {Object} storage - Storage adapter
+ * @param {string} container - Container name
+ * @param {string} name - Document name without extension
+ * @returns {Promise<Array<{id: string, timestamp: string, type: string, size: number}>>}
+ */
+async function listVersions(storage, container, name) {
+    const prefix = versionPrefix(name);
+    const items = await storage.list(container, { prefix });
+
+    return items
+        .map(item => {
+            const id = item.name.slice(prefix.length).replace(/\.json$/, '');
+            const match = id.match(VERSION_ID_PATTERN);
+            if (!match) return null;
+            return {
+                id,
+                timestamp: new Date(parseInt(match[1], 10)).toISOString(),
+                type: match[2],
+                size: item.size
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => (a.id < b.id ? 1 : -1));
+}
+
+/**
+ * Fetch a single version
+ * @param {Object} storage - Storage adapter
+ * @param {string} container - Container name
+ * @param {string} name - Document name without extension
+ * @param {string} id - Version ID
+ * @returns {Promise<{id: string, timestamp: string, operation: Object, data: *}>} - Throws 404 if missing
+ */
+async function getVersion(storage, container, name, id) {
+    if (!isValidVersionId(id)) {
+        const error = new Error('Invalid version id');
+        error.statusCode = 400;
+        throw error;
+    }
+    const { content } = await storage.get(container, `${versionPrefix(name)}${id}.json`);
+    return JSON.parse(content);
+}
+
+/**
+ * Check a version ID's format (also keeps it from escaping the versions folder)
+ * @param {string} id - Version ID
+ * @returns {boolean}
+ */
+function isValidVersionId(id) {
+    return typeof id === 'string' && VERSION_ID_PATTERN.test(id);
+}
+
+/**
+ * Summarize operations for a version record (paths and ids, not values)
+ * @param {Array} operations - [{ op, path, value, id }]
+ * @returns {Object} - { type, operations: [{ op, path, id }] }
+ */
+function describeOperations(operations) {
+    return {
+        type: operations.length === 1 ? operations[0].op : 'batch',
+        operations: operations.map(({ op, path, id }) => (id === undefined ? { op, path } : { op, path, id }))
+    };
+}
+
+module.exports = {
+    getHistoryLimit,
+    recordVersion,
+    listVersions,
+    getVersion,
+    isValidVersionId,
+    describeOperations
+};
@@ -0,0 +1,72 @@
+// Reserved list names
+//
+// '~' is reserved for sub-lists the app manages alongside a list, named
+// {name}~{kind}: 'family-meals~shopping' (the meal board's shopping list),
+// 'grocery~archive' (a task list's archived tasks) and 'grocery~views' (its saved views).
+// Writes to any other name containing '~' are rejected, so users cannot create them.
+// A sub-list shares its parent's access (owner, editors and share links, see access.js).
+// Archives and saved views are only opened from their list, so container listings leave
+// them out; shopping lists are lists users open themselves and are listed.
+//
+// Names cannot contain '/' or start with '_': the app keeps its own records under
+// _meta/, _versions/ and _oplog/ in each container, and a document name must not reach them.
+
+const SEPARATOR = '~';
+const SUB_LISTS = ['shopping', 'archive', 'views'];
+const UNLISTED_SUB_LISTS = ['archive', 'views'];
+
+/**
+ * Check if a document name may be used at all (read or written)
+ * @param {string} name - Document name without extension
+ * @returns {boolean} - False for names with '/' or a leading '_'
+ */
+function isValidName(name) {
+    return !name.includes('/') && !name.startsWith('_');
+}
+
+/**
+ * Check if a document name may be written
+ * @param {string} name - Document name without extension
+ * @returns {boolean} - False for names with '~' other than {name}~{known kind}
+ */
+function isWritableName(name) {
+    if (!name.includes(SEPARATOR)) return true;
+    const parts = name.split(SEPARATOR);
+    return parts.length === 2 && parts[0] !== '' && SUB_LISTS.includes(parts[1]);
+}
+
+/**
+ * Get the list a sub-list belongs to
+ * @param {string} name - Document name without extension
+ * @returns {string} - The parent list's name, or name itself if it is not a sub-list
+ */
+function getParentName(name) {
+    return isWritableName(name) && name.includes(SEPARATOR) ? name.split(SEPARATOR)[0] : name;
+}
+
+/**
+ * Get the kind of a sub-list
+ * @param {string} name - Document name without extension
+ * @returns {string|null} - The kind ('shopping', 'archive', 'views'), or null if it is not a sub-list
+ */
+function getSubListKind(name) {
+    return getParentName(name) !== name ? name.split(SEPARATOR)[1] : null;
+}
+
+/**
+ * Check if a document is shown in container listings
+ * @param {string} name - Document name without extension
+ * @returns {boolean} - False for archives and saved views
+ */
+function isListedName(name) {
+    return !UNLISTED_SUB_LISTS.includes(getSubListKind(name));
+}
+
+module.exports = {
+    SUB_LISTS,
+    isValidName,
+    isWritableName,
+    getParentName,
+    getSubListKind,
+    isListedName
+};
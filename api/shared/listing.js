@@ -0,0 +1,111 @@
+// Container listing (GET /api/store/{container})
+//
+// Lists the documents in a container by name, a page at a time, with size, last-modified
+// and a title to show in pickers: a SwarmSpace session's title, or the first few task names
+// of a task list. Internal folders (_versions/, _oplog/, _meta/) are never listed, nor are
+// sub-lists only opened from their list (archives and saved views, see list-names.js).
+//
+// Only documents the caller may edit are listed (all of them with WRITE_ACCESS=anyone), so
+// anonymous visitors cannot browse everyone's lists; with READ_ACCESS=restricted, those the
+// caller may read (see access.js).
+
+const { isReadRestricted, checkReadAccess, checkWriteAccess } = require('./access');
+const { isListedName } = require('./list-names');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const TITLE_TASKS = 3;
+
+/**
+ * Check listing query parameters
+ * @param {Object} query - { prefix, limit, cursor }
+ * @returns {{options: Object}|{error: string}} - Parsed options, or the reason they are invalid
+ */
+function parseListOptions(query = {}) {
+    let limit = DEFAULT_LIMIT;
+    if (query.limit !== undefined) {
+        if (!/^\d+$/.test(query.limit) || parseInt(query.limit, 10) < 1 || parseInt(query.limit, 10) > MAX_LIMIT) {
+            return { error: `Invalid limit (1-${MAX_LIMIT})` };
+        }
+        limit = parseInt(query.limit, 10);
+    }
+    return { options: { prefix: query.prefix || '', cursor: query.cursor || '', limit } };
+}
+
+/**
+ * List a page of documents
+ * @param {Object} storage - Storage adapter
+ * @param {string} container - Container name
+ * @param {Object} options - From parseListOptions
+ * @param {string} options.prefix - Only names starting with this
+ * @param {string} options.cursor - Only names after this (the previous page's nextCursor)
+ * @param {number} options.limit - Page size
+ * @param {Object|null} principal - Signed-in user (only their documents are listed)
+ * @returns {Promise<{items: Array<{name: string, size: number, lastModified: string, title?: string}>, nextCursor: string|null}>}
+ *   nextCursor is null on the last page
+ */
+async function listDocuments(storage, container, { prefix, cursor, limit }, principal = null) {
+    const documents = (await listTopLevel(storage, container, prefix))
+        .filter(doc => doc.name.endsWith('.json') && !doc.name.startsWith('_'))
+        .map(doc => ({ ...doc, name: doc.name.slice(0, -'.json'.length) }))
+        .filter(doc => isListedName(doc.name))
+        .filter(doc => doc.name.startsWith(prefix) && (!cursor || doc.name > cursor))
+        .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    const checkAccess = isReadRestricted() ? checkReadAccess : checkWriteAccess;
+    const items = [];
+    let index = 0;
+    for (; index < documents.length && items.length < limit; index++) {
+        const doc = documents[index];
+        if ((await checkAccess(storage, container, doc.name, principal)).status !== 200) continue;
+
+        const item = { name: doc.name, size: doc.size, lastModified: new Date(doc.lastModified).toISOString() };
+        const title = await readTitle(storage, container, doc.name);
+        if (title) item.title = title;
+        items.push(item);
+    }
+
+    const nextCursor = index < documents.length ? items[items.length - 1].name : null;
+    return { items, nextCursor };
+}
+
+/**
+ * List the documents outside folders (an empty list if the container does not exist yet)
+ */
+async function listTopLevel(storage, container, prefix) {
+    try {
+        return await storage.list(container, { prefix, recursive: false });
+    } catch (e) {
+        if (e.statusCode === 404) return [];
+        throw e;
+    }
+}
+
+/**
+ * Get a short title for a document
+ * @returns {Promise<string|null>} - The session title, or the first task names; null if none
+ */
+async function readTitle(storage, container, name) {
+    let data;
+    try {
+        data = JSON.parse((await storage.get(container, `${name}.json`)).content);
+    } catch (e) {
+        // Deleted since it was listed, or not JSON
+        return null;
+    }
+
+    if (Array.isArray(data)) {
+        const names = data
+            .filter(task => task && typeof task.name === 'string' && task.name.trim() && task.status !== 'removed')
+            .map(task => task.name.trim());
+        if (names.length === 0) return null;
+        return names.slice(0, TITLE_TASKS).join(', ') + (names.length > TITLE_TASKS ? ', ...' : '');
+    }
+    if (data && typeof data.title === 'string' && data.title.trim()) return data.title.trim();
+    return null;
+}
+
+module.exports = {
+    parseListOptions,
+    listDocuments
+};
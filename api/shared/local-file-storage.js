@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a storage adapter backed by a directory on disk
+ *
+ * Layout mirrors blob storage: {rootDir}/{container}/{name}. Names may contain
+ * '/' (virtual folders, like blob names); folders are created on first write.
+ * ETags are a hash of the file content, so a document written back unchanged
+ * keeps its ETag just like a re-read blob would.
+ *
+ * Conditional writes use synchronous fs calls so the ETag check and the write
+ * cannot interleave with another request in the same process.
+ *
+ * @param {string} rootDir - Directory that holds one folder per container
+ * @returns {Object} - Storage adapter (get, put, list, delete)
+ */
+function createLocalFileStorage(rootDir) {
+    if (!rootDir) {
+        throw new Error('LOCAL_STORAGE_PATH not configured');
+    }
+    const root = path.resolve(rootDir);
+
+    /**
+     * Resolve a document path, refusing anything that escapes the container directory
+     */
+    function resolveFile(container, name) {
+        const containerDir = path.join(root, container);
+        const filePath = path.resolve(containerDir, name);
+        if (!filePath.startsWith(containerDir + path.sep)) {
+            throw storageError(`Invalid document name: ${name}`, 400);
+        }
+        return filePath;
+    }
+
+    /**
+     * Recursively collect file names under a directory as '/'-separated relative names
+     */
+    function walk(dir, relative = '') {
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (e) {
+            if (e.code === 'ENOENT') return [];
+            throw e;
+        }
+        return entries.flatMap(entry => {
+            const name = relative ? `${relative}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) return walk(path.join(dir, entry.name), name);
+            return entry.isFile() ? [name] : [];
+        });
+    }
+
+    /**
+     * Read the current content of a file, or null if it does not exist
+     */
+    function readIfExists(filePath) {
+        try {
+            return fs.readFileSync(filePath, 'utf-8');
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        }
+    }
+
+    /**
+     * Throw a 412 error if the file's current ETag differs from ifMatch
+     */
+    function checkIfMatch(current, ifMatch) {
+        if (!ifMatch) return;
+        if (current === null) {
+            throw storageError('The specified blob does not exist.', 404);
+        }
+        if (computeEtag(current) !== ifMatch) {
+            throw storageError('Precondition Failed', 412);
+        }
+    }
+
+    return {
+        /**
+         * Read a document and its ETag
+         * @param {string} container - Container name
+         * @param {string} name - Document name (e.g., 'grocery.json')
+         * @returns {Promise<{content: string, etag: string}>}
+         */
+        async get(container, name) {
+            const content = readIfExists(resolveFile(container, name));
+            if (content === null) {
+                throw storageError('The specified blob does not exist.', 404);
+            }
+            return { content, etag: computeEtag(content) };
+        },
+
+        /**
+         * Write a document, optionally only if its ETag still matches
+         * @param {string} container - Container name
+         * @param {string} name - Document name
+         * @param {string} content - Serialized document
+         * @param {Object} options
+         * @param {string} options.ifMatch - Required current ETag (412 error on mismatch)
+         * @param {string} options.ifNoneMatch - '*' to only create (412 error if it exists)
+         * @returns {Promise<{etag: string}>}
+         */
+        async put(container, name, content, { ifMatch, ifNoneMatch } = {}) {
+            const filePath = resolveFile(container, name);
+            const current = readIfExists(filePath);
+            checkIfMatch(current, ifMatch);
+            if (ifNoneMatch === '*' && current !== null) {
+                throw storageError('The specified blob already exists.', 412);
+            }
+
+            // Write to a temp file and rename so readers never see a partial document
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            fs.writeFileSync(tempPath, content, 'utf-8');
+            fs.renameSync(tempPath, filePath);
+
+            return { etag: computeEtag(content) };
+        },
+
+        /**
+         * List documents in a container
+         * @param {string} container - Container name
+         * @param {Object} options
+         * @param {string} options.prefix - Only include documents whose name starts with this (includes virtual folders)
+         * @param {boolean} options.recursive - False to skip documents inside virtual folders (name/...)
+         * @returns {Promise<Array<{name: string, size: number, lastModified: Date, etag: string}>>}
+         */
+        async list(container, { prefix = '', recursive = true } = {}) {
+            const dir = path.join(root, container);
+
+            return walk(dir)
+                .filter(name => name.startsWith(prefix) && !name.endsWith('.tmp'))
+                .filter(name => recursive || !name.includes('/'))
+                .sort()
+                .map(name => {
+                    const filePath = path.join(dir, ...name.split('/'));
+                    const stat = fs.statSync(filePath);
+                    return {
+                        name,
+                        size: stat.size,
+                        lastModified: stat.mtime,
+                        etag: computeEtag(fs.readFileSync(filePath, 'utf-8'))
+                    };
+                });
+        },
+
+        /**
+         * Delete a document, optionally only if its ETag still matches
+         * @param {string} container - Container name
+         * @param {string} name - Document name
+         * @param {Object} options
+         * @param {string} options.ifMatch - Required current ETag (412 error on mismatch)
+         */
+        async delete(container, name, { ifMatch } = {}) {
+            const filePath = resolveFile(container, name);
+            const current = readIfExists(filePath);
+            if (current === null) {
+                throw storageError('The specified blob does not exist.', 404);
+            }
+            checkIfMatch(current, ifMatch);
+            fs.unlinkSync(filePath);
+        }
+    };
+}
+
+/**
+ * Compute a quoted ETag from document content
+ * @param {string} content - File content
+ * @returns {string} - ETag (e.g., '"3f786850e387550fdab836ed7e6dc881de23001b"')
+ */
+function computeEtag(content) {
+    return `"${crypto.createHash('sha1').update(content).digest('hex')}"`;
+}
+
+/**
+ * Create an error shaped like the Azure SDK's RestError (statusCode field)
+ */
+function storageError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+module.exports = { createLocalFileStorage };
@@ -0,0 +1,182 @@
+/**
+ * Tests for the local filesystem storage adapter
+ *
+ * The adapter must behave like Azure Blob Storage as far as the API cares:
+ * - get returns content + ETag, 404 error when missing
+ * - put with ifMatch fails with 412 when the document changed; ifNoneMatch * only creates
+ * - list returns document names with size and last-modified
+ * - delete removes the document, 404 error when missing
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalFileStorage } = require('./local-file-storage');
+const { createStorage } = require('./storage');
+
+const TEST_CONTAINER = 'test-container';
+
+let rootDir;
+let storage;
+
+beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'listlet-storage-'));
+    storage = createLocalFileStorage(rootDir);
+});
+
+afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+describe('get / put', () => {
+    test('put creates the container folder and get reads it back', async () => {
+        await storage.put(TEST_CONTAINER, 'grocery.json', '[]');
+
+        expect(fs.existsSync(path.join(rootDir, TEST_CONTAINER, 'grocery.json'))).toBe(true);
+        const { content, etag } = await storage.get(TEST_CONTAINER, 'grocery.json');
+        expect(content).toBe('[]');
+        expect(etag).toMatch(/^".+"$/);
+    });
+
+    test('put returns the same ETag that get reports', async () => {
+        const { etag } = await storage.put(TEST_CONTAINER, 'grocery.json', '[1]');
+        const result = await storage.get(TEST_CONTAINER, 'grocery.json');
+        expect(result.etag).toBe(etag);
+    });
+
+    test('ETag changes when content changes', async () => {
+        const first = await storage.put(TEST_CONTAINER, 'grocery.json', '[1]');
+        const second = await storage.put(TEST_CONTAINER, 'grocery.json', '[1,2]');
+        expect(second.etag).not.toBe(first.etag);
+    });
+
+    test('get throws a 404 error for a missing document', async () => {
+        await expect(storage.get(TEST_CONTAINER, 'missing.json')).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('supports names with virtual folders', async () => {
+        await storage.put(TEST_CONTAINER, '_versions/grocery/1.json', '[1]');
+        expect((await storage.get(TEST_CONTAINER, '_versions/grocery/1.json')).content).toBe('[1]');
+    });
+
+    test('rejects names that escape the container folder', async () => {
+        await expect(storage.get(TEST_CONTAINER, '../outside.json')).rejects.toMatchObject({ statusCode: 400 });
+        await expect(storage.get(TEST_CONTAINER, 'a/../../outside.json')).rejects.toMatchObject({ statusCode: 400 });
+        await expect(storage.put(TEST_CONTAINER, '../outside.json', '[]')).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
+
+describe('conditional put', () => {
+    test('succeeds when ifMatch equals the current ETag', async () => {
+        await storage.put(TEST_CONTAINER, 'doc.json', '{"a":1}');
+        const { etag } = await storage.get(TEST_CONTAINER, 'doc.json');
+
+        await storage.put(TEST_CONTAINER, 'doc.json', '{"a":2}', { ifMatch: etag });
+
+        expect((await storage.get(TEST_CONTAINER, 'doc.json')).content).toBe('{"a":2}');
+    });
+
+    test('throws 412 when the document changed since it was read', async () => {
+        await storage.put(TEST_CONTAINER, 'doc.json', '{"a":1}');
+        const { etag } = await storage.get(TEST_CONTAINER, 'doc.json');
+        await storage.put(TEST_CONTAINER, 'doc.json', '{"a":"other writer"}');
+
+        await expect(storage.put(TEST_CONTAINER, 'doc.json', '{"a":2}', { ifMatch: etag }))
+            .rejects.toMatchObject({ statusCode: 412 });
+        expect((await storage.get(TEST_CONTAINER, 'doc.json')).content).toBe('{"a":"other writer"}');
+    });
+
+    test('throws 404 when the document no longer exists', async () => {
+        await expect(storage.put(TEST_CONTAINER, 'doc.json', '{}', { ifMatch: '"gone"' }))
+            .rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('ifNoneMatch * creates the document only if it does not exist', async () => {
+        await storage.put(TEST_CONTAINER, 'doc.json', '{"a":1}', { ifNoneMatch: '*' });
+
+        await expect(storage.put(TEST_CONTAINER, 'doc.json', '{"a":2}', { ifNoneMatch: '*' }))
+            .rejects.toMatchObject({ statusCode: 412 });
+        expect((await storage.get(TEST_CONTAINER, 'doc.json')).content).toBe('{"a":1}');
+    });
+});
+
+describe('list', () => {
+    test('returns documents with size and last-modified, sorted by name', async () => {
+        await storage.put(TEST_CONTAINER, 'b.json', '[]');
+        await storage.put(TEST_CONTAINER, 'a.json', '[1,2,3]');
+
+        const items = await storage.list(TEST_CONTAINER);
+
+        expect(items.map(i => i.name)).toEqual(['a.json', 'b.json']);
+        expect(items[0].size).toBe(7);
+        expect(items[0].lastModified.getTime()).toBeGreaterThan(0);
+        expect(items[0].etag).toBe((await storage.get(TEST_CONTAINER, 'a.json')).etag);
+    });
+
+    test('filters by prefix', async () => {
+        await storage.put(TEST_CONTAINER, 'game1.json', '{}');
+        await storage.put(TEST_CONTAINER, 'game2.json', '{}');
+        await storage.put(TEST_CONTAINER, 'grocery.json', '[]');
+
+        const items = await storage.list(TEST_CONTAINER, { prefix: 'game' });
+
+        expect(items.map(i => i.name)).toEqual(['game1.json', 'game2.json']);
+    });
+
+    test('lists nested names with / separators', async () => {
+        await storage.put(TEST_CONTAINER, 'grocery.json', '[]');
+        await storage.put(TEST_CONTAINER, '_versions/grocery/1.json', '[]');
+
+        const all = await storage.list(TEST_CONTAINER);
+        expect(all.map(i => i.name)).toEqual(['_versions/grocery/1.json', 'grocery.json']);
+
+        const versions = await storage.list(TEST_CONTAINER, { prefix: '_versions/grocery/' });
+        expect(versions.map(i => i.name)).toEqual(['_versions/grocery/1.json']);
+    });
+
+    test('recursive: false skips names inside folders', async () => {
+        await storage.put(TEST_CONTAINER, 'grocery.json', '[]');
+        await storage.put(TEST_CONTAINER, '_meta/grocery.json', '{}');
+
+        const top = await storage.list(TEST_CONTAINER, { recursive: false });
+        expect(top.map(i => i.name)).toEqual(['grocery.json']);
+    });
+
+    test('returns an empty list for a container that does not exist yet', async () => {
+        expect(await storage.list('never-written')).toEqual([]);
+    });
+});
+
+describe('delete', () => {
+    test('removes the document', async () => {
+        await storage.put(TEST_CONTAINER, 'doc.json', '{}');
+        await storage.delete(TEST_CONTAINER, 'doc.json');
+        await expect(storage.get(TEST_CONTAINER, 'doc.json')).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('throws 404 for a missing document', async () => {
+        await expect(storage.delete(TEST_CONTAINER, 'doc.json')).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('throws 412 when ifMatch does not match', async () => {
+        await storage.put(TEST_CONTAINER, 'doc.json', '{}');
+        await expect(storage.delete(TEST_CONTAINER, 'doc.json', { ifMatch: '"stale"' }))
+            .rejects.toMatchObject({ statusCode: 412 });
+    });
+});
+
+describe('createStorage', () => {
+    test('selects the local backend from STORAGE_BACKEND', async () => {
+        const selected = createStorage({ STORAGE_BACKEND: 'local', LOCAL_STORAGE_PATH: rootDir });
+        await selected.put(TEST_CONTAINER, 'doc.json', '{}');
+        expect(fs.existsSync(path.join(rootDir, TEST_CONTAINER, 'doc.json'))).toBe(true);
+    });
+
+    test('defaults to Azure and requires BLOB_SAS_URL', () => {
+        expect(() => createStorage({})).toThrow('BLOB_SAS_URL not configured');
+    });
+
+    test('rejects an unknown backend', () => {
+        expect(() => createStorage({ STORAGE_BACKEND: 'ftp' })).toThrow('Unknown STORAGE_BACKEND: ftp');
+    });
+});
@@ -0,0 +1,177 @@
+// Atomic document operations
+//
+// Each operation mutates a parsed document in place:
+//   { op: 'append', path, value }  - push value onto the array at path
+//   { op: 'delete', path, id }     - remove the item with matching id from the array at path
+//   { op: 'patch',  path, value }  - set the field at path
+//   { op: 'addValue',    path, value } - add value to the array at path unless it is already there
+//   { op: 'removeValue', path, value } - remove value from the array at path (if it is there)
+//
+// addValue and removeValue treat an array of strings or numbers as a set (e.g., a task's tags),
+// so users adding and removing different values at the same time keep each other's changes.
+// append and addValue create the array if the field is missing (e.g., a task's first subtask),
+// so concurrent first additions both land instead of one replacing the other.
+//
+// Paths are dot-separated with numeric segments for array indexes (e.g., 'weeks.0.event.comments')
+// and [id=...] segments for the array item with that id (e.g., '[id=abc123].status'), which
+// stay correct when other items are added or removed concurrently. The empty path '' is the
+// document itself, for documents that are an array (task lists); it can be appended to or
+// deleted from but not patched.
+// Failures are returned as { status, error } so the handler can send them as-is.
+
+const OPERATION_TYPES = ['append', 'delete', 'patch', 'addValue', 'removeValue'];
+const SET_OPERATIONS = ['addValue', 'removeValue'];
+const ID_SEGMENT = /^\[id=([^\]]+)\]$/;
+
+/**
+ * Navigate to a nested path in an object
+ * @param {Object} obj - The object to navigate
+ * @param {string} path - Dot-separated path (e.g., 'weeks.0.event.comments', '[id=abc].tags' or '')
+ * @returns {*} - The value at the path, or undefined if not found
+ */
+function navigateToPath(obj, path) {
+    if (path === '') return obj;
+    return path.split('.').reduce((curr, part) => {
+        if (curr === undefined || curr === null) return undefined;
+        const idMatch = part.match(ID_SEGMENT);
+        if (idMatch) {
+            return Array.isArray(curr) ? curr.find(item => item && item.id === idMatch[1]) : undefined;
+        }
+        return /^\d+$/.test(part) ? curr[parseInt(part)] : curr[part];
+    }, obj);
+}
+
+/**
+ * Check an operation's required fields before the document is read
+ * @param {Object} operation - { op, path, value, id }
+ * @returns {{status: number, error: string}|null} - Error, or null if valid
+ */
+function validateOperation(operation) {
+    if (!operation || !OPERATION_TYPES.includes(operation.op)) {
+        return { status: 400, error: 'Unknown operation' };
+    }
+    // '' (the document root) is a valid path for append and delete
+    const hasPath = typeof operation.path === 'string' && (operation.path !== '' || operation.op !== 'patch');
+    if (operation.op === 'delete') {
+        if (!hasPath || !operation.id) {
+            return { status: 400, error: 'Missing path or id' };
+        }
+    } else if (!hasPath || operation.value === undefined) {
+        return { status: 400, error: 'Missing path or value' };
+    } else if (SET_OPERATIONS.includes(operation.op) && !['string', 'number'].includes(typeof operation.value)) {
+        return { status: 400, error: 'Value must be a string or number' };
+    }
+    return null;
+}
+
+/**
+ * Apply an operation to a document in place
+ * @param {Object} data - The parsed document (mutated)
+ * @param {Object} operation - A validated operation
+ * @returns {{status: number, error: string}|null} - Error, or null on success
+ */
+function applyOperation(data, operation) {
+    if (operation.op === 'append') return appendItem(data, operation.path, operation.value);
+    if (operation.op === 'delete') return deleteItem(data, operation.path, operation.id);
+    if (operation.op === 'addValue') return addValue(data, operation.path, operation.value);
+    if (operation.op === 'removeValue') return removeValue(data, operation.path, operation.value);
+    return patchItem(data, operation.path, operation.value);
+}
+
+function appendItem(data, path, value) {
+    let target = navigateToPath(data, path);
+    // A missing field is created (when its parent exists); anything else is not an array
+    if (target === undefined && path !== '' && !patchItem(data, path, [])) {
+        target = navigateToPath(data, path);
+    }
+    if (!Array.isArray(target)) {
+        return { status: 400, error: 'Path must point to array' };
+    }
+
+    // Server-side week number calculation to prevent duplicates from concurrent adds
+    if (path === 'weeks' && value && typeof value === 'object') {
+        // If weeks exist, new week is last week's number + 1; otherwise default to 1
+        if (target.length > 0) {
+            const lastWeek = target[target.length - 1];
+            value.weekNumber = (lastWeek.weekNumber || 1) + 1;
+        } else {
+            value.weekNumber = value.weekNumber || 1;
+        }
+    }
+
+    target.push(value);
+    return null;
+}
+
+function deleteItem(data, path, id) {
+    const target = navigateToPath(data, path);
+    if (!Array.isArray(target)) {
+        return { status: 400, error: 'Path must point to array' };
+    }
+
+    const index = target.findIndex(item => item.id === id);
+    if (index === -1) {
+        return { status: 404, error: 'Item not found' };
+    }
+    target.splice(index, 1);
+    return null;
+}
+
+function addValue(data, path, value) {
+    const target = navigateToPath(data, path);
+    if (target === undefined && path !== '') {
+        return patchItem(data, path, [value]);
+    }
+    if (!Array.isArray(target)) {
+        return { status: 400, error: 'Path must point to array' };
+    }
+    if (!target.includes(value)) target.push(value);
+    return null;
+}
+
+function removeValue(data, path, value) {
+    const target = navigateToPath(data, path);
+    if (!Array.isArray(target)) {
+        return { status: 400, error: 'Path must point to array' };
+    }
+    const index = target.indexOf(value);
+    if (index !== -1) target.splice(index, 1);
+    return null;
+}
+
+function patchItem(data, path, value) {
+    // Navigate to parent and set the value
+    const pathParts = path.split('.');
+    const fieldName = pathParts.pop();
+    const parentPath = pathParts.join('.');
+
+    const parent = parentPath === '' ? data : navigateToPath(data, parentPath);
+    if (parent === undefined || parent === null) {
+        return { status: 400, error: 'Invalid path' };
+    }
+
+    // Replace the array item with a matching id
+    const idMatch = fieldName.match(ID_SEGMENT);
+    if (idMatch) {
+        const index = Array.isArray(parent) ? parent.findIndex(item => item && item.id === idMatch[1]) : -1;
+        if (index === -1) {
+            return { status: 404, error: 'Item not found' };
+        }
+        parent[index] = value;
+        return null;
+    }
+
+    // Handle array index in field name
+    const key = /^\d+$/.test(fieldName) ? parseInt(fieldName) : fieldName;
+
+    // For array indices, require the index to exist
+    // For object properties, allow adding new fields (e.g., names.0.group can add 'group' to names[0])
+    if (/^\d+$/.test(fieldName) && !(key in parent)) {
+        return { status: 400, error: 'Invalid path' };
+    }
+
+    parent[key] = value;
+    return null;
+}
+
+module.exports = { navigateToPath, validateOperation, applyOperation };
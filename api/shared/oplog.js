@@ -0,0 +1,132 @@
+// Per-document operation log (change feed)
+//
+// Every successful write is also appended to {container}/_oplog/{name}.json:
+//   { seq, entries: [{ seq, timestamp, op, path, value, id }] }
+//
+// Atomic operations are logged as applied (including server-side changes such as a
+// week's weekNumber). Whole-document writes (PUT, restore) are logged as
+// { op: 'replace' }, which tells readers to fetch the full document again.
+//
+// The log is written after the document, under its own ETag (and created with
+// If-None-Match: *, so two first writes cannot replace each other). Two writers finishing at
+// the same moment may be logged in either order, so readers should apply entries
+// idempotently (see client/shared/utils.js applyOperations).
+//
+// OPLOG_LIMIT (default 500) caps entries kept per document; readers further behind than
+// that get { reset: true }. 0 disables the log (every change feed read is a reset).
+
+const OPLOG_FOLDER = '_oplog';
+const DEFAULT_LIMIT = 500;
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Get the configured number of log entries to keep per document
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {number} - Max entries (0 = log disabled)
+ */
+function getOplogLimit(env = process.env) {
+    const limit = parseInt(env.OPLOG_LIMIT, 10);
+    return isNaN(limit) || limit < 0 ? DEFAULT_LIMIT : limit;
+}
+
+function logName(name) {
+    return `${OPLOG_FOLDER}/${name}.json`;
+}
+
+/**
+ * Read a document's log and its ETag
+ * @returns {Promise<{log: Object, etag: string|null}>} - Empty log (etag null) if none exists yet
+ */
+async function readLog(storage, container, name) {
+    try {
+        const { content, etag } = await storage.get(container, logName(name));
+        return { log: JSON.parse(content), etag };
+    } catch (e) {
+        if (e.statusCode !== 404) throw e;
+        return { log: { seq: 0, entries: [] }, etag: null };
+    }
+}
+
+/**
+ * Append operations to a document's log, assigning each the next sequence number
+ * @param {Object} storage - Storage adapter
+ * @param {string} container - Container name
+ * @param {string} name - Document name without extension (e.g., 'grocery')
+ * @param {Array} operations - Applied operations ({ op, path, value, id }) or [{ op: 'replace' }]
+ * @returns {Promise<number|null>} - Sequence number of the last entry, or null if the log is disabled
+ */
+async function appendToLog(storage, container, name, operations) {
+    const limit = getOplogLimit();
+    if (limit === 0) return null;
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const { log, etag } = await readLog(storage, container, name);
+        const timestamp = new Date().toISOString();
+
+        operations.forEach(({ op, path, value, id }) => {
+            log.seq++;
+            const entry = { seq: log.seq, timestamp, op };
+            if (path !== undefined) entry.path = path;
+            if (value !== undefined) entry.value = value;
+            if (id !== undefined) entry.id = id;
+            log.entries.push(entry);
+        });
+        log.entries = log.entries.slice(-limit);
+
+        try {
+            await storage.put(container, logName(name), JSON.stringify(log), etag ? { ifMatch: etag } : { ifNoneMatch: '*' });
+            return log.seq;
+        } catch (e) {
+            // Another writer logged first - re-read and try again
+            if (e.statusCode !== 412) throw e;
+        }
+    }
+    throw new Error('Operation log is busy');
+}
+
+/**
+ * Get the latest sequence number of a document's log
+ * @param {Object} storage - Storage adapter
+ * @param {string} container - Container name
+ * @param {string} name - Document name without extension
+ * @returns {Promise<number>} - 0 if nothing has been logged
+ */
+async function getCurrentSeq(storage, container, name) {
+    if (getOplogLimit() === 0) return 0;
+    const { log } = await readLog(storage, container, name);
+    return log.seq;
+}
+
+/**
+ * Read the operations logged after a sequence number
+ * @param {Object} storage - Storage adapter
+ * @param {string} container - Container name
+ * @param {string} name - Document name without extension
+ * @param {number} since - Last sequence number the reader has seen
+ * @returns {Promise<{seq: number, operations: Array, reset: boolean}>} - reset means
+ *   the entries since then are no longer (or were never) available; refetch the document
+ */
+async function readChanges(storage, container, name, since) {
+    if (getOplogLimit() === 0) {
+        return { seq: 0, operations: [], reset: true };
+    }
+
+    const { log } = await readLog(storage, container, name);
+    const oldest = log.entries.length > 0 ? log.entries[0].seq : log.seq + 1;
+    if (since > log.seq || since < oldest - 1) {
+        return { seq: log.seq, operations: [], reset: true };
+    }
+
+    return {
+        seq: log.seq,
+        operations: log.entries.filter(entry => entry.seq > since),
+        reset: false
+    };
+}
+
+module.exports = {
+    getOplogLimit,
+    appendToLog,
+    getCurrentSeq,
+    readChanges
+};
@@ -0,0 +1,299 @@
+// Document schemas per container
+//
+// Every write is checked against its container's schema (a JSON Schema subset: type, enum,
+// required, properties, items, minLength, minimum, pattern) before it is stored:
+//   tasks: an array of tasks { id, name, status, tags, position, notes, dueDate, priority,
+//          subtasks [{ id, name, status }], autoComplete }
+//   swarm: a SwarmSpace session (the shape of SwarmSpaceStore.DEFAULT_SESSION)
+// Containers without a schema accept any JSON. Sub-lists use their parent container's schema
+// unless they hold something else: {name}~views in tasks is an array of saved views
+// { id, name, filter { text, statuses, tags, excludeTags, dueFrom, dueTo } }.
+//
+// Only problems a write introduces are rejected, so documents saved before validation (or by
+// older clients) can still be edited. Violations name the offending path in the operation
+// path syntax, using [id=...] for items with an id (e.g., '[id=abc].status').
+
+const { getSubListKind } = require('./list-names');
+
+const TASK_STATUSES = ['not-started', 'in-progress', 'needs-review', 'done', 'removed'];
+const TASK_PRIORITIES = ['high', 'medium', 'low'];
+
+const ID = { type: 'string', minLength: 1 };
+const DATE = { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+
+const TASK_LIST = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['id', 'name', 'status'],
+        properties: {
+            id: ID,
+            name: { type: 'string' },
+            status: { enum: TASK_STATUSES },
+            tags: { type: 'array', items: { type: 'string' } },
+            position: { type: 'number' },
+            // Optional details; null when cleared
+            notes: { type: ['string', 'null'] },
+            dueDate: DATE,
+            priority: { enum: [...TASK_PRIORITIES, null] },
+            subtasks: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['id', 'name', 'status'],
+                    properties: { id: ID, name: { type: 'string' }, status: { enum: TASK_STATUSES } }
+                }
+            },
+            autoComplete: { type: 'boolean' }
+        }
+    }
+};
+
+const TAGS = { type: 'array', items: { type: 'string' } };
+
+const VIEW_LIST = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['id', 'name', 'filter'],
+        properties: {
+            id: ID,
+            name: { type: 'string', minLength: 1 },
+            filter: {
+                type: 'object',
+                properties: {
+                    text: { type: 'string' },
+                    statuses: { type: 'array', items: { enum: TASK_STATUSES } },
+                    tags: TAGS,
+                    excludeTags: TAGS,
+                    dueFrom: DATE,
+                    dueTo: DATE
+                }
+            }
+        }
+    }
+};
+
+const COMMENTS = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['id', 'text'],
+        properties: { id: ID, text: { type: 'string' } }
+    }
+};
+
+const WEEK = {
+    type: 'object',
+    required: ['id', 'weekNumber', 'event', 'action', 'completions'],
+    properties: {
+        id: ID,
+        weekNumber: { type: 'integer', minimum: 1 },
+        event: {
+            type: 'object',
+            required: ['text', 'comments'],
+            properties: { text: { type: 'string' }, comments: COMMENTS }
+        },
+        action: {
+            type: 'object',
+            required: ['type', 'text', 'comments'],
+            properties: {
+                type: { enum: ['discussion', 'discovery', 'project'] },
+                text: { type: 'string' },
+                comments: COMMENTS,
+                projectName: { type: 'string' },
+                projectDuration: { type: 'integer', minimum: 1 }
+            }
+        },
+        completions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'projectName'],
+                properties: { id: ID, projectName: { type: 'string' }, comments: COMMENTS }
+            }
+        }
+    }
+};
+
+const SESSION = {
+    type: 'object',
+    required: ['title', 'setting', 'currentWeekId', 'weeks', 'resources', 'locations', 'names'],
+    properties: {
+        title: { type: 'string' },
+        setting: { type: 'string' },
+        currentWeekId: { type: ['string', 'null'] },
+        weeks: { type: 'array', items: WEEK },
+        resources: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'name', 'status'],
+                properties: {
+                    id: ID,
+                    name: { type: 'string', minLength: 1 },
+                    status: { enum: ['scarce', 'critical', 'abundant', 'sufficient'] }
+                }
+            }
+        },
+        locations: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'name'],
+                properties: { id: ID, name: { type: 'string', minLength: 1 }, distance: { type: 'string' }, notes: { type: 'string' } }
+            }
+        },
+        names: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'name'],
+                properties: { id: ID, name: { type: 'string', minLength: 1 }, description: { type: 'string' } }
+            }
+        }
+    }
+};
+
+const SCHEMAS = {
+    tasks: TASK_LIST,
+    swarm: SESSION
+};
+
+// Sub-list kinds (see list-names.js) whose documents are not shaped like their parent's
+const SUB_LIST_SCHEMAS = {
+    tasks: { views: VIEW_LIST }
+};
+
+/**
+ * Get the schema a document is checked against
+ * @param {string} container - Container name
+ * @param {string} name - Document name without extension
+ * @returns {Object|undefined} - Schema, or undefined if the container has none
+ */
+function getSchema(container, name) {
+    const kind = getSubListKind(name);
+    const subListSchemas = SUB_LIST_SCHEMAS[container] || {};
+    return (kind && subListSchemas[kind]) || SCHEMAS[container];
+}
+
+const TYPE_NAMES = {
+    string: 'a string',
+    number: 'a number',
+    integer: 'an integer',
+    boolean: 'true or false',
+    object: 'an object',
+    array: 'an array',
+    null: 'null'
+};
+
+/**
+ * Get the JSON type name of a value (integers are reported as 'number')
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    return typeOf(value) === type;
+}
+
+function joinPath(path, segment) {
+    return path === '' ? segment : `${path}.${segment}`;
+}
+
+/**
+ * Check a value against a schema, collecting violations
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema (subset of JSON Schema)
+ * @param {string} path - Path of the value in the document ('' for the document)
+ * @param {Array} violations - Collected { path, message, value }
+ */
+function check(value, schema, path, violations) {
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            violations.push({ path, value, message: `must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}` });
+            return;
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        violations.push({ path, value, message: `must be one of: ${schema.enum.map(String).join(', ')}` });
+        return;
+    }
+    if (schema.minLength !== undefined && typeof value === 'string' && value.trim().length < schema.minLength) {
+        violations.push({ path, value, message: 'must not be empty' });
+    }
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+        violations.push({ path, value, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.pattern !== undefined && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+        violations.push({ path, value, message: `must match ${schema.pattern}` });
+    }
+
+    if (schema.items && Array.isArray(value)) {
+        value.forEach((item, index) => {
+            // Address items by id where they have one, like operation paths do
+            const segment = item && typeof item.id === 'string' && item.id ? `[id=${item.id}]` : String(index);
+            check(item, schema.items, joinPath(path, segment), violations);
+        });
+    }
+
+    if (schema.properties && typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) violations.push({ path: joinPath(path, key), value: undefined, message: 'is required' });
+        });
+        Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) check(value[key], propertySchema, joinPath(path, key), violations);
+        });
+    }
+}
+
+/**
+ * Check a document against its schema
+ * @param {string} container - Container name
+ * @param {*} data - Parsed document
+ * @param {string} [name] - Document name without extension (picks the schema for sub-lists)
+ * @returns {Array<{path: string, message: string}>} - Violations (empty if valid or no schema)
+ */
+function validateDocument(container, data, name = '') {
+    return collectViolations(getSchema(container, name), data).map(({ path, message }) => ({ path, message }));
+}
+
+function collectViolations(schema, data) {
+    if (!schema) return [];
+    const violations = [];
+    check(data, schema, '', violations);
+    return violations;
+}
+
+/**
+ * Find the violations a write would introduce
+ * @param {string} container - Container name
+ * @param {*} before - Document before the write (undefined when creating it)
+ * @param {*} after - Document the write would store
+ * @param {string} [name] - Document name without extension (picks the schema for sub-lists)
+ * @returns {Array<{path: string, message: string}>} - Violations in after that before did not have
+ */
+function findNewViolations(container, before, after, name = '') {
+    // The same problem with the same value at the same path was already there
+    const key = v => `${v.path}\n${v.message}\n${JSON.stringify(v.value)}`;
+    const schema = getSchema(container, name);
+    const violations = collectViolations(schema, after);
+    const existing = violations.length > 0 && before !== undefined
+        ? new Set(collectViolations(schema, before).map(key))
+        : new Set();
+    return violations
+        .filter(v => !existing.has(key(v)))
+        .map(({ path, message }) => ({ path, message }));
+}
+
+module.exports = {
+    TASK_STATUSES,
+    TASK_PRIORITIES,
+    validateDocument,
+    findNewViolations
+};
@@ -0,0 +1,87 @@
+// Signed share tokens
+//
+// A share link carries a token scoped to one document:
+//   base64url(payload) + '.' + base64url(HMAC-SHA256(payload, SHARE_SECRET))
+//   payload: { id, c: container, n: name, r: role ('viewer' | 'editor'), e: expiry (ms) or 0 }
+//
+// The signature proves the server issued the token. It only works while the link is
+// still listed in the document's access record (see access.js), so removing it revokes it.
+
+const crypto = require('crypto');
+
+/**
+ * Get the key tokens are signed with
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {string|null} - null when share links are not configured
+ */
+function getShareSecret(env = process.env) {
+    return env.SHARE_SECRET || null;
+}
+
+/**
+ * Create a new share link id
+ * @returns {string} - 12 URL-safe characters
+ */
+function createShareId() {
+    return crypto.randomBytes(9).toString('base64url');
+}
+
+function sign(encodedPayload, secret) {
+    return crypto.createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Sign a token for a share link (the same link always gives the same token)
+ * @param {Object} share - { id, role, expiresAt } (expiresAt ISO string or null)
+ * @param {string} container - Container name
+ * @param {string} name - Document name without extension
+ * @param {string} secret - From getShareSecret
+ * @returns {string} - Token
+ */
+function signShareToken(share, container, name, secret) {
+    const payload = {
+        id: share.id,
+        c: container,
+        n: name,
+        r: share.role,
+        e: share.expiresAt ? Date.parse(share.expiresAt) : 0
+    };
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${encodedPayload}.${sign(encodedPayload, secret)}`;
+}
+
+/**
+ * Check a token's signature, scope and expiry
+ * @param {string} token - Token from a share link
+ * @param {string} container - Container being accessed
+ * @param {string} name - Document being accessed
+ * @param {string} secret - From getShareSecret
+ * @param {number} now - Current time in ms (for tests)
+ * @returns {{id: string, role: string}|null} - null if forged, for another document, or expired
+ */
+function verifyShareToken(token, container, name, secret, now = Date.now()) {
+    if (typeof token !== 'string' || !secret) return null;
+    const [encodedPayload, signature, extra] = token.split('.');
+    if (!encodedPayload || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(sign(encodedPayload, secret));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf-8'));
+    } catch (e) {
+        return null;
+    }
+    if (!payload || payload.c !== container || payload.n !== name) return null;
+    if (payload.e && payload.e <= now) return null;
+    return { id: payload.id, role: payload.r };
+}
+
+module.exports = {
+    getShareSecret,
+    createShareId,
+    signShareToken,
+    verifyShareToken
+};
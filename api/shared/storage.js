@@ -0,0 +1,38 @@
+// Storage adapter selection
+//
+// Every adapter exposes the same async interface:
+//   get(container, name)                      -> { content, etag }   (404 error if missing)
+//   put(container, name, content, { ifMatch, ifNoneMatch }) -> { etag }
+//                                             (412 error on ETag mismatch, or if it exists with ifNoneMatch '*')
+//   list(container, { prefix, recursive })     -> [{ name, size, lastModified, etag }]
+//                                             (recursive: false skips names inside folders)
+//   delete(container, name, { ifMatch })
+//
+// Errors carry a `statusCode` matching the Azure SDK so callers handle both backends alike.
+
+const path = require('path');
+const { createAzureBlobStorage } = require('./azure-blob-storage');
+const { createLocalFileStorage } = require('./local-file-storage');
+
+/**
+ * Create the storage adapter selected by configuration
+ *
+ * STORAGE_BACKEND=azure (default) uses BLOB_SAS_URL.
+ * STORAGE_BACKEND=local uses LOCAL_STORAGE_PATH (default: api/.data).
+ *
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} - Storage adapter
+ */
+function createStorage(env = process.env) {
+    const backend = (env.STORAGE_BACKEND || 'azure').toLowerCase();
+
+    if (backend === 'azure') {
+        return createAzureBlobStorage(env.BLOB_SAS_URL);
+    }
+    if (backend === 'local') {
+        return createLocalFileStorage(env.LOCAL_STORAGE_PATH || path.join(__dirname, '..', '.data'));
+    }
+    throw new Error(`Unknown STORAGE_BACKEND: ${env.STORAGE_BACKEND}`);
+}
+
+module.exports = { createStorage };
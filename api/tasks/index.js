@@ -1,17 +1,18 @@
-const { BlobServiceClient } = require('@azure/storage-blob');
-
-/**
- * Navigate to a nested path in an object
- * @param {Object} obj - The object to navigate
- * @param {string} path - Dot-separated path (e.g., 'weeks.0.event.comments')
- * @returns {*} - The value at the path, or undefined if not found
- */
-function navigateToPath(obj, path) {
-    return path.split('.').reduce((curr, part) => {
-        if (curr === undefined) return undefined;
-        return /^\d+$/.test(part) ? curr[parseInt(part)] : curr[part];
-    }, obj);
-}
+const { createStorage } = require('../shared/storage');
+const { validateOperation, applyOperation } = require('../shared/operations');
+const { recordVersion, listVersions, getVersion, isValidVersionId, describeOperations } = require('../shared/history');
+const { appendToLog, getCurrentSeq, readChanges } = require('../shared/oplog');
+const { waitForEvents } = require('../shared/events');
+const { findNewViolations } = require('../shared/schema');
+const { parseListOptions, listDocuments } = require('../shared/listing');
+const { isValidName, isWritableName, getParentName } = require('../shared/list-names');
+const {
+    getPrincipal, getShareToken, isReadRestricted, checkWriteAccess, checkReadAccess, claimDocument,
+    describeAccess, updateEditors, listShares, createShare, revokeShare
+} = require('../shared/access');
+
+// Map HTTP methods to the atomic operation they perform
+const METHOD_OPERATIONS = { POST: 'append', DELETE: 'delete', PATCH: 'patch' };
 
 module.exports = async function (context, req) {
     // Allowed CORS origins
@@ -34,8 +35,11 @@ module.exports = async function (context, req) {
         'Content-Type': 'application/json',
         'Access-Control-Allow-Origin': corsOrigin,
         'Access-Control-Allow-Methods': 'GET, PUT, POST, DELETE, PATCH, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type'
+        'Access-Control-Allow-Headers': 'Content-Type, If-Match, If-None-Match, X-Share-Token',
+        'Access-Control-Expose-Headers': 'ETag, X-Op-Seq'
     };
+    // Documents may be private when reads are restricted: no browser or service worker copies
+    if (isReadRestricted()) headers['Cache-Control'] = 'private, no-store';
 
     // Handle CORS preflight
     if (req.method === 'OPTIONS') {
@@ -44,9 +48,17 @@ module.exports = async function (context, req) {
     }
 
     const containerName = context.bindingData.container;
-    const blobName = `${context.bindingData.name}.json`;
-
-    const sasUrl = process.env.BLOB_SAS_URL;
+    const name = context.bindingData.name;
+    const blobName = `${name}.json`;
+    const query = req.query || {};
+    const principal = getPrincipal(reqHeaders);
+    const shareToken = getShareToken(reqHeaders, query);
+    const isEditorsUpdate = req.method === 'POST' && !!req.body && req.body.editors !== undefined;
+    const isShareCreate = req.method === 'POST' && !!req.body && req.body.share !== undefined;
+    const isShareRevoke = req.method === 'DELETE' && query.share !== undefined;
+    // Owner-only requests check access themselves
+    const managesAccess = isEditorsUpdate || isShareCreate || isShareRevoke ||
+        (req.method === 'GET' && query.shares !== undefined);
 
     // Validate container name (alphanumeric and hyphens only, 3-63 chars)
     if (!containerName || !/^[a-z0-9-]{3,63}$/.test(containerName)) {
@@ -54,194 +66,191 @@ module.exports = async function (context, req) {
         return;
     }
 
-    // Validate env vars
-    if (!sasUrl) {
-        context.res = { status: 500, headers, body: JSON.stringify({ error: 'BLOB_SAS_URL not configured' }) };
-        return;
-    }
-
-    let blobServiceClient;
+    // Create the configured storage backend (Azure Blob by default)
+    let storage;
     try {
-        // SAS URL format: https://<account>.blob.core.windows.net?<sas-token>
-        const url = new URL(sasUrl);
-        const sasToken = url.search; // includes the '?'
-        blobServiceClient = new BlobServiceClient(`${url.origin}${sasToken}`);
+        storage = createStorage();
     } catch (e) {
-        context.res = { status: 500, headers, body: JSON.stringify({ error: `Invalid BLOB_SAS_URL: ${e.message}` }) };
+        context.res = { status: 500, headers, body: JSON.stringify({ error: e.message }) };
         return;
     }
 
-    const containerClient = blobServiceClient.getContainerClient(containerName);
-    const blobClient = containerClient.getBlockBlobClient(blobName);
-
     try {
-        if (req.method === 'GET') {
-            const downloadResponse = await blobClient.download(0);
-            const content = await streamToString(downloadResponse.readableStreamBody);
-            context.res = { status: 200, headers, body: content };
-        } 
-        else if (req.method === 'PUT') {
-            const data = JSON.stringify(req.body);
-            await blobClient.upload(data, data.length, { overwrite: true });
-            context.res = { status: 200, headers, body: JSON.stringify({ success: true }) };
+        // No document name: list the container's documents
+        if (!name) {
+            const parsed = parseListOptions(query);
+            if (req.method !== 'GET') {
+                context.res = { status: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+            } else if (parsed.error) {
+                context.res = { status: 400, headers, body: JSON.stringify({ error: parsed.error }) };
+            } else {
+                const result = await listDocuments(storage, containerName, parsed.options, principal);
+                context.res = { status: 200, headers, body: JSON.stringify(result) };
+            }
+            return;
         }
-        else if (req.method === 'POST') {
-            // Atomic append to array with ETag-based optimistic locking
-            const { path, value } = req.body;
 
-            if (!path || value === undefined) {
-                context.res = { status: 400, headers, body: JSON.stringify({ error: 'Missing path or value' }) };
-                return;
-            }
+        // Names must not reach the _meta, _versions and _oplog folders (see shared/list-names.js)
+        if (!isValidName(name)) {
+            context.res = { status: 400, headers, body: JSON.stringify({ error: 'Invalid document name' }) };
+            return;
+        }
 
-            // GET with ETag
-            const downloadResponse = await blobClient.download(0);
-            const etag = downloadResponse.etag;
-            const content = await streamToString(downloadResponse.readableStreamBody);
-            const data = JSON.parse(content);
+        // '~' is reserved for sub-lists such as {name}~shopping (see shared/list-names.js)
+        if (req.method !== 'GET' && !isWritableName(name)) {
+            context.res = { status: 400, headers, body: JSON.stringify({ error: 'List names cannot contain ~' }) };
+            return;
+        }
 
-            // Navigate to path and append value
-            const target = navigateToPath(data, path);
-            if (!Array.isArray(target)) {
-                context.res = { status: 400, headers, body: JSON.stringify({ error: 'Path must point to array' }) };
-                return;
-            }
+        // Writes: signed-in editors or editor share links; reads: anyone unless
+        // READ_ACCESS=restricted (see shared/access.js)
+        let access = null;
+        let created = false;  // The write created the document (PUT of a new name)
+        if (req.method !== 'GET' && !managesAccess) {
+            access = await checkWriteAccess(storage, containerName, name, principal, shareToken);
+        } else if (req.method === 'GET' && !managesAccess && query.access === undefined) {
+            access = await checkReadAccess(storage, containerName, name, principal, shareToken);
+        }
+        if (access && access.status !== 200) {
+            context.res = { status: access.status, headers, body: JSON.stringify({ error: access.error }) };
+            return;
+        }
 
-            // Server-side week number calculation to prevent duplicates from concurrent adds
-            if (path === 'weeks' && value && typeof value === 'object') {
-                // If weeks exist, new week is last week's number + 1; otherwise default to 1
-                if (target.length > 0) {
-                    const lastWeek = target[target.length - 1];
-                    value.weekNumber = (lastWeek.weekNumber || 1) + 1;
-                } else {
-                    value.weekNumber = value.weekNumber || 1;
-                }
+        if (req.method === 'GET' && query.access !== undefined) {
+            // Who owns and may edit the document, and whether the caller can write
+            const result = await describeAccess(storage, containerName, name, principal, shareToken);
+            context.res = { status: 200, headers, body: JSON.stringify(result) };
+        }
+        else if (req.method === 'GET' && query.shares !== undefined) {
+            // Share links with their tokens (owner only)
+            const result = await listShares(storage, containerName, name, principal);
+            context.res = { status: result.status, headers, body: JSON.stringify(result.body) };
+        }
+        else if (req.method === 'GET' && query.versions !== undefined) {
+            // Version history: newest first
+            const versions = await listVersions(storage, containerName, name);
+            context.res = { status: 200, headers, body: JSON.stringify({ versions }) };
+        }
+        else if (req.method === 'GET' && query.version) {
+            // Single version with the document as it was
+            if (!isValidVersionId(query.version)) {
+                context.res = { status: 400, headers, body: JSON.stringify({ error: 'Invalid version id' }) };
+                return;
             }
-
-            target.push(value);
-
-            // PUT with If-Match (optimistic locking)
             try {
-                const newData = JSON.stringify(data);
-                await blobClient.upload(newData, newData.length, {
-                    overwrite: true,
-                    conditions: { ifMatch: etag }
-                });
-                // Return full document for client sync
-                context.res = { status: 200, headers, body: JSON.stringify({ success: true, data }) };
+                const version = await getVersion(storage, containerName, name, query.version);
+                context.res = { status: 200, headers, body: JSON.stringify(version) };
             } catch (e) {
-                if (e.statusCode === 412) {
-                    context.res = { status: 409, headers, body: JSON.stringify({ error: 'Conflict, please retry' }) };
-                    return;
-                }
-                throw e;
+                if (e.statusCode !== 404) throw e;
+                context.res = { status: 404, headers, body: JSON.stringify({ error: 'Version not found' }) };
             }
         }
-        else if (req.method === 'DELETE') {
-            // Atomic remove from array by id with ETag-based optimistic locking
-            const { path, id } = req.body;
-
-            if (!path || !id) {
-                context.res = { status: 400, headers, body: JSON.stringify({ error: 'Missing path or id' }) };
+        else if (req.method === 'GET' && query.events !== undefined) {
+            // Server-Sent Events: wait for operations after the client's position
+            const since = reqHeaders['last-event-id'] || reqHeaders['Last-Event-ID'] || query.since;
+            const result = await waitForEvents(storage, containerName, name, since);
+            if (result.status !== 200) {
+                context.res = { status: result.status, headers, body: JSON.stringify(result.body) };
                 return;
             }
-
-            // GET with ETag
-            const downloadResponse = await blobClient.download(0);
-            const etag = downloadResponse.etag;
-            const content = await streamToString(downloadResponse.readableStreamBody);
-            const data = JSON.parse(content);
-
-            // Navigate to path and remove item by id
-            const target = navigateToPath(data, path);
-            if (!Array.isArray(target)) {
-                context.res = { status: 400, headers, body: JSON.stringify({ error: 'Path must point to array' }) };
-                return;
-            }
-
-            const index = target.findIndex(item => item.id === id);
-            if (index === -1) {
-                context.res = { status: 404, headers, body: JSON.stringify({ error: 'Item not found' }) };
+            context.res = {
+                status: 200,
+                headers: { ...headers, 'Content-Type': 'text/event-stream', 'Cache-Control': headers['Cache-Control'] || 'no-cache' },
+                body: result.body
+            };
+        }
+        else if (req.method === 'GET' && query.since !== undefined) {
+            // Change feed: operations logged after the given sequence number
+            if (!/^\d+$/.test(query.since)) {
+                context.res = { status: 400, headers, body: JSON.stringify({ error: 'Invalid since' }) };
                 return;
             }
-            target.splice(index, 1);
-
-            // PUT with If-Match (optimistic locking)
-            try {
-                const newData = JSON.stringify(data);
-                await blobClient.upload(newData, newData.length, {
-                    overwrite: true,
-                    conditions: { ifMatch: etag }
-                });
-                // Return full document for client sync
-                context.res = { status: 200, headers, body: JSON.stringify({ success: true, data }) };
-            } catch (e) {
-                if (e.statusCode === 412) {
-                    context.res = { status: 409, headers, body: JSON.stringify({ error: 'Conflict, please retry' }) };
-                    return;
-                }
-                throw e;
-            }
+            const changes = await readChanges(storage, containerName, name, parseInt(query.since, 10));
+            context.res = { status: 200, headers, body: JSON.stringify(changes) };
         }
-        else if (req.method === 'PATCH') {
-            // Atomic update of single field with ETag-based optimistic locking
-            const { path, value } = req.body;
-
-            if (!path || value === undefined) {
-                context.res = { status: 400, headers, body: JSON.stringify({ error: 'Missing path or value' }) };
+        else if (req.method === 'GET') {
+            // Read the log position first: operations logged while the document is read
+            // may be replayed by the client, but none are skipped
+            const seq = await getCurrentSeq(storage, containerName, name);
+            const { content, etag } = await storage.get(containerName, blobName);
+            const getHeaders = { ...headers, 'ETag': etag, 'X-Op-Seq': String(seq) };
+
+            // Conditional GET: the client already has this version
+            if (etagMatches(reqHeaders['if-none-match'] || reqHeaders['If-None-Match'], etag)) {
+                context.res = { status: 304, headers: getHeaders };
                 return;
             }
-
-            // GET with ETag
-            const downloadResponse = await blobClient.download(0);
-            const etag = downloadResponse.etag;
-            const content = await streamToString(downloadResponse.readableStreamBody);
-            const data = JSON.parse(content);
-
-            // Navigate to parent and set the value
-            const pathParts = path.split('.');
-            const fieldName = pathParts.pop();
-            const parentPath = pathParts.join('.');
-
-            let parent;
-            if (parentPath === '') {
-                parent = data;
-            } else {
-                parent = navigateToPath(data, parentPath);
+            context.res = { status: 200, headers: getHeaders, body: content };
+        } 
+        else if (req.method === 'PUT') {
+            // Schema: reject problems the new document has and the stored one did not
+            const before = await readIfExists(storage, containerName, blobName);
+            const violations = findNewViolations(containerName, before, req.body, name);
+            if (violations.length > 0) {
+                context.res = { status: 422, headers, body: JSON.stringify(invalidDocument(violations)) };
+                return;
             }
-
-            if (parent === undefined || parent === null) {
-                context.res = { status: 400, headers, body: JSON.stringify({ error: 'Invalid path' }) };
+            // If-None-Match: * only creates the document, never replacing one another writer created;
+            // If-Match only replaces the version the client read
+            const createOnly = (reqHeaders['if-none-match'] || reqHeaders['If-None-Match']) === '*';
+            const ifMatch = reqHeaders['if-match'] || reqHeaders['If-Match'];
+            const exists = { status: 412, headers, body: JSON.stringify({ error: 'List already exists' }) };
+            const changed = { status: 412, headers, body: JSON.stringify({ error: 'List has changed' }) };
+            if (createOnly && before !== undefined) {
+                context.res = exists;
                 return;
             }
-
-            // Handle array index in field name
-            const key = /^\d+$/.test(fieldName) ? parseInt(fieldName) : fieldName;
-
-            // For array indices, require the index to exist
-            // For object properties, allow adding new fields (e.g., names.0.group can add 'group' to names[0])
-            if (/^\d+$/.test(fieldName) && !(key in parent)) {
-                context.res = { status: 400, headers, body: JSON.stringify({ error: 'Invalid path' }) };
+            const conditions = createOnly ? { ifNoneMatch: '*' } : ifMatch ? { ifMatch } : {};
+            try {
+                await storage.put(containerName, blobName, JSON.stringify(req.body), conditions);
+            } catch (e) {
+                if (!(createOnly || ifMatch) || e.statusCode !== 412) throw e;
+                context.res = createOnly ? exists : changed;
                 return;
             }
+            await recordWrite(storage, containerName, name, req.body, [{ op: 'replace' }], { type: 'put' });
+            context.res = { status: 200, headers, body: JSON.stringify({ success: true }) };
+            created = before === undefined;
+        }
+        else if (isEditorsUpdate) {
+            // Access: replace the document's editors (owner only)
+            const result = await updateEditors(storage, containerName, name, principal, req.body.editors);
+            context.res = { status: result.status, headers, body: JSON.stringify(result.body) };
+        }
+        else if (isShareCreate) {
+            // Access: create a share link (owner only)
+            const result = await createShare(storage, containerName, name, principal, req.body.share);
+            context.res = { status: result.status, headers, body: JSON.stringify(result.body) };
+        }
+        else if (isShareRevoke) {
+            // Access: revoke a share link (owner only)
+            const result = await revokeShare(storage, containerName, name, principal, query.share);
+            context.res = { status: result.status, headers, body: JSON.stringify(result.body) };
+        }
+        else if (req.method === 'POST' && req.body && req.body.restore !== undefined) {
+            // Restore: replace the document with a stored version (recorded as a new version)
+            const result = await restoreVersion(storage, containerName, name, req.body.restore);
+            context.res = { status: result.status, headers, body: JSON.stringify(result.body) };
+        }
+        else if (req.method === 'POST' && req.body && Array.isArray(req.body.operations)) {
+            // Batch: apply ordered operations to one read of the document and write once
+            const result = await executeOperations(storage, containerName, name, req.body.operations, true);
+            context.res = { status: result.status, headers, body: JSON.stringify(result.body) };
+        }
+        else if (METHOD_OPERATIONS[req.method]) {
+            // Single atomic operation (POST append, DELETE remove by id, PATCH set field)
+            const operation = { ...req.body, op: METHOD_OPERATIONS[req.method] };
+            const result = await executeOperations(storage, containerName, name, [operation], false);
+            context.res = { status: result.status, headers, body: JSON.stringify(result.body) };
+        }
 
-            parent[key] = value;
-
-            // PUT with If-Match (optimistic locking)
+        // Creating a list without an access record makes the writer its owner. Writes to lists from
+        // before access control, and creating a sub-list (whose record is its parent's), claim nothing.
+        if (access && access.unclaimed && created && getParentName(name) === name) {
             try {
-                const newData = JSON.stringify(data);
-                await blobClient.upload(newData, newData.length, {
-                    overwrite: true,
-                    conditions: { ifMatch: etag }
-                });
-                // Return full document for client sync
-                context.res = { status: 200, headers, body: JSON.stringify({ success: true, data }) };
+                await claimDocument(storage, containerName, name, principal);
             } catch (e) {
-                if (e.statusCode === 412) {
-                    context.res = { status: 409, headers, body: JSON.stringify({ error: 'Conflict, please retry' }) };
-                    return;
-                }
-                throw e;
+                console.error(`Failed to record owner of ${containerName}/${name}:`, e.message);
             }
         }
     } catch (error) {
@@ -253,10 +262,159 @@ module.exports = async function (context, req) {
     }
 };
 
-async function streamToString(stream) {
-    const chunks = [];
-    for await (const chunk of stream) {
-        chunks.push(Buffer.from(chunk));
+/**
+ * Apply operations to a document with ETag-based optimistic locking
+ * All operations are applied to a single read; nothing is written unless every one succeeds.
+ * @param {Object} storage - Storage adapter
+ * @param {string} containerName - Container name
+ * @param {string} name - Document name without extension (e.g., 'grocery')
+ * @param {Array} operations - Operations ({ op, path, value, id })
+ * @param {boolean} isBatch - Include the failing operation's index in errors
+ * @returns {Promise<{status: number, body: Object}>} - Response status and body
+ */
+async function executeOperations(storage, containerName, name, operations, isBatch) {
+    const blobName = `${name}.json`;
+    const fail = (err, index) => ({
+        status: err.status,
+        body: isBatch ? { error: err.error, index } : { error: err.error }
+    });
+
+    if (operations.length === 0) {
+        return { status: 400, body: { error: 'No operations provided' } };
+    }
+
+    // Validate everything before reading the document
+    for (let i = 0; i < operations.length; i++) {
+        const err = validateOperation(operations[i]);
+        if (err) return fail(err, i);
+    }
+
+    // GET with ETag
+    const { content, etag } = await storage.get(containerName, blobName);
+    const data = JSON.parse(content);
+
+    for (let i = 0; i < operations.length; i++) {
+        const err = applyOperation(data, operations[i]);
+        if (err) return fail(err, i);
+    }
+
+    const violations = findNewViolations(containerName, JSON.parse(content), data, name);
+    if (violations.length > 0) return { status: 422, body: invalidDocument(violations) };
+
+    // PUT with If-Match (optimistic locking)
+    if (!(await putIfMatch(storage, containerName, blobName, data, etag))) {
+        return { status: 409, body: { error: 'Conflict, please retry' } };
+    }
+    await recordWrite(storage, containerName, name, data, operations, describeOperations(operations));
+    // Return full document for client sync
+    return { status: 200, body: { success: true, data } };
+}
+
+/**
+ * Replace a document with a stored version, guarded by the current ETag
+ * @param {Object} storage - Storage adapter
+ * @param {string} containerName - Container name
+ * @param {string} name - Document name without extension
+ * @param {string} versionId - Version to restore
+ * @returns {Promise<{status: number, body: Object}>} - Response status and body
+ */
+async function restoreVersion(storage, containerName, name, versionId) {
+    if (!isValidVersionId(versionId)) {
+        return { status: 400, body: { error: 'Invalid version id' } };
+    }
+
+    let version;
+    try {
+        version = await getVersion(storage, containerName, name, versionId);
+    } catch (e) {
+        if (e.statusCode !== 404) throw e;
+        return { status: 404, body: { error: 'Version not found' } };
+    }
+
+    const blobName = `${name}.json`;
+    const { content, etag } = await storage.get(containerName, blobName);
+    const data = version.data;
+    const violations = findNewViolations(containerName, JSON.parse(content), data, name);
+    if (violations.length > 0) return { status: 422, body: invalidDocument(violations) };
+    if (!(await putIfMatch(storage, containerName, blobName, data, etag))) {
+        return { status: 409, body: { error: 'Conflict, please retry' } };
+    }
+    await recordWrite(storage, containerName, name, data, [{ op: 'replace' }], { type: 'restore', restoredFrom: versionId });
+    return { status: 200, body: { success: true, data } };
+}
+
+/**
+ * Log the operations and record a version after a successful write
+ * Best-effort: the write has already happened, so a log or history failure must not
+ * turn into an error response (the client would retry and apply it twice).
+ * @param {Array} operations - Applied operations for the change feed
+ * @param {Object} versionOperation - Version record operation (e.g., { type: 'put' })
+ */
+async function recordWrite(storage, containerName, name, data, operations, versionOperation) {
+    try {
+        await appendToLog(storage, containerName, name, operations);
+    } catch (e) {
+        console.error(`Failed to log operations on ${containerName}/${name}:`, e.message);
+    }
+    try {
+        await recordVersion(storage, containerName, name, data, versionOperation);
+    } catch (e) {
+        console.error(`Failed to record version of ${containerName}/${name}:`, e.message);
+    }
+}
+
+/**
+ * Read a document if it exists
+ * @returns {Promise<*>} - The parsed document, or undefined if there is none
+ */
+async function readIfExists(storage, containerName, blobName) {
+    try {
+        const { content } = await storage.get(containerName, blobName);
+        return JSON.parse(content);
+    } catch (e) {
+        if (e.statusCode === 404) return undefined;
+        throw e;
+    }
+}
+
+/**
+ * Response body for a write that breaks the container's schema (status 422)
+ * @param {Array<{path: string, message: string}>} violations - From findNewViolations
+ * @returns {Object} - { error, violations }
+ */
+function invalidDocument(violations) {
+    return { error: 'Invalid document', violations };
+}
+
+/**
+ * Check an If-None-Match header against a document's ETag
+ * @param {string} header - Header value (e.g., '"abc"', 'W/"abc", "def"' or '*')
+ * @param {string} etag - Current ETag
+ * @returns {boolean} - True if the client's copy is current
+ */
+function etagMatches(header, etag) {
+    if (!header || !etag) return false;
+    return header.split(',').some(value => {
+        const tag = value.trim().replace(/^W\//, '');
+        return tag === '*' || tag === etag;
+    });
+}
+
+/**
+ * Write a document back only if it is unchanged since it was read
+ * @param {Object} storage - Storage adapter
+ * @param {string} containerName - Container name
+ * @param {string} blobName - Document name (e.g., 'grocery.json')
+ * @param {Object} data - Updated document
+ * @param {string} etag - ETag from the read
+ * @returns {Promise<boolean>} - False if another writer changed the document first
+ */
+async function putIfMatch(storage, containerName, blobName, data, etag) {
+    try {
+        await storage.put(containerName, blobName, JSON.stringify(data), { ifMatch: etag });
+        return true;
+    } catch (e) {
+        if (e.statusCode === 412) return false;
+        throw e;
     }
-    return Buffer.concat(chunks).toString('utf-8');
 }
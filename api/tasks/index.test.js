@@ -6,6 +6,17 @@
  * - PUT: Replace entire session document
  * - POST: Atomically append item to array (with ETag locking)
  * - DELETE: Atomically remove item from array by ID (with ETag locking)
+ * - PATCH: Atomically update a single field (with ETag locking)
+ * - POST { operations }: Apply several operations with one read and one write (all-or-nothing)
+ * - Paths: '' for an array document's root, '[id=...]' segments to address array items by id
+ * - GET ?versions / ?version=id, POST { restore }: Version history and point-in-time restore
+ * - GET ?since=seq: Change feed of operations logged after a sequence number
+ * - GET ?events: Server-Sent Events for the change feed (long-poll style)
+ * - Writes need a signed-in editor (x-ms-client-principal); GET ?access, POST { editors }
+ * - Share links (X-Share-Token or ?token=): GET ?shares, POST { share }, DELETE ?share=id
+ * - Writes to the tasks and swarm containers must match their schema (422 with violations)
+ * - GET /api/store/{container}: list documents with titles (prefix, limit, cursor)
+ * - '~' is reserved: only sub-lists ({name}~shopping) may be written; they share the list's access
  *
  * SwarmSpace Document Schema:
  * {
@@ -64,10 +75,11 @@ function createContext(sessionName = TEST_SESSION_NAME, containerName = TEST_CON
 /**
  * Create a mock request object
  */
-function createRequest(method, body = null) {
+function createRequest(method, body = null, query = {}) {
     return {
         method,
-        body
+        body,
+        query
     };
 }
 
@@ -145,11 +157,20 @@ beforeEach(() => {
     // Use clearly isolated test values - NOT production
     process.env.BLOB_SAS_URL = `${TEST_STORAGE_ACCOUNT}?sv=2021-06-08&ss=b&srt=sco&sp=rwdlacyx&se=2099-01-01`;
     process.env.BLOB_CONTAINER_NAME = TEST_CONTAINER;
+    // The blob mocks return one client for every name, so version and log writes would
+    // overwrite the session under test. Both are covered on the local backend below.
+    process.env.VERSION_HISTORY_LIMIT = '0';
+    process.env.OPLOG_LIMIT = '0';
+    // Same for access records; write permissions are covered on the local backend below
+    process.env.WRITE_ACCESS = 'anyone';
 });
 
 afterEach(() => {
     delete process.env.BLOB_SAS_URL;
     delete process.env.BLOB_CONTAINER_NAME;
+    delete process.env.VERSION_HISTORY_LIMIT;
+    delete process.env.OPLOG_LIMIT;
+    delete process.env.WRITE_ACCESS;
 });
 
 // ============ CONFIGURATION TESTS ============
@@ -192,7 +213,7 @@ describe('CORS Handling', () => {
         // Default to production origin when no Origin header provided
         expect(context.res.headers['Access-Control-Allow-Origin']).toBe('https://nice-mud-08d29c61e.1.azurestaticapps.net');
         expect(context.res.headers['Access-Control-Allow-Methods']).toBe('GET, PUT, POST, DELETE, PATCH, OPTIONS');
-        expect(context.res.headers['Access-Control-Allow-Headers']).toBe('Content-Type');
+        expect(context.res.headers['Access-Control-Allow-Headers']).toBe('Content-Type, If-Match, If-None-Match, X-Share-Token');
     });
 });
 
@@ -224,6 +245,47 @@ describe('GET - Fetch Session', () => {
         expect(JSON.parse(context.res.body)).toEqual(testSession);
     });
 
+    test('returns the ETag header', async () => {
+        createMockBlobClient({ etag: '"etag-v1"' });
+
+        const context = createContext();
+        await handler(context, createRequest('GET'));
+
+        expect(context.res.status).toBe(200);
+        expect(context.res.headers['ETag']).toBe('"etag-v1"');
+        expect(context.res.headers['Access-Control-Expose-Headers']).toContain('ETag');
+    });
+
+    test('returns 304 without a body when If-None-Match matches', async () => {
+        createMockBlobClient({ etag: '"etag-v1"' });
+
+        const context = createContext();
+        await handler(context, { ...createRequest('GET'), headers: { 'if-none-match': '"etag-v1"' } });
+
+        expect(context.res.status).toBe(304);
+        expect(context.res.body).toBeUndefined();
+        expect(context.res.headers['ETag']).toBe('"etag-v1"');
+    });
+
+    test('returns 200 with the document when If-None-Match is stale', async () => {
+        createMockBlobClient({ session: { ...EMPTY_SESSION, title: 'New' }, etag: '"etag-v2"' });
+
+        const context = createContext();
+        await handler(context, { ...createRequest('GET'), headers: { 'if-none-match': '"etag-v1"' } });
+
+        expect(context.res.status).toBe(200);
+        expect(JSON.parse(context.res.body).title).toBe('New');
+    });
+
+    test('If-None-Match accepts lists and weak validators', async () => {
+        createMockBlobClient({ etag: '"etag-v1"' });
+
+        const context = createContext();
+        await handler(context, { ...createRequest('GET'), headers: { 'if-none-match': '"other", W/"etag-v1"' } });
+
+        expect(context.res.status).toBe(304);
+    });
+
     test('returns 404 if session does not exist', async () => {
         const notFoundError = new Error('Not Found');
         notFoundError.statusCode = 404;
@@ -1077,6 +1139,261 @@ describe('PATCH - Update single field', () => {
     });
 });
 
+// ============ BATCH TESTS ============
+
+describe('POST - Batch Operations', () => {
+    /**
+     * Start a project in one request: patch the action, add the weeks up to
+     * completion, and append the completion to the final week.
+     *
+     * POST /api/store/swarm/test-session-isolated
+     * { "operations": [{ "op": "patch", ... }, { "op": "append", ... }, ...] }
+     */
+    test('applies ordered operations and writes once', async () => {
+        const existingSession = {
+            ...EMPTY_SESSION,
+            weeks: [{ id: 'w1', weekNumber: 1, event: { text: '', comments: [] }, action: { type: 'discussion', comments: [] }, completions: [] }]
+        };
+        const mocks = createMockBlobClient({ session: existingSession });
+
+        const context = createContext();
+        const req = createRequest('POST', {
+            operations: [
+                { op: 'patch', path: 'weeks.0.action', value: { type: 'project', projectName: 'Shelter', projectDuration: 2, comments: [] } },
+                { op: 'append', path: 'weeks', value: { id: 'w2', event: { text: '', comments: [] }, completions: [] } },
+                { op: 'append', path: 'weeks', value: { id: 'w3', event: { text: '', comments: [] }, completions: [] } },
+                { op: 'append', path: 'weeks.2.completions', value: { id: 'c1', projectName: 'Shelter', comments: [] } }
+            ]
+        });
+
+        await handler(context, req);
+
+        expect(context.res.status).toBe(200);
+        const { data } = JSON.parse(context.res.body);
+        expect(data.weeks[0].action.projectName).toBe('Shelter');
+        expect(data.weeks.map(w => w.weekNumber)).toEqual([1, 2, 3]);
+        expect(data.weeks[2].completions[0].id).toBe('c1');
+        expect(mocks.download).toHaveBeenCalledTimes(1);
+        expect(mocks.upload).toHaveBeenCalledTimes(1);
+        expect(mocks.upload.mock.calls[0][2].conditions).toEqual({ ifMatch: '"test-etag-123"' });
+    });
+
+    test('supports delete operations', async () => {
+        createMockBlobClient({
+            session: { ...EMPTY_SESSION, resources: [{ id: 'r1', name: 'Water', status: 'scarce' }] }
+        });
+
+        const context = createContext();
+        await handler(context, createRequest('POST', {
+            operations: [
+                { op: 'delete', path: 'resources', id: 'r1' },
+                { op: 'append', path: 'resources', value: { id: 'r2', name: 'Water', status: 'abundant' } }
+            ]
+        }));
+
+        expect(context.res.status).toBe(200);
+        expect(JSON.parse(context.res.body).data.resources).toEqual([{ id: 'r2', name: 'Water', status: 'abundant' }]);
+    });
+
+    test('writes nothing if any operation fails, reporting its index', async () => {
+        const mocks = createMockBlobClient({ session: { ...EMPTY_SESSION } });
+
+        const context = createContext();
+        await handler(context, createRequest('POST', {
+            operations: [
+                { op: 'append', path: 'resources', value: { id: 'r1', name: 'Water', status: 'scarce' } },
+                { op: 'delete', path: 'locations', id: 'missing' }
+            ]
+        }));
+
+        expect(context.res.status).toBe(404);
+        expect(JSON.parse(context.res.body)).toEqual({ error: 'Item not found', index: 1 });
+        expect(mocks.upload).not.toHaveBeenCalled();
+    });
+
+    test('validates every operation before reading the document', async () => {
+        const mocks = createMockBlobClient();
+
+        const context = createContext();
+        await handler(context, createRequest('POST', {
+            operations: [
+                { op: 'patch', path: 'title', value: 'ok' },
+                { op: 'append', path: 'weeks' }
+            ]
+        }));
+
+        expect(context.res.status).toBe(400);
+        expect(JSON.parse(context.res.body)).toEqual({ error: 'Missing path or value', index: 1 });
+        expect(mocks.download).not.toHaveBeenCalled();
+    });
+
+    test('returns 400 for an unknown operation type', async () => {
+        createMockBlobClient();
+
+        const context = createContext();
+        await handler(context, createRequest('POST', { operations: [{ op: 'replace', path: 'title', value: 'x' }] }));
+
+        expect(context.res.status).toBe(400);
+        expect(JSON.parse(context.res.body)).toEqual({ error: 'Unknown operation', index: 0 });
+    });
+
+    test('returns 400 for an empty batch', async () => {
+        createMockBlobClient();
+
+        const context = createContext();
+        await handler(context, createRequest('POST', { operations: [] }));
+
+        expect(context.res.status).toBe(400);
+        expect(JSON.parse(context.res.body).error).toBe('No operations provided');
+    });
+
+    test('returns 409 on ETag mismatch', async () => {
+        const mocks = createMockBlobClient({ session: { ...EMPTY_SESSION } });
+        mocks.upload.mockImplementationOnce(async () => {
+            const error = new Error('Precondition Failed');
+            error.statusCode = 412;
+            throw error;
+        });
+
+        const context = createContext();
+        await handler(context, createRequest('POST', {
+            operations: [{ op: 'patch', path: 'title', value: 'New' }]
+        }));
+
+        expect(context.res.status).toBe(409);
+        expect(JSON.parse(context.res.body).error).toBe('Conflict, please retry');
+    });
+});
+
+// ============ TASK LIST (ARRAY DOCUMENT) TESTS ============
+
+describe('Task lists - root path and [id=...] segments', () => {
+    /**
+     * Task lists are a top-level array, so operations use '' for the document
+     * itself and [id=...] segments to address a task by its id.
+     */
+    const TASKS = [
+        { id: 'a1', name: 'Milk', status: 'not-started', tags: [] },
+        { id: 'b2', name: 'Eggs', status: 'done', tags: ['dairy'] }
+    ];
+
+    async function run(method, body) {
+        createMockBlobClient({ session: JSON.parse(JSON.stringify(TASKS)) });
+        const context = createContext();
+        await handler(context, createRequest(method, body));
+        return { status: context.res.status, body: JSON.parse(context.res.body) };
+    }
+
+    test('POST with path "" appends a task to the list', async () => {
+        const result = await run('POST', { path: '', value: { id: 'c3', name: 'Bread', status: 'not-started', tags: [] } });
+
+        expect(result.status).toBe(200);
+        expect(result.body.data.map(t => t.id)).toEqual(['a1', 'b2', 'c3']);
+    });
+
+    test('DELETE with path "" removes a task by id', async () => {
+        const result = await run('DELETE', { path: '', id: 'a1' });
+
+        expect(result.status).toBe(200);
+        expect(result.body.data.map(t => t.id)).toEqual(['b2']);
+    });
+
+    test('PATCH "[id=...].field" sets a field on the task with that id', async () => {
+        const result = await run('PATCH', { path: '[id=b2].status', value: 'in-progress' });
+
+        expect(result.status).toBe(200);
+        expect(result.body.data[1].status).toBe('in-progress');
+        expect(result.body.data[0].status).toBe('not-started');
+    });
+
+    test('PATCH "[id=...]" replaces the whole task', async () => {
+        const result = await run('PATCH', { path: '[id=a1]', value: { id: 'a1', name: 'Oat milk', status: 'done', tags: [] } });
+
+        expect(result.status).toBe(200);
+        expect(result.body.data[0].name).toBe('Oat milk');
+    });
+
+    test('POST "[id=...].tags" appends to a nested array', async () => {
+        const result = await run('POST', { path: '[id=b2].tags', value: 'fridge' });
+
+        expect(result.body.data[1].tags).toEqual(['dairy', 'fridge']);
+    });
+
+    test('POST creates a missing array for the first item (a task\'s first subtask)', async () => {
+        const first = await run('POST', { path: '[id=a1].subtasks', value: { id: 's1', name: 'Check date' } });
+        expect(first.status).toBe(200);
+        expect(first.body.data[0].subtasks).toEqual([{ id: 's1', name: 'Check date' }]);
+
+        const both = await run('POST', {
+            operations: [
+                { op: 'append', path: '[id=a1].subtasks', value: { id: 's1', name: 'Check date' } },
+                { op: 'append', path: '[id=a1].subtasks', value: { id: 's2', name: 'Buy two' } }
+            ]
+        });
+        expect(both.body.data[0].subtasks.map(s => s.id)).toEqual(['s1', 's2']);
+
+        const missingTask = await run('POST', { path: '[id=missing].subtasks', value: { id: 's3' } });
+        expect(missingTask.status).toBe(400);
+        expect(missingTask.body.error).toBe('Path must point to array');
+    });
+
+    test('batch of patches by id (tag rename across tasks)', async () => {
+        const result = await run('POST', {
+            operations: [
+                { op: 'patch', path: '[id=a1].tags', value: ['shop'] },
+                { op: 'patch', path: '[id=b2].tags', value: ['shop'] }
+            ]
+        });
+
+        expect(result.status).toBe(200);
+        expect(result.body.data.map(t => t.tags)).toEqual([['shop'], ['shop']]);
+    });
+
+    test('addValue and removeValue treat tags as a set', async () => {
+        const result = await run('POST', {
+            operations: [
+                { op: 'addValue', path: '[id=b2].tags', value: 'fridge' },
+                { op: 'addValue', path: '[id=b2].tags', value: 'dairy' },
+                { op: 'removeValue', path: '[id=a1].tags', value: 'dairy' },
+                { op: 'removeValue', path: '[id=b2].tags', value: 'dairy' }
+            ]
+        });
+
+        expect(result.status).toBe(200);
+        expect(result.body.data.map(t => t.tags)).toEqual([[], ['fridge']]);
+    });
+
+    test('addValue creates a missing array, and only takes strings and numbers', async () => {
+        const added = await run('POST', { operations: [{ op: 'addValue', path: '[id=a1].labels', value: 'new' }] });
+        expect(added.body.data[0].labels).toEqual(['new']);
+
+        const object = await run('POST', { operations: [{ op: 'addValue', path: '[id=a1].tags', value: { id: 'x' } }] });
+        expect(object.status).toBe(400);
+        expect(object.body.error).toBe('Value must be a string or number');
+
+        const notArray = await run('POST', { operations: [{ op: 'removeValue', path: '[id=a1].name', value: 'Milk' }] });
+        expect(notArray.status).toBe(400);
+        expect(notArray.body.error).toBe('Path must point to array');
+    });
+
+    test('unknown ids fail without writing', async () => {
+        const replace = await run('PATCH', { path: '[id=missing]', value: {} });
+        expect(replace.status).toBe(404);
+        expect(replace.body.error).toBe('Item not found');
+
+        const field = await run('PATCH', { path: '[id=missing].status', value: 'done' });
+        expect(field.status).toBe(400);
+        expect(field.body.error).toBe('Invalid path');
+    });
+
+    test('PATCH with path "" is rejected (use PUT to replace the document)', async () => {
+        const result = await run('PATCH', { path: '', value: [] });
+
+        expect(result.status).toBe(400);
+        expect(result.body.error).toBe('Missing path or value');
+    });
+});
+
 // ============ INTEGRATION SCENARIO TESTS ============
 
 describe('Integration Scenarios', () => {
@@ -1255,3 +1572,1369 @@ describe('Integration Scenarios', () => {
         expect(currentSession.resources).toHaveLength(0);
     });
 });
+
+// ============ LOCAL FILESYSTEM BACKEND TESTS ============
+
+describe('Local filesystem storage (STORAGE_BACKEND=local)', () => {
+    /**
+     * Runs the full handler against a temp directory instead of mocked blobs,
+     * the same setup used by local development.
+     */
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+
+    let storageDir;
+
+    beforeEach(() => {
+        storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'listlet-api-'));
+        delete process.env.BLOB_SAS_URL;
+        process.env.STORAGE_BACKEND = 'local';
+        process.env.LOCAL_STORAGE_PATH = storageDir;
+    });
+
+    afterEach(() => {
+        delete process.env.STORAGE_BACKEND;
+        delete process.env.LOCAL_STORAGE_PATH;
+        fs.rmSync(storageDir, { recursive: true, force: true });
+    });
+
+    test('PUT writes {container}/{name}.json and GET reads it back', async () => {
+        await handler(createContext(), createRequest('PUT', EMPTY_SESSION));
+
+        const file = path.join(storageDir, TEST_CONTAINER, `${TEST_SESSION_NAME}.json`);
+        expect(JSON.parse(fs.readFileSync(file, 'utf-8'))).toEqual(EMPTY_SESSION);
+
+        const context = createContext();
+        await handler(context, createRequest('GET'));
+        expect(context.res.status).toBe(200);
+        expect(JSON.parse(context.res.body)).toEqual(EMPTY_SESSION);
+    });
+
+    test('GET returns 404 for a missing document', async () => {
+        const context = createContext();
+        await handler(context, createRequest('GET'));
+        expect(context.res.status).toBe(404);
+        expect(JSON.parse(context.res.body).error).toBe('List not found');
+    });
+
+    test('POST, PATCH and DELETE apply atomic operations on disk', async () => {
+        await handler(createContext(), createRequest('PUT', EMPTY_SESSION));
+
+        await handler(createContext(), createRequest('POST', {
+            path: 'weeks',
+            value: { id: 'w1', event: { text: '', comments: [] }, completions: [] }
+        }));
+        await handler(createContext(), createRequest('POST', {
+            path: 'resources',
+            value: { id: 'r1', name: 'Water', status: 'scarce' }
+        }));
+        await handler(createContext(), createRequest('PATCH', { path: 'weeks.0.event.text', value: 'Storm' }));
+        await handler(createContext(), createRequest('DELETE', { path: 'resources', id: 'r1' }));
+
+        const context = createContext();
+        await handler(context, createRequest('GET'));
+        const session = JSON.parse(context.res.body);
+        expect(session.weeks).toHaveLength(1);
+        expect(session.weeks[0].weekNumber).toBe(1);
+        expect(session.weeks[0].event.text).toBe('Storm');
+        expect(session.resources).toHaveLength(0);
+    });
+
+    test('conditional GET returns 304 until the document changes', async () => {
+        await handler(createContext(), createRequest('PUT', EMPTY_SESSION));
+
+        const first = createContext();
+        await handler(first, createRequest('GET'));
+        const etag = first.res.headers['ETag'];
+
+        const unchanged = createContext();
+        await handler(unchanged, { ...createRequest('GET'), headers: { 'if-none-match': etag } });
+        expect(unchanged.res.status).toBe(304);
+
+        await handler(createContext(), createRequest('PATCH', { path: 'title', value: 'Colony' }));
+
+        const changed = createContext();
+        await handler(changed, { ...createRequest('GET'), headers: { 'if-none-match': etag } });
+        expect(changed.res.status).toBe(200);
+        expect(changed.res.headers['ETag']).not.toBe(etag);
+        expect(JSON.parse(changed.res.body).title).toBe('Colony');
+    });
+
+    test('returns 409 when the file changes between read and write', async () => {
+        await handler(createContext(), createRequest('PUT', EMPTY_SESSION));
+        const file = path.join(storageDir, TEST_CONTAINER, `${TEST_SESSION_NAME}.json`);
+
+        // Another writer changes the file after the handler has read it
+        const realReadFileSync = fs.readFileSync;
+        let reads = 0;
+        const spy = jest.spyOn(fs, 'readFileSync').mockImplementation((...args) => {
+            const result = realReadFileSync(...args);
+            if (args[0] === file && ++reads === 1) {
+                fs.writeFileSync(file, JSON.stringify({ ...EMPTY_SESSION, title: 'Changed elsewhere' }));
+            }
+            return result;
+        });
+
+        const context = createContext();
+        await handler(context, createRequest('POST', { path: 'names', value: { id: 'n1', name: 'Ada' } }));
+        spy.mockRestore();
+
+        expect(context.res.status).toBe(409);
+        expect(JSON.parse(fs.readFileSync(file, 'utf-8')).title).toBe('Changed elsewhere');
+    });
+
+    test('PUT with If-None-Match: * only creates the document', async () => {
+        const createOnly = body => ({ ...createRequest('PUT', body), headers: { 'if-none-match': '*' } });
+        const file = path.join(storageDir, TEST_CONTAINER, `${TEST_SESSION_NAME}.json`);
+
+        const created = createContext();
+        await handler(created, createOnly(EMPTY_SESSION));
+        expect(created.res.status).toBe(200);
+
+        const again = createContext();
+        await handler(again, createOnly({ ...EMPTY_SESSION, title: 'Mine' }));
+        expect(again.res.status).toBe(412);
+        expect(JSON.parse(again.res.body).error).toBe('List already exists');
+        expect(JSON.parse(fs.readFileSync(file, 'utf-8')).title).toBe('');
+    });
+
+    test('PUT with If-Match only replaces the version the client read', async () => {
+        await handler(createContext(), createRequest('PUT', EMPTY_SESSION));
+        const read = createContext();
+        await handler(read, createRequest('GET'));
+        const etag = read.res.headers['ETag'];
+        const replace = (title, ifMatch) => ({ ...createRequest('PUT', { ...EMPTY_SESSION, title }), headers: { 'if-match': ifMatch } });
+
+        const first = createContext();
+        await handler(first, replace('First', etag));
+        expect(first.res.status).toBe(200);
+
+        const stale = createContext();
+        await handler(stale, replace('Stale', etag));
+        expect(stale.res.status).toBe(412);
+        expect(JSON.parse(stale.res.body).error).toBe('List has changed');
+
+        const check = createContext();
+        await handler(check, createRequest('GET'));
+        expect(JSON.parse(check.res.body).title).toBe('First');
+    });
+
+    test('PUT with If-None-Match: * returns 412 when another writer creates the document first', async () => {
+        const file = path.join(storageDir, TEST_CONTAINER, `${TEST_SESSION_NAME}.json`);
+
+        // Another writer creates the file after the handler found it missing
+        const realReadFileSync = fs.readFileSync;
+        let reads = 0;
+        const spy = jest.spyOn(fs, 'readFileSync').mockImplementation((...args) => {
+            if (args[0] === file && ++reads === 1) {
+                fs.mkdirSync(path.dirname(file), { recursive: true });
+                fs.writeFileSync(file, JSON.stringify({ ...EMPTY_SESSION, title: 'Theirs' }));
+                throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+            }
+            return realReadFileSync(...args);
+        });
+
+        const context = createContext();
+        await handler(context, { ...createRequest('PUT', { ...EMPTY_SESSION, title: 'Mine' }), headers: { 'if-none-match': '*' } });
+        spy.mockRestore();
+
+        expect(context.res.status).toBe(412);
+        expect(JSON.parse(fs.readFileSync(file, 'utf-8')).title).toBe('Theirs');
+    });
+});
+
+// ============ VERSION HISTORY TESTS ============
+
+describe('Version History', () => {
+    /**
+     * Every write stores the resulting document as a version, so mistakes
+     * (e.g., deleting the wrong week) can be rolled back.
+     * Runs on the local filesystem backend.
+     */
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+
+    let storageDir;
+
+    beforeEach(() => {
+        storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'listlet-history-'));
+        delete process.env.BLOB_SAS_URL;
+        delete process.env.VERSION_HISTORY_LIMIT;
+        process.env.STORAGE_BACKEND = 'local';
+        process.env.LOCAL_STORAGE_PATH = storageDir;
+    });
+
+    afterEach(() => {
+        delete process.env.STORAGE_BACKEND;
+        delete process.env.LOCAL_STORAGE_PATH;
+        fs.rmSync(storageDir, { recursive: true, force: true });
+    });
+
+    async function listVersions() {
+        const context = createContext();
+        await handler(context, createRequest('GET', null, { versions: '' }));
+        expect(context.res.status).toBe(200);
+        return JSON.parse(context.res.body).versions;
+    }
+
+    test('records a version with the operation for each write, newest first', async () => {
+        await handler(createContext(), createRequest('PUT', EMPTY_SESSION));
+        await handler(createContext(), createRequest('PATCH', { path: 'title', value: 'Colony' }));
+        await handler(createContext(), createRequest('POST', {
+            operations: [
+                { op: 'append', path: 'resources', value: { id: 'r1', name: 'Water', status: 'scarce' } },
+                { op: 'delete', path: 'resources', id: 'r1' }
+            ]
+        }));
+
+        const versions = await listVersions();
+
+        expect(versions.map(v => v.type)).toEqual(['batch', 'patch', 'put']);
+        expect(new Date(versions[0].timestamp).getTime()).toBeGreaterThan(0);
+    });
+
+    test('GET ?version returns the document as it was with its operation', async () => {
+        await handler(createContext(), createRequest('PUT', EMPTY_SESSION));
+        await handler(createContext(), createRequest('PATCH', { path: 'title', value: 'Colony' }));
+        await handler(createContext(), createRequest('PATCH', { path: 'title', value: 'Oops' }));
+
+        const versions = await listVersions();
+        const context = createContext();
+        await handler(context, createRequest('GET', null, { version: versions[1].id }));
+
+        expect(context.res.status).toBe(200);
+        const version = JSON.parse(context.res.body);
+        expect(version.data.title).toBe('Colony');
+        expect(version.operation).toEqual({ type: 'patch', operations: [{ op: 'patch', path: 'title' }] });
+    });
+
+    test('POST { restore } rolls back and records the restore as a new version', async () => {
+        await handler(createContext(), createRequest('PUT', {
+            ...EMPTY_SESSION,
+            weeks: [{ id: 'w1', weekNumber: 1, event: { text: 'Keep me', comments: [] }, completions: [] }]
+        }));
+        await handler(createContext(), createRequest('PATCH', { path: 'weeks', value: [] }));
+
+        const [, beforeDelete] = await listVersions();
+        const context = createContext();
+        await handler(context, createRequest('POST', { restore: beforeDelete.id }));
+
+        expect(context.res.status).toBe(200);
+        expect(JSON.parse(context.res.body).data.weeks[0].event.text).toBe('Keep me');
+
+        const current = createContext();
+        await handler(current, createRequest('GET'));
+        expect(JSON.parse(current.res.body).weeks).toHaveLength(1);
+
+        const versions = await listVersions();
+        expect(versions[0].type).toBe('restore');
+    });
+
+    test('single addValue and removeValue writes are listed and can be restored', async () => {
+        await handler(createContext(), createRequest('PUT', { ...EMPTY_SESSION, tags: [] }));
+        await handler(createContext(), createRequest('POST', { operations: [{ op: 'addValue', path: 'tags', value: 'urgent' }] }));
+        await handler(createContext(), createRequest('POST', { operations: [{ op: 'removeValue', path: 'tags', value: 'urgent' }] }));
+
+        const versions = await listVersions();
+        expect(versions.map(v => v.type)).toEqual(['removeValue', 'addValue', 'put']);
+
+        const context = createContext();
+        await handler(context, createRequest('POST', { restore: versions[1].id }));
+        expect(context.res.status).toBe(200);
+        expect(JSON.parse(context.res.body).data.tags).toEqual(['urgent']);
+    });
+
+    test('returns 404 for an unknown version and 400 for a malformed id', async () => {
+        await handler(createContext(), createRequest('PUT', EMPTY_SESSION));
+
+        const missing = createContext();
+        await handler(missing, createRequest('GET', null, { version: '1700000000000-abc-put' }));
+        expect(missing.res.status).toBe(404);
+        expect(JSON.parse(missing.res.body).error).toBe('Version not found');
+
+        const malformed = createContext();
+        await handler(malformed, createRequest('POST', { restore: '../../other' }));
+        expect(malformed.res.status).toBe(400);
+        expect(JSON.parse(malformed.res.body).error).toBe('Invalid version id');
+    });
+
+    test('keeps at most VERSION_HISTORY_LIMIT versions', async () => {
+        process.env.VERSION_HISTORY_LIMIT = '2';
+        await handler(createContext(), createRequest('PUT', EMPTY_SESSION));
+        await handler(createContext(), createRequest('PATCH', { path: 'title', value: 'A' }));
+        await handler(createContext(), createRequest('PATCH', { path: 'setting', value: 'B' }));
+
+        const versions = await listVersions();
+        expect(versions).toHaveLength(2);
+        expect(versions.map(v => v.type)).toEqual(['patch', 'patch']);
+    });
+
+    test('failed operations do not create versions', async () => {
+        await handler(createContext(), createRequest('PUT', EMPTY_SESSION));
+        await handler(createContext(), createRequest('DELETE', { path: 'resources', id: 'missing' }));
+
+        expect(await listVersions()).toHaveLength(1);
+    });
+});
+
+// ============ OPERATION LOG TESTS ============
+
+describe('Operation Log', () => {
+    /**
+     * Each successful write is logged with a sequence number so clients can
+     * fetch what changed since their last poll instead of the whole document.
+     * Runs on the local filesystem backend.
+     */
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+
+    let storageDir;
+
+    beforeEach(() => {
+        storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'listlet-oplog-'));
+        delete process.env.BLOB_SAS_URL;
+        delete process.env.OPLOG_LIMIT;
+        process.env.STORAGE_BACKEND = 'local';
+        process.env.LOCAL_STORAGE_PATH = storageDir;
+    });
+
+    afterEach(() => {
+        delete process.env.STORAGE_BACKEND;
+        delete process.env.LOCAL_STORAGE_PATH;
+        fs.rmSync(storageDir, { recursive: true, force: true });
+    });
+
+    async function getChanges(since) {
+        const context = createContext();
+        await handler(context, createRequest('GET', null, { since: String(since) }));
+        expect(context.res.status).toBe(200);
+        return JSON.parse(context.res.body);
+    }
+
+    test('logs each operation with an increasing sequence number', async () => {
+        await handler(createContext(), createRequest('PUT', EMPTY_SESSION));
+        await handler(createContext(), createRequest('POST', {
+            path: 'weeks',
+            value: { id: 'w1', event: { text: '', comments: [] }, completions: [] }
+        }));
+        await handler(createContext(), createRequest('PATCH', { path: 'weeks.0.event.text', value: 'Storm' }));
+        await handler(createContext(), createRequest('POST', {
+            operations: [
+                { op: 'append', path: 'resources', value: { id: 'r1', name: 'Water', status: 'scarce' } },
+                { op: 'delete', path: 'resources', id: 'r1' }
+            ]
+        }));
+
+        const changes = await getChanges(0);
+
+        expect(changes.seq).toBe(5);
+        expect(changes.reset).toBe(false);
+        expect(changes.operations.map(o => [o.seq, o.op, o.path])).toEqual([
+            [1, 'replace', undefined],
+            [2, 'append', 'weeks'],
+            [3, 'patch', 'weeks.0.event.text'],
+            [4, 'append', 'resources'],
+            [5, 'delete', 'resources']
+        ]);
+        // Logged as applied, including the server-assigned week number
+        expect(changes.operations[1].value.weekNumber).toBe(1);
+        expect(changes.operations[4].id).toBe('r1');
+    });
+
+    test('GET ?since returns only later operations', async () => {
+        await handler(createContext(), createRequest('PUT', EMPTY_SESSION));
+        await handler(createContext(), createRequest('PATCH', { path: 'title', value: 'A' }));
+        await handler(createContext(), createRequest('PATCH', { path: 'title', value: 'B' }));
+
+        const changes = await getChanges(2);
+        expect(changes.operations).toHaveLength(1);
+        expect(changes.operations[0]).toMatchObject({ seq: 3, op: 'patch', path: 'title', value: 'B' });
+
+        expect((await getChanges(3)).operations).toEqual([]);
+    });
+
+    test('plain GET reports the current sequence in X-Op-Seq', async () => {
+        await handler(createContext(), createRequest('PUT', EMPTY_SESSION));
+        await handler(createContext(), createRequest('PATCH', { path: 'title', value: 'A' }));
+
+        const context = createContext();
+        await handler(context, createRequest('GET'));
+        expect(context.res.headers['X-Op-Seq']).toBe('2');
+    });
+
+    test('failed operations are not logged', async () => {
+        await handler(createContext(), createRequest('PUT', EMPTY_SESSION));
+        await handler(createContext(), createRequest('DELETE', { path: 'resources', id: 'missing' }));
+
+        expect((await getChanges(0)).seq).toBe(1);
+    });
+
+    test('returns reset when the entries since then were pruned', async () => {
+        process.env.OPLOG_LIMIT = '2';
+        await handler(createContext(), createRequest('PUT', EMPTY_SESSION));
+        await handler(createContext(), createRequest('PATCH', { path: 'title', value: 'A' }));
+        await handler(createContext(), createRequest('PATCH', { path: 'title', value: 'B' }));
+
+        expect(await getChanges(0)).toEqual({ seq: 3, operations: [], reset: true });
+        expect((await getChanges(1)).operations).toHaveLength(2);
+    });
+
+    test('two first writes to a log both keep their entries', async () => {
+        const { createStorage } = require('../shared/storage');
+        const { appendToLog, readChanges } = require('../shared/oplog');
+        const storage = createStorage();
+        // The other writer creates the log between this writer's read and its write
+        const racing = {
+            ...storage,
+            get: async (...args) => {
+                const error = Object.assign(new Error('Not found'), { statusCode: 404 });
+                racing.get = storage.get;
+                await appendToLog(storage, 'notes', 'race', [{ op: 'append', path: 'items', value: 'theirs' }]);
+                throw error;
+            }
+        };
+
+        await appendToLog(racing, 'notes', 'race', [{ op: 'append', path: 'items', value: 'mine' }]);
+
+        const changes = await readChanges(storage, 'notes', 'race', 0);
+        expect(changes.operations.map(o => [o.seq, o.value])).toEqual([[1, 'theirs'], [2, 'mine']]);
+    });
+
+    test('returns reset for a sequence ahead of the log and 400 for a malformed one', async () => {
+        await handler(createContext(), createRequest('PUT', EMPTY_SESSION));
+
+        expect((await getChanges(10)).reset).toBe(true);
+
+        const context = createContext();
+        await handler(context, createRequest('GET', null, { since: 'abc' }));
+        expect(context.res.status).toBe(400);
+        expect(JSON.parse(context.res.body).error).toBe('Invalid since');
+    });
+});
+
+// ============ SERVER-SENT EVENTS TESTS ============
+
+describe('Server-Sent Events', () => {
+    /**
+     * GET ?events waits for logged operations and answers in text/event-stream
+     * format; EventSource reconnects with Last-Event-ID after each response.
+     * Runs on the local filesystem backend with short waits.
+     */
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+
+    let storageDir;
+
+    beforeEach(() => {
+        storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'listlet-events-'));
+        delete process.env.BLOB_SAS_URL;
+        delete process.env.OPLOG_LIMIT;
+        process.env.STORAGE_BACKEND = 'local';
+        process.env.LOCAL_STORAGE_PATH = storageDir;
+        process.env.EVENTS_WAIT_MS = '200';
+        process.env.EVENTS_POLL_MS = '20';
+    });
+
+    afterEach(() => {
+        delete process.env.STORAGE_BACKEND;
+        delete process.env.LOCAL_STORAGE_PATH;
+        delete process.env.EVENTS_WAIT_MS;
+        delete process.env.EVENTS_POLL_MS;
+        fs.rmSync(storageDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Parse a text/event-stream body into [{ id, event, data }]
+     */
+    function parseEvents(body) {
+        return body.split('\n\n')
+            .map(block => block.split('\n').reduce((event, line) => {
+                const [field, ...rest] = line.split(': ');
+                if (['id', 'event', 'data'].includes(field)) event[field] = rest.join(': ');
+                return event;
+            }, {}))
+            .filter(event => event.event)
+            .map(event => ({ ...event, data: JSON.parse(event.data) }));
+    }
+
+    async function getEvents(query = {}, headers = {}) {
+        const context = createContext();
+        await handler(context, { ...createRequest('GET', null, { events: '', ...query }), headers });
+        return context;
+    }
+
+    test('without a position, sends a ready event with the current seq', async () => {
+        await handler(createContext(), createRequest('PUT', EMPTY_SESSION));
+
+        const context = await getEvents();
+
+        expect(context.res.status).toBe(200);
+        expect(context.res.headers['Content-Type']).toBe('text/event-stream');
+        expect(parseEvents(context.res.body)).toEqual([{ id: '1', event: 'ready', data: { seq: 1 } }]);
+    });
+
+    test('sends logged operations after ?since immediately', async () => {
+        await handler(createContext(), createRequest('PUT', EMPTY_SESSION));
+        await handler(createContext(), createRequest('PATCH', { path: 'title', value: 'Colony' }));
+
+        const events = parseEvents((await getEvents({ since: '1' })).res.body);
+
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({ id: '2', event: 'operation' });
+        expect(events[0].data).toMatchObject({ seq: 2, op: 'patch', path: 'title', value: 'Colony' });
+    });
+
+    test('waits for the next change before responding', async () => {
+        await handler(createContext(), createRequest('PUT', EMPTY_SESSION));
+
+        const pending = getEvents({ since: '1' });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        await handler(createContext(), createRequest('DELETE', { path: 'resources', id: 'none' }));
+        await handler(createContext(), createRequest('POST', { path: 'names', value: { id: 'n1', name: 'Ada' } }));
+
+        const events = parseEvents((await pending).res.body);
+        expect(events.map(e => e.data.op)).toEqual(['append']);
+    });
+
+    test('responds with no events when nothing changes while waiting', async () => {
+        await handler(createContext(), createRequest('PUT', EMPTY_SESSION));
+
+        const context = await getEvents({ since: '1' });
+
+        expect(context.res.status).toBe(200);
+        expect(parseEvents(context.res.body)).toEqual([]);
+        expect(context.res.body).toContain('retry:');
+    });
+
+    test('checks the log less often while nothing changes', async () => {
+        const { waitForEvents } = require('../shared/events');
+        let reads = 0;
+        const storage = {
+            get: async () => {
+                reads++;
+                return { content: JSON.stringify({ seq: 1, entries: [{ seq: 1, op: 'replace' }] }), etag: '"1"' };
+            }
+        };
+
+        const result = await waitForEvents(storage, 'notes', 'quiet', '1',
+            { EVENTS_WAIT_MS: '300', EVENTS_POLL_MS: '20', EVENTS_MAX_POLL_MS: '80' });
+
+        expect(parseEvents(result.body)).toEqual([]);
+        // 20, 40, 80, 80, 80 ms apart: at most 6 reads, where a fixed 20 ms would make 15
+        expect(reads).toBeLessThanOrEqual(7);
+    });
+
+    test('Last-Event-ID takes precedence over ?since on reconnect', async () => {
+        await handler(createContext(), createRequest('PUT', EMPTY_SESSION));
+        await handler(createContext(), createRequest('PATCH', { path: 'title', value: 'A' }));
+        await handler(createContext(), createRequest('PATCH', { path: 'title', value: 'B' }));
+
+        const events = parseEvents((await getEvents({ since: '0' }, { 'last-event-id': '2' })).res.body);
+
+        expect(events.map(e => e.id)).toEqual(['3']);
+    });
+
+    test('sends reset when the position is unavailable', async () => {
+        await handler(createContext(), createRequest('PUT', EMPTY_SESSION));
+
+        const events = parseEvents((await getEvents({ since: '99' })).res.body);
+
+        expect(events).toEqual([{ id: '1', event: 'reset', data: { seq: 1 } }]);
+    });
+
+    test('returns 503 when the operation log is disabled so clients fall back to polling', async () => {
+        process.env.OPLOG_LIMIT = '0';
+
+        const context = await getEvents({ since: '0' });
+
+        expect(context.res.status).toBe(503);
+        expect(JSON.parse(context.res.body).error).toBe('Change feed disabled');
+    });
+});
+
+describe('Access Control', () => {
+    /**
+     * Writes need a signed-in user (the SWA x-ms-client-principal header) who is an
+     * editor of the document; reads stay public. Runs on the local filesystem backend.
+     */
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { encodePrincipal } = require('../shared/access');
+
+    const ALICE = { userId: 'alice-id', identityProvider: 'github', userDetails: 'alice', userRoles: ['anonymous', 'authenticated'] };
+    const BOB = { userId: 'bob-id', identityProvider: 'github', userDetails: 'Bob', userRoles: ['anonymous', 'authenticated'] };
+
+    let storageDir;
+
+    beforeEach(() => {
+        storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'listlet-access-'));
+        delete process.env.BLOB_SAS_URL;
+        delete process.env.WRITE_ACCESS;
+        process.env.STORAGE_BACKEND = 'local';
+        process.env.LOCAL_STORAGE_PATH = storageDir;
+    });
+
+    afterEach(() => {
+        delete process.env.STORAGE_BACKEND;
+        delete process.env.LOCAL_STORAGE_PATH;
+        fs.rmSync(storageDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Send a request as a signed-in user (or anonymously when user is null)
+     */
+    async function send(user, method, body = null, query = {}, extraHeaders = {}) {
+        const context = createContext();
+        const headers = user ? { 'x-ms-client-principal': encodePrincipal(user), ...extraHeaders } : extraHeaders;
+        await handler(context, { ...createRequest(method, body, query), headers });
+        return context.res;
+    }
+
+    function readMeta() {
+        return JSON.parse(fs.readFileSync(path.join(storageDir, TEST_CONTAINER, '_meta', `${TEST_SESSION_NAME}.json`), 'utf-8'));
+    }
+
+    test('anonymous writes are rejected with 401 and change nothing', async () => {
+        const res = await send(null, 'PUT', EMPTY_SESSION);
+
+        expect(res.status).toBe(401);
+        expect(JSON.parse(res.body).error).toBe('Login required');
+        expect(fs.existsSync(path.join(storageDir, TEST_CONTAINER, `${TEST_SESSION_NAME}.json`))).toBe(false);
+    });
+
+    test('a malformed principal header counts as anonymous', async () => {
+        const context = createContext();
+        await handler(context, { ...createRequest('PUT', EMPTY_SESSION), headers: { 'x-ms-client-principal': 'not base64 json' } });
+
+        expect(context.res.status).toBe(401);
+    });
+
+    test('creating a document records the creator as owner and editor', async () => {
+        expect((await send(ALICE, 'PUT', EMPTY_SESSION)).status).toBe(200);
+
+        const meta = readMeta();
+        expect(meta.owner).toEqual({ userId: 'alice-id', identityProvider: 'github', userDetails: 'alice' });
+        expect(meta.editors).toEqual([{ identityProvider: 'github', userDetails: 'alice' }]);
+        expect(meta.createdAt).toBeDefined();
+    });
+
+    test('non-editors get 403 for every kind of write', async () => {
+        await send(ALICE, 'PUT', EMPTY_SESSION);
+
+        const writes = [
+            ['PUT', EMPTY_SESSION],
+            ['POST', { path: 'resources', value: { id: 'r1', name: 'Water' } }],
+            ['PATCH', { path: 'title', value: 'Hijacked' }],
+            ['DELETE', { path: 'resources', id: 'r1' }],
+            ['POST', { operations: [{ op: 'patch', path: 'title', value: 'Hijacked' }] }],
+            ['POST', { restore: '1700000000000-abc123-put' }]
+        ];
+        for (const [method, body] of writes) {
+            const res = await send(BOB, method, body);
+            expect(res.status).toBe(403);
+            expect(JSON.parse(res.body).error).toBe('Not an editor of this list');
+        }
+    });
+
+    test('reads stay public', async () => {
+        await send(ALICE, 'PUT', { ...EMPTY_SESSION, title: 'Colony' });
+
+        const res = await send(null, 'GET');
+
+        expect(res.status).toBe(200);
+        expect(JSON.parse(res.body).title).toBe('Colony');
+    });
+
+    test('the owner can add editors, who can then write', async () => {
+        await send(ALICE, 'PUT', EMPTY_SESSION);
+
+        const update = await send(ALICE, 'POST', { editors: [{ identityProvider: 'github', userDetails: 'bob' }] });
+        expect(update.status).toBe(200);
+        expect(JSON.parse(update.body).editors).toEqual([
+            { identityProvider: 'github', userDetails: 'alice' },
+            { identityProvider: 'github', userDetails: 'bob' }
+        ]);
+
+        // Login names match case-insensitively
+        const res = await send(BOB, 'PATCH', { path: 'title', value: 'Colony' });
+        expect(res.status).toBe(200);
+    });
+
+    test('editors must match the identity provider too', async () => {
+        await send(ALICE, 'PUT', EMPTY_SESSION);
+        await send(ALICE, 'POST', { editors: [{ identityProvider: 'aad', userDetails: 'bob' }] });
+
+        expect((await send(BOB, 'PATCH', { path: 'title', value: 'X' })).status).toBe(403);
+    });
+
+    test('only the owner can change editors, and the owner always stays one', async () => {
+        await send(ALICE, 'PUT', EMPTY_SESSION);
+        await send(ALICE, 'POST', { editors: [{ identityProvider: 'github', userDetails: 'bob' }] });
+
+        const byEditor = await send(BOB, 'POST', { editors: [] });
+        expect(byEditor.status).toBe(403);
+        expect(JSON.parse(byEditor.body).error).toBe('Only the owner can change editors');
+
+        await send(ALICE, 'POST', { editors: [] });
+        expect(readMeta().editors).toEqual([{ identityProvider: 'github', userDetails: 'alice' }]);
+    });
+
+    test('rejects malformed editor lists', async () => {
+        await send(ALICE, 'PUT', EMPTY_SESSION);
+
+        const res = await send(ALICE, 'POST', { editors: [{ userDetails: 'bob' }] });
+
+        expect(res.status).toBe(400);
+        expect(JSON.parse(res.body).error).toBe('Invalid editors');
+    });
+
+    test('writes to a document from before access control do not make anyone its owner', async () => {
+        fs.mkdirSync(path.join(storageDir, TEST_CONTAINER), { recursive: true });
+        fs.writeFileSync(path.join(storageDir, TEST_CONTAINER, `${TEST_SESSION_NAME}.json`), JSON.stringify(EMPTY_SESSION));
+
+        expect((await send(BOB, 'PATCH', { path: 'title', value: 'Mine' })).status).toBe(200);
+        expect((await send(BOB, 'PUT', EMPTY_SESSION)).status).toBe(200);
+        expect((await send(ALICE, 'PATCH', { path: 'title', value: 'Theirs' })).status).toBe(200);
+        expect(fs.existsSync(path.join(storageDir, TEST_CONTAINER, '_meta'))).toBe(false);
+    });
+
+    test('nobody can take over a document from before access control by managing its access', async () => {
+        fs.mkdirSync(path.join(storageDir, TEST_CONTAINER), { recursive: true });
+        fs.writeFileSync(path.join(storageDir, TEST_CONTAINER, `${TEST_SESSION_NAME}.json`), JSON.stringify(EMPTY_SESSION));
+        process.env.SHARE_SECRET = 'test-share-secret';
+
+        const requests = [
+            ['POST', { editors: [] }, {}],
+            ['POST', { share: { role: 'editor' } }, {}],
+            ['GET', null, { shares: '' }],
+            ['DELETE', null, { share: 'x' }]
+        ];
+        for (const [method, body, query] of requests) {
+            const res = await send(BOB, method, body, query);
+            expect(res.status).toBe(403);
+            expect(JSON.parse(res.body).error).toBe('This list has no owner yet');
+        }
+        delete process.env.SHARE_SECRET;
+        expect(fs.existsSync(path.join(storageDir, TEST_CONTAINER, '_meta'))).toBe(false);
+    });
+
+    test('creating a sub-list of a document from before access control does not claim the list', async () => {
+        fs.mkdirSync(path.join(storageDir, TEST_CONTAINER), { recursive: true });
+        fs.writeFileSync(path.join(storageDir, TEST_CONTAINER, `${TEST_SESSION_NAME}.json`), JSON.stringify(EMPTY_SESSION));
+
+        const context = createContext(`${TEST_SESSION_NAME}~archive`);
+        await handler(context, { ...createRequest('PUT', []), headers: { 'x-ms-client-principal': encodePrincipal(BOB) } });
+
+        expect(context.res.status).toBe(200);
+        expect(fs.existsSync(path.join(storageDir, TEST_CONTAINER, '_meta'))).toBe(false);
+    });
+
+    test('a failed write does not claim the document', async () => {
+        const res = await send(BOB, 'PATCH', { path: 'title', value: 'X' });
+
+        expect(res.status).toBe(404);
+        expect(fs.existsSync(path.join(storageDir, TEST_CONTAINER, '_meta'))).toBe(false);
+    });
+
+    test('GET ?access describes the caller\'s permissions', async () => {
+        await send(ALICE, 'PUT', EMPTY_SESSION);
+
+        const asOwner = JSON.parse((await send(ALICE, 'GET', null, { access: '' })).body);
+        const asViewer = JSON.parse((await send(BOB, 'GET', null, { access: '' })).body);
+        const asAnonymous = JSON.parse((await send(null, 'GET', null, { access: '' })).body);
+
+        expect(asOwner).toEqual({
+            user: { identityProvider: 'github', userDetails: 'alice' },
+            owner: { identityProvider: 'github', userDetails: 'alice' },
+            editors: [{ identityProvider: 'github', userDetails: 'alice' }],
+            canWrite: true,
+            isOwner: true,
+            share: null
+        });
+        expect(asViewer).toMatchObject({ canWrite: false, isOwner: false });
+        expect(asAnonymous).toMatchObject({ user: null, canWrite: false });
+    });
+
+    test('sub-lists share their parent list\'s owner and editors', async () => {
+        const subList = `${TEST_SESSION_NAME}~shopping`;
+        async function sendToSubList(user, method, body = null) {
+            const context = createContext(subList);
+            const headers = user ? { 'x-ms-client-principal': encodePrincipal(user) } : {};
+            await handler(context, { ...createRequest(method, body), headers });
+            return context.res;
+        }
+        await send(ALICE, 'PUT', EMPTY_SESSION);
+
+        expect((await sendToSubList(BOB, 'PUT', [])).status).toBe(403);
+        expect((await sendToSubList(ALICE, 'PUT', [])).status).toBe(200);
+
+        await send(ALICE, 'POST', { editors: [{ identityProvider: 'github', userDetails: 'bob' }] });
+        expect((await sendToSubList(BOB, 'POST', { path: '', value: { id: 'i1', name: 'Milk', status: 'not-started' } })).status).toBe(200);
+        expect(JSON.parse((await sendToSubList(BOB, 'GET', null)).body)).toHaveLength(1);
+        // No record of its own
+        expect(fs.readdirSync(path.join(storageDir, TEST_CONTAINER, '_meta'))).toEqual([`${TEST_SESSION_NAME}.json`]);
+    });
+
+    test('WRITE_ACCESS=anyone turns enforcement off', async () => {
+        process.env.WRITE_ACCESS = 'anyone';
+
+        expect((await send(null, 'PUT', EMPTY_SESSION)).status).toBe(200);
+        expect(JSON.parse((await send(null, 'GET', null, { access: '' })).body).canWrite).toBe(true);
+        expect(fs.existsSync(path.join(storageDir, TEST_CONTAINER, '_meta'))).toBe(false);
+    });
+
+    describe('share links', () => {
+        beforeEach(() => {
+            process.env.SHARE_SECRET = 'test-share-secret';
+        });
+
+        afterEach(() => {
+            delete process.env.SHARE_SECRET;
+            delete process.env.READ_ACCESS;
+            jest.restoreAllMocks();
+        });
+
+        async function createLink(role, expiresAt) {
+            const res = await send(ALICE, 'POST', { share: { role, expiresAt } });
+            expect(res.status).toBe(200);
+            return JSON.parse(res.body).share;
+        }
+
+        test('the owner creates and lists links; others cannot', async () => {
+            await send(ALICE, 'PUT', EMPTY_SESSION);
+
+            const link = await createLink('viewer', '2099-01-01T00:00:00.000Z');
+            expect(link).toMatchObject({ role: 'viewer', expiresAt: '2099-01-01T00:00:00.000Z', createdBy: 'alice' });
+            expect(link.token).toMatch(/^[\w-]+\.[\w-]+$/);
+
+            const list = await send(ALICE, 'GET', null, { shares: '' });
+            expect(JSON.parse(list.body).shares).toEqual([link]);
+
+            expect((await send(BOB, 'GET', null, { shares: '' })).status).toBe(403);
+            const byOther = await send(BOB, 'POST', { share: { role: 'editor' } });
+            expect(byOther.status).toBe(403);
+            expect(JSON.parse(byOther.body).error).toBe('Only the owner can manage share links');
+            expect((await send(null, 'POST', { share: { role: 'editor' } })).status).toBe(401);
+        });
+
+        test('an editor link lets anyone holding it write; a viewer link does not', async () => {
+            await send(ALICE, 'PUT', EMPTY_SESSION);
+            const editorLink = await createLink('editor');
+            const viewerLink = await createLink('viewer');
+
+            const asEditor = await send(null, 'PATCH', { path: 'title', value: 'Shared' }, {}, { 'x-share-token': editorLink.token });
+            expect(asEditor.status).toBe(200);
+
+            const asViewer = await send(BOB, 'PATCH', { path: 'title', value: 'X' }, {}, { 'x-share-token': viewerLink.token });
+            expect(asViewer.status).toBe(403);
+            expect(JSON.parse(asViewer.body).error).toBe('This share link is view only');
+
+            const access = JSON.parse((await send(null, 'GET', null, { access: '', token: editorLink.token })).body);
+            expect(access).toMatchObject({ canWrite: true, share: { role: 'editor', expiresAt: null } });
+        });
+
+        test('tokens are also accepted as ?token=', async () => {
+            await send(ALICE, 'PUT', EMPTY_SESSION);
+            const link = await createLink('editor');
+
+            const res = await send(null, 'POST', { operations: [{ op: 'patch', path: 'title', value: 'Q' }] }, { token: link.token });
+
+            expect(res.status).toBe(200);
+        });
+
+        test('tampered tokens and tokens for another document are rejected', async () => {
+            await send(ALICE, 'PUT', EMPTY_SESSION);
+            const link = await createLink('editor');
+            const [payload, signature] = link.token.split('.');
+            const forged = Buffer.from(JSON.stringify({
+                ...JSON.parse(Buffer.from(payload, 'base64url').toString()), n: 'other'
+            })).toString('base64url');
+
+            const tampered = await send(null, 'PATCH', { path: 'title', value: 'X' }, { token: `${forged}.${signature}` });
+            expect(tampered.status).toBe(403);
+            expect(JSON.parse(tampered.body).error).toBe('Share link is invalid or has expired');
+
+            // Same link id, signed for another document
+            await handler(createContext('other'), { ...createRequest('PUT', EMPTY_SESSION), headers: { 'x-ms-client-principal': encodePrincipal(ALICE) } });
+            const other = createContext('other');
+            await handler(other, { ...createRequest('PATCH', { path: 'title', value: 'X' }, { token: link.token }), headers: {} });
+            expect(other.res.status).toBe(403);
+        });
+
+        test('expired links stop working', async () => {
+            await send(ALICE, 'PUT', EMPTY_SESSION);
+            const link = await createLink('editor', new Date(Date.now() + 60000).toISOString());
+
+            expect((await send(null, 'PATCH', { path: 'title', value: 'A' }, { token: link.token })).status).toBe(200);
+
+            const later = Date.now() + 120000;
+            jest.spyOn(Date, 'now').mockReturnValue(later);
+            expect((await send(null, 'PATCH', { path: 'title', value: 'B' }, { token: link.token })).status).toBe(403);
+        });
+
+        test('revoked links stop working', async () => {
+            await send(ALICE, 'PUT', EMPTY_SESSION);
+            const link = await createLink('editor');
+
+            expect((await send(ALICE, 'DELETE', null, { share: link.id })).status).toBe(200);
+            expect(readMeta().shares).toEqual([]);
+            expect((await send(null, 'PATCH', { path: 'title', value: 'X' }, { token: link.token })).status).toBe(403);
+            expect((await send(ALICE, 'DELETE', null, { share: link.id })).status).toBe(404);
+        });
+
+        test('rejects invalid roles and past expiry', async () => {
+            await send(ALICE, 'PUT', EMPTY_SESSION);
+
+            const badRole = await send(ALICE, 'POST', { share: { role: 'admin' } });
+            expect(badRole.status).toBe(400);
+            const past = await send(ALICE, 'POST', { share: { role: 'viewer', expiresAt: '2000-01-01T00:00:00Z' } });
+            expect(past.status).toBe(400);
+            expect(JSON.parse(past.body).error).toBe('Invalid share expiry');
+        });
+
+        test('a list\'s links also work on its sub-lists', async () => {
+            await send(ALICE, 'PUT', EMPTY_SESSION);
+            const editorLink = await createLink('editor');
+            await handler(createContext(`${TEST_SESSION_NAME}~shopping`), {
+                ...createRequest('PUT', []), headers: { 'x-ms-client-principal': encodePrincipal(ALICE) }
+            });
+
+            const context = createContext(`${TEST_SESSION_NAME}~shopping`);
+            await handler(context, {
+                ...createRequest('POST', { path: '', value: { id: 'i1', name: 'Milk', status: 'not-started' } }),
+                headers: { 'x-share-token': editorLink.token }
+            });
+
+            expect(context.res.status).toBe(200);
+        });
+
+        test('links cannot be created without SHARE_SECRET', async () => {
+            delete process.env.SHARE_SECRET;
+            await send(ALICE, 'PUT', EMPTY_SESSION);
+
+            const res = await send(ALICE, 'POST', { share: { role: 'viewer' } });
+
+            expect(res.status).toBe(501);
+        });
+
+        test('READ_ACCESS=restricted limits reads to editors and link holders', async () => {
+            process.env.READ_ACCESS = 'restricted';
+            await send(ALICE, 'PUT', EMPTY_SESSION);
+            const link = await createLink('viewer');
+
+            expect((await send(null, 'GET')).status).toBe(401);
+            expect((await send(BOB, 'GET')).status).toBe(403);
+            expect((await send(BOB, 'GET', null, { versions: '' })).status).toBe(403);
+            expect((await send(ALICE, 'GET')).status).toBe(200);
+            expect((await send(null, 'GET', null, {}, { 'x-share-token': link.token })).status).toBe(200);
+            expect((await send(null, 'GET', null, { token: 'bogus.token' })).status).toBe(403);
+            // Anyone can still find out whether they have access
+            expect((await send(null, 'GET', null, { access: '' })).status).toBe(200);
+        });
+
+        test('READ_ACCESS=restricted tells browsers not to keep copies', async () => {
+            const created = await send(ALICE, 'PUT', EMPTY_SESSION);
+            expect(created.headers['Cache-Control']).toBeUndefined();
+
+            process.env.READ_ACCESS = 'restricted';
+            const read = await send(ALICE, 'GET');
+            const write = await send(ALICE, 'PATCH', { path: 'title', value: 'Private' });
+
+            expect(read.headers['Cache-Control']).toBe('private, no-store');
+            expect(write.headers['Cache-Control']).toBe('private, no-store');
+        });
+    });
+});
+
+describe('Reserved List Names', () => {
+    /**
+     * Names with '/' or a leading '_' would reach the _meta, _versions and _oplog folders
+     * (e.g., replacing a list's access record); they are rejected for every method.
+     */
+    test.each(['_meta/grocery', '_versions/grocery/x', '_oplog/grocery/0', 'a/b', '_meta'])('%s is rejected with 400', async (name) => {
+        const mock = createMockBlobClient();
+
+        for (const method of ['GET', 'PUT', 'POST', 'PATCH', 'DELETE']) {
+            const context = createContext(name, 'notes');
+            await handler(context, createRequest(method, method === 'PUT' ? { owner: { userId: 'mallory' } } : null));
+
+            expect(context.res.status).toBe(400);
+            expect(JSON.parse(context.res.body).error).toBe('Invalid document name');
+        }
+        expect(mock.upload).not.toHaveBeenCalled();
+        expect(mock.download).not.toHaveBeenCalled();
+    });
+
+    /**
+     * '~' is reserved for sub-lists the app manages ({name}~shopping, {name}~archive, {name}~views);
+     * writes to other names containing it are rejected.
+     */
+    test.each(['my~list', '~shopping', 'a~shopping~b', 'a~archived'])('writes to %s are rejected with 400', async (name) => {
+        const mock = createMockBlobClient();
+
+        for (const method of ['PUT', 'POST', 'PATCH', 'DELETE']) {
+            const context = createContext(name);
+            await handler(context, createRequest(method, method === 'PUT' ? EMPTY_SESSION : { path: 'title', value: 'x' }));
+
+            expect(context.res.status).toBe(400);
+            expect(JSON.parse(context.res.body).error).toBe('List names cannot contain ~');
+        }
+        expect(mock.upload).not.toHaveBeenCalled();
+    });
+
+    test('sub-lists can be written and any name can be read', async () => {
+        createMockBlobClient();
+
+        for (const kind of ['shopping', 'archive', 'views']) {
+            const put = createContext(`${TEST_SESSION_NAME}~${kind}`);
+            await handler(put, createRequest('PUT', EMPTY_SESSION));
+            expect(put.res.status).toBe(200);
+        }
+
+        const get = createContext('my~list');
+        await handler(get, createRequest('GET'));
+        expect(get.res.status).toBe(200);
+    });
+});
+
+describe('Schema Validation', () => {
+    /**
+     * Writes to the tasks and swarm containers are checked against their schema
+     * (shared/schema.js); only problems a write introduces are rejected.
+     */
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+
+    let storageDir;
+
+    beforeEach(() => {
+        storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'listlet-schema-'));
+        delete process.env.BLOB_SAS_URL;
+        process.env.STORAGE_BACKEND = 'local';
+        process.env.LOCAL_STORAGE_PATH = storageDir;
+    });
+
+    afterEach(() => {
+        delete process.env.STORAGE_BACKEND;
+        delete process.env.LOCAL_STORAGE_PATH;
+        fs.rmSync(storageDir, { recursive: true, force: true });
+    });
+
+    async function send(container, method, body = null) {
+        const context = createContext('doc', container);
+        await handler(context, createRequest(method, body));
+        return { status: context.res.status, body: context.res.body && JSON.parse(context.res.body) };
+    }
+
+    function seed(container, data) {
+        fs.mkdirSync(path.join(storageDir, container), { recursive: true });
+        fs.writeFileSync(path.join(storageDir, container, 'doc.json'), JSON.stringify(data));
+    }
+
+    function stored(container) {
+        return JSON.parse(fs.readFileSync(path.join(storageDir, container, 'doc.json'), 'utf-8'));
+    }
+
+    const TASKS = [{ id: 'a', name: 'Milk', status: 'not-started', tags: [] }];
+
+    test('PUT of a task list with missing or unknown fields is rejected with the paths', async () => {
+        const res = await send('tasks', 'PUT', [
+            { id: 'a', name: 'Milk', tags: [] },
+            { id: 'b', name: 'Eggs', status: 'finished', tags: ['dairy', 3] }
+        ]);
+
+        expect(res.status).toBe(422);
+        expect(res.body).toEqual({
+            error: 'Invalid document',
+            violations: [
+                { path: '[id=a].status', message: 'is required' },
+                { path: '[id=b].status', message: 'must be one of: not-started, in-progress, needs-review, done, removed' },
+                { path: '[id=b].tags.1', message: 'must be a string' }
+            ]
+        });
+        expect(fs.existsSync(path.join(storageDir, 'tasks', 'doc.json'))).toBe(false);
+    });
+
+    test('operations that would break a task are rejected; valid ones go through', async () => {
+        seed('tasks', TASKS);
+
+        const bad = await send('tasks', 'PATCH', { path: '[id=a].status', value: 'paused' });
+        expect(bad.status).toBe(422);
+        expect(bad.body.violations.map(v => v.path)).toEqual(['[id=a].status']);
+
+        const append = await send('tasks', 'POST', { path: '', value: { id: 'b', name: 'Eggs' } });
+        expect(append.status).toBe(422);
+
+        expect((await send('tasks', 'PATCH', { path: '[id=a].status', value: 'done' })).status).toBe(200);
+        expect(stored('tasks')[0].status).toBe('done');
+    });
+
+    test('task positions must be numbers', async () => {
+        seed('tasks', TASKS);
+
+        const bad = await send('tasks', 'PATCH', { path: '[id=a].position', value: 'first' });
+        expect(bad.body.violations).toEqual([{ path: '[id=a].position', message: 'must be a number' }]);
+
+        expect((await send('tasks', 'PATCH', { path: '[id=a].position', value: 1.5 })).status).toBe(200);
+    });
+
+    test('task details are optional, checked when set and can be cleared with null', async () => {
+        seed('tasks', TASKS);
+
+        const bad = await send('tasks', 'POST', { operations: [
+            { op: 'patch', path: '[id=a].dueDate', value: 'next friday' },
+            { op: 'patch', path: '[id=a].priority', value: 'urgent' },
+            { op: 'patch', path: '[id=a].notes', value: 42 }
+        ] });
+        expect(bad.body.violations).toEqual([
+            { path: '[id=a].notes', message: 'must be a string or null' },
+            { path: '[id=a].dueDate', message: 'must match ^\\d{4}-\\d{2}-\\d{2}$' },
+            { path: '[id=a].priority', message: 'must be one of: high, medium, low, null' }
+        ]);
+
+        const ok = await send('tasks', 'POST', { operations: [
+            { op: 'patch', path: '[id=a].dueDate', value: '2026-01-19' },
+            { op: 'patch', path: '[id=a].priority', value: 'high' },
+            { op: 'patch', path: '[id=a].notes', value: 'Oat milk\nif they have it' }
+        ] });
+        expect(ok.status).toBe(200);
+
+        expect((await send('tasks', 'PATCH', { path: '[id=a].dueDate', value: null })).status).toBe(200);
+        expect(stored('tasks')[0]).toMatchObject({ dueDate: null, priority: 'high', notes: 'Oat milk\nif they have it' });
+    });
+
+    test('subtasks are checked like tasks and addressed by id inside their task', async () => {
+        seed('tasks', [{ ...TASKS[0], subtasks: [{ id: 's1', name: 'Check fridge', status: 'not-started' }] }]);
+
+        const bad = await send('tasks', 'POST', { path: '[id=a].subtasks', value: { id: 's2', name: 'Bag' } });
+        expect(bad.body.violations).toEqual([{ path: '[id=a].subtasks.[id=s2].status', message: 'is required' }]);
+
+        const ok = await send('tasks', 'POST', { operations: [
+            { op: 'patch', path: '[id=a].subtasks.[id=s1].status', value: 'done' },
+            { op: 'patch', path: '[id=a].autoComplete', value: true }
+        ] });
+        expect(ok.status).toBe(200);
+        expect(stored('tasks')[0]).toMatchObject({ autoComplete: true, subtasks: [{ id: 's1', status: 'done' }] });
+    });
+
+    test('a task list\'s saved views are checked against the view schema, not the task one', async () => {
+        const context = createContext('doc~views', 'tasks');
+        await handler(context, createRequest('PUT', [
+            { id: 'v1', name: 'Backend', filter: { statuses: ['in-progress'], tags: ['backend'], dueFrom: '2026-01-19' } },
+            { id: 'v2', name: ' ', filter: { statuses: ['paused'], dueTo: 'friday' } }
+        ]));
+
+        expect(context.res.status).toBe(422);
+        expect(JSON.parse(context.res.body).violations).toEqual([
+            { path: '[id=v2].name', message: 'must not be empty' },
+            { path: '[id=v2].filter.statuses.0', message: 'must be one of: not-started, in-progress, needs-review, done, removed' },
+            { path: '[id=v2].filter.dueTo', message: 'must match ^\\d{4}-\\d{2}-\\d{2}$' }
+        ]);
+
+        const ok = createContext('doc~views', 'tasks');
+        await handler(ok, createRequest('PUT', [{ id: 'v1', name: 'Backend', filter: { tags: ['backend'] } }]));
+        expect(ok.res.status).toBe(200);
+    });
+
+    test('a batch with one bad operation writes nothing', async () => {
+        seed('tasks', TASKS);
+
+        const res = await send('tasks', 'POST', { operations: [
+            { op: 'patch', path: '[id=a].name', value: 'Oat milk' },
+            { op: 'patch', path: '[id=a].tags', value: 'dairy' }
+        ] });
+
+        expect(res.status).toBe(422);
+        expect(res.body.violations).toEqual([{ path: '[id=a].tags', message: 'must be an array' }]);
+        expect(stored('tasks')).toEqual(TASKS);
+    });
+
+    test('SwarmSpace weeks must keep their event and action shape', async () => {
+        seed('swarm', EMPTY_SESSION);
+
+        const res = await send('swarm', 'POST', {
+            path: 'weeks',
+            value: { id: 'w1', event: { text: '' }, action: { type: 'discussion', text: '', comments: [] }, completions: [] }
+        });
+
+        expect(res.status).toBe(422);
+        expect(res.body.violations).toEqual([{ path: 'weeks.[id=w1].event.comments', message: 'is required' }]);
+
+        const ok = await send('swarm', 'POST', {
+            path: 'weeks',
+            value: { id: 'w1', event: { text: '', comments: [] }, action: { type: 'discussion', text: '', comments: [] }, completions: [] }
+        });
+        expect(ok.status).toBe(200);
+        expect(ok.body.data.weeks[0].weekNumber).toBe(1);
+    });
+
+    test('a SwarmSpace session must be an object with every session field', async () => {
+        expect((await send('swarm', 'PUT', EMPTY_SESSION)).status).toBe(200);
+
+        const res = await send('swarm', 'PUT', { title: 'Colony' });
+        expect(res.status).toBe(422);
+        expect(res.body.violations.map(v => v.path)).toEqual(['setting', 'currentWeekId', 'weeks', 'resources', 'locations', 'names']);
+
+        expect((await send('swarm', 'PUT', [])).body.violations).toEqual([{ path: '', message: 'must be an object' }]);
+    });
+
+    test('documents saved before validation can still be edited', async () => {
+        // A legacy task without tags is fine; one with an old status keeps it
+        seed('tasks', [{ id: 'a', name: 'Milk', status: 'not-started' }, { id: 'b', name: 'Eggs', status: 'todo' }]);
+
+        expect((await send('tasks', 'PATCH', { path: '[id=a].name', value: 'Oat milk' })).status).toBe(200);
+        expect((await send('tasks', 'PATCH', { path: '[id=b].status', value: 'blocked' })).status).toBe(422);
+    });
+
+    test('containers without a schema accept any document', async () => {
+        expect((await send('notes', 'PUT', { anything: ['goes'] })).status).toBe(200);
+    });
+});
+
+describe('Container Listing', () => {
+    /**
+     * GET /api/store/{container} (no name) lists documents a page at a time.
+     * Runs on the local filesystem backend.
+     */
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { encodePrincipal } = require('../shared/access');
+
+    let storageDir;
+
+    beforeEach(() => {
+        storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'listlet-listing-'));
+        delete process.env.BLOB_SAS_URL;
+        process.env.STORAGE_BACKEND = 'local';
+        process.env.LOCAL_STORAGE_PATH = storageDir;
+        process.env.VERSION_HISTORY_LIMIT = '5';
+        process.env.OPLOG_LIMIT = '5';
+    });
+
+    afterEach(() => {
+        delete process.env.STORAGE_BACKEND;
+        delete process.env.LOCAL_STORAGE_PATH;
+        delete process.env.READ_ACCESS;
+        fs.rmSync(storageDir, { recursive: true, force: true });
+    });
+
+    async function list(container, query = {}, headers = {}) {
+        const context = createContext(undefined, container);
+        context.bindingData.name = undefined;
+        await handler(context, { ...createRequest('GET', null, query), headers });
+        return { status: context.res.status, body: JSON.parse(context.res.body) };
+    }
+
+    async function put(container, name, data) {
+        const context = createContext(name, container);
+        await handler(context, createRequest('PUT', data));
+        expect(context.res.status).toBe(200);
+    }
+
+    test('lists documents with size, last-modified and titles, without internal folders', async () => {
+        await put('tasks', 'grocery', [
+            { id: 'a', name: 'Milk', status: 'not-started', tags: [] },
+            { id: 'b', name: 'Gone', status: 'removed', tags: [] },
+            { id: 'c', name: 'Eggs', status: 'done', tags: [] },
+            { id: 'd', name: 'Bread', status: 'done', tags: [] },
+            { id: 'e', name: 'Jam', status: 'done', tags: [] }
+        ]);
+        await put('tasks', 'empty', []);
+
+        const res = await list('tasks');
+
+        expect(res.status).toBe(200);
+        expect(res.body.nextCursor).toBeNull();
+        expect(res.body.items.map(i => i.name)).toEqual(['empty', 'grocery']);
+        expect(res.body.items[0].title).toBeUndefined();
+        expect(res.body.items[1]).toMatchObject({ name: 'grocery', title: 'Milk, Eggs, Bread, ...' });
+        expect(res.body.items[1].size).toBeGreaterThan(0);
+        expect(new Date(res.body.items[1].lastModified).toISOString()).toBe(res.body.items[1].lastModified);
+        // Versions and the operation log were written, but are not documents
+        expect(fs.existsSync(path.join(storageDir, 'tasks', '_versions'))).toBe(true);
+    });
+
+    test('leaves out archives and saved views, but lists shopping lists', async () => {
+        await put('tasks', 'grocery', []);
+        await put('tasks', 'grocery~archive', []);
+        await put('tasks', 'grocery~views', []);
+        await put('tasks', 'meals~shopping', []);
+
+        const res = await list('tasks');
+
+        expect(res.body.items.map(i => i.name)).toEqual(['grocery', 'meals~shopping']);
+    });
+
+    test('uses the session title for SwarmSpace sessions', async () => {
+        await put('swarm', 'game1', { ...EMPTY_SESSION, title: 'The Long Winter' });
+
+        const res = await list('swarm');
+
+        expect(res.body.items).toEqual([expect.objectContaining({ name: 'game1', title: 'The Long Winter' })]);
+    });
+
+    test('filters by prefix and pages with a cursor', async () => {
+        for (const name of ['game-a', 'game-b', 'game-c', 'other']) {
+            await put('notes', name, {});
+        }
+
+        const first = await list('notes', { prefix: 'game-', limit: '2' });
+        expect(first.body.items.map(i => i.name)).toEqual(['game-a', 'game-b']);
+        expect(first.body.nextCursor).toBe('game-b');
+
+        const second = await list('notes', { prefix: 'game-', limit: '2', cursor: first.body.nextCursor });
+        expect(second.body.items.map(i => i.name)).toEqual(['game-c']);
+        expect(second.body.nextCursor).toBeNull();
+    });
+
+    test('an empty or missing container lists nothing', async () => {
+        expect((await list('never-written')).body).toEqual({ items: [], nextCursor: null });
+    });
+
+    test('rejects a bad limit and writes without a name', async () => {
+        expect((await list('tasks', { limit: '0' })).status).toBe(400);
+        expect((await list('tasks', { limit: 'lots' })).status).toBe(400);
+
+        const context = createContext(undefined, 'tasks');
+        context.bindingData.name = undefined;
+        await handler(context, createRequest('PUT', []));
+        expect(context.res.status).toBe(405);
+    });
+
+    test('lists only what the caller may edit, and nothing for anonymous callers', async () => {
+        delete process.env.WRITE_ACCESS;
+        const alice = { 'x-ms-client-principal': encodePrincipal({ userId: 'alice-id', identityProvider: 'github', userDetails: 'alice' }) };
+        const bob = { 'x-ms-client-principal': encodePrincipal({ userId: 'bob-id', identityProvider: 'github', userDetails: 'bob' }) };
+        for (const [name, user] of [['alices', alice], ['bobs', bob]]) {
+            const context = createContext(name, 'notes');
+            await handler(context, { ...createRequest('PUT', { title: `${name} secret` }), headers: user });
+        }
+
+        const anonymous = await list('notes', {}, {});
+        expect(anonymous.status).toBe(200);
+        expect(anonymous.body).toEqual({ items: [], nextCursor: null });
+        expect((await list('notes', {}, alice)).body.items.map(i => i.name)).toEqual(['alices']);
+        expect((await list('notes', {}, bob)).body.items.map(i => i.name)).toEqual(['bobs']);
+    });
+
+    test('READ_ACCESS=restricted lists only what the caller may read', async () => {
+        delete process.env.WRITE_ACCESS;
+        const alice = { 'x-ms-client-principal': encodePrincipal({ userId: 'alice-id', identityProvider: 'github', userDetails: 'alice' }) };
+        const bob = { 'x-ms-client-principal': encodePrincipal({ userId: 'bob-id', identityProvider: 'github', userDetails: 'bob' }) };
+        for (const [name, user] of [['alices', alice], ['bobs', bob]]) {
+            const context = createContext(name, 'notes');
+            await handler(context, { ...createRequest('PUT', {}), headers: user });
+        }
+        process.env.READ_ACCESS = 'restricted';
+
+        expect((await list('notes', {}, alice)).body.items.map(i => i.name)).toEqual(['alices']);
+        expect((await list('notes', {}, {})).body.items).toEqual([]);
+    });
+});
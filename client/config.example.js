@@ -6,5 +6,7 @@ const CONFIG = {
     // API_BASE: 'https://YOUR_FUNCTION_APP.azurewebsites.net/api/tasks',
     // For local development without API: use 'mock' for localStorage-based testing
     // API_BASE: 'mock',
-    DEFAULT_LIST_NAME: 'tasks'  // Used when no ?list= param in URL
+    DEFAULT_LIST_NAME: 'tasks',  // Used when no ?list= param in URL
+    // Static Web Apps login provider (github, aad, google, ...)
+    AUTH_PROVIDER: 'github'
 };
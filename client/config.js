@@ -1,5 +1,6 @@
 const CONFIG = {
     API_BASE_TASKS: '/api/store/tasks',      // Task lists
     API_BASE_SWARM: '/api/store/swarm',      // SwarmSpace sessions
-    DEFAULT_LIST_NAME: 'tasks'
+    DEFAULT_LIST_NAME: 'tasks',
+    AUTH_PROVIDER: 'github'                  // Static Web Apps login provider
 };
\ No newline at end of file
@@ -0,0 +1,268 @@
+// ===========================================
+// Meal Plan Functions (Pure/Functional)
+// ===========================================
+// The meal board is a view of an ordinary task list. Each assigned meal is
+// a task tagged 'meal', its date ('2026-01-19') and 'meal:{id}' (the meal's
+// id in meals.json); a meal with a prepTask also gets a prep task tagged
+// 'prep', the same date and 'meal:{id}'. Tasks are created and deleted with
+// TaskMutations, so /tasks/?list= shows the same data.
+//
+// A board week runs Saturday to Friday: the weekend before a Monday-Friday
+// week is when its prep happens, so it is shown first.
+//
+// The shopping list is a separate task list, {list}~shopping, with one task
+// per ingredient; generating it only adds what is missing.
+// ===========================================
+
+const MealPlan = (function() {
+    const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const DATE_TAG = /^\d{4}-\d{2}-\d{2}$/;
+    const MEAL_TAG = 'meal';
+    const PREP_TAG = 'prep';
+    const MEAL_ID_PREFIX = 'meal:';
+
+    // ============ Dates ============
+
+    /**
+     * Format a date as a date tag (local date)
+     * @param {Date} date
+     * @returns {string} - e.g., '2026-01-19'
+     */
+    function toDateTag(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Parse a date tag
+     * @param {string} tag - e.g., '2026-01-19'
+     * @returns {Date|null} - Local midnight, or null if not a date tag
+     */
+    function parseDateTag(tag) {
+        if (typeof tag !== 'string' || !DATE_TAG.test(tag)) return null;
+        const [year, month, day] = tag.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+        return toDateTag(date) === tag ? date : null;
+    }
+
+    /**
+     * Add days to a date (returns a new date)
+     */
+    function addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    }
+
+    /**
+     * Get the Monday of the week a date falls in
+     * @param {Date} date
+     * @returns {Date} - Local midnight on that Monday
+     */
+    function getWeekStart(date) {
+        // getDay(): 0 = Sunday, so Sunday belongs to the week that started six days before
+        return addDays(date, -((date.getDay() + 6) % 7));
+    }
+
+    /**
+     * Get the days a board week shows
+     * @param {Date} weekStart - Monday of the week (from getWeekStart)
+     * @returns {{weekend: Date[], weekdays: Date[]}} - Sat/Sun before it, then Mon-Fri
+     */
+    function getWeekDays(weekStart) {
+        return {
+            weekend: [addDays(weekStart, -2), addDays(weekStart, -1)],
+            weekdays: [0, 1, 2, 3, 4].map(offset => addDays(weekStart, offset))
+        };
+    }
+
+    /**
+     * Format a date for day headings and task names
+     * @returns {string} - e.g., 'Mon 1/19'
+     */
+    function formatDay(date) {
+        return `${DAY_NAMES[date.getDay()]} ${date.getMonth() + 1}/${date.getDate()}`;
+    }
+
+    // ============ Reading tasks ============
+
+    function hasTag(task, tag) {
+        return Array.isArray(task.tags) && task.tags.includes(tag);
+    }
+
+    /**
+     * Get the meal id a meal or prep task is linked to
+     * @returns {string|null}
+     */
+    function getMealId(task) {
+        const tag = (task.tags || []).find(t => t.startsWith(MEAL_ID_PREFIX));
+        return tag ? tag.slice(MEAL_ID_PREFIX.length) : null;
+    }
+
+    /**
+     * Get the date tag of a meal or prep task
+     * @returns {string|null}
+     */
+    function getTaskDate(task) {
+        return (task.tags || []).find(tag => parseDateTag(tag)) || null;
+    }
+
+    /**
+     * Find the meal assigned to a day (removed tasks do not count)
+     * @param {Array} tasks - The tasks array
+     * @param {string} dateTag - Day
+     * @returns {Object|null} - The meal task
+     */
+    function findMealTask(tasks, dateTag) {
+        return tasks.find(task => hasTag(task, MEAL_TAG) && hasTag(task, dateTag) && task.status !== 'removed') || null;
+    }
+
+    /**
+     * Get the prep tasks for meals on the given days, in date order
+     * @param {Array} tasks - The tasks array
+     * @param {string[]} dateTags - Days
+     * @returns {Array} - Prep tasks (removed ones left out)
+     */
+    function getPrepTasks(tasks, dateTags) {
+        return tasks
+            .filter(task => hasTag(task, PREP_TAG) && task.status !== 'removed' && dateTags.includes(getTaskDate(task)))
+            .sort((a, b) => (getTaskDate(a) < getTaskDate(b) ? -1 : getTaskDate(a) > getTaskDate(b) ? 1 : 0));
+    }
+
+    /**
+     * Get the ids of meals assigned so far, most recently planned first
+     * @param {Array} tasks - The tasks array
+     * @returns {string[]} - Meal ids (each once)
+     */
+    function getRecentMealIds(tasks) {
+        const latest = new Map();
+        tasks.forEach(task => {
+            const mealId = getMealId(task);
+            const date = getTaskDate(task);
+            if (!hasTag(task, MEAL_TAG) || !mealId || !date) return;
+            if (!latest.has(mealId) || latest.get(mealId) < date) latest.set(mealId, date);
+        });
+        return [...latest.entries()]
+            .sort((a, b) => (a[1] < b[1] ? 1 : a[1] > b[1] ? -1 : 0))
+            .map(([mealId]) => mealId);
+    }
+
+    /**
+     * Collect the ingredients of the meals assigned to the given days
+     * @param {Array} tasks - The tasks array
+     * @param {Array} meals - Meal catalog (meals.json)
+     * @param {string[]} dateTags - Days
+     * @returns {string[]} - Ingredients in date order, each once (compared ignoring case)
+     */
+    function collectIngredients(tasks, meals, dateTags) {
+        const seen = new Set();
+        const ingredients = [];
+        [...dateTags].sort().forEach(dateTag => {
+            const mealTask = findMealTask(tasks, dateTag);
+            const meal = mealTask && meals.find(m => m.id === getMealId(mealTask));
+            if (!meal) return;
+            (meal.ingredients || []).forEach(ingredient => {
+                const name = ingredient.trim();
+                const key = name.toLowerCase();
+                if (!name || seen.has(key)) return;
+                seen.add(key);
+                ingredients.push(name);
+            });
+        });
+        return ingredients;
+    }
+
+    // ============ Mutations ============
+
+    function addTaggedTask(tasks, name, tags) {
+        const taskId = TaskMutations.addTask(tasks, name);
+        tags.forEach(tag => TaskMutations.addTagToTask(tasks, taskId, tag));
+        return taskId;
+    }
+
+    /**
+     * Remove the meal assigned to a day, with its prep tasks
+     * @param {Array} tasks - The tasks array to mutate
+     * @param {string} dateTag - Day
+     * @returns {string[]} - IDs of the deleted tasks
+     */
+    function removeMeal(tasks, dateTag) {
+        const mealTasks = tasks.filter(task => hasTag(task, MEAL_TAG) && hasTag(task, dateTag));
+        const mealTags = mealTasks.map(task => MEAL_ID_PREFIX + getMealId(task));
+        const prepTasks = tasks.filter(task =>
+            hasTag(task, PREP_TAG) && hasTag(task, dateTag) && mealTags.some(tag => hasTag(task, tag)));
+
+        const deleted = [...mealTasks, ...prepTasks].map(task => task.id);
+        deleted.forEach(taskId => TaskMutations.deleteTask(tasks, taskId));
+        return deleted;
+    }
+
+    /**
+     * Assign a meal to a day (replacing the day's meal), adding its prep task if it has one
+     * @param {Array} tasks - The tasks array to mutate
+     * @param {string} dateTag - Day
+     * @param {Object} meal - Meal from meals.json ({ id, name, prepTask })
+     * @returns {{added: string[], deleted: string[]}} - IDs of the tasks added and deleted
+     */
+    function assignMeal(tasks, dateTag, meal) {
+        const deleted = removeMeal(tasks, dateTag);
+        const date = parseDateTag(dateTag);
+        const mealTag = MEAL_ID_PREFIX + meal.id;
+
+        const added = [addTaggedTask(tasks, `🍽️ ${formatDay(date)}: ${meal.name}`, [MEAL_TAG, dateTag, mealTag])];
+        if (meal.prepTask) {
+            const prepName = `🔪 Weekend Prep: ${meal.prepTask} for ${DAY_NAMES[date.getDay()]} ${meal.name}`;
+            added.push(addTaggedTask(tasks, prepName, [PREP_TAG, dateTag, mealTag]));
+        }
+        return { added, deleted };
+    }
+
+    /**
+     * Build the atomic operations that store a change made with assignMeal or removeMeal
+     * @param {Array} tasks - The tasks array after the change
+     * @param {{added: string[], deleted: string[]}} change
+     * @returns {Array} - Operations ({ op, path, value, id })
+     */
+    function changeOperations(tasks, { added = [], deleted = [] }) {
+        return [
+            ...deleted.map(id => ({ op: 'delete', path: '', id })),
+            ...added.map(id => ({ op: 'append', path: '', value: TaskMutations.findTask(tasks, id) }))
+        ];
+    }
+
+    /**
+     * Add ingredients missing from a shopping list
+     * Items already on the list keep their status, so checked-off ones stay checked;
+     * removed items do not count and are added again.
+     * @param {Array} shoppingTasks - The shopping list's tasks array to mutate
+     * @param {string[]} ingredients - From collectIngredients
+     * @returns {string[]} - IDs of the tasks added
+     */
+    function mergeShoppingList(shoppingTasks, ingredients) {
+        const onList = new Set(shoppingTasks
+            .filter(task => task.status !== 'removed')
+            .map(task => task.name.trim().toLowerCase()));
+        return ingredients
+            .filter(ingredient => !onList.has(ingredient.toLowerCase()))
+            .map(ingredient => TaskMutations.addTask(shoppingTasks, ingredient));
+    }
+
+    // Public API
+    return {
+        toDateTag,
+        parseDateTag,
+        addDays,
+        getWeekStart,
+        getWeekDays,
+        formatDay,
+        getMealId,
+        getTaskDate,
+        findMealTask,
+        getPrepTasks,
+        getRecentMealIds,
+        collectIngredients,
+        assignMeal,
+        removeMeal,
+        changeOperations,
+        mergeShoppingList
+    };
+})();
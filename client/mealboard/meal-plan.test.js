@@ -0,0 +1,228 @@
+/**
+ * Tests for MealPlan (meal board dates and meal/prep tasks in a task list).
+ *
+ * meal-plan.js is browser IIFE code on top of TaskMutations, so we eval both to get them on globalThis.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+eval(fs.readFileSync(path.join(__dirname, '..', 'tasks', 'task-mutations.js'), 'utf-8')
+    .replace('const TaskMutations = (function()', 'global.TaskMutations = (function()'));
+eval(fs.readFileSync(path.join(__dirname, 'meal-plan.js'), 'utf-8')
+    .replace('const MealPlan = (function()', 'global.MealPlan = (function()'));
+
+const plan = global.MealPlan;
+
+const SPAGHETTI = {
+    id: 'spaghetti-bolognese',
+    name: 'Spaghetti Bolognese',
+    prepTask: 'Brown ground beef',
+    ingredients: ['1 lb ground beef', '1 box spaghetti', '1 onion']
+};
+const TACOS = { id: 'tacos', name: 'Tacos', prepTask: null, ingredients: ['1 box taco shells', ' 1 LB Ground Beef '] };
+
+// ============ Dates ============
+
+describe('dates', () => {
+    test('date tags round-trip and reject anything else', () => {
+        const date = plan.parseDateTag('2026-01-19');
+
+        expect(date.getFullYear()).toBe(2026);
+        expect(date.getMonth()).toBe(0);
+        expect(date.getDate()).toBe(19);
+        expect(plan.toDateTag(date)).toBe('2026-01-19');
+        expect(plan.parseDateTag('2026-02-30')).toBeNull();
+        expect(plan.parseDateTag('meal')).toBeNull();
+        expect(plan.parseDateTag(null)).toBeNull();
+    });
+
+    test('weeks start on Monday (Sunday belongs to the week before)', () => {
+        expect(plan.toDateTag(plan.getWeekStart(plan.parseDateTag('2026-01-19')))).toBe('2026-01-19');
+        expect(plan.toDateTag(plan.getWeekStart(plan.parseDateTag('2026-01-23')))).toBe('2026-01-19');
+        expect(plan.toDateTag(plan.getWeekStart(plan.parseDateTag('2026-01-25')))).toBe('2026-01-19');
+        expect(plan.toDateTag(plan.getWeekStart(plan.parseDateTag('2026-01-26')))).toBe('2026-01-26');
+    });
+
+    test('a board week is the weekend before, then Monday to Friday', () => {
+        const { weekend, weekdays } = plan.getWeekDays(plan.parseDateTag('2026-01-19'));
+
+        expect(weekend.map(plan.formatDay)).toEqual(['Sat 1/17', 'Sun 1/18']);
+        expect(weekdays.map(plan.formatDay)).toEqual(['Mon 1/19', 'Tue 1/20', 'Wed 1/21', 'Thu 1/22', 'Fri 1/23']);
+    });
+
+    test('addDays crosses month ends', () => {
+        expect(plan.toDateTag(plan.addDays(plan.parseDateTag('2026-01-30'), 3))).toBe('2026-02-02');
+        expect(plan.toDateTag(plan.addDays(plan.parseDateTag('2026-03-02'), -7))).toBe('2026-02-23');
+    });
+});
+
+// ============ Meal assignment ============
+
+describe('assignMeal', () => {
+    test('adds a tagged meal task and a prep task', () => {
+        const tasks = [];
+        const { added, deleted } = plan.assignMeal(tasks, '2026-01-19', SPAGHETTI);
+
+        expect(deleted).toEqual([]);
+        expect(added).toHaveLength(2);
+        expect(tasks[0]).toMatchObject({
+            id: added[0],
+            name: '🍽️ Mon 1/19: Spaghetti Bolognese',
+            status: 'not-started',
+            tags: ['meal', '2026-01-19', 'meal:spaghetti-bolognese']
+        });
+        expect(tasks[1]).toMatchObject({
+            id: added[1],
+            name: '🔪 Weekend Prep: Brown ground beef for Mon Spaghetti Bolognese',
+            tags: ['prep', '2026-01-19', 'meal:spaghetti-bolognese']
+        });
+        expect(plan.findMealTask(tasks, '2026-01-19')).toBe(tasks[0]);
+        expect(plan.findMealTask(tasks, '2026-01-20')).toBeNull();
+    });
+
+    test('meals without a prepTask add no prep task', () => {
+        const tasks = [];
+        plan.assignMeal(tasks, '2026-01-20', TACOS);
+
+        expect(tasks).toHaveLength(1);
+        expect(plan.getPrepTasks(tasks, ['2026-01-20'])).toEqual([]);
+    });
+
+    test('replaces the day\'s meal and its prep task', () => {
+        const tasks = [];
+        const first = plan.assignMeal(tasks, '2026-01-19', SPAGHETTI);
+        const second = plan.assignMeal(tasks, '2026-01-19', TACOS);
+
+        expect(second.deleted).toEqual(first.added);
+        expect(tasks.map(t => t.name)).toEqual(['🍽️ Mon 1/19: Tacos']);
+    });
+});
+
+describe('removeMeal', () => {
+    test('deletes the meal and only its own prep task', () => {
+        const tasks = [{ id: 'other', name: 'Milk', status: 'not-started', tags: [] }];
+        plan.assignMeal(tasks, '2026-01-19', SPAGHETTI);
+        plan.assignMeal(tasks, '2026-01-21', SPAGHETTI);
+
+        const deleted = plan.removeMeal(tasks, '2026-01-19');
+
+        expect(deleted).toHaveLength(2);
+        expect(tasks.map(t => t.name)).toEqual([
+            'Milk',
+            '🍽️ Wed 1/21: Spaghetti Bolognese',
+            '🔪 Weekend Prep: Brown ground beef for Wed Spaghetti Bolognese'
+        ]);
+    });
+
+    test('a day without a meal deletes nothing', () => {
+        const tasks = [];
+        expect(plan.removeMeal(tasks, '2026-01-19')).toEqual([]);
+    });
+});
+
+describe('changeOperations', () => {
+    test('deletes first, then appends the new tasks by value', () => {
+        const tasks = [];
+        const first = plan.assignMeal(tasks, '2026-01-19', TACOS);
+        const second = plan.assignMeal(tasks, '2026-01-19', SPAGHETTI);
+
+        const operations = plan.changeOperations(tasks, second);
+
+        expect(operations).toEqual([
+            { op: 'delete', path: '', id: first.added[0] },
+            { op: 'append', path: '', value: tasks[0] },
+            { op: 'append', path: '', value: tasks[1] }
+        ]);
+    });
+
+    test('the operations reproduce the change on the server copy', () => {
+        const server = [{ id: 'other', name: 'Milk', status: 'not-started', tags: [] }];
+        plan.assignMeal(server, '2026-01-19', TACOS);
+        const local = JSON.parse(JSON.stringify(server));
+
+        const change = plan.assignMeal(local, '2026-01-19', SPAGHETTI);
+        plan.changeOperations(local, change).forEach(operation => {
+            if (operation.op === 'delete') TaskMutations.deleteTask(server, operation.id);
+            else server.push(JSON.parse(JSON.stringify(operation.value)));
+        });
+
+        expect(server).toEqual(local);
+    });
+});
+
+// ============ Reading the plan ============
+
+describe('reading the plan', () => {
+    test('getPrepTasks returns the week\'s prep tasks in date order, without removed ones', () => {
+        const tasks = [];
+        plan.assignMeal(tasks, '2026-01-21', SPAGHETTI);
+        plan.assignMeal(tasks, '2026-01-19', SPAGHETTI);
+        plan.assignMeal(tasks, '2026-01-28', SPAGHETTI);
+        tasks.push({ id: 'x', name: 'Old prep', status: 'removed', tags: ['prep', '2026-01-20'] });
+
+        const prep = plan.getPrepTasks(tasks, ['2026-01-19', '2026-01-20', '2026-01-21']);
+
+        expect(prep.map(plan.getTaskDate)).toEqual(['2026-01-19', '2026-01-21']);
+    });
+
+    test('meal tasks marked removed in the task view leave the day free', () => {
+        const tasks = [];
+        const { added } = plan.assignMeal(tasks, '2026-01-19', TACOS);
+        TaskMutations.updateTaskStatus(tasks, added[0], 'removed');
+
+        expect(plan.findMealTask(tasks, '2026-01-19')).toBeNull();
+    });
+
+    test('getRecentMealIds lists each meal once, latest planned first', () => {
+        const tasks = [];
+        plan.assignMeal(tasks, '2026-01-19', SPAGHETTI);
+        plan.assignMeal(tasks, '2026-01-20', TACOS);
+        plan.assignMeal(tasks, '2026-01-26', SPAGHETTI);
+
+        expect(plan.getRecentMealIds(tasks)).toEqual(['spaghetti-bolognese', 'tacos']);
+        expect(plan.getMealId(tasks[0])).toBe('spaghetti-bolognese');
+    });
+});
+
+// ============ Shopping list ============
+
+describe('shopping list', () => {
+    test('collectIngredients gathers the range\'s meals, each ingredient once', () => {
+        const tasks = [];
+        plan.assignMeal(tasks, '2026-01-21', TACOS);
+        plan.assignMeal(tasks, '2026-01-19', SPAGHETTI);
+        plan.assignMeal(tasks, '2026-01-27', TACOS);
+        plan.assignMeal(tasks, '2026-01-20', { id: 'gone', name: 'Not in the catalog' });
+
+        const ingredients = plan.collectIngredients(tasks, [SPAGHETTI, TACOS], ['2026-01-19', '2026-01-20', '2026-01-21']);
+
+        expect(ingredients).toEqual(['1 lb ground beef', '1 box spaghetti', '1 onion', '1 box taco shells']);
+    });
+
+    test('collectIngredients skips removed meals', () => {
+        const tasks = [];
+        const { added } = plan.assignMeal(tasks, '2026-01-19', TACOS);
+        TaskMutations.updateTaskStatus(tasks, added[0], 'removed');
+
+        expect(plan.collectIngredients(tasks, [TACOS], ['2026-01-19'])).toEqual([]);
+    });
+
+    test('mergeShoppingList adds only missing items and keeps checked-off ones', () => {
+        const shopping = [
+            { id: 'a', name: '1 Onion', status: 'done', tags: [] },
+            { id: 'b', name: '1 box spaghetti', status: 'removed', tags: [] }
+        ];
+
+        const added = plan.mergeShoppingList(shopping, ['1 lb ground beef', '1 box spaghetti', '1 onion']);
+
+        expect(added).toHaveLength(2);
+        expect(shopping.map(t => [t.name, t.status])).toEqual([
+            ['1 Onion', 'done'],
+            ['1 box spaghetti', 'removed'],
+            ['1 lb ground beef', 'not-started'],
+            ['1 box spaghetti', 'not-started']
+        ]);
+        expect(plan.mergeShoppingList(shopping, ['1 lb ground beef', '1 onion'])).toEqual([]);
+    });
+});
@@ -0,0 +1,511 @@
+// Meal board UI logic (a week view of a task list, see meal-plan.js)
+
+const MealBoardUI = (function() {
+    const MEALS_URL = '/mealboard/meals.json';
+
+    // State
+    let api = null;
+    let tasks = [];
+    let meals = [];           // Meal catalog from meals.json
+    let weekStart = null;     // Monday of the week shown
+    let pickingDate = null;   // Day the meal picker is open for
+    let activeMealTag = null; // Tag filter in the meal picker (null = all)
+    let saveQueue = Promise.resolve();
+    let pendingSaves = 0;
+
+    // DOM elements (set during init)
+    let boardEl, weekTitleEl, savingIndicator;
+    let mealModal, mealModalTitle, mealTagFilters, mealOptions;
+    let shoppingForm, shoppingFrom, shoppingTo, shoppingStatus;
+
+    /**
+     * Initialize the meal board
+     * @param {string} listName - Name of the task list holding the meals
+     */
+    async function init(listName) {
+        api = createApi(listName, CONFIG.API_BASE_TASKS, getShareToken());
+
+        // Cache DOM elements
+        boardEl = document.getElementById('board');
+        weekTitleEl = document.getElementById('weekTitle');
+        savingIndicator = document.getElementById('savingIndicator');
+        mealModal = document.getElementById('mealModal');
+        mealModalTitle = document.getElementById('mealModalTitle');
+        mealTagFilters = document.getElementById('mealTagFilters');
+        mealOptions = document.getElementById('mealOptions');
+        shoppingForm = document.getElementById('shoppingForm');
+        shoppingFrom = document.getElementById('shoppingFrom');
+        shoppingTo = document.getElementById('shoppingTo');
+        shoppingStatus = document.getElementById('shoppingStatus');
+
+        // Set up page title and the links to the plain task views
+        document.title = `${listName} - Meal Board`;
+        document.getElementById('listNameDisplay').textContent = `(${listName})`;
+        document.getElementById('taskViewLink').href = getTaskViewUrl(listName);
+        document.getElementById('shoppingListLink').href = getTaskViewUrl(getShoppingListName());
+
+        weekStart = getInitialWeek();
+        setShoppingRange();
+        setupEventListeners();
+
+        // Sign-in state (read-only for viewers who may not edit)
+        Auth.init(api);
+
+        meals = await loadMeals();
+
+        // Load the list, then keep it in sync with other users' changes
+        if (await fetchTasks()) {
+            Recents.record('meals', listName, tasks);
+            if (api.offlineCopy()) {
+                // Server unreachable - showing this device's saved copy
+                OfflineMode.enter({
+                    savedAt: api.offlineCopy(),
+                    content: [document.querySelector('.container')],
+                    onReconnect: resumeOnline
+                });
+            } else {
+                DocumentSync.init(api, handleSyncRefresh);
+            }
+        }
+    }
+
+    /**
+     * Reload the list once the server is reachable again (callback for OfflineMode)
+     * @returns {Promise<boolean>} - True if the live list was loaded
+     */
+    async function resumeOnline() {
+        if (!(await fetchTasks()) || api.offlineCopy()) return false;
+        DocumentSync.init(api, handleSyncRefresh);
+        return true;
+    }
+
+    /**
+     * Handle sync refresh from server (callback for DocumentSync)
+     * @param {Array} serverTasks - Server copy of the list
+     */
+    function handleSyncRefresh(serverTasks) {
+        // Our own saves are still in flight - their response brings the server copy
+        if (pendingSaves > 0) return;
+        tasks = serverTasks;
+        renderBoard();
+    }
+
+    /**
+     * Manual refresh (exposed for sync indicator click)
+     */
+    function manualRefresh() {
+        DocumentSync.manualRefresh();
+    }
+
+    /**
+     * Link to a list in the task view, keeping this page's other parameters (e.g., a share token)
+     * @param {string} listName
+     * @returns {string} - URL
+     */
+    function getTaskViewUrl(listName) {
+        const url = new URL('../tasks/', window.location.href);
+        url.search = window.location.search;
+        url.searchParams.set('list', listName);
+        url.searchParams.delete('week');
+        return url.toString();
+    }
+
+    /**
+     * The shopping list kept alongside this list (see meal-plan.js)
+     * @returns {string} - List name
+     */
+    function getShoppingListName() {
+        return `${api.listName}~shopping`;
+    }
+
+    /**
+     * The week in the URL (?week=2026-01-19), or next week
+     * @returns {Date} - Monday of the week
+     */
+    function getInitialWeek() {
+        const fromUrl = MealPlan.parseDateTag(new URLSearchParams(window.location.search).get('week'));
+        if (fromUrl) return MealPlan.getWeekStart(fromUrl);
+        return MealPlan.addDays(MealPlan.getWeekStart(new Date()), 7);
+    }
+
+    /**
+     * Show another week and keep it in the URL (so reloading stays on it)
+     * @param {Date} monday - Monday of the week
+     */
+    function showWeek(monday) {
+        weekStart = monday;
+        const url = new URL(window.location.href);
+        url.searchParams.set('week', MealPlan.toDateTag(weekStart));
+        history.replaceState(null, '', url);
+        setShoppingRange();
+        renderBoard();
+    }
+
+    /**
+     * Default the shopping list range to the week shown (Saturday to Friday)
+     */
+    function setShoppingRange() {
+        const { weekend, weekdays } = MealPlan.getWeekDays(weekStart);
+        shoppingFrom.value = MealPlan.toDateTag(weekend[0]);
+        shoppingTo.value = MealPlan.toDateTag(weekdays[weekdays.length - 1]);
+    }
+
+    /**
+     * Set up all event listeners
+     */
+    function setupEventListeners() {
+        document.getElementById('prevWeekBtn').addEventListener('click', () => showWeek(MealPlan.addDays(weekStart, -7)));
+        document.getElementById('nextWeekBtn').addEventListener('click', () => showWeek(MealPlan.addDays(weekStart, 7)));
+        document.getElementById('thisWeekBtn').addEventListener('click', () => showWeek(MealPlan.getWeekStart(new Date())));
+
+        boardEl.addEventListener('click', handleBoardClick);
+        boardEl.addEventListener('change', handlePrepToggle);
+
+        // Meal picker
+        document.getElementById('cancelMealBtn').addEventListener('click', closeMealPicker);
+        mealModal.addEventListener('click', (e) => {
+            if (e.target === mealModal) closeMealPicker();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && mealModal.classList.contains('visible')) closeMealPicker();
+        });
+        mealTagFilters.addEventListener('click', (e) => {
+            const btn = e.target.closest('.meal-tag-filter');
+            if (!btn) return;
+            activeMealTag = btn.dataset.tag || null;
+            renderMealOptions();
+        });
+        mealOptions.addEventListener('click', handleMealChosen);
+
+        shoppingForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            generateShoppingList();
+        });
+    }
+
+    /**
+     * Load the meal catalog
+     * @returns {Promise<Array>} - Meals (empty if the catalog cannot be loaded)
+     */
+    async function loadMeals() {
+        try {
+            const response = await fetch(MEALS_URL);
+            if (!response.ok) throw new Error(`Server error (${response.status})`);
+            const catalog = await response.json();
+            return Array.isArray(catalog.meals) ? catalog.meals : [];
+        } catch (error) {
+            console.error('Failed to load meals:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Fetch the list (creating it if it does not exist yet)
+     * @returns {Promise<boolean>} - True if the list was loaded
+     */
+    async function fetchTasks() {
+        try {
+            tasks = await api.fetchTasks([]);
+            renderBoard();
+            return true;
+        } catch (error) {
+            if (error.code === 'NOT_FOUND') {
+                // No meals planned yet - start an empty list
+                tasks = [];
+                renderBoard();
+                return createList();
+            }
+            boardEl.innerHTML = `<div class="error">Error loading meals: ${escapeHtml(error.message)}</div>`;
+            return false;
+        }
+    }
+
+    /**
+     * Create the list on the server (empty)
+     * @returns {Promise<boolean>} - True if it was created
+     */
+    async function createList() {
+        try {
+            await api.createDocument([]);
+            return true;
+        } catch (error) {
+            console.error('Failed to create list:', error);
+            boardEl.innerHTML = `<div class="error">${escapeHtml(error.message)}</div>`;
+            return false;
+        }
+    }
+
+    /**
+     * Save a change that has already been applied locally
+     * Same approach as the task list: one ETag-locked batch per change, run in order,
+     * showing the server's copy once the last pending save completes.
+     * @param {Array} operations - Atomic operations ({ op, path, value, id })
+     * @returns {Promise<void>}
+     */
+    function saveOperations(operations) {
+        if (operations.length === 0) return saveQueue;
+        DocumentSync.resetActivity();
+
+        if (api.isMock) {
+            localStorage.setItem(`mockTasks_${api.listName}`, JSON.stringify(tasks));
+            return Promise.resolve();
+        }
+
+        // Snapshot values now; the local tasks keep changing while saves are queued
+        const snapshot = JSON.parse(JSON.stringify(operations));
+        pendingSaves++;
+        savingIndicator.classList.add('visible');
+
+        saveQueue = saveQueue.then(async () => {
+            try {
+                const updatedTasks = await api.batch(snapshot);
+                // Later saves are still queued - keep showing their optimistic changes
+                // (null: queued before the list was loaded, so the local copy is all there is)
+                if (pendingSaves === 1 && updatedTasks) {
+                    tasks = updatedTasks;
+                    renderBoard();
+                }
+            } catch (error) {
+                console.error('Save error:', error);
+                alert('Failed to save: ' + error.message);
+                // Drop the failed optimistic change by reloading the server's copy
+                await fetchTasks();
+            } finally {
+                pendingSaves--;
+                if (pendingSaves === 0) savingIndicator.classList.remove('visible');
+            }
+        });
+        return saveQueue;
+    }
+
+    // ============ RENDER FUNCTIONS ============
+
+    function findMeal(mealId) {
+        return meals.find(meal => meal.id === mealId) || null;
+    }
+
+    /**
+     * Render the week: weekend (with prep tasks) first, then weekdays
+     */
+    function renderBoard() {
+        const { weekend, weekdays } = MealPlan.getWeekDays(weekStart);
+        weekTitleEl.textContent = `Week of ${weekStart.toLocaleDateString(undefined, { month: 'long', day: 'numeric', year: 'numeric' })}`;
+
+        const dateTags = [...weekend, ...weekdays].map(MealPlan.toDateTag);
+        const prepTasks = MealPlan.getPrepTasks(tasks, dateTags);
+        const prepHtml = prepTasks.length === 0
+            ? '<li class="prep-empty">No prep needed this week.</li>'
+            : prepTasks.map(task => `
+                <li class="prep-task ${escapeHtml(task.status)}">
+                    <label>
+                        <input type="checkbox" class="prep-checkbox" data-id="${escapeHtml(task.id)}"${task.status === 'done' ? ' checked' : ''}>
+                        <span>${escapeHtml(task.name)}</span>
+                    </label>
+                </li>
+            `).join('');
+
+        boardEl.innerHTML = `
+            <section class="board-section weekend-section">
+                <h3 class="board-section-title">Weekend prep</h3>
+                <div class="day-grid">${weekend.map(renderDay).join('')}</div>
+                <h4 class="prep-title">Prep tasks</h4>
+                <ul class="prep-tasks">${prepHtml}</ul>
+            </section>
+            <section class="board-section">
+                <h3 class="board-section-title">Weekdays</h3>
+                <div class="day-grid">${weekdays.map(renderDay).join('')}</div>
+            </section>
+        `;
+    }
+
+    /**
+     * Render one day with its meal, or an add button
+     * @param {Date} date
+     * @returns {string} - HTML
+     */
+    function renderDay(date) {
+        const dateTag = MealPlan.toDateTag(date);
+        const mealTask = MealPlan.findMealTask(tasks, dateTag);
+        const isToday = dateTag === MealPlan.toDateTag(new Date());
+
+        let content;
+        if (mealTask) {
+            // Meals no longer in the catalog still show their task name
+            const meal = findMeal(MealPlan.getMealId(mealTask));
+            content = `
+                <div class="day-card-meal">${escapeHtml(meal ? meal.name : mealTask.name)}</div>
+                ${meal && meal.prepTime ? `<div class="day-card-meta">⏱ ${escapeHtml(meal.prepTime)}</div>` : ''}
+                <button class="day-card-btn remove-meal-btn" data-date="${dateTag}" title="Remove meal">✕</button>
+            `;
+        } else {
+            content = `
+                <div class="day-card-empty">---</div>
+                <button class="day-card-btn add-meal-btn" data-date="${dateTag}" title="Choose a meal">+</button>
+            `;
+        }
+
+        return `
+            <div class="day-card${mealTask ? ' has-meal' : ''}${isToday ? ' today' : ''}">
+                <div class="day-card-date">${escapeHtml(MealPlan.formatDay(date))}</div>
+                ${content}
+            </div>
+        `;
+    }
+
+    // ============ MEAL ASSIGNMENT ============
+
+    /**
+     * Add or remove a day's meal
+     */
+    function handleBoardClick(e) {
+        const addBtn = e.target.closest('.add-meal-btn');
+        if (addBtn) {
+            openMealPicker(addBtn.dataset.date);
+            return;
+        }
+
+        const removeBtn = e.target.closest('.remove-meal-btn');
+        if (removeBtn) {
+            const dateTag = removeBtn.dataset.date;
+            const day = MealPlan.formatDay(MealPlan.parseDateTag(dateTag));
+            if (!confirm(`Remove the meal for ${day}? Its prep task is removed too.`)) return;
+            const deleted = MealPlan.removeMeal(tasks, dateTag);
+            renderBoard();
+            saveOperations(MealPlan.changeOperations(tasks, { deleted }));
+        }
+    }
+
+    /**
+     * Check off (or un-check) a prep task
+     */
+    function handlePrepToggle(e) {
+        if (!e.target.classList.contains('prep-checkbox')) return;
+        const taskId = e.target.dataset.id;
+        const status = e.target.checked ? 'done' : 'not-started';
+        if (!TaskMutations.updateTaskStatus(tasks, taskId, status)) return;
+        renderBoard();
+        saveOperations([{ op: 'patch', path: `[id=${taskId}].status`, value: status }]);
+    }
+
+    /**
+     * Open the meal picker for a day
+     * @param {string} dateTag - Day
+     */
+    function openMealPicker(dateTag) {
+        pickingDate = dateTag;
+        activeMealTag = null;
+        mealModalTitle.textContent = `Meal for ${MealPlan.formatDay(MealPlan.parseDateTag(dateTag))}`;
+        renderMealOptions();
+        mealModal.classList.add('visible');
+    }
+
+    function closeMealPicker() {
+        mealModal.classList.remove('visible');
+        pickingDate = null;
+    }
+
+    /**
+     * Render the tag filters and the meals matching the active one (recently planned first)
+     */
+    function renderMealOptions() {
+        const tags = [...new Set(meals.flatMap(meal => meal.tags || []))].sort();
+        mealTagFilters.innerHTML = [
+            `<button class="meal-tag-filter${activeMealTag ? '' : ' active'}" data-tag="">All</button>`,
+            ...tags.map(tag => `<button class="meal-tag-filter${tag === activeMealTag ? ' active' : ''}" data-tag="${escapeHtml(tag)}">${escapeHtml(tag)}</button>`)
+        ].join('');
+
+        const recentIds = MealPlan.getRecentMealIds(tasks);
+        const rank = (meal) => (recentIds.includes(meal.id) ? recentIds.indexOf(meal.id) : recentIds.length);
+        const options = meals
+            .filter(meal => !activeMealTag || (meal.tags || []).includes(activeMealTag))
+            .sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name));
+
+        if (options.length === 0) {
+            mealOptions.innerHTML = `<li class="meal-options-empty">${meals.length === 0 ? 'No meals in the catalog.' : 'No meals with this tag.'}</li>`;
+            return;
+        }
+        mealOptions.innerHTML = options.map(meal => `
+            <li>
+                <button class="meal-option" data-meal-id="${escapeHtml(meal.id)}">
+                    <span class="meal-option-name">${escapeHtml(meal.name)}</span>
+                    ${recentIds.includes(meal.id) ? '<span class="meal-option-recent">recent</span>' : ''}
+                    <span class="meal-option-meta">${escapeHtml([meal.prepTime, ...(meal.tags || [])].filter(Boolean).join(' · '))}</span>
+                </button>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Assign the chosen meal to the day being picked for
+     */
+    function handleMealChosen(e) {
+        const option = e.target.closest('.meal-option');
+        if (!option || !pickingDate) return;
+        const meal = findMeal(option.dataset.mealId);
+        if (!meal) return;
+
+        const change = MealPlan.assignMeal(tasks, pickingDate, meal);
+        closeMealPicker();
+        renderBoard();
+        saveOperations(MealPlan.changeOperations(tasks, change));
+    }
+
+    // ============ SHOPPING LIST ============
+
+    /**
+     * Add the ingredients of the meals in the chosen range to the shopping list
+     * Items already on the list are left alone, so checked-off ones stay checked.
+     */
+    async function generateShoppingList() {
+        const from = MealPlan.parseDateTag(shoppingFrom.value);
+        const to = MealPlan.parseDateTag(shoppingTo.value);
+        if (!from || !to || from > to) {
+            shoppingStatus.textContent = 'Choose a start date on or before the end date.';
+            return;
+        }
+
+        const dateTags = [];
+        for (let date = from; date <= to; date = MealPlan.addDays(date, 1)) {
+            dateTags.push(MealPlan.toDateTag(date));
+        }
+        const ingredients = MealPlan.collectIngredients(tasks, meals, dateTags);
+        if (ingredients.length === 0) {
+            shoppingStatus.textContent = 'No meals with ingredients in this range.';
+            return;
+        }
+
+        const shoppingApi = createApi(getShoppingListName(), CONFIG.API_BASE_TASKS, getShareToken());
+        const generateBtn = document.getElementById('generateShoppingBtn');
+        generateBtn.disabled = true;
+        shoppingStatus.textContent = 'Updating shopping list...';
+        try {
+            let shoppingTasks;
+            let exists = true;
+            try {
+                shoppingTasks = await shoppingApi.fetchTasks([]);
+            } catch (error) {
+                if (error.code !== 'NOT_FOUND') throw error;
+                shoppingTasks = [];
+                exists = false;
+            }
+
+            const added = MealPlan.mergeShoppingList(shoppingTasks, ingredients);
+            if (!exists) {
+                await shoppingApi.createDocument(shoppingTasks);
+            } else if (added.length > 0) {
+                await shoppingApi.batch(MealPlan.changeOperations(shoppingTasks, { added }));
+            }
+            shoppingStatus.textContent = added.length === 0
+                ? 'Everything is already on the shopping list.'
+                : `Added ${added.length} item${added.length === 1 ? '' : 's'} to the shopping list.`;
+        } catch (error) {
+            console.error('Failed to update shopping list:', error);
+            shoppingStatus.textContent = `Failed to update shopping list: ${error.message}`;
+        } finally {
+            generateBtn.disabled = false;
+        }
+    }
+
+    // Public API
+    return { init, manualRefresh };
+})();
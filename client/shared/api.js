@@ -1,14 +1,75 @@
 // Shared API utilities
 
+// How often queued (offline) operations are retried, and conflict retries per attempt
+const REPLAY_INTERVAL = 30000;
+const REPLAY_RETRIES = 3;
+
+/**
+ * List the documents (lists or sessions) stored under an API base URL, a page at a time
+ * @param {string} baseUrl - API base URL (e.g., CONFIG.API_BASE_TASKS)
+ * @param {Object} options
+ * @param {string} options.prefix - Only names starting with this
+ * @param {string} options.cursor - nextCursor from the previous page
+ * @param {number} options.limit - Page size (server default 50)
+ * @returns {Promise<{items: Array<{name: string, size: number, lastModified: string, title?: string}>, nextCursor: string|null}>}
+ *   (nothing in mock mode)
+ */
+async function listDocuments(baseUrl, { prefix = '', cursor = '', limit } = {}) {
+    if (baseUrl === 'mock') return { items: [], nextCursor: null };
+
+    const params = new URLSearchParams();
+    if (prefix) params.set('prefix', prefix);
+    if (cursor) params.set('cursor', cursor);
+    if (limit) params.set('limit', String(limit));
+    const query = params.toString();
+
+    const response = await fetch(query ? `${baseUrl}?${query}` : baseUrl);
+    if (!response.ok) throw new Error('Failed to load lists');
+    return response.json();
+}
+
 /**
  * Create API helper for a specific list/session
+ * Writes that cannot reach the server are queued (see offline-queue.js) and replayed later.
  * @param {string} listName - Name of the list or session
  * @param {string} baseUrl - API base URL (e.g., CONFIG.API_BASE_TASKS)
+ * @param {string|null} shareToken - Token from a share link (see getShareToken), sent with every request
  * @returns {Object} - API methods
  */
-function createApi(listName, baseUrl) {
+function createApi(listName, baseUrl, shareToken = null) {
     const isMock = baseUrl === 'mock';
 
+    // Last fetched version of the document, so unchanged refetches can use If-None-Match
+    let cachedEtag = null;
+    let cachedContent = null;
+
+    // Latest server copy (from a fetch or a write), the base for changes made offline
+    let lastDocument = null;
+
+    // When the last fetch was answered by the service worker's saved copy (offline), its save time
+    let offlineCopySavedAt = null;
+
+    // Operations waiting to be sent (none in mock mode - localStorage is always there)
+    const queue = isMock ? null : OfflineQueue.create(`${baseUrl}/${listName}`);
+    const pendingListeners = [];
+    const droppedListeners = [];
+    let replaying = false;
+    // Why queued operations cannot be sent right now (401/403 on replay), null if they can
+    let blockedReason = null;
+    let replayTimer = null;
+
+    if (queue) {
+        queue.ready.then(() => {
+            if (queue.entries().length > 0) {
+                notifyPending();
+                replayQueue();
+            }
+        });
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', () => replayQueue());
+        }
+    }
+
     return {
         isMock,
         listName,
@@ -19,12 +80,37 @@ function createApi(listName, baseUrl) {
          * @returns {Promise<Array>} - Tasks array
          */
         async fetchTasks(mockDefault = []) {
+            const { data } = await this.fetchDocument(mockDefault);
+            if (queue) await queue.refresh();
+            return this.applyPendingOperations(data);
+        },
+
+        /**
+         * Fetch the document with the change feed position it reflects
+         * Sends the last ETag (If-None-Match); on 304 the cached copy is returned.
+         * @param {*} mockDefault - Default data for mock mode
+         * @returns {Promise<{data: *, seq: number|null, unchanged: boolean, etag: string|null}>} - seq is
+         *   null if the server did not report one; unchanged means the same as the previous fetch (skip
+         *   re-rendering); etag identifies the version (null in mock mode)
+         */
+        async fetchDocument(mockDefault = []) {
             if (isMock) {
                 const saved = localStorage.getItem(`mockTasks_${listName}`);
-                return saved ? JSON.parse(saved) : mockDefault;
+                const unchanged = saved !== null && saved === cachedContent;
+                cachedContent = saved;
+                return { data: saved ? JSON.parse(saved) : mockDefault, seq: null, unchanged, etag: null };
             }
 
-            const response = await fetch(`${baseUrl}/${listName}`);
+            const response = await fetchWithToken(`${baseUrl}/${listName}`, {
+                headers: cachedEtag ? { 'If-None-Match': cachedEtag } : {}
+            });
+            const seq = parseInt(response.headers.get('X-Op-Seq'), 10);
+            offlineCopySavedAt = response.headers.get('X-Offline-Copy');
+
+            if (response.status === 304) {
+                lastDocument = cachedContent;
+                return { data: JSON.parse(cachedContent), seq: isNaN(seq) ? null : seq, unchanged: true, etag: cachedEtag };
+            }
 
             if (response.status === 404) {
                 const err = new Error('List not found');
@@ -41,156 +127,351 @@ function createApi(listName, baseUrl) {
                 } catch (e) { /* ignore parse errors */ }
                 throw new Error(message);
             }
-            return response.json();
+            const content = await response.text();
+            cachedEtag = response.headers.get('ETag');
+            cachedContent = content;
+            lastDocument = content;
+            return { data: JSON.parse(content), seq: isNaN(seq) ? null : seq, unchanged: false, etag: cachedEtag };
         },
 
         /**
-         * Save tasks using GET-modify-PUT pattern
-         * @param {Function} mutate - Function that mutates the tasks array
-         * @returns {Promise<Array>} - Updated tasks array
+         * Whether the last fetch returned this device's saved copy because the server was unreachable
+         * (served by the service worker, see sw.js); pages show such a copy read-only
+         * @returns {string|null} - When the copy was saved (ISO string), or null for a live copy
          */
-        async saveTasks(mutate) {
-            if (isMock) {
-                // For mock, we just get current, mutate, and save
-                const current = JSON.parse(localStorage.getItem(`mockTasks_${listName}`) || '[]');
-                if (mutate) mutate(current);
-                localStorage.setItem(`mockTasks_${listName}`, JSON.stringify(current));
-                return current;
-            }
+        offlineCopy() {
+            return offlineCopySavedAt;
+        },
 
-            // 1. GET latest server data
-            const getResponse = await fetch(`${baseUrl}/${listName}`);
-            if (!getResponse.ok) throw new Error('Failed to fetch latest tasks');
-            const serverTasks = await getResponse.json();
+        /**
+         * Fetch operations applied to the document since a change feed position
+         * @param {number} since - Last seq seen (from fetchDocument or a previous call)
+         * @returns {Promise<{seq: number, operations: Array, reset: boolean}>} - reset means
+         *   the changes are not available (always in mock mode); fetch the document instead
+         */
+        async fetchChanges(since) {
+            if (isMock) return { seq: 0, operations: [], reset: true };
 
-            // 2. Apply the mutation to server data
-            if (mutate) mutate(serverTasks);
+            const response = await fetchWithToken(`${baseUrl}/${listName}?since=${since}`);
+            if (!response.ok) throw new Error('Failed to fetch changes');
+            return response.json();
+        },
 
-            // 3. PUT the merged result
-            const putResponse = await fetch(`${baseUrl}/${listName}`, {
+        /**
+         * URL of the document's Server-Sent Events change stream (for EventSource)
+         * @param {number} since - Last seq seen; EventSource sends Last-Event-ID on reconnects
+         * @returns {string|null} - null in mock mode (no server to stream from)
+         */
+        eventsUrl(since) {
+            if (isMock) return null;
+            // EventSource cannot send headers, so the share token goes in the query
+            const token = shareToken ? `&token=${encodeURIComponent(shareToken)}` : '';
+            return `${baseUrl}/${listName}?events&since=${since}${token}`;
+        },
+
+        /**
+         * Create the document (a PUT of its whole content, e.g., a new list)
+         * @param {*} data - Initial content
+         * @param {Object} options
+         * @param {boolean} options.onlyIfNew - Never replace an existing document (If-None-Match: *);
+         *   throws an error with code 'EXISTS' if another user created it first
+         * @returns {Promise<void>}
+         */
+        async createDocument(data, { onlyIfNew = false } = {}) {
+            if (isMock) {
+                localStorage.setItem(`mockTasks_${listName}`, JSON.stringify(data));
+                return;
+            }
+            const headers = { 'Content-Type': 'application/json' };
+            if (onlyIfNew) headers['If-None-Match'] = '*';
+            const response = await fetchWithToken(`${baseUrl}/${listName}`, {
                 method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(serverTasks)
+                headers,
+                body: JSON.stringify(data)
             });
-            if (!putResponse.ok) throw new Error('Failed to save');
+            if (onlyIfNew && response.status === 412) {
+                const err = new Error('List already exists');
+                err.code = 'EXISTS';
+                throw err;
+            }
+            if (!response.ok) throw new Error(await readError(response, `Failed to create list (${response.status})`));
+            lastDocument = JSON.stringify(data);
+        },
 
-            return serverTasks;
+        /**
+         * Replace the document, but only the version that was read (If-Match)
+         * @param {*} data - New content
+         * @param {string|null} etag - ETag of the version it replaces (from fetchDocument)
+         * @returns {Promise<boolean>} - False if the document changed since (nothing is written)
+         */
+        async replaceDocument(data, etag) {
+            if (isMock) {
+                localStorage.setItem(`mockTasks_${listName}`, JSON.stringify(data));
+                return true;
+            }
+            const response = await fetchWithToken(`${baseUrl}/${listName}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json', 'If-Match': etag },
+                body: JSON.stringify(data)
+            });
+            if (response.status === 412) return false;
+            if (!response.ok) throw new Error(await readError(response, `Failed to save list (${response.status})`));
+            lastDocument = JSON.stringify(data);
+            return true;
         },
 
         /**
          * Atomically append an item to an array at a given path
          * Uses ETag-based optimistic locking with automatic retry on conflict
+         * Queued for later (see sendOperations) if it cannot be sent now.
          * @param {string} path - Dot-separated path to array (e.g., 'weeks.0.event.comments')
          * @param {*} value - Value to append
          * @param {number} maxRetries - Maximum retry attempts on conflict
-         * @returns {Promise<Object>} - Full document after update
+         * @returns {Promise<Object|null>} - Full document after update (null if it was queued before
+         *   this page fetched or created the document, see queueOperations)
          */
         async appendItem(path, value, maxRetries = 3) {
             if (isMock) {
                 // For mock, simulate atomic append
-                const current = JSON.parse(localStorage.getItem(`mockTasks_${listName}`) || '{}');
-                const target = path.split('.').reduce((obj, key) => {
-                    return /^\d+$/.test(key) ? obj[parseInt(key)] : obj[key];
-                }, current);
-                if (Array.isArray(target)) {
-                    target.push(value);
-                }
-                localStorage.setItem(`mockTasks_${listName}`, JSON.stringify(current));
-                return current;
-            }
-
-            for (let i = 0; i < maxRetries; i++) {
-                const response = await fetch(`${baseUrl}/${listName}`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ path, value })
-                });
-
-                if (response.status === 409) {
-                    // Conflict - wait with exponential backoff and retry
-                    await new Promise(r => setTimeout(r, 100 * (i + 1)));
-                    continue;
-                }
-
-                if (!response.ok) throw new Error('Failed to append item');
-                const result = await response.json();
-                return result.data; // Full document for sync
+                return applyMockOperations([{ op: 'append', path, value }]);
             }
-            throw new Error('Max retries exceeded');
+            return sendOperations([{ op: 'append', path, value }], {
+                method: 'POST',
+                body: { path, value },
+                errorMessage: 'Failed to append item'
+            }, maxRetries);
         },
 
         /**
          * Atomically delete an item from an array at a given path by id
          * Uses ETag-based optimistic locking with automatic retry on conflict
+         * Queued for later (see sendOperations) if it cannot be sent now.
          * @param {string} path - Dot-separated path to array (e.g., 'resources')
          * @param {string} id - ID of item to delete
          * @param {number} maxRetries - Maximum retry attempts on conflict
-         * @returns {Promise<Object>} - Full document after update
+         * @returns {Promise<Object|null>} - Full document after update (null if it was queued before
+         *   this page fetched or created the document, see queueOperations)
          */
         async deleteItem(path, id, maxRetries = 3) {
             if (isMock) {
                 // For mock, simulate atomic delete
-                const current = JSON.parse(localStorage.getItem(`mockTasks_${listName}`) || '{}');
-                const target = path.split('.').reduce((obj, key) => {
-                    return /^\d+$/.test(key) ? obj[parseInt(key)] : obj[key];
-                }, current);
-                if (Array.isArray(target)) {
-                    const index = target.findIndex(item => item.id === id);
-                    if (index !== -1) target.splice(index, 1);
-                }
-                localStorage.setItem(`mockTasks_${listName}`, JSON.stringify(current));
-                return current;
+                return applyMockOperations([{ op: 'delete', path, id }]);
             }
-
-            for (let i = 0; i < maxRetries; i++) {
-                const response = await fetch(`${baseUrl}/${listName}`, {
-                    method: 'DELETE',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ path, id })
-                });
-
-                if (response.status === 409) {
-                    // Conflict - wait with exponential backoff and retry
-                    await new Promise(r => setTimeout(r, 100 * (i + 1)));
-                    continue;
-                }
-
-                if (!response.ok) throw new Error('Failed to delete item');
-                const result = await response.json();
-                return result.data; // Full document for sync
-            }
-            throw new Error('Max retries exceeded');
+            return sendOperations([{ op: 'delete', path, id }], {
+                method: 'DELETE',
+                body: { path, id },
+                errorMessage: 'Failed to delete item'
+            }, maxRetries);
         },
 
         /**
          * Atomically update a single field at a given path
          * Uses ETag-based optimistic locking with automatic retry on conflict
+         * Queued for later (see sendOperations) if it cannot be sent now.
          * @param {string} path - Dot-separated path to field (e.g., 'weeks.0.event.text')
          * @param {*} value - New value to set
          * @param {number} maxRetries - Maximum retry attempts on conflict
-         * @returns {Promise<Object>} - Full document after update
+         * @returns {Promise<Object|null>} - Full document after update (null if it was queued before
+         *   this page fetched or created the document, see queueOperations)
          */
         async patchItem(path, value, maxRetries = 3) {
             if (isMock) {
                 // For mock, simulate atomic patch
-                const current = JSON.parse(localStorage.getItem(`mockTasks_${listName}`) || '{}');
-                const pathParts = path.split('.');
-                const fieldName = pathParts.pop();
-                let parent = current;
-                for (const part of pathParts) {
-                    parent = /^\d+$/.test(part) ? parent[parseInt(part)] : parent[part];
-                }
-                const key = /^\d+$/.test(fieldName) ? parseInt(fieldName) : fieldName;
-                parent[key] = value;
-                localStorage.setItem(`mockTasks_${listName}`, JSON.stringify(current));
-                return current;
+                return applyMockOperations([{ op: 'patch', path, value }]);
+            }
+            return sendOperations([{ op: 'patch', path, value }], {
+                method: 'PATCH',
+                body: { path, value },
+                errorMessage: 'Failed to patch item'
+            }, maxRetries);
+        },
+
+        /**
+         * Atomically apply several operations in order (all-or-nothing)
+         * The server applies them to one read of the document and writes once,
+         * so a failure part-way leaves the document unchanged.
+         * Uses ETag-based optimistic locking with automatic retry on conflict
+         * Queued for later (see sendOperations) if it cannot be sent now.
+         * @param {Array} operations - e.g., [{ op: 'patch', path, value }, { op: 'append', path, value }, { op: 'delete', path, id }]
+         * @param {number} maxRetries - Maximum retry attempts on conflict
+         * @returns {Promise<Object|null>} - Full document after update (null if it was queued before
+         *   this page fetched or created the document, see queueOperations)
+         */
+        async batch(operations, maxRetries = 3) {
+            if (isMock) {
+                return applyMockOperations(operations);
             }
+            return sendOperations(operations, {
+                method: 'POST',
+                body: { operations },
+                errorMessage: 'Failed to apply batch'
+            }, maxRetries);
+        },
+
+        /**
+         * Number of queued operations not yet sent to the server
+         * @returns {number}
+         */
+        pendingCount() {
+            if (!queue) return 0;
+            return queue.entries().reduce((count, entry) => count + entry.operations.length, 0);
+        },
+
+        /**
+         * Apply queued operations on top of a server copy of the document,
+         * so refreshes keep showing changes that have not been sent yet
+         * @param {*} data - Document from the server (modified in place)
+         * @returns {*} - The same document
+         */
+        applyPendingOperations(data) {
+            if (queue && data !== null && data !== undefined) {
+                queue.entries().forEach(entry => applyOperations(data, entry.operations));
+            }
+            return data;
+        },
+
+        /**
+         * Listen for changes to the number of queued operations
+         * @param {Function} listener - (pendingCount, blockedReason) => void, where blockedReason
+         *   is why they cannot be sent (e.g., 'Login required'), or null
+         */
+        onPendingChange(listener) {
+            pendingListeners.push(listener);
+        },
+
+        /**
+         * Listen for queued operations the server rejected; they are gone, so pages should
+         * tell the user and show the server's copy again
+         * @param {Function} listener - (operations, error) => void
+         */
+        onDropped(listener) {
+            droppedListeners.push(listener);
+        },
+
+        /**
+         * Send queued operations now (also happens when the browser comes back online)
+         * @returns {Promise<void>}
+         */
+        replayPending() {
+            return replayQueue();
+        },
+
+        /**
+         * Fetch who may edit the document and whether the signed-in user can
+         * @returns {Promise<{user: Object|null, owner: Object|null, editors: Array, canWrite: boolean, isOwner: boolean}>}
+         */
+        async fetchAccess() {
+            if (isMock) return { user: null, owner: null, editors: [], canWrite: true, isOwner: false };
+
+            const response = await fetchWithToken(`${baseUrl}/${listName}?access`);
+            if (!response.ok) throw new Error('Failed to load access');
+            return response.json();
+        },
+
+        /**
+         * Replace the document's editors (owner only; the owner always stays an editor)
+         * @param {Array<{identityProvider: string, userDetails: string}>} editors - Login names
+         * @returns {Promise<Array>} - Editors as stored
+         */
+        async updateEditors(editors) {
+            if (isMock) throw new Error('Editors are not available in mock mode');
+
+            const response = await fetchWithToken(`${baseUrl}/${listName}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ editors })
+            });
+            if (!response.ok) throw new Error(await readError(response, 'Failed to update editors'));
+            const result = await response.json();
+            return result.editors;
+        },
+
+        /**
+         * List the document's share links (owner only)
+         * @returns {Promise<Array<{id: string, role: string, createdAt: string, expiresAt: string|null, token: string}>>}
+         */
+        async listShares() {
+            if (isMock) return [];
+
+            const response = await fetchWithToken(`${baseUrl}/${listName}?shares`);
+            if (!response.ok) throw new Error(await readError(response, 'Failed to load share links'));
+            const result = await response.json();
+            return result.shares;
+        },
+
+        /**
+         * Create a share link (owner only)
+         * @param {string} role - 'viewer' or 'editor'
+         * @param {string|null} expiresAt - ISO date the link stops working, or null for never
+         * @returns {Promise<Object>} - The link ({ id, role, createdAt, expiresAt, token })
+         */
+        async createShare(role, expiresAt = null) {
+            if (isMock) throw new Error('Share links are not available in mock mode');
+
+            const response = await fetchWithToken(`${baseUrl}/${listName}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ share: { role, expiresAt } })
+            });
+            if (!response.ok) throw new Error(await readError(response, 'Failed to create share link'));
+            const result = await response.json();
+            return result.share;
+        },
+
+        /**
+         * Revoke a share link (owner only); its token stops working straight away
+         * @param {string} shareId - Link id from listShares
+         * @returns {Promise<void>}
+         */
+        async revokeShare(shareId) {
+            if (isMock) throw new Error('Share links are not available in mock mode');
+
+            const response = await fetchWithToken(`${baseUrl}/${listName}?share=${encodeURIComponent(shareId)}`, {
+                method: 'DELETE'
+            });
+            if (!response.ok) throw new Error(await readError(response, 'Failed to revoke share link'));
+        },
+
+        /**
+         * List stored versions of the document, newest first
+         * @returns {Promise<Array<{id: string, timestamp: string, type: string}>>} - Versions (empty in mock mode)
+         */
+        async listVersions() {
+            if (isMock) return [];
+
+            const response = await fetchWithToken(`${baseUrl}/${listName}?versions`);
+            if (!response.ok) throw new Error('Failed to load history');
+            const result = await response.json();
+            return result.versions;
+        },
+
+        /**
+         * Fetch a stored version of the document
+         * @param {string} versionId - Version ID from listVersions
+         * @returns {Promise<{id: string, timestamp: string, operation: Object, data: *}>}
+         */
+        async getVersion(versionId) {
+            if (isMock) throw new Error('History is not available in mock mode');
+
+            const response = await fetchWithToken(`${baseUrl}/${listName}?version=${encodeURIComponent(versionId)}`);
+            if (!response.ok) throw new Error('Failed to load version');
+            return response.json();
+        },
+
+        /**
+         * Restore the document to a stored version (recorded as a new version)
+         * @param {string} versionId - Version ID from listVersions
+         * @param {number} maxRetries - Maximum retry attempts on conflict
+         * @returns {Promise<*>} - Full document after restore
+         */
+        async restoreVersion(versionId, maxRetries = 3) {
+            if (isMock) throw new Error('History is not available in mock mode');
 
             for (let i = 0; i < maxRetries; i++) {
-                const response = await fetch(`${baseUrl}/${listName}`, {
-                    method: 'PATCH',
+                const response = await fetchWithToken(`${baseUrl}/${listName}`, {
+                    method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ path, value })
+                    body: JSON.stringify({ restore: versionId })
                 });
 
                 if (response.status === 409) {
@@ -199,11 +480,256 @@ function createApi(listName, baseUrl) {
                     continue;
                 }
 
-                if (!response.ok) throw new Error('Failed to patch item');
+                if (!response.ok) throw new Error('Failed to restore version');
                 const result = await response.json();
                 return result.data; // Full document for sync
             }
             throw new Error('Max retries exceeded');
         }
     };
+
+    /**
+     * fetch() that adds the share token (X-Share-Token) when the page was opened from a share link
+     */
+    function fetchWithToken(url, options = {}) {
+        if (!shareToken) return fetch(url, options);
+        return fetch(url, { ...options, headers: { ...options.headers, 'X-Share-Token': shareToken } });
+    }
+
+    /**
+     * Read the server's error message from a failed response
+     * @param {Response} response - Failed response
+     * @param {string} fallback - Message if the body has none
+     * @returns {Promise<string>}
+     */
+    async function readError(response, fallback) {
+        try {
+            const body = await response.json();
+            if (body.error) return describeError(body);
+        } catch (e) { /* ignore parse errors */ }
+        return fallback;
+    }
+
+    /**
+     * Server error message, with the schema violations of a 422 response
+     * @param {Object} body - { error, violations }
+     * @returns {string} - e.g., 'Invalid document: [id=a].status must be one of: ...'
+     */
+    function describeError(body) {
+        if (!Array.isArray(body.violations) || body.violations.length === 0) return body.error;
+        return `${body.error}: ${formatViolations(body.violations)}`;
+    }
+
+    /**
+     * Send operations to the server, or queue them if that is not possible right now
+     * Queues when the network is unreachable or conflicts persist after every retry,
+     * and returns the last server copy with all queued operations applied (optimistic).
+     * Operations are queued straight away while earlier ones are still waiting, to keep order.
+     * Other errors (e.g., invalid path) are thrown as before.
+     * @param {Array} operations - Operations being sent
+     * @param {Object} request - { method, body, errorMessage } for the endpoint used
+     * @param {number} maxRetries - Maximum retry attempts on conflict
+     * @returns {Promise<Object|null>} - Full document after update (null: see queueOperations)
+     */
+    async function sendOperations(operations, request, maxRetries) {
+        // Queued entries (from any tab) go first
+        await queue.refresh();
+        if (queue.entries().length > 0) {
+            return queueOperations(operations);
+        }
+
+        for (let i = 0; i < maxRetries; i++) {
+            let response;
+            try {
+                response = await fetchWithToken(`${baseUrl}/${listName}`, {
+                    method: request.method,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(request.body)
+                });
+            } catch (error) {
+                // Network unreachable
+                return queueOperations(operations);
+            }
+
+            if (response.status === 409) {
+                // Conflict - wait with exponential backoff and retry
+                await new Promise(r => setTimeout(r, 100 * (i + 1)));
+                continue;
+            }
+
+            if (!response.ok) {
+                let message = request.errorMessage;
+                let violations = null;
+                try {
+                    const body = await response.json();
+                    if (body.error) {
+                        message = typeof body.index === 'number'
+                            ? `${message}: ${body.error} (operation ${body.index})`
+                            : `${message}: ${describeError(body)}`;
+                    }
+                    violations = body.violations || null;
+                } catch (e) { /* ignore parse errors */ }
+                const error = new Error(message);
+                // 422: the change would break the document's schema
+                if (violations) error.violations = violations;
+                throw error;
+            }
+            const result = await response.json();
+            lastDocument = JSON.stringify(result.data);
+            return result.data; // Full document for sync
+        }
+        return queueOperations(operations);
+    }
+
+    /**
+     * Queue operations for replay and return the document as it will look once sent
+     * The base is the last copy fetched or written by this page; with none, there is nothing to
+     * apply them to, so callers keep their own optimistic copy.
+     * @param {Array} operations - Operations to queue
+     * @returns {Promise<Object|null>} - Optimistic document (null if none was ever fetched or created)
+     */
+    async function queueOperations(operations) {
+        await queue.add(operations);
+        notifyPending();
+        scheduleReplay();
+        if (lastDocument === null) return null;
+        const data = JSON.parse(lastDocument);
+        queue.entries().forEach(entry => applyOperations(data, entry.operations));
+        return data;
+    }
+
+    /**
+     * Try the queue again later
+     */
+    function scheduleReplay() {
+        if (replayTimer) return;
+        replayTimer = setTimeout(() => {
+            replayTimer = null;
+            replayQueue();
+        }, REPLAY_INTERVAL);
+    }
+
+    /**
+     * Send queued operations in order until the queue is empty or the server is unreachable
+     */
+    async function replayQueue() {
+        if (replaying || !queue) return;
+        replaying = true;
+        clearTimeout(replayTimer);
+        replayTimer = null;
+
+        try {
+            // One tab replays a document's queue at a time; if another one is, check again later
+            const replayed = await queue.exclusive(async () => {
+                await queue.refresh();
+                while (queue.entries().length > 0) {
+                    if (!(await replayEntry(queue.entries()[0]))) {
+                        scheduleReplay();
+                        break;
+                    }
+                }
+            });
+            if (!replayed) {
+                await queue.refresh();
+                if (queue.entries().length > 0) scheduleReplay();
+            }
+        } finally {
+            replaying = false;
+            notifyPending();
+        }
+    }
+
+    /**
+     * Send the oldest queued entry as one batch
+     * 409: retried with backoff, then left queued.
+     * 401/403: no access right now (signed out, or no longer an editor) - left queued
+     * until access returns.
+     * Other 4xx with an index: that operation can never apply - it is dropped and the rest
+     * are sent again.
+     * 404 without an index: the document is gone, so the entry is dropped.
+     * Other 4xx without an index (e.g., 422 schema violations): the failing operation is not
+     * known, so a batch is split into one entry per operation and only those that still
+     * fail on their own are dropped.
+     * Dropped operations are reported to onDropped listeners.
+     * @param {Object} entry - { operations }
+     * @returns {Promise<boolean>} - True if the entry left the queue (sent, dropped or split);
+     *   false if it should be tried again later
+     */
+    async function replayEntry(entry) {
+        for (let i = 0; i < REPLAY_RETRIES; i++) {
+            let response;
+            try {
+                response = await fetchWithToken(`${baseUrl}/${listName}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ operations: entry.operations })
+                });
+            } catch (error) {
+                return false;
+            }
+
+            if (response.status === 409) {
+                await new Promise(r => setTimeout(r, 100 * (i + 1)));
+                continue;
+            }
+
+            if (response.ok) {
+                const result = await response.json();
+                lastDocument = JSON.stringify(result.data);
+                blockedReason = null;
+                await queue.shift();
+                notifyPending();
+                return true;
+            }
+
+            if (response.status >= 500) return false;
+
+            let body = {};
+            try {
+                body = await response.json();
+            } catch (e) { /* ignore parse errors */ }
+            const error = describeError(body) || `Server error (${response.status})`;
+
+            if (response.status === 401 || response.status === 403) {
+                blockedReason = error;
+                notifyPending();
+                return false;
+            }
+
+            let dropped = entry.operations;
+            if (typeof body.index === 'number' && entry.operations.length > 1) {
+                dropped = [entry.operations[body.index]];
+                await queue.replaceFirst(entry.operations.filter((_, index) => index !== body.index));
+            } else if (response.status !== 404 && entry.operations.length > 1) {
+                await queue.splitFirst();
+                return true;
+            } else {
+                await queue.shift();
+            }
+            notifyPending();
+            droppedListeners.forEach(listener => listener(dropped, error));
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Tell listeners how many operations are waiting
+     */
+    function notifyPending() {
+        const count = queue.entries().reduce((total, entry) => total + entry.operations.length, 0);
+        pendingListeners.forEach(listener => listener(count, count > 0 ? blockedReason : null));
+    }
+
+    /**
+     * Apply operations to the mock document in localStorage
+     * @param {Array} operations - [{ op: 'append'|'delete'|'patch', path, value, id }]
+     * @returns {Object} - Full document after update
+     */
+    function applyMockOperations(operations) {
+        const current = JSON.parse(localStorage.getItem(`mockTasks_${listName}`) || '{}');
+        applyOperations(current, operations);
+        localStorage.setItem(`mockTasks_${listName}`, JSON.stringify(current));
+        return current;
+    }
 }
@@ -0,0 +1,533 @@
+/**
+ * Tests for createApi(): conditional requests (ETag / If-None-Match), the offline
+ * queue for writes, and access (editors and share links); and listDocuments().
+ *
+ * api.js is browser script code, so we eval it (with utils.js for applyOperations
+ * and offline-queue.js, which keeps entries in memory without IndexedDB) to get
+ * createApi in scope, with fetch replaced by a mock server.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+eval(fs.readFileSync(path.join(__dirname, 'utils.js'), 'utf-8'));
+eval(fs.readFileSync(path.join(__dirname, 'offline-queue.js'), 'utf-8')
+    .replace('const OfflineQueue = (function()', 'global.OfflineQueue = (function()'));
+eval(fs.readFileSync(path.join(__dirname, 'api.js'), 'utf-8'));
+
+/**
+ * Create a mock fetch Response
+ */
+function createResponse(status, body = '', headers = {}) {
+    return {
+        status,
+        ok: status >= 200 && status < 300,
+        headers: { get: (name) => headers[name] ?? null },
+        text: async () => body,
+        json: async () => JSON.parse(body)
+    };
+}
+
+let requests;
+
+beforeEach(() => {
+    requests = [];
+});
+
+afterEach(() => {
+    delete global.fetch;
+});
+
+/**
+ * Mock fetch with a server whose document is { title } at the given etag
+ */
+function mockServer(doc) {
+    global.fetch = jest.fn(async (url, options = {}) => {
+        requests.push({ url, headers: options.headers || {} });
+        const headers = { 'ETag': doc.etag, 'X-Op-Seq': String(doc.seq) };
+        if ((options.headers || {})['If-None-Match'] === doc.etag) {
+            return createResponse(304, '', headers);
+        }
+        return createResponse(200, JSON.stringify({ title: doc.title }), headers);
+    });
+}
+
+describe('fetchDocument', () => {
+    test('first fetch sends no validator and returns the document with its seq', async () => {
+        mockServer({ title: 'A', etag: '"v1"', seq: 4 });
+        const api = createApi('game1', '/api/store/swarm');
+
+        const result = await api.fetchDocument();
+
+        expect(requests[0].url).toBe('/api/store/swarm/game1');
+        expect(requests[0].headers).toEqual({});
+        expect(result).toEqual({ data: { title: 'A' }, seq: 4, unchanged: false, etag: '"v1"' });
+    });
+
+    test('refetch sends If-None-Match and reuses the cached copy on 304', async () => {
+        mockServer({ title: 'A', etag: '"v1"', seq: 4 });
+        const api = createApi('game1', '/api/store/swarm');
+
+        const first = await api.fetchDocument();
+        first.data.title = 'Mutated by the page';
+        const second = await api.fetchDocument();
+
+        expect(requests[1].headers).toEqual({ 'If-None-Match': '"v1"' });
+        // A fresh copy, not the object the page already mutated
+        expect(second).toEqual({ data: { title: 'A' }, seq: 4, unchanged: true, etag: '"v1"' });
+    });
+
+    test('returns the new document and remembers its ETag after a change', async () => {
+        const doc = { title: 'A', etag: '"v1"', seq: 4 };
+        mockServer(doc);
+        const api = createApi('game1', '/api/store/swarm');
+
+        await api.fetchDocument();
+        Object.assign(doc, { title: 'B', etag: '"v2"', seq: 5 });
+        const changed = await api.fetchDocument();
+        const again = await api.fetchDocument();
+
+        expect(changed).toEqual({ data: { title: 'B' }, seq: 5, unchanged: false, etag: '"v2"' });
+        expect(requests[2].headers).toEqual({ 'If-None-Match': '"v2"' });
+        expect(again.unchanged).toBe(true);
+    });
+
+    test('fetchTasks still returns just the document', async () => {
+        mockServer({ title: 'A', etag: '"v1"', seq: 1 });
+        const api = createApi('game1', '/api/store/swarm');
+
+        await api.fetchTasks();
+
+        expect(await api.fetchTasks()).toEqual({ title: 'A' });
+    });
+
+    test('throws NOT_FOUND for a missing list', async () => {
+        global.fetch = jest.fn(async () => createResponse(404, '{"error":"List not found"}'));
+        const api = createApi('missing', '/api/store/tasks');
+
+        await expect(api.fetchDocument()).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    });
+});
+
+describe('offline queue', () => {
+    const tasks = [{ id: 'a', name: 'Milk', status: 'not-started' }];
+    let online;
+    let writes;
+    let respond;
+
+    /**
+     * Mock fetch with a task list server; writes get respond(body) or 200 with the document
+     */
+    function mockTaskServer() {
+        online = true;
+        writes = [];
+        respond = null;
+        global.fetch = jest.fn(async (url, options = {}) => {
+            if (!online) throw new TypeError('Failed to fetch');
+            if (!options.method) {
+                return createResponse(200, JSON.stringify(tasks), { 'ETag': '"v1"', 'X-Op-Seq': '1' });
+            }
+            const body = JSON.parse(options.body);
+            writes.push({ method: options.method, body });
+            if (options.method === 'PUT') return createResponse(201, JSON.stringify({ success: true }));
+            if (respond) {
+                const [status, result] = respond(body);
+                if (status !== 200) return createResponse(status, JSON.stringify(result));
+            }
+            const data = JSON.parse(JSON.stringify(tasks));
+            applyOperations(data, body.operations || [{ op: 'patch', ...body }]);
+            return createResponse(200, JSON.stringify({ success: true, data }));
+        });
+    }
+
+    test('queues writes while offline and returns the document with them applied', async () => {
+        mockTaskServer();
+        const api = createApi('grocery', '/api/store/tasks');
+        const counts = [];
+        api.onPendingChange(count => counts.push(count));
+        await api.fetchTasks();
+
+        online = false;
+        const result = await api.patchItem('[id=a].status', 'done');
+
+        expect(result).toEqual([{ id: 'a', name: 'Milk', status: 'done' }]);
+        expect(api.pendingCount()).toBe(1);
+        expect(counts).toEqual([1]);
+
+        online = true;
+        await api.replayPending();
+    });
+
+    test('queues writes onto a document this page created, and returns null with no copy at all', async () => {
+        mockTaskServer();
+        const archive = createApi('grocery~archive', '/api/store/tasks');
+        await archive.createDocument([{ id: 'x', name: 'Bread', status: 'done' }]);
+        const views = createApi('grocery~views', '/api/store/tasks');
+
+        online = false;
+        const archived = await archive.appendItem('', { id: 'y', name: 'Jam', status: 'done' });
+        const saved = await views.appendItem('', { id: 'v1', name: 'Mine' });
+
+        expect(archived.map(t => t.id)).toEqual(['x', 'y']);
+        expect(saved).toBeNull();
+
+        online = true;
+        await archive.replayPending();
+        await views.replayPending();
+    });
+
+    test('later writes queue behind earlier ones, and refetches keep them applied', async () => {
+        mockTaskServer();
+        const api = createApi('grocery', '/api/store/tasks');
+        await api.fetchTasks();
+
+        online = false;
+        await api.patchItem('[id=a].status', 'done');
+        online = true;
+        const result = await api.appendItem('', { id: 'b', name: 'Eggs', status: 'not-started' });
+
+        // Not sent - it would overtake the queued patch
+        expect(writes).toEqual([]);
+        expect(result.map(t => t.id)).toEqual(['a', 'b']);
+        expect(await api.fetchTasks()).toEqual([
+            { id: 'a', name: 'Milk', status: 'done' },
+            { id: 'b', name: 'Eggs', status: 'not-started' }
+        ]);
+
+        await api.replayPending();
+    });
+
+    test('replays queued writes in order as batches', async () => {
+        mockTaskServer();
+        const api = createApi('grocery', '/api/store/tasks');
+        const counts = [];
+        api.onPendingChange(count => counts.push(count));
+        await api.fetchTasks();
+
+        online = false;
+        await api.patchItem('[id=a].status', 'done');
+        await api.deleteItem('', 'a');
+        online = true;
+        await api.replayPending();
+
+        expect(writes).toEqual([
+            { method: 'POST', body: { operations: [{ op: 'patch', path: '[id=a].status', value: 'done' }] } },
+            { method: 'POST', body: { operations: [{ op: 'delete', path: '', id: 'a' }] } }
+        ]);
+        expect(api.pendingCount()).toBe(0);
+        expect(counts[counts.length - 1]).toBe(0);
+    });
+
+    test('stays queued while the server is still unreachable', async () => {
+        mockTaskServer();
+        const api = createApi('grocery', '/api/store/tasks');
+        await api.fetchTasks();
+
+        online = false;
+        await api.patchItem('[id=a].status', 'done');
+        await api.replayPending();
+
+        expect(api.pendingCount()).toBe(1);
+
+        online = true;
+        await api.replayPending();
+        expect(api.pendingCount()).toBe(0);
+    });
+
+    test('drops only the operation whose item is gone (404) and sends the rest', async () => {
+        mockTaskServer();
+        const api = createApi('grocery', '/api/store/tasks');
+        await api.fetchTasks();
+        const dropped = [];
+        api.onDropped((operations, error) => dropped.push([operations, error]));
+
+        online = false;
+        await api.batch([
+            { op: 'delete', path: '', id: 'gone' },
+            { op: 'patch', path: '[id=a].status', value: 'done' }
+        ]);
+        online = true;
+        respond = (body) => (body.operations.some(o => o.id === 'gone')
+            ? [404, { error: 'Item not found', index: 0 }]
+            : [200]);
+        await api.replayPending();
+
+        expect(writes).toHaveLength(2);
+        expect(writes[1].body.operations).toEqual([{ op: 'patch', path: '[id=a].status', value: 'done' }]);
+        expect(api.pendingCount()).toBe(0);
+        expect(dropped).toEqual([[[{ op: 'delete', path: '', id: 'gone' }], 'Item not found']]);
+    });
+
+    test('drops only the operation any other 4xx names, and sends the rest', async () => {
+        mockTaskServer();
+        const api = createApi('grocery', '/api/store/tasks');
+        await api.fetchTasks();
+        const dropped = [];
+        api.onDropped((operations, error) => dropped.push([operations, error]));
+
+        online = false;
+        await api.batch([
+            { op: 'patch', path: '[id=a].status', value: 'done' },
+            { op: 'append', path: '[id=a].name', value: 'x' }
+        ]);
+        online = true;
+        respond = (body) => (body.operations.some(o => o.op === 'append')
+            ? [400, { error: 'Path must point to array', index: 1 }]
+            : [200]);
+        await api.replayPending();
+
+        expect(writes[1].body.operations).toEqual([{ op: 'patch', path: '[id=a].status', value: 'done' }]);
+        expect(api.pendingCount()).toBe(0);
+        expect(dropped).toEqual([[[{ op: 'append', path: '[id=a].name', value: 'x' }], 'Path must point to array']]);
+    });
+
+    test('sends a batch rejected without an index one operation at a time, dropping only those that fail', async () => {
+        mockTaskServer();
+        const api = createApi('grocery', '/api/store/tasks');
+        await api.fetchTasks();
+        const dropped = [];
+        api.onDropped((operations, error) => dropped.push([operations, error]));
+
+        online = false;
+        await api.batch([
+            { op: 'patch', path: '[id=a].status', value: 'done' },
+            { op: 'patch', path: '[id=a].name', value: '' }
+        ]);
+        online = true;
+        respond = (body) => (body.operations.some(o => o.value === '')
+            ? [422, { error: 'Invalid document' }]
+            : [200]);
+        await api.replayPending();
+
+        expect(writes.map(w => w.body.operations.length)).toEqual([2, 1, 1]);
+        expect(writes[1].body.operations).toEqual([{ op: 'patch', path: '[id=a].status', value: 'done' }]);
+        expect(api.pendingCount()).toBe(0);
+        expect(dropped).toEqual([[[{ op: 'patch', path: '[id=a].name', value: '' }], 'Invalid document']]);
+    });
+
+    test('drops a write whose document is gone (404)', async () => {
+        mockTaskServer();
+        const api = createApi('grocery', '/api/store/tasks');
+        await api.fetchTasks();
+        const dropped = [];
+        api.onDropped((operations, error) => dropped.push([operations, error]));
+
+        online = false;
+        await api.patchItem('[id=a].status', 'done');
+        online = true;
+        respond = () => [404, { error: 'List not found' }];
+        await api.replayPending();
+
+        expect(api.pendingCount()).toBe(0);
+        expect(dropped).toEqual([[[{ op: 'patch', path: '[id=a].status', value: 'done' }], 'List not found']]);
+    });
+
+    test('keeps writes queued while access is refused (401/403) and sends them once it returns', async () => {
+        mockTaskServer();
+        const api = createApi('grocery', '/api/store/tasks');
+        await api.fetchTasks();
+        const updates = [];
+        api.onPendingChange((count, blocked) => updates.push([count, blocked]));
+        api.onDropped(() => { throw new Error('nothing should be dropped'); });
+
+        online = false;
+        await api.patchItem('[id=a].status', 'done');
+        online = true;
+        respond = () => [401, { error: 'Login required' }];
+        await api.replayPending();
+        respond = () => [403, { error: 'You cannot edit this list' }];
+        await api.replayPending();
+
+        expect(api.pendingCount()).toBe(1);
+        expect(updates.slice(-1)).toEqual([[1, 'You cannot edit this list']]);
+
+        respond = null;
+        await api.replayPending();
+        expect(api.pendingCount()).toBe(0);
+        expect(updates.slice(-1)).toEqual([[0, null]]);
+    });
+
+    test('queues a write that keeps conflicting (409) and sends it once the conflict clears', async () => {
+        mockTaskServer();
+        const api = createApi('grocery', '/api/store/tasks');
+        await api.fetchTasks();
+
+        respond = () => [409, { error: 'Conflict, please retry' }];
+        const result = await api.patchItem('[id=a].status', 'done', 1);
+
+        expect(result[0].status).toBe('done');
+        expect(api.pendingCount()).toBe(1);
+
+        respond = null;
+        await api.replayPending();
+        expect(api.pendingCount()).toBe(0);
+        expect(writes[writes.length - 1].body).toEqual({
+            operations: [{ op: 'patch', path: '[id=a].status', value: 'done' }]
+        });
+    });
+
+    test('still throws for writes the server rejects', async () => {
+        mockTaskServer();
+        const api = createApi('grocery', '/api/store/tasks');
+        await api.fetchTasks();
+
+        respond = () => [400, { error: 'Invalid path' }];
+
+        await expect(api.patchItem('missing.0', 'x')).rejects.toThrow('Failed to patch item: Invalid path');
+        expect(api.pendingCount()).toBe(0);
+    });
+
+    test('reports schema violations from a 422 response', async () => {
+        mockTaskServer();
+        const api = createApi('grocery', '/api/store/tasks');
+        await api.fetchTasks();
+
+        const violations = [{ path: '[id=a].status', message: 'must be one of: not-started, done' }];
+        respond = () => [422, { error: 'Invalid document', violations }];
+
+        const error = await api.patchItem('[id=a].status', 'paused').catch(e => e);
+        expect(error.message).toBe('Failed to patch item: Invalid document: [id=a].status must be one of: not-started, done');
+        expect(error.violations).toEqual(violations);
+        expect(api.pendingCount()).toBe(0);
+    });
+});
+
+describe('access', () => {
+    test('fetchAccess asks for the document\'s access', async () => {
+        const access = { user: null, owner: null, editors: [], canWrite: false, isOwner: false };
+        global.fetch = jest.fn(async (url) => {
+            requests.push({ url });
+            return createResponse(200, JSON.stringify(access));
+        });
+        const api = createApi('grocery', '/api/store/tasks');
+
+        expect(await api.fetchAccess()).toEqual(access);
+        expect(requests[0].url).toBe('/api/store/tasks/grocery?access');
+    });
+
+    test('updateEditors posts the editors and throws the server\'s error', async () => {
+        const editors = [{ identityProvider: 'github', userDetails: 'bob' }];
+        let status = 200;
+        global.fetch = jest.fn(async (url, options) => {
+            requests.push({ url, body: JSON.parse(options.body) });
+            return status === 200
+                ? createResponse(200, JSON.stringify({ success: true, editors }))
+                : createResponse(status, JSON.stringify({ error: 'Only the owner can change editors' }));
+        });
+        const api = createApi('grocery', '/api/store/tasks');
+
+        expect(await api.updateEditors(editors)).toEqual(editors);
+        expect(requests[0].body).toEqual({ editors });
+
+        status = 403;
+        await expect(api.updateEditors(editors)).rejects.toThrow('Only the owner can change editors');
+    });
+});
+
+describe('createDocument', () => {
+    test('puts the initial document and throws the server\'s error', async () => {
+        let status = 201;
+        global.fetch = jest.fn(async (url, options) => {
+            requests.push({ url, method: options.method, body: options.body });
+            return status === 201
+                ? createResponse(201, JSON.stringify({ success: true }))
+                : createResponse(status, JSON.stringify({ error: 'List names cannot contain ~' }));
+        });
+
+        await createApi('grocery~shopping', '/api/store/tasks').createDocument([]);
+        expect(requests[0]).toEqual({ url: '/api/store/tasks/grocery~shopping', method: 'PUT', body: '[]' });
+
+        status = 400;
+        await expect(createApi('my~list', '/api/store/tasks').createDocument([])).rejects.toThrow('List names cannot contain ~');
+    });
+
+    test('onlyIfNew sends If-None-Match: * and reports a document another user created', async () => {
+        global.fetch = jest.fn(async (url, options) => {
+            requests.push({ url, method: options.method, headers: options.headers });
+            return createResponse(412, JSON.stringify({ error: 'List already exists' }));
+        });
+
+        const error = await createApi('grocery~archive', '/api/store/tasks').createDocument([], { onlyIfNew: true }).catch(e => e);
+
+        expect(requests[0].headers['If-None-Match']).toBe('*');
+        expect(error.code).toBe('EXISTS');
+    });
+});
+
+describe('replaceDocument', () => {
+    test('puts the document with If-Match and reports a version that changed', async () => {
+        let status = 200;
+        global.fetch = jest.fn(async (url, options) => {
+            requests.push({ url, method: options.method, headers: options.headers, body: options.body });
+            return createResponse(status, JSON.stringify(status === 200 ? { success: true } : { error: 'List has changed' }));
+        });
+        const api = createApi('grocery', '/api/store/tasks');
+
+        expect(await api.replaceDocument([{ id: 'a' }], '"v1"')).toBe(true);
+        expect(requests[0]).toMatchObject({ url: '/api/store/tasks/grocery', method: 'PUT', body: '[{"id":"a"}]' });
+        expect(requests[0].headers['If-Match']).toBe('"v1"');
+
+        status = 412;
+        expect(await api.replaceDocument([], '"v1"')).toBe(false);
+        status = 403;
+        await expect(api.replaceDocument([], '"v1"')).rejects.toThrow();
+    });
+});
+
+describe('share links', () => {
+    test('sends the share token with every request, and in the events URL', async () => {
+        global.fetch = jest.fn(async (url, options = {}) => {
+            requests.push({ url, headers: options.headers || {} });
+            return createResponse(200, JSON.stringify({ success: true, data: [] }), { 'ETag': '"v1"', 'X-Op-Seq': '0' });
+        });
+        const api = createApi('grocery', '/api/store/tasks', 'abc.def');
+
+        await api.fetchDocument();
+        await api.patchItem('[id=a].status', 'done');
+
+        expect(requests.map(r => r.headers['X-Share-Token'])).toEqual(['abc.def', 'abc.def']);
+        expect(requests[1].headers['Content-Type']).toBe('application/json');
+        expect(api.eventsUrl(3)).toBe('/api/store/tasks/grocery?events&since=3&token=abc.def');
+        expect(createApi('grocery', '/api/store/tasks').eventsUrl(3)).toBe('/api/store/tasks/grocery?events&since=3');
+    });
+
+    test('creates, lists and revokes links', async () => {
+        const link = { id: 'l1', role: 'editor', createdAt: '2026-01-01T00:00:00.000Z', expiresAt: null, token: 't.s' };
+        global.fetch = jest.fn(async (url, options = {}) => {
+            requests.push({ url, method: options.method || 'GET', body: options.body && JSON.parse(options.body) });
+            if (options.method === 'POST') return createResponse(200, JSON.stringify({ success: true, share: link }));
+            if (options.method === 'DELETE') return createResponse(404, JSON.stringify({ error: 'Share link not found' }));
+            return createResponse(200, JSON.stringify({ shares: [link] }));
+        });
+        const api = createApi('grocery', '/api/store/tasks');
+
+        expect(await api.createShare('editor')).toEqual(link);
+        expect(requests[0].body).toEqual({ share: { role: 'editor', expiresAt: null } });
+        expect(await api.listShares()).toEqual([link]);
+        expect(requests[1].url).toBe('/api/store/tasks/grocery?shares');
+        await expect(api.revokeShare('l1')).rejects.toThrow('Share link not found');
+        expect(requests[2]).toMatchObject({ url: '/api/store/tasks/grocery?share=l1', method: 'DELETE' });
+    });
+});
+
+describe('listDocuments', () => {
+    test('asks for a page with the prefix, cursor and limit', async () => {
+        const page = { items: [{ name: 'grocery', size: 10, lastModified: '2026-01-01T00:00:00.000Z', title: 'Milk' }], nextCursor: 'grocery' };
+        global.fetch = jest.fn(async (url) => {
+            requests.push({ url });
+            return createResponse(200, JSON.stringify(page));
+        });
+
+        expect(await listDocuments('/api/store/tasks')).toEqual(page);
+        await listDocuments('/api/store/tasks', { prefix: 'gro', cursor: 'grocery', limit: 20 });
+
+        expect(requests.map(r => r.url)).toEqual([
+            '/api/store/tasks',
+            '/api/store/tasks?prefix=gro&cursor=grocery&limit=20'
+        ]);
+    });
+
+    test('lists nothing in mock mode', async () => {
+        expect(await listDocuments('mock')).toEqual({ items: [], nextCursor: null });
+    });
+});
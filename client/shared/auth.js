@@ -0,0 +1,134 @@
+// Sign-in and read-only mode (shared by all pages)
+// Uses Static Web Apps auth (/.auth/login/{provider}, /.auth/logout, /.auth/me) and the
+// API's GET ?access to find out whether the signed-in user may edit the current document.
+// Viewers who may not edit get body.read-only: elements marked data-editable become
+// inert, and data-editable="hide" ones are hidden. The server enforces the same rules.
+// Pages opened from a share link (?token=) get that link's access, signed in or not.
+
+const Auth = (function() {
+    // Access for the current document ({ user, owner, editors, canWrite, isOwner, share }), null if unknown
+    let access = null;
+    let api = null;
+
+    /**
+     * Load the sign-in state and apply read-only mode
+     * @param {Object|null} apiInstance - API for the page's document (null on pages without one)
+     * @returns {Promise<void>}
+     */
+    async function init(apiInstance) {
+        api = apiInstance;
+        // Mock mode has no server to sign in to
+        if (api && api.isMock) return;
+
+        try {
+            if (api) {
+                access = await api.fetchAccess();
+            } else {
+                const response = await fetch('/.auth/me');
+                const { clientPrincipal } = await response.json();
+                access = { user: clientPrincipal, canWrite: !!clientPrincipal, isOwner: false };
+            }
+        } catch (error) {
+            // Offline, or auth unavailable - leave controls as they are (the server still checks)
+            console.warn('Could not load sign-in state:', error);
+            return;
+        }
+
+        render();
+        applyReadOnly();
+    }
+
+    /**
+     * Show the login link, or the user with logout (and editors and share links for the owner)
+     */
+    function render() {
+        const el = document.getElementById('authControls');
+        if (!el) return;
+
+        if (!access.user) {
+            let label = 'Log in to create a list';
+            if (api) label = access.canWrite ? 'Log in' : 'Log in to edit';
+            el.innerHTML = `${shareBadge()}<a class="auth-link" href="${escapeHtml(loginUrl())}">${label}</a>`;
+            return;
+        }
+
+        el.innerHTML = `
+            <span class="auth-user" title="Signed in with ${escapeHtml(access.user.identityProvider)}">${escapeHtml(access.user.userDetails)}</span>
+            ${access.isOwner ? '<button class="auth-editors-btn" id="editorsBtn">Editors</button>' : ''}
+            ${access.isOwner ? '<button class="auth-editors-btn" id="shareBtn">Share</button>' : ''}
+            ${shareBadge() || (api && !access.canWrite ? '<span class="auth-readonly">View only</span>' : '')}
+            <a class="auth-link" href="${escapeHtml(logoutUrl())}">Log out</a>
+        `;
+        const editorsBtn = el.querySelector('#editorsBtn');
+        if (editorsBtn) editorsBtn.addEventListener('click', handleEditorsClick);
+        const shareBtn = el.querySelector('#shareBtn');
+        if (shareBtn) shareBtn.addEventListener('click', () => ShareDialog.open(api));
+    }
+
+    /**
+     * Badge for pages opened from a share link ('' otherwise, or for the owner)
+     */
+    function shareBadge() {
+        if (!api || access.isOwner || !getShareToken()) return '';
+        if (!access.share) return '<span class="auth-readonly">Share link expired</span>';
+        if (access.share.role === 'editor') return '<span class="auth-shared">Shared - can edit</span>';
+        return '<span class="auth-readonly">Shared - view only</span>';
+    }
+
+    /**
+     * Make edit controls inert (and hide some) for viewers who may not edit
+     */
+    function applyReadOnly() {
+        const readOnly = !canWrite();
+        document.body.classList.toggle('read-only', readOnly);
+        document.querySelectorAll('[data-editable]').forEach(el => { el.inert = readOnly; });
+    }
+
+    /**
+     * Let the owner change who may edit (login names from the same provider)
+     */
+    async function handleEditorsClick() {
+        const provider = access.user.identityProvider;
+        const current = access.editors
+            .filter(e => e.identityProvider === provider && e.userDetails.toLowerCase() !== access.user.userDetails.toLowerCase())
+            .map(e => e.userDetails)
+            .join(', ');
+        const input = prompt(`Who else may edit? ${provider} login names, separated by commas:`, current);
+        if (input === null) return;
+
+        const names = input.split(',').map(n => n.trim()).filter(Boolean);
+        // Keep editors who signed in with other providers
+        const others = access.editors.filter(e => e.identityProvider !== provider);
+        try {
+            access.editors = await api.updateEditors([...others, ...names.map(userDetails => ({ identityProvider: provider, userDetails }))]);
+        } catch (error) {
+            alert('Failed to update editors: ' + error.message);
+        }
+    }
+
+    /**
+     * Check if the user may edit the current document
+     * True while unknown (mock mode, offline) - the server has the final say.
+     */
+    function canWrite() {
+        return !access || access.canWrite;
+    }
+
+    /**
+     * Login URL that returns to the current page
+     */
+    function loginUrl() {
+        const provider = (typeof CONFIG !== 'undefined' && CONFIG.AUTH_PROVIDER) || 'github';
+        return `/.auth/login/${provider}?post_login_redirect_uri=${encodeURIComponent(location.pathname + location.search)}`;
+    }
+
+    /**
+     * Logout URL that returns to the current page
+     */
+    function logoutUrl() {
+        return `/.auth/logout?post_logout_redirect_uri=${encodeURIComponent(location.pathname + location.search)}`;
+    }
+
+    // Public API
+    return { init, canWrite, loginUrl };
+})();
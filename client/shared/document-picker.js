@@ -0,0 +1,84 @@
+// Existing documents picker (home page and SwarmSpace's session selector)
+// Shows the lists or sessions stored on the server with their titles, filtered by name
+// as you type, with "Show more" for further pages (see listDocuments in api.js).
+
+const DocumentPicker = (function() {
+    const PAGE_SIZE = 20;
+    const FILTER_DELAY = 300; // ms
+
+    /**
+     * Render a picker into an element
+     * @param {Element} el - Element to fill
+     * @param {Object} opts
+     * @param {string} opts.baseUrl - API base URL (e.g., CONFIG.API_BASE_TASKS)
+     * @param {Function} opts.hrefFor - (name) => URL to open the document
+     * @param {string} opts.placeholder - Filter input placeholder
+     * @param {string} opts.emptyText - Shown when nothing matches
+     */
+    function render(el, opts) {
+        el.classList.add('document-picker');
+        el.innerHTML = `
+            <input type="search" class="document-picker-filter" placeholder="${escapeHtml(opts.placeholder || 'Filter by name...')}">
+            <ul class="document-picker-list"></ul>
+            <button type="button" class="document-picker-more" hidden>Show more</button>
+        `;
+
+        const filterInput = el.querySelector('.document-picker-filter');
+        const listEl = el.querySelector('.document-picker-list');
+        const moreBtn = el.querySelector('.document-picker-more');
+        let prefix = '';
+        let cursor = null;
+        // Ignore responses for an older filter
+        let generation = 0;
+
+        async function load(append) {
+            const current = ++generation;
+            if (!append) listEl.innerHTML = '<li class="document-picker-empty">Loading...</li>';
+            moreBtn.disabled = true;
+
+            try {
+                const page = await listDocuments(opts.baseUrl, { prefix, cursor: append ? cursor : '', limit: PAGE_SIZE });
+                if (current !== generation) return;
+
+                const html = page.items.map(item => `
+                    <li>
+                        <a class="document-picker-item" href="${escapeHtml(opts.hrefFor(item.name))}">
+                            <span class="document-picker-name">${escapeHtml(item.name)}</span>
+                            ${item.title ? `<span class="document-picker-title">${escapeHtml(item.title)}</span>` : ''}
+                            <span class="document-picker-time" title="${escapeHtml(new Date(item.lastModified).toLocaleString())}">${escapeHtml(formatRelativeTime(item.lastModified))}</span>
+                        </a>
+                    </li>
+                `).join('');
+
+                if (append) {
+                    listEl.insertAdjacentHTML('beforeend', html);
+                } else {
+                    listEl.innerHTML = html || `<li class="document-picker-empty">${escapeHtml(opts.emptyText || 'Nothing here yet.')}</li>`;
+                }
+                cursor = page.nextCursor;
+                moreBtn.hidden = !cursor;
+            } catch (error) {
+                if (current !== generation) return;
+                listEl.innerHTML = `<li class="document-picker-empty error">${escapeHtml(error.message)}</li>`;
+                moreBtn.hidden = true;
+            } finally {
+                moreBtn.disabled = false;
+            }
+        }
+
+        let filterTimer = null;
+        filterInput.addEventListener('input', () => {
+            clearTimeout(filterTimer);
+            filterTimer = setTimeout(() => {
+                prefix = filterInput.value.trim();
+                load(false);
+            }, FILTER_DELAY);
+        });
+        moreBtn.addEventListener('click', () => load(true));
+
+        load(false);
+    }
+
+    // Public API
+    return { render };
+})();
@@ -0,0 +1,152 @@
+// Version history panel (shared by tasks and SwarmSpace)
+// Lists stored versions of the current document, previews one, and restores it.
+
+const HistoryPanel = (function() {
+    // Labels for the operation that produced each version
+    const typeLabels = {
+        put: 'Saved',
+        append: 'Added',
+        delete: 'Removed',
+        patch: 'Edited',
+        addValue: 'Added',
+        removeValue: 'Removed',
+        batch: 'Several changes',
+        restore: 'Restored'
+    };
+
+    // Current panel options ({ api, renderPreview, onRestore })
+    let options = null;
+    let selectedVersion = null;
+    let modalEl, listEl, previewEl, restoreBtn;
+
+    /**
+     * Create the modal markup on first use
+     */
+    function ensureModal() {
+        if (modalEl) return;
+
+        modalEl = document.createElement('div');
+        modalEl.className = 'modal-overlay';
+        modalEl.id = 'historyModal';
+        modalEl.innerHTML = `
+            <div class="modal history-modal">
+                <h3>History</h3>
+                <div class="history-body">
+                    <ul class="history-list" id="historyList"></ul>
+                    <div class="history-preview" id="historyPreview"></div>
+                </div>
+                <div class="modal-buttons">
+                    <button class="modal-btn secondary" id="closeHistoryBtn">Close</button>
+                    <button class="modal-btn primary" id="restoreVersionBtn" disabled>Restore this version</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modalEl);
+
+        listEl = modalEl.querySelector('#historyList');
+        previewEl = modalEl.querySelector('#historyPreview');
+        restoreBtn = modalEl.querySelector('#restoreVersionBtn');
+
+        modalEl.querySelector('#closeHistoryBtn').addEventListener('click', close);
+        modalEl.addEventListener('click', (e) => {
+            if (e.target === modalEl) close();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && modalEl.classList.contains('visible')) close();
+        });
+        listEl.addEventListener('click', handleListClick);
+        restoreBtn.addEventListener('click', handleRestore);
+    }
+
+    /**
+     * Open the history panel
+     * @param {Object} opts
+     * @param {Object} opts.api - API instance (from createApi)
+     * @param {Function} opts.renderPreview - (data) => HTML string for a version's document
+     * @param {Function} opts.onRestore - (data) => void, called with the restored document
+     * @param {boolean} opts.canRestore - False to only browse (viewers who may not edit)
+     */
+    async function open(opts) {
+        ensureModal();
+        options = opts;
+        selectedVersion = null;
+        restoreBtn.disabled = true;
+        restoreBtn.hidden = opts.canRestore === false;
+        listEl.innerHTML = '<li class="history-empty">Loading...</li>';
+        previewEl.innerHTML = '<div class="history-empty">Select a version to preview it.</div>';
+        modalEl.classList.add('visible');
+
+        try {
+            const versions = await options.api.listVersions();
+            if (versions.length === 0) {
+                listEl.innerHTML = '<li class="history-empty">No history yet.</li>';
+                return;
+            }
+            listEl.innerHTML = versions.map(v => `
+                <li class="history-item" data-version-id="${escapeHtml(v.id)}">
+                    <span class="history-item-type">${escapeHtml(typeLabels[v.type] || v.type)}</span>
+                    <span class="history-item-time" title="${escapeHtml(new Date(v.timestamp).toLocaleString())}">${escapeHtml(formatRelativeTime(v.timestamp))}</span>
+                </li>
+            `).join('');
+        } catch (error) {
+            listEl.innerHTML = `<li class="history-empty error">${escapeHtml(error.message)}</li>`;
+        }
+    }
+
+    /**
+     * Close the history panel
+     */
+    function close() {
+        if (modalEl) modalEl.classList.remove('visible');
+        selectedVersion = null;
+    }
+
+    /**
+     * Handle clicks on a version (load and preview it)
+     */
+    async function handleListClick(e) {
+        const item = e.target.closest('.history-item');
+        if (!item) return;
+
+        listEl.querySelectorAll('.history-item.selected').forEach(el => el.classList.remove('selected'));
+        item.classList.add('selected');
+        restoreBtn.disabled = true;
+        previewEl.innerHTML = '<div class="history-empty">Loading...</div>';
+
+        try {
+            const version = await options.api.getVersion(item.dataset.versionId);
+            // Ignore stale responses if another version was clicked meanwhile
+            if (!item.classList.contains('selected')) return;
+            selectedVersion = version;
+            previewEl.innerHTML = `
+                <div class="history-preview-meta">${escapeHtml(new Date(version.timestamp).toLocaleString())}</div>
+                ${options.renderPreview(version.data)}
+            `;
+            restoreBtn.disabled = false;
+        } catch (error) {
+            previewEl.innerHTML = `<div class="history-empty error">${escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    /**
+     * Restore the selected version
+     */
+    async function handleRestore() {
+        if (!selectedVersion) return;
+        const when = new Date(selectedVersion.timestamp).toLocaleString();
+        if (!confirm(`Restore the version from ${when}? Current changes will be kept in history.`)) return;
+
+        restoreBtn.disabled = true;
+        try {
+            const data = await options.api.restoreVersion(selectedVersion.id);
+            options.onRestore(data);
+            close();
+        } catch (error) {
+            alert('Failed to restore: ' + error.message);
+            restoreBtn.disabled = false;
+        }
+    }
+
+    // Public API
+    return { open, close };
+})();
@@ -0,0 +1,237 @@
+// Offline queue for document operations (used by createApi)
+//
+// Operations that could not be sent - no network, or the server kept reporting
+// conflicts - are kept per document in IndexedDB so they survive a reload, and are
+// replayed in order later. Falls back to memory when IndexedDB is unavailable
+// (e.g., some private browsing modes).
+//
+// Every tab with the document open shares its queue: each entry is its own record,
+// and every change reads and writes the document's entries in one transaction, so
+// tabs queueing at the same time never overwrite each other's entries. Only one tab
+// replays a document's queue at a time (see exclusive).
+
+const OfflineQueue = (function() {
+    const DB_NAME = 'listlet-offline';
+    const STORE_NAME = 'entries';
+    // Version 1 kept one record per document, holding all of its entries
+    const OLD_STORE_NAME = 'queues';
+
+    // Shared connection (opened on first use)
+    let dbPromise = null;
+
+    /**
+     * Open the database, creating the store on first use
+     * @returns {Promise<IDBDatabase|null>} - null if IndexedDB is unavailable
+     */
+    function openDatabase() {
+        if (!dbPromise) {
+            dbPromise = typeof indexedDB === 'undefined'
+                ? Promise.resolve(null)
+                : new Promise((resolve, reject) => {
+                    const req = indexedDB.open(DB_NAME, 2);
+                    req.onupgradeneeded = (event) => upgrade(req.result, req.transaction, event.oldVersion);
+                    req.onsuccess = () => resolve(req.result);
+                    req.onerror = () => reject(req.error);
+                });
+        }
+        return dbPromise;
+    }
+
+    /**
+     * Create the entries store, moving over entries saved by version 1
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {IDBTransaction} transaction - The upgrade transaction
+     * @param {number} oldVersion - 0 for a new database
+     */
+    function upgrade(db, transaction, oldVersion) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('key', 'key');
+        if (oldVersion < 1) return;
+        transaction.objectStore(OLD_STORE_NAME).getAll().onsuccess = (event) => {
+            event.target.result.forEach(({ key, entries }) => {
+                entries.forEach((entry, order) => store.add({ key, order, ...entry }));
+            });
+            db.deleteObjectStore(OLD_STORE_NAME);
+        };
+    }
+
+    /**
+     * Oldest first
+     */
+    function byOrder(records) {
+        return records.sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * Read one document's entries, change them and read them back, in one transaction
+     * @param {IDBDatabase} db - Open database
+     * @param {string} key - Document key
+     * @param {Function} [change] - (entries) => { put, remove }: records to write (new ones
+     *   without an id) and ids to delete; leave out to only read
+     * @returns {Promise<Array>} - The document's entries afterwards, oldest first
+     */
+    function transact(db, key, change) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, change ? 'readwrite' : 'readonly');
+            const store = transaction.objectStore(STORE_NAME);
+            const index = store.index('key');
+            let result = [];
+            index.getAll(key).onsuccess = (event) => {
+                result = byOrder(event.target.result);
+                if (!change) return;
+                const { put = [], remove = [] } = change(result);
+                remove.forEach(id => store.delete(id));
+                put.forEach(record => store.put(record));
+                index.getAll(key).onsuccess = (after) => {
+                    result = byOrder(after.target.result);
+                };
+            };
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Create the queue for one document
+     * @param {string} key - Document key (e.g., '/api/store/tasks/grocery')
+     * @returns {Object} - Queue methods; wait for `ready` before relying on entries()
+     */
+    function create(key) {
+        // Queued entries, oldest first: [{ id, key, order, operations, queuedAt }]
+        // (this tab's copy; refresh() reads what other tabs queued)
+        let entries = [];
+        let db = null;
+        // Ids for entries kept in memory only
+        let nextMemoryId = 1;
+
+        const ready = openDatabase()
+            .then(async (database) => {
+                db = database;
+                if (db) entries = await transact(db, key);
+            })
+            .catch((error) => {
+                db = null;
+                console.warn('Offline queue unavailable, keeping changes in memory only:', error);
+            });
+
+        /**
+         * Change the entries, in IndexedDB when it is there
+         * A failed write keeps the change (and later ones) in memory only.
+         * @param {Function} change - (entries) => { put, remove }, see transact
+         */
+        async function update(change) {
+            await ready;
+            if (db) {
+                try {
+                    entries = await transact(db, key, change);
+                    return;
+                } catch (error) {
+                    db = null;
+                    console.warn('Failed to save offline changes, keeping them in memory only:', error);
+                }
+            }
+            const { put = [], remove = [] } = change(entries);
+            const kept = entries.filter(entry => !remove.includes(entry.id));
+            put.forEach(record => {
+                const index = kept.findIndex(entry => entry.id === record.id);
+                if (index === -1) kept.push({ id: nextMemoryId++, ...record });
+                else kept[index] = record;
+            });
+            entries = byOrder(kept);
+        }
+
+        return {
+            ready,
+
+            /**
+             * Queued entries, oldest first
+             * @returns {Array<{operations: Array, queuedAt: string}>}
+             */
+            entries() {
+                return entries;
+            },
+
+            /**
+             * Read the entries again, including any other tabs queued
+             * @returns {Promise<void>}
+             */
+            async refresh() {
+                await ready;
+                if (!db) return;
+                try {
+                    entries = await transact(db, key);
+                } catch (error) {
+                    console.warn('Failed to read offline changes:', error);
+                }
+            },
+
+            /**
+             * Queue operations to send later, after every entry already queued
+             * @param {Array} operations - [{ op, path, value, id }]
+             */
+            add(operations) {
+                return update(current => {
+                    const last = current[current.length - 1];
+                    const order = last ? last.order + 1 : 0;
+                    return { put: [{ key, order, operations, queuedAt: new Date().toISOString() }] };
+                });
+            },
+
+            /**
+             * Remove the oldest entry (sent, or dropped)
+             */
+            shift() {
+                return update(current => ({ remove: current.slice(0, 1).map(entry => entry.id) }));
+            },
+
+            /**
+             * Replace the oldest entry's operations (after dropping one that can no longer apply)
+             * @param {Array} operations - Remaining operations
+             */
+            replaceFirst(operations) {
+                return update(current => ({ put: current.slice(0, 1).map(entry => ({ ...entry, operations })) }));
+            },
+
+            /**
+             * Replace the oldest entry with one entry per operation, in the same order
+             * (to send a rejected batch's operations on their own)
+             */
+            splitFirst() {
+                return update(current => {
+                    const [first, second] = current;
+                    if (!first) return {};
+                    // Orders between the first entry and the next one
+                    const step = second ? (second.order - first.order) / first.operations.length : 1;
+                    const { id, ...rest } = first;
+                    return {
+                        put: first.operations.map((operation, i) => (i === 0
+                            ? { ...first, operations: [operation] }
+                            : { ...rest, order: first.order + step * i, operations: [operation] }))
+                    };
+                });
+            },
+
+            /**
+             * Run fn unless another tab is already running it for this document (Web Locks),
+             * so one tab at a time replays the queue
+             * @param {Function} fn - Async work
+             * @returns {Promise<boolean>} - False if another tab holds the lock (fn did not run)
+             */
+            async exclusive(fn) {
+                if (typeof navigator === 'undefined' || !navigator.locks) {
+                    await fn();
+                    return true;
+                }
+                return navigator.locks.request(`${DB_NAME}:${key}`, { ifAvailable: true }, async (lock) => {
+                    if (!lock) return false;
+                    await fn();
+                    return true;
+                });
+            }
+        };
+    }
+
+    // Public API
+    return { create };
+})();
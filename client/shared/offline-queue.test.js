@@ -0,0 +1,208 @@
+/**
+ * Tests for OfflineQueue: entries kept in IndexedDB and shared by every tab with the
+ * document open.
+ *
+ * offline-queue.js is browser script code, so each "tab" evals its own copy against
+ * one fake IndexedDB (below), which runs transactions one at a time like the real one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const source = fs.readFileSync(path.join(__dirname, 'offline-queue.js'), 'utf-8');
+const KEY = '/api/store/tasks/grocery';
+
+/**
+ * Load the module as a new tab would (its own connection and state)
+ */
+function openTab() {
+    return eval(source.replace('const OfflineQueue = (function()', '(function()'));
+}
+
+/**
+ * Minimal in-memory IndexedDB: object stores with key paths, auto-increment keys and
+ * indexes, and transactions that run one at a time, each request in order
+ */
+function createFakeIndexedDB(databases = new Map()) {
+    let running = Promise.resolve();
+    const clone = value => JSON.parse(JSON.stringify(value));
+
+    function createTransaction(db) {
+        const pending = [];
+        const transaction = { oncomplete: null, onerror: null, onabort: null, error: null };
+
+        function request(run) {
+            const req = { onsuccess: null, onerror: null, result: undefined };
+            pending.push(() => {
+                req.result = run();
+                if (req.onsuccess) req.onsuccess({ target: req });
+            });
+            return req;
+        }
+
+        transaction.objectStore = (name) => {
+            const store = db.stores.get(name);
+            const write = (record) => request(() => {
+                const copy = clone(record);
+                if (copy[store.keyPath] === undefined) copy[store.keyPath] = store.nextKey++;
+                store.records.set(copy[store.keyPath], copy);
+                return copy[store.keyPath];
+            });
+            return {
+                getAll: () => request(() => [...store.records.values()].map(clone)),
+                put: write,
+                add: write,
+                delete: (key) => request(() => { store.records.delete(key); }),
+                createIndex: (indexName, keyPath) => store.indexes.set(indexName, keyPath),
+                index: (indexName) => ({
+                    getAll: (value) => request(() => [...store.records.values()]
+                        .filter(record => record[store.indexes.get(indexName)] === value)
+                        .map(clone))
+                })
+            };
+        };
+
+        transaction.run = () => {
+            while (pending.length > 0) pending.shift()();
+            if (transaction.oncomplete) transaction.oncomplete();
+        };
+        return transaction;
+    }
+
+    function handle(db) {
+        return {
+            transaction() {
+                const transaction = createTransaction(db);
+                running = running.then(() => new Promise(resolve => setTimeout(resolve, 0))).then(() => transaction.run());
+                return transaction;
+            },
+            createObjectStore(name, { keyPath, autoIncrement = false }) {
+                db.stores.set(name, { keyPath, autoIncrement, nextKey: 1, records: new Map(), indexes: new Map() });
+                return db.upgrade.objectStore(name);
+            },
+            deleteObjectStore(name) {
+                db.stores.delete(name);
+            }
+        };
+    }
+
+    return {
+        databases,
+        open(name, version) {
+            const req = { onupgradeneeded: null, onsuccess: null, onerror: null };
+            setTimeout(() => {
+                if (!databases.has(name)) databases.set(name, { version: 0, stores: new Map() });
+                const db = databases.get(name);
+                req.result = handle(db);
+                if (version > db.version) {
+                    const oldVersion = db.version;
+                    db.version = version;
+                    db.upgrade = req.transaction = createTransaction(db);
+                    req.onupgradeneeded({ oldVersion });
+                    db.upgrade.run();
+                }
+                req.onsuccess();
+            }, 0);
+            return req;
+        }
+    };
+}
+
+/**
+ * Web Locks with ifAvailable: a held lock is not granted again until released
+ */
+function createFakeLocks() {
+    const held = new Set();
+    return {
+        async request(name, options, callback) {
+            if (held.has(name)) return callback(null);
+            held.add(name);
+            try {
+                return await callback({ name });
+            } finally {
+                held.delete(name);
+            }
+        }
+    };
+}
+
+const operations = (entries) => entries.map(entry => entry.operations.map(operation => operation.value));
+const patch = (value) => ({ op: 'patch', path: '[id=a].name', value });
+
+beforeEach(() => {
+    global.indexedDB = createFakeIndexedDB();
+    global.navigator = { locks: createFakeLocks() };
+});
+
+afterEach(() => {
+    delete global.indexedDB;
+    delete global.navigator;
+});
+
+describe('OfflineQueue', () => {
+    test('keeps entries in order across reloads', async () => {
+        const queue = openTab().create(KEY);
+        await queue.add([patch('Milk')]);
+        await queue.add([patch('Oat milk')]);
+
+        const reloaded = openTab().create(KEY);
+        await reloaded.ready;
+
+        expect(operations(reloaded.entries())).toEqual([['Milk'], ['Oat milk']]);
+    });
+
+    test('two tabs queueing at the same time keep each other\'s entries', async () => {
+        const first = openTab().create(KEY);
+        const second = openTab().create(KEY);
+        await Promise.all([first.ready, second.ready]);
+
+        await Promise.all([first.add([patch('From first')]), second.add([patch('From second')])]);
+        await first.refresh();
+
+        expect(operations(first.entries())).toEqual([['From first'], ['From second']]);
+        expect(operations(second.entries())).toEqual([['From first'], ['From second']]);
+    });
+
+    test('shift, replaceFirst and splitFirst change the oldest entry, as every tab sees it', async () => {
+        const tab = openTab().create(KEY);
+        await tab.add([patch('A'), patch('B'), patch('C')]);
+        await tab.add([patch('D')]);
+        const other = openTab().create(KEY);
+        await other.add([patch('E')]);
+
+        await tab.splitFirst();
+        await tab.replaceFirst([patch('A2')]);
+        await tab.shift();
+        await other.refresh();
+
+        expect(operations(other.entries())).toEqual([['B'], ['C'], ['D'], ['E']]);
+    });
+
+    test('moves entries saved by the first version of the database', async () => {
+        global.indexedDB = createFakeIndexedDB(new Map([['listlet-offline', {
+            version: 1,
+            stores: new Map([['queues', {
+                keyPath: 'key',
+                records: new Map([[KEY, { key: KEY, entries: [{ operations: [patch('Old')], queuedAt: '2026-01-01T00:00:00.000Z' }] }]])
+            }]])
+        }]]));
+
+        const queue = openTab().create(KEY);
+        await queue.ready;
+
+        expect(queue.entries()).toMatchObject([{ operations: [patch('Old')], queuedAt: '2026-01-01T00:00:00.000Z' }]);
+        expect([...global.indexedDB.databases.get('listlet-offline').stores.keys()]).toEqual(['entries']);
+    });
+
+    test('one tab at a time replays a document\'s queue', async () => {
+        const first = openTab().create(KEY);
+        const second = openTab().create(KEY);
+        let release;
+        const replaying = first.exclusive(() => new Promise(resolve => { release = resolve; }));
+
+        expect(await second.exclusive(async () => {})).toBe(false);
+        release();
+        expect(await replaying).toBe(true);
+        expect(await second.exclusive(async () => {})).toBe(true);
+    });
+});
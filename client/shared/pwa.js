@@ -0,0 +1,102 @@
+// Installable app support (shared by all pages)
+// Registers the service worker (/sw.js) and provides the read-only offline mode pages
+// use when the server is unreachable and they opened the copy saved on this device.
+
+const OfflineMode = (function() {
+    const RETRY_INTERVAL = 30000; // 30 seconds
+
+    // Current offline options ({ savedAt, content, onReconnect }), null when online
+    let options = null;
+    let bannerEl = null;
+    let retryTimer = null;
+    let reconnecting = false;
+
+    /**
+     * Register the service worker (skipped where unsupported, e.g. plain http)
+     */
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        window.addEventListener('load', () => {
+            navigator.serviceWorker.register('/sw.js').catch((error) => {
+                console.warn('Service worker registration failed:', error);
+            });
+        });
+    }
+
+    /**
+     * Show the page's saved copy read-only until the server can be reached again
+     * @param {Object} opts
+     * @param {string} opts.savedAt - When the copy was saved (from api.offlineCopy())
+     * @param {Array<Element>} opts.content - Elements to make read-only
+     * @param {Function} opts.onReconnect - async () => boolean; reload from the server,
+     *   true once the live copy is loaded
+     */
+    function enter(opts) {
+        options = opts;
+        options.content.forEach(el => { el.inert = true; });
+        document.body.classList.add('offline-readonly');
+
+        if (!bannerEl) {
+            bannerEl = document.createElement('div');
+            bannerEl.className = 'offline-banner';
+            bannerEl.setAttribute('role', 'status');
+            bannerEl.addEventListener('click', (e) => {
+                if (e.target.closest('.offline-retry-btn')) tryReconnect();
+            });
+            document.body.prepend(bannerEl);
+        }
+        bannerEl.innerHTML = `
+            <span>Offline - showing the copy saved on this device
+                <span title="${escapeHtml(new Date(options.savedAt).toLocaleString())}">${escapeHtml(formatRelativeTime(options.savedAt))}</span>.
+                Read-only until you are back online.</span>
+            <button class="offline-retry-btn">Retry</button>
+        `;
+
+        clearInterval(retryTimer);
+        retryTimer = setInterval(tryReconnect, RETRY_INTERVAL);
+    }
+
+    /**
+     * Leave offline mode (the page has loaded the live copy)
+     */
+    function exit() {
+        if (!options) return;
+        options.content.forEach(el => { el.inert = false; });
+        options = null;
+        document.body.classList.remove('offline-readonly');
+        clearInterval(retryTimer);
+        retryTimer = null;
+        if (bannerEl) {
+            bannerEl.remove();
+            bannerEl = null;
+        }
+    }
+
+    /**
+     * Ask the page to reload from the server; leave offline mode if it worked
+     */
+    async function tryReconnect() {
+        if (!options || reconnecting) return;
+        reconnecting = true;
+        try {
+            if (await options.onReconnect()) exit();
+        } catch (error) {
+            console.warn('Still offline:', error);
+        } finally {
+            reconnecting = false;
+        }
+    }
+
+    /**
+     * Check if the page is showing a read-only offline copy
+     */
+    function isActive() {
+        return options !== null;
+    }
+
+    registerServiceWorker();
+    window.addEventListener('online', tryReconnect);
+
+    // Public API
+    return { enter, exit, isActive };
+})();
@@ -0,0 +1,162 @@
+// Recently visited task lists and SwarmSpace sessions (home page dashboard)
+// Kept in localStorage on this device. Each visit stores a small peek at the document
+// (task counts by status, meals planned ahead, or the session's current week) so the
+// home page can show it without loading anything.
+
+const Recents = (function() {
+    const STORAGE_KEY = 'recentLists';
+    const MAX_ENTRIES = 10; // Pinned entries are kept on top of these
+    const STATUS_LABELS = {
+        'not-started': 'to do',
+        'in-progress': 'in progress',
+        'needs-review': 'to review',
+        'done': 'done'
+    };
+
+    /**
+     * Read all entries (unsorted)
+     * @returns {Array<Object>}
+     */
+    function load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            return Array.isArray(stored) ? stored.filter(entry => entry && entry.type && entry.name) : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function save(entries) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+        } catch (e) {
+            // Storage full or disabled - recents are a convenience only
+        }
+    }
+
+    function sameEntry(entry, type, name) {
+        return entry.type === type && entry.name === name;
+    }
+
+    /**
+     * Pinned first, then most recent first
+     */
+    function compareEntries(a, b) {
+        if (!!a.pinned !== !!b.pinned) return a.pinned ? -1 : 1;
+        return b.lastAccessed - a.lastAccessed;
+    }
+
+    /**
+     * Summarize a document for the dashboard
+     * @param {string} type - 'tasks', 'meals' or 'swarm'
+     * @param {*} data - The document
+     * @returns {Object|null} - { counts } for task lists (by status, removed tasks left out),
+     *   { upcoming } for meal boards (meals planned from today on), { week, event } for
+     *   sessions; null if there is nothing to show
+     */
+    function createPeek(type, data) {
+        if (type === 'tasks' && Array.isArray(data)) {
+            const counts = {};
+            data.forEach(task => {
+                if (!task || task.status === 'removed') return;
+                const status = task.status || 'not-started';
+                counts[status] = (counts[status] || 0) + 1;
+            });
+            return { counts };
+        }
+        if (type === 'meals' && Array.isArray(data)) {
+            // Meal tasks are tagged 'meal' and their date (see mealboard/meal-plan.js)
+            const now = new Date();
+            const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+            const upcoming = data.filter(task => task && task.status !== 'removed' && Array.isArray(task.tags) &&
+                task.tags.includes('meal') && task.tags.some(tag => /^\d{4}-\d{2}-\d{2}$/.test(tag) && tag >= today)).length;
+            return { upcoming };
+        }
+        if (type === 'swarm' && data && Array.isArray(data.weeks)) {
+            // Same rule as SwarmSpaceStore.getCurrentWeekId: the first week if none is set
+            const week = data.weeks.find(w => w.id === data.currentWeekId) || data.weeks[0];
+            if (!week) return null;
+            return { week: week.weekNumber, event: (week.event && week.event.text) || '' };
+        }
+        return null;
+    }
+
+    /**
+     * Describe a peek in a few words (e.g., "2 to do, 1 done", "3 meals planned" or "Week 3: Storm")
+     * @param {Object|undefined} peek - From createPeek
+     * @returns {string} - Empty if there is nothing to say
+     */
+    function describePeek(peek) {
+        if (!peek) return '';
+        if (peek.counts) {
+            const parts = Object.keys(STATUS_LABELS)
+                .filter(status => peek.counts[status])
+                .map(status => `${peek.counts[status]} ${STATUS_LABELS[status]}`);
+            return parts.length > 0 ? parts.join(', ') : 'No tasks';
+        }
+        if (peek.upcoming !== undefined) {
+            return peek.upcoming > 0 ? `${peek.upcoming} meal${peek.upcoming === 1 ? '' : 's'} planned` : 'No meals planned';
+        }
+        if (peek.week !== undefined) {
+            return peek.event ? `Week ${peek.week}: ${peek.event}` : `Week ${peek.week}`;
+        }
+        return '';
+    }
+
+    /**
+     * Record a visit to a list or session
+     * @param {string} type - 'tasks', 'meals' (a task list's meal board) or 'swarm'
+     * @param {string} name - List or session name
+     * @param {*} data - The document as loaded (for its title and peek)
+     */
+    function record(type, name, data) {
+        const entries = load();
+        const existing = entries.find(entry => sameEntry(entry, type, name));
+        const entry = { type, name, lastAccessed: Date.now(), pinned: !!(existing && existing.pinned) };
+        if (type === 'swarm' && data && typeof data.title === 'string' && data.title.trim()) {
+            entry.title = data.title.trim();
+        }
+        const peek = createPeek(type, data);
+        if (peek) entry.peek = peek;
+
+        const others = entries.filter(e => !sameEntry(e, type, name));
+        const pinned = others.filter(e => e.pinned);
+        const unpinned = others.filter(e => !e.pinned).sort(compareEntries);
+        if (!entry.pinned) unpinned.unshift(entry);
+        else pinned.push(entry);
+
+        save([...pinned, ...unpinned.slice(0, MAX_ENTRIES)]);
+    }
+
+    /**
+     * Get the recent entries, pinned first, then most recent first
+     * @returns {Array<{type: string, name: string, lastAccessed: number, pinned: boolean, title?: string, peek?: Object}>}
+     */
+    function getAll() {
+        return load().sort(compareEntries);
+    }
+
+    /**
+     * Pin or unpin an entry (pinned entries stay on top and are never dropped)
+     */
+    function setPinned(type, name, pinned) {
+        save(load().map(entry => (sameEntry(entry, type, name) ? { ...entry, pinned: !!pinned } : entry)));
+    }
+
+    /**
+     * Forget one entry
+     */
+    function remove(type, name) {
+        save(load().filter(entry => !sameEntry(entry, type, name)));
+    }
+
+    /**
+     * Forget all entries except pinned ones
+     */
+    function clear() {
+        save(load().filter(entry => entry.pinned));
+    }
+
+    // Public API
+    return { record, getAll, setPinned, remove, clear, createPeek, describePeek };
+})();
@@ -0,0 +1,144 @@
+/**
+ * Tests for Recents (recently visited lists and sessions for the home page).
+ *
+ * recents.js is browser script code, so we eval it with an in-memory localStorage.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+eval(fs.readFileSync(path.join(__dirname, 'recents.js'), 'utf-8')
+    .replace('const Recents = (function()', 'global.Recents = (function()'));
+
+let now;
+
+beforeEach(() => {
+    const items = {};
+    global.localStorage = {
+        getItem: (key) => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); }
+    };
+    now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.localStorage;
+});
+
+/**
+ * Record a visit one tick after the previous one
+ */
+function visit(type, name, data) {
+    now += 1;
+    Recents.record(type, name, data);
+}
+
+describe('Recents', () => {
+    test('records task lists and sessions, most recent first', () => {
+        visit('tasks', 'grocery', []);
+        visit('swarm', 'game1', { title: ' Colony ', weeks: [] });
+        visit('tasks', 'grocery', []);
+
+        expect(Recents.getAll().map(e => [e.type, e.name])).toEqual([['tasks', 'grocery'], ['swarm', 'game1']]);
+        expect(Recents.getAll()[0].lastAccessed).toBe(1003);
+        expect(Recents.getAll()[1].title).toBe('Colony');
+    });
+
+    test('a task list and a session with the same name are separate entries', () => {
+        visit('tasks', 'shared', []);
+        visit('swarm', 'shared', null);
+
+        expect(Recents.getAll()).toHaveLength(2);
+    });
+
+    test('keeps the 10 most recent unpinned entries plus pinned ones', () => {
+        visit('tasks', 'keep', []);
+        Recents.setPinned('tasks', 'keep', true);
+        for (let i = 0; i < 12; i++) visit('tasks', `list${i}`, []);
+
+        const names = Recents.getAll().map(e => e.name);
+        expect(names).toHaveLength(11);
+        expect(names[0]).toBe('keep');
+        expect(names).not.toContain('list0');
+        expect(names).not.toContain('list1');
+        expect(names[1]).toBe('list11');
+    });
+
+    test('pinned entries stay on top and stay pinned when visited again', () => {
+        visit('tasks', 'a', []);
+        visit('tasks', 'b', []);
+        Recents.setPinned('tasks', 'a', true);
+        visit('tasks', 'a', []);
+        visit('tasks', 'c', []);
+
+        expect(Recents.getAll().map(e => [e.name, e.pinned])).toEqual([['a', true], ['c', false], ['b', false]]);
+    });
+
+    test('remove forgets one entry and clear keeps pinned ones', () => {
+        visit('tasks', 'a', []);
+        visit('tasks', 'b', []);
+        visit('swarm', 'c', null);
+        Recents.setPinned('swarm', 'c', true);
+
+        Recents.remove('tasks', 'b');
+        expect(Recents.getAll().map(e => e.name)).toEqual(['c', 'a']);
+
+        Recents.clear();
+        expect(Recents.getAll().map(e => e.name)).toEqual(['c']);
+    });
+
+    test('ignores unreadable storage', () => {
+        localStorage.setItem('recentLists', 'not json');
+        expect(Recents.getAll()).toEqual([]);
+
+        visit('tasks', 'a', []);
+        expect(Recents.getAll().map(e => e.name)).toEqual(['a']);
+    });
+});
+
+describe('peeks', () => {
+    test('task lists count tasks by status, leaving out removed ones', () => {
+        visit('tasks', 'grocery', [
+            { id: '1', name: 'Milk', status: 'done' },
+            { id: '2', name: 'Eggs', status: 'not-started' },
+            { id: '3', name: 'Bread', status: 'not-started' },
+            { id: '4', name: 'Old', status: 'removed' }
+        ]);
+
+        const [entry] = Recents.getAll();
+        expect(entry.peek).toEqual({ counts: { 'done': 1, 'not-started': 2 } });
+        expect(Recents.describePeek(entry.peek)).toBe('2 to do, 1 done');
+        expect(Recents.describePeek({ counts: {} })).toBe('No tasks');
+    });
+
+    test('meal boards count meals planned from today on', () => {
+        jest.useFakeTimers().setSystemTime(new Date(2026, 0, 20, 12));
+        const upcoming = Recents.createPeek('meals', [
+            { id: '1', name: 'Tacos', status: 'not-started', tags: ['meal', '2026-01-19', 'meal:tacos'] },
+            { id: '2', name: 'Chili', status: 'not-started', tags: ['meal', '2026-01-20', 'meal:chili'] },
+            { id: '3', name: 'Chop', status: 'not-started', tags: ['prep', '2026-01-21', 'meal:pizza'] },
+            { id: '4', name: 'Pizza', status: 'not-started', tags: ['meal', '2026-01-21', 'meal:pizza'] },
+            { id: '5', name: 'Soup', status: 'removed', tags: ['meal', '2026-01-22', 'meal:soup'] }
+        ]);
+        jest.useRealTimers();
+
+        expect(upcoming).toEqual({ upcoming: 2 });
+        expect(Recents.describePeek(upcoming)).toBe('2 meals planned');
+        expect(Recents.describePeek({ upcoming: 0 })).toBe('No meals planned');
+    });
+
+    test('sessions show the current week, or the first week if none is set', () => {
+        const weeks = [
+            { id: 'w1', weekNumber: 1, event: { text: 'Storm', comments: [] } },
+            { id: 'w2', weekNumber: 2, event: { text: '', comments: [] } }
+        ];
+
+        expect(Recents.createPeek('swarm', { weeks, currentWeekId: null })).toEqual({ week: 1, event: 'Storm' });
+        expect(Recents.createPeek('swarm', { weeks, currentWeekId: 'w2' })).toEqual({ week: 2, event: '' });
+        expect(Recents.createPeek('swarm', { weeks: [], currentWeekId: null })).toBeNull();
+        expect(Recents.describePeek({ week: 1, event: 'Storm' })).toBe('Week 1: Storm');
+        expect(Recents.describePeek({ week: 2, event: '' })).toBe('Week 2');
+    });
+});
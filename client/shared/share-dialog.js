@@ -0,0 +1,176 @@
+// Share links dialog (shared by tasks and SwarmSpace)
+// Lets the owner create view-only and edit links (optionally expiring), copy them and revoke them.
+
+const ShareDialog = (function() {
+    const ROLE_LABELS = { viewer: 'Can view', editor: 'Can edit' };
+
+    let api = null;
+    let modalEl, listEl, roleSelect, expirySelect, createBtn;
+
+    /**
+     * Create the modal markup on first use
+     */
+    function ensureModal() {
+        if (modalEl) return;
+
+        modalEl = document.createElement('div');
+        modalEl.className = 'modal-overlay';
+        modalEl.id = 'shareModal';
+        modalEl.innerHTML = `
+            <div class="modal share-modal">
+                <h3>Share links</h3>
+                <p class="share-hint">Anyone with a link can open this page with the access you choose, without being added as an editor.</p>
+                <div class="share-create">
+                    <select id="shareRole">
+                        <option value="viewer">Can view</option>
+                        <option value="editor">Can edit</option>
+                    </select>
+                    <select id="shareExpiry">
+                        <option value="0">Never expires</option>
+                        <option value="1">Expires in 1 day</option>
+                        <option value="7">Expires in 7 days</option>
+                        <option value="30">Expires in 30 days</option>
+                    </select>
+                    <button class="modal-btn primary" id="createShareBtn">Create link</button>
+                </div>
+                <ul class="share-list" id="shareList"></ul>
+                <div class="modal-buttons">
+                    <button class="modal-btn secondary" id="closeShareBtn">Close</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modalEl);
+
+        listEl = modalEl.querySelector('#shareList');
+        roleSelect = modalEl.querySelector('#shareRole');
+        expirySelect = modalEl.querySelector('#shareExpiry');
+        createBtn = modalEl.querySelector('#createShareBtn');
+
+        modalEl.querySelector('#closeShareBtn').addEventListener('click', close);
+        modalEl.addEventListener('click', (e) => {
+            if (e.target === modalEl) close();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && modalEl.classList.contains('visible')) close();
+        });
+        createBtn.addEventListener('click', handleCreate);
+        listEl.addEventListener('click', handleListClick);
+    }
+
+    /**
+     * Open the dialog for the current document
+     * @param {Object} apiInstance - API instance (from createApi)
+     */
+    async function open(apiInstance) {
+        ensureModal();
+        api = apiInstance;
+        modalEl.classList.add('visible');
+        await refresh();
+    }
+
+    /**
+     * Close the dialog
+     */
+    function close() {
+        if (modalEl) modalEl.classList.remove('visible');
+    }
+
+    /**
+     * Load and show the document's links
+     */
+    async function refresh() {
+        listEl.innerHTML = '<li class="share-empty">Loading...</li>';
+        try {
+            const shares = await api.listShares();
+            if (shares.length === 0) {
+                listEl.innerHTML = '<li class="share-empty">No links yet.</li>';
+                return;
+            }
+            listEl.innerHTML = shares.map(renderShare).join('');
+        } catch (error) {
+            listEl.innerHTML = `<li class="share-empty error">${escapeHtml(error.message)}</li>`;
+        }
+    }
+
+    /**
+     * Render one link with copy and revoke buttons
+     */
+    function renderShare(share) {
+        const expired = share.expiresAt && new Date(share.expiresAt) <= new Date();
+        let expiry = 'Never expires';
+        if (expired) expiry = 'Expired';
+        else if (share.expiresAt) expiry = `Expires ${new Date(share.expiresAt).toLocaleDateString()}`;
+
+        return `
+            <li class="share-item${expired ? ' expired' : ''}" data-share-id="${escapeHtml(share.id)}">
+                <div class="share-item-info">
+                    <span class="share-item-role">${escapeHtml(ROLE_LABELS[share.role] || share.role)}</span>
+                    <span class="share-item-meta">${escapeHtml(expiry)} - created ${escapeHtml(formatRelativeTime(share.createdAt))}</span>
+                </div>
+                <input class="share-item-url" type="text" readonly value="${escapeHtml(share.token ? shareUrl(share.token) : '')}">
+                <button class="modal-btn secondary share-copy-btn"${share.token && !expired ? '' : ' disabled'}>Copy</button>
+                <button class="modal-btn secondary share-revoke-btn">Revoke</button>
+            </li>
+        `;
+    }
+
+    /**
+     * The current page's URL with a share token
+     * @param {string} token - Link token
+     * @returns {string}
+     */
+    function shareUrl(token) {
+        const url = new URL(window.location.href);
+        url.searchParams.set('token', token);
+        url.hash = '';
+        return url.toString();
+    }
+
+    /**
+     * Create a link with the chosen role and expiry
+     */
+    async function handleCreate() {
+        const days = parseInt(expirySelect.value, 10);
+        const expiresAt = days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null;
+
+        createBtn.disabled = true;
+        try {
+            await api.createShare(roleSelect.value, expiresAt);
+            await refresh();
+        } catch (error) {
+            alert('Failed to create link: ' + error.message);
+        } finally {
+            createBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Copy or revoke a link
+     */
+    async function handleListClick(e) {
+        const item = e.target.closest('.share-item');
+        if (!item) return;
+        const urlInput = item.querySelector('.share-item-url');
+
+        if (e.target.closest('.share-copy-btn')) {
+            try {
+                await navigator.clipboard.writeText(urlInput.value);
+                e.target.textContent = 'Copied';
+            } catch (error) {
+                // Clipboard unavailable (e.g., plain http) - select it for manual copying
+                urlInput.select();
+            }
+        } else if (e.target.closest('.share-revoke-btn')) {
+            if (!confirm('Revoke this link? Anyone using it loses access straight away.')) return;
+            try {
+                await api.revokeShare(item.dataset.shareId);
+                await refresh();
+            } catch (error) {
+                alert('Failed to revoke link: ' + error.message);
+            }
+        }
+    }
+
+    // Public API
+    return { open, close };
+})();
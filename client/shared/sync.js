@@ -0,0 +1,417 @@
+// Multi-user sync for a shared document (used by the task list and SwarmSpace pages)
+//
+// Streams changes from the server with Server-Sent Events when available, and
+// falls back to polling the change feed every 15 seconds when the stream drops
+// (or in mock mode / browsers without EventSource). Either one pauses after
+// 5 minutes without user activity (the stream is closed, so idle tabs hold no
+// connection) and resumes on the next activity, catching up from the last seen
+// position. Status is shown in the page's #syncStatus element, along with the
+// number of changes queued while offline (see createApi) and why they cannot be
+// sent when the server refuses them for lack of access.
+
+const DocumentSync = (function() {
+    // Sync state
+    let lastSyncTime = Date.now();
+    let syncInterval = null;
+    let syncPaused = false;
+    let api = null;
+    let onSyncCallback = null;
+
+    // Change feed state: server document as of lastSeq (null = fetch the full document)
+    let lastSeq = null;
+    let serverDoc = null;
+    let lastChangeCount = 0;
+    let pendingCount = 0;
+    let pendingBlocked = null;   // Why queued changes cannot be sent (e.g., 'Login required')
+
+    // Stream state
+    let eventSource = null;
+    let streamFailures = 0;
+    let streamRetryTimer = null;
+    let idleTimer = null;
+    let pendingOperations = [];
+    let flushTimer = null;
+
+    // Constants
+    const POLL_INTERVAL = 15000; // 15 seconds
+    const PAUSE_AFTER = 5 * 60 * 1000; // 5 minutes
+    const STREAM_RETRY_AFTER = 60 * 1000; // 1 minute
+    const MAX_STREAM_FAILURES = 3;
+    const FLUSH_DELAY = 50; // Batch operations from one response into one render
+
+    /**
+     * Initialize the sync module
+     * @param {Object} apiInstance - The API instance to use for fetching
+     * @param {Function} onSync - Callback when data is refreshed from server: (data, operations)
+     *   where operations are the changes since the last refresh, or null after a full fetch
+     */
+    function init(apiInstance, onSync) {
+        api = apiInstance;
+        onSyncCallback = onSync;
+
+        pendingCount = api.pendingCount();
+        api.onPendingChange((count, blocked) => {
+            const sent = count < pendingCount;
+            pendingCount = count;
+            pendingBlocked = blocked;
+            updateStatusUI();
+            // Queued changes reached the server - catch up if nothing is streaming them back
+            if (sent && count === 0 && !eventSource) refreshFromServer();
+        });
+        // Queued changes the server rejected are lost - say so and show the server's copy
+        api.onDropped((operations, error) => {
+            const count = operations.length;
+            alert(`${count} change${count === 1 ? '' : 's'} made offline could not be saved: ${error}`);
+            refreshFromServer(true);
+        });
+
+        if (canStream()) {
+            // Hidden tabs drop the stream and catch up from lastSeq when shown again
+            document.addEventListener('visibilitychange', handleVisibilityChange);
+            startStream();
+        } else {
+            startPolling();
+        }
+    }
+
+    /**
+     * Check whether changes can be streamed (needs EventSource and a real server)
+     */
+    function canStream() {
+        return typeof EventSource !== 'undefined' && !!api && !api.isMock;
+    }
+
+    /**
+     * Open the Server-Sent Events stream, starting from the last seen position
+     */
+    async function startStream() {
+        clearTimeout(streamRetryTimer);
+        streamRetryTimer = null;
+
+        if (lastSeq === null) {
+            await refreshFromServer(true);
+        }
+        if (lastSeq === null) {
+            // Server did not report a change feed position - polling only
+            startPolling();
+            return;
+        }
+
+        stopPolling();
+        closeStream();
+        syncPaused = false;
+        streamFailures = 0;
+        lastSyncTime = Date.now();
+        scheduleIdleCheck();
+
+        eventSource = new EventSource(api.eventsUrl(lastSeq));
+        eventSource.onopen = () => {
+            streamFailures = 0;
+        };
+        eventSource.addEventListener('operation', (e) => queueOperation(JSON.parse(e.data)));
+        eventSource.addEventListener('reset', () => refreshFromServer(true));
+        eventSource.onerror = () => {
+            // Every response ends with an error before EventSource reconnects;
+            // only reconnects that fail before opening count as the stream dropping
+            if (!eventSource) return;
+            if (eventSource.readyState === EventSource.CLOSED || ++streamFailures >= MAX_STREAM_FAILURES) {
+                fallBackToPolling();
+            }
+        };
+        updateStatusUI();
+    }
+
+    /**
+     * Check for inactivity once the stream has been idle for PAUSE_AFTER
+     */
+    function scheduleIdleCheck() {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(pauseIdleStream, Math.max(0, lastSyncTime + PAUSE_AFTER - Date.now()));
+    }
+
+    /**
+     * Close the stream after 5 minutes without activity (resetActivity reopens it)
+     */
+    function pauseIdleStream() {
+        idleTimer = null;
+        if (!eventSource) return;
+        if (Date.now() - lastSyncTime < PAUSE_AFTER) {
+            scheduleIdleCheck();
+            return;
+        }
+        closeStream();
+        syncPaused = true;
+        updateStatusUI();
+    }
+
+    /**
+     * Close the stream (if open) without changing the sync mode
+     */
+    function closeStream() {
+        if (eventSource) {
+            eventSource.close();
+            eventSource = null;
+        }
+    }
+
+    /**
+     * Switch to polling after the stream drops, and try the stream again later
+     */
+    function fallBackToPolling() {
+        console.warn('Change stream unavailable, falling back to polling');
+        closeStream();
+        startPolling();
+        clearTimeout(streamRetryTimer);
+        streamRetryTimer = setTimeout(startStream, STREAM_RETRY_AFTER);
+    }
+
+    /**
+     * Close the stream while the tab is hidden and reopen it when shown
+     */
+    function handleVisibilityChange() {
+        if (document.hidden) {
+            if (eventSource) closeStream();
+        } else if (!eventSource && !syncInterval) {
+            startStream();
+        }
+    }
+
+    /**
+     * Queue a streamed operation; operations arriving together are applied in one render
+     * @param {Object} entry - Operation log entry ({ seq, op, path, value, id })
+     */
+    function queueOperation(entry) {
+        // Already applied (replayed after a reconnect)
+        if (lastSeq !== null && entry.seq <= lastSeq) return;
+
+        if (entry.op === 'replace') {
+            pendingOperations = [];
+            refreshFromServer(true);
+            return;
+        }
+
+        pendingOperations.push(entry);
+        lastSeq = entry.seq;
+        if (!flushTimer) {
+            flushTimer = setTimeout(flushOperations, FLUSH_DELAY);
+        }
+    }
+
+    /**
+     * Apply queued streamed operations and notify the page
+     */
+    function flushOperations() {
+        flushTimer = null;
+        const operations = pendingOperations;
+        pendingOperations = [];
+        if (operations.length === 0 || serverDoc === null) return;
+
+        applyOperations(serverDoc, operations);
+        lastChangeCount = operations.length;
+        if (onSyncCallback) {
+            onSyncCallback(withPending(serverDoc), operations);
+        }
+        updateStatusUI();
+    }
+
+    /**
+     * Copy the server document for the page, with changes still queued offline applied
+     * @param {*} doc - Server copy (left unchanged)
+     * @returns {*} - Copy for the page
+     */
+    function withPending(doc) {
+        return api.applyPendingOperations(JSON.parse(JSON.stringify(doc)));
+    }
+
+    /**
+     * Start sync polling
+     */
+    function startPolling() {
+        lastSyncTime = Date.now();
+        syncPaused = false;
+        updateStatusUI();
+
+        // Clear any existing interval
+        if (syncInterval) {
+            clearInterval(syncInterval);
+        }
+
+        syncInterval = setInterval(async () => {
+            const elapsed = Date.now() - lastSyncTime;
+
+            // After 5 minutes of inactivity, pause and show UI
+            if (elapsed > PAUSE_AFTER) {
+                pausePolling();
+                return;
+            }
+
+            await refreshFromServer();
+        }, POLL_INTERVAL);
+    }
+
+    /**
+     * Stop the polling interval without marking sync as paused
+     */
+    function stopPolling() {
+        if (syncInterval) {
+            clearInterval(syncInterval);
+            syncInterval = null;
+        }
+    }
+
+    /**
+     * Pause sync polling
+     */
+    function pausePolling() {
+        syncPaused = true;
+        stopPolling();
+        updateStatusUI();
+    }
+
+    /**
+     * Refresh data from server
+     * Fetches only the operations since the last refresh when possible, and the
+     * full document on the first refresh or when the change feed asks for a reset.
+     * @param {boolean} full - Always fetch the full document
+     */
+    async function refreshFromServer(full = false) {
+        if (!api) return;
+
+        try {
+            const changes = (!full && lastSeq !== null) ? await api.fetchChanges(lastSeq) : null;
+
+            if (!changes || changes.reset || changes.operations.some(o => o.op === 'replace')) {
+                const { data, seq, unchanged } = await api.fetchDocument();
+                lastSeq = seq;
+                serverDoc = data;
+                lastChangeCount = 0;
+                // Nothing to re-render if the server says the document is unchanged (304)
+                if (onSyncCallback && !unchanged) {
+                    onSyncCallback(withPending(data), null);
+                }
+            } else {
+                lastSeq = changes.seq;
+                lastChangeCount = changes.operations.length;
+                if (lastChangeCount > 0) {
+                    applyOperations(serverDoc, changes.operations);
+                    if (onSyncCallback) {
+                        onSyncCallback(withPending(serverDoc), changes.operations);
+                    }
+                }
+            }
+            updateStatusUI();
+        } catch (error) {
+            console.error('Sync refresh failed:', error);
+        }
+    }
+
+    /**
+     * Manual refresh (called by user clicking sync indicator)
+     * Also sends changes queued offline, and retries the stream right away if
+     * sync had fallen back to polling.
+     */
+    async function manualRefresh() {
+        if (api) await api.replayPending();
+        await refreshFromServer(true);
+        if (canStream() && !eventSource) {
+            startStream();
+        } else {
+            resetActivity();
+        }
+    }
+
+    /**
+     * Reset the activity timer (call after any user action)
+     * Resumes paused sync: the stream where it can be used, polling otherwise.
+     */
+    function resetActivity() {
+        lastSyncTime = Date.now();
+        if (syncPaused && !eventSource) {
+            if (canStream()) {
+                startStream();
+            } else {
+                startPolling();
+            }
+        }
+    }
+
+    /**
+     * Update the sync status UI
+     */
+    function updateStatusUI() {
+        const indicator = document.getElementById('syncStatus');
+        if (!indicator) return;
+
+        const changes = `${lastChangeCount} change${lastChangeCount === 1 ? '' : 's'}`;
+        if (pendingCount > 0) {
+            const pending = `${pendingCount} change${pendingCount === 1 ? '' : 's'} saved on this device`;
+            indicator.textContent = pendingBlocked ? `${pendingCount} not sent` : `${pendingCount} pending`;
+            indicator.classList.remove('paused');
+            indicator.classList.add('pending');
+            indicator.title = pendingBlocked
+                ? `${pending} cannot be sent: ${pendingBlocked}. They are sent once you can edit this list again. Click to retry`
+                : `${pending}, waiting to be sent. Click to refresh`;
+            return;
+        }
+        indicator.classList.remove('pending');
+        if (syncPaused) {
+            indicator.textContent = 'Sync paused';
+            indicator.classList.add('paused');
+            indicator.title = 'Click to refresh and resume sync';
+        } else if (eventSource) {
+            indicator.textContent = lastChangeCount > 0 ? `Live · ${changes}` : 'Live';
+            indicator.classList.remove('paused');
+            indicator.title = lastChangeCount > 0
+                ? `${changes} in the last update. Receiving changes as they happen`
+                : 'Receiving changes as they happen';
+        } else {
+            indicator.textContent = lastChangeCount > 0 ? `Synced · ${changes}` : 'Synced';
+            indicator.classList.remove('paused');
+            indicator.title = lastChangeCount > 0
+                ? `${changes} since the last sync. Auto-syncing every 15s`
+                : 'Auto-syncing every 15s';
+        }
+    }
+
+    /**
+     * Stop all sync operations (cleanup)
+     */
+    function stop() {
+        closeStream();
+        stopPolling();
+        clearTimeout(streamRetryTimer);
+        clearTimeout(flushTimer);
+        clearTimeout(idleTimer);
+        streamRetryTimer = null;
+        flushTimer = null;
+        idleTimer = null;
+        document.removeEventListener('visibilitychange', handleVisibilityChange);
+        syncPaused = true;
+    }
+
+    /**
+     * Check if sync is currently paused
+     */
+    function isPaused() {
+        return syncPaused;
+    }
+
+    /**
+     * Check if changes are currently streamed (rather than polled)
+     */
+    function isStreaming() {
+        return !!eventSource;
+    }
+
+    // Public API
+    return {
+        init,
+        startPolling,
+        pausePolling,
+        manualRefresh,
+        resetActivity,
+        stop,
+        isPaused,
+        isStreaming
+    };
+})();
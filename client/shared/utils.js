@@ -35,6 +35,29 @@ function getListName() {
     return (list && list.trim()) || CONFIG.DEFAULT_LIST_NAME;
 }
 
+/**
+ * Get the share link token from the URL (?token=), if the page was opened from one
+ * @returns {string|null}
+ */
+function getShareToken() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('token') || null;
+}
+
+/**
+ * Check a list or session name someone typed in
+ * '~' is reserved for sub-lists the app creates (e.g., 'family-meals~shopping'); the API also
+ * refuses names with '/' or a leading '_' (where it keeps its own records).
+ * @param {string} name - Trimmed name
+ * @returns {string|null} - Why the name cannot be used, or null if it can
+ */
+function validateListName(name) {
+    if (name.includes('~')) return 'List names cannot contain ~';
+    if (name.includes('/')) return 'List names cannot contain /';
+    if (name.startsWith('_')) return 'List names cannot start with _';
+    return null;
+}
+
 /**
  * Check if a list name was explicitly provided in URL
  * @returns {boolean} - True if list param exists and is non-empty
@@ -44,3 +67,101 @@ function hasExplicitListName() {
     const list = params.get('list');
     return !!(list && list.trim());
 }
+
+/**
+ * Format a date as a short relative time (e.g., "just now", "5 min ago", "3 days ago")
+ * @param {string|number|Date} date - Date to format
+ * @returns {string} - Relative time description
+ */
+function formatRelativeTime(date) {
+    const seconds = Math.round((Date.now() - new Date(date).getTime()) / 1000);
+    if (seconds < 45) return 'just now';
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+    const days = Math.round(hours / 24);
+    if (days < 30) return `${days} day${days === 1 ? '' : 's'} ago`;
+    return new Date(date).toLocaleDateString();
+}
+
+/**
+ * Describe schema violations from a rejected write (422) for people
+ * @param {Array<{path: string, message: string}>} violations - From the server
+ * @returns {string} - e.g., '[id=a].status must be one of: ...; weeks.0.event.comments is required'
+ */
+function formatViolations(violations) {
+    return violations.map(v => `${v.path || 'document'} ${v.message}`).join('; ');
+}
+
+/**
+ * Apply atomic operations (as logged by the server's change feed) to a document in place
+ * Idempotent, so replaying an operation the document already reflects is harmless:
+ * appends skip items whose id is already present and deletes skip missing items
+ * (addValue and removeValue are set operations, idempotent by nature).
+ * Paths follow the API: numeric indexes, '[id=...]' item selectors, and '' for the root.
+ * @param {*} doc - Document to update (mutated)
+ * @param {Array} operations - [{ op: 'append'|'delete'|'patch'|'addValue'|'removeValue', path, value, id }]
+ * @returns {*} - The same document
+ */
+function applyOperations(doc, operations) {
+    const idSegment = (key) => (key.match(/^\[id=([^\]]+)\]$/) || [])[1];
+    const navigate = (obj, parts) => parts.reduce((o, key) => {
+        if (o === undefined || o === null) return undefined;
+        const itemId = idSegment(key);
+        if (itemId !== undefined) {
+            return Array.isArray(o) ? o.find(item => item && item.id === itemId) : undefined;
+        }
+        return /^\d+$/.test(key) ? o[parseInt(key)] : o[key];
+    }, obj);
+
+    // The array at a missing field, created empty (append and addValue create missing arrays)
+    const createArray = (parts) => {
+        if (parts.length === 0) return undefined;
+        const fieldName = parts[parts.length - 1];
+        const parent = navigate(doc, parts.slice(0, -1));
+        if (!parent || typeof parent !== 'object' || idSegment(fieldName) !== undefined) return undefined;
+        parent[fieldName] = [];
+        return parent[fieldName];
+    };
+
+    operations.forEach(({ op, path, value, id }) => {
+        const pathParts = path === '' ? [] : path.split('.');
+        if (op === 'append') {
+            let target = navigate(doc, pathParts);
+            if (target === undefined) target = createArray(pathParts);
+            if (!Array.isArray(target)) return;
+            const exists = value && value.id !== undefined && target.some(item => item && item.id === value.id);
+            if (!exists) target.push(value);
+        } else if (op === 'delete') {
+            const target = navigate(doc, pathParts);
+            if (!Array.isArray(target)) return;
+            const index = target.findIndex(item => item.id === id);
+            if (index !== -1) target.splice(index, 1);
+        } else if (op === 'addValue') {
+            let target = navigate(doc, pathParts);
+            if (target === undefined) target = createArray(pathParts);
+            if (Array.isArray(target) && !target.includes(value)) target.push(value);
+        } else if (op === 'removeValue') {
+            const target = navigate(doc, pathParts);
+            if (!Array.isArray(target)) return;
+            const index = target.indexOf(value);
+            if (index !== -1) target.splice(index, 1);
+        } else if (op === 'patch') {
+            const fieldName = pathParts.pop();
+            if (fieldName === undefined) return;
+            const parent = navigate(doc, pathParts);
+            if (parent === undefined || parent === null) return;
+            const itemId = idSegment(fieldName);
+            if (itemId !== undefined) {
+                const index = Array.isArray(parent) ? parent.findIndex(item => item && item.id === itemId) : -1;
+                if (index !== -1) parent[index] = value;
+                return;
+            }
+            const key = /^\d+$/.test(fieldName) ? parseInt(fieldName) : fieldName;
+            parent[key] = value;
+        }
+    });
+
+    return doc;
+}
@@ -0,0 +1,133 @@
+/**
+ * Tests for applyOperations (replays change feed operations on a document)
+ * and validateListName.
+ *
+ * utils.js is browser script code, so we eval it to get its functions in scope.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+eval(fs.readFileSync(path.join(__dirname, 'utils.js'), 'utf-8'));
+
+function createSession() {
+    return {
+        title: '',
+        weeks: [{ id: 'w1', weekNumber: 1, event: { text: '', comments: [] } }],
+        resources: [{ id: 'r1', name: 'Water', status: 'scarce' }]
+    };
+}
+
+describe('applyOperations', () => {
+    test('applies append, delete and patch in order', () => {
+        const doc = createSession();
+
+        applyOperations(doc, [
+            { op: 'append', path: 'weeks.0.event.comments', value: { id: 'c1', text: 'Hi' } },
+            { op: 'delete', path: 'resources', id: 'r1' },
+            { op: 'patch', path: 'weeks.0.event.text', value: 'Storm' },
+            { op: 'patch', path: 'title', value: 'Colony' }
+        ]);
+
+        expect(doc.weeks[0].event.comments).toEqual([{ id: 'c1', text: 'Hi' }]);
+        expect(doc.resources).toEqual([]);
+        expect(doc.weeks[0].event.text).toBe('Storm');
+        expect(doc.title).toBe('Colony');
+    });
+
+    test('replaying operations the document already reflects changes nothing', () => {
+        const operations = [
+            { op: 'append', path: 'resources', value: { id: 'r2', name: 'Food', status: 'abundant' } },
+            { op: 'delete', path: 'resources', id: 'r1' },
+            { op: 'patch', path: 'title', value: 'Colony' }
+        ];
+        const doc = applyOperations(createSession(), operations);
+        const once = JSON.parse(JSON.stringify(doc));
+
+        applyOperations(doc, operations);
+
+        expect(doc).toEqual(once);
+    });
+
+    test('appends items without an id every time', () => {
+        const doc = { tags: [] };
+        applyOperations(doc, [
+            { op: 'append', path: 'tags', value: 'urgent' },
+            { op: 'append', path: 'tags', value: 'urgent' }
+        ]);
+        expect(doc.tags).toEqual(['urgent', 'urgent']);
+    });
+
+    test('ignores operations whose path no longer exists', () => {
+        const doc = createSession();
+        applyOperations(doc, [
+            { op: 'append', path: 'weeks.5.event.comments', value: { id: 'c1' } },
+            { op: 'patch', path: 'weeks.5.event.text', value: 'Lost' }
+        ]);
+        expect(doc).toEqual(createSession());
+    });
+
+    test('works on array documents (task lists) with root and [id=...] paths', () => {
+        const doc = [{ id: 't1', name: 'Milk', status: 'not-started', tags: [] }];
+
+        applyOperations(doc, [
+            { op: 'append', path: '', value: { id: 't2', name: 'Eggs', status: 'not-started', tags: [] } },
+            { op: 'append', path: '', value: { id: 't2', name: 'Eggs', status: 'not-started', tags: [] } },
+            { op: 'patch', path: '[id=t2].status', value: 'done' },
+            { op: 'patch', path: '[id=t1]', value: { id: 't1', name: 'Oat milk', status: 'done', tags: [] } },
+            { op: 'patch', path: '[id=missing].status', value: 'done' }
+        ]);
+
+        expect(doc.map(t => [t.id, t.name, t.status])).toEqual([
+            ['t1', 'Oat milk', 'done'],
+            ['t2', 'Eggs', 'done']
+        ]);
+
+        applyOperations(doc, [{ op: 'delete', path: '', id: 't1' }]);
+        expect(doc.map(t => t.id)).toEqual(['t2']);
+    });
+
+    test('append creates a missing array, like the server', () => {
+        const doc = [{ id: 't1', name: 'Milk', status: 'not-started' }];
+
+        applyOperations(doc, [
+            { op: 'append', path: '[id=t1].subtasks', value: { id: 's1', name: 'Check date' } },
+            { op: 'append', path: '[id=t1].subtasks', value: { id: 's2', name: 'Buy two' } },
+            { op: 'append', path: '[id=missing].subtasks', value: { id: 's3' } }
+        ]);
+
+        expect(doc).toEqual([{ id: 't1', name: 'Milk', status: 'not-started', subtasks: [
+            { id: 's1', name: 'Check date' }, { id: 's2', name: 'Buy two' }
+        ] }]);
+    });
+
+    test('addValue and removeValue treat arrays as sets, creating missing ones', () => {
+        const doc = [{ id: 't1', name: 'Milk', status: 'not-started', tags: ['dairy'] }, { id: 't2', name: 'Jam', status: 'done' }];
+
+        applyOperations(doc, [
+            { op: 'addValue', path: '[id=t1].tags', value: 'fridge' },
+            { op: 'addValue', path: '[id=t1].tags', value: 'fridge' },
+            { op: 'removeValue', path: '[id=t1].tags', value: 'dairy' },
+            { op: 'removeValue', path: '[id=t1].tags', value: 'dairy' },
+            { op: 'addValue', path: '[id=t2].tags', value: 'sweet' },
+            { op: 'addValue', path: '[id=missing].tags', value: 'x' }
+        ]);
+
+        expect(doc.map(t => t.tags)).toEqual([['fridge'], ['sweet']]);
+    });
+});
+
+describe('validateListName', () => {
+    test('rejects names containing ~ (reserved for sub-lists)', () => {
+        expect(validateListName('grocery')).toBeNull();
+        expect(validateListName('family meals 2026')).toBeNull();
+        expect(validateListName('grocery~shopping')).toBe('List names cannot contain ~');
+        expect(validateListName('~')).toBe('List names cannot contain ~');
+    });
+
+    test('rejects names the API keeps for its own records', () => {
+        expect(validateListName('_meta/grocery')).toBe('List names cannot contain /');
+        expect(validateListName('_meta')).toBe('List names cannot start with _');
+        expect(validateListName('my_list')).toBeNull();
+    });
+});
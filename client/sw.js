@@ -0,0 +1,184 @@
+// Service worker - lets the installed app open without a network
+//
+// App shell (pages, styles, scripts): network first, falling back to the cached copy,
+// so a deploy shows up on the next load and the last version still opens offline.
+//
+// Documents (GET /api/store/{container}/{name}): network first. Every 200 response, and
+// the { data } of every successful write, is kept as the device's last-known copy. When
+// the network is unreachable that copy is returned with an X-Offline-Copy header (the
+// time it was saved), and pages open it read-only (see shared/pwa.js). Responses marked
+// Cache-Control: no-store or private (the API's READ_ACCESS=restricted) are never kept,
+// and logging out deletes every copy.
+//
+// Other API requests (change feed, events, history) always go to the network.
+
+importScripts('/version.js');
+
+const SHELL_CACHE = `checklist-shell-${APP_VERSION}`;
+const DOCUMENT_CACHE = 'checklist-documents';
+const DOCUMENT_ROUTE = /^\/api\/store\/[^/]+\/[^/]+\/?$/;
+
+const SHELL_FILES = [
+    '/home/',
+    '/tasks/',
+    '/swarmspace/',
+    '/mealboard/',
+    '/manifest.webmanifest',
+    '/icons/icon.svg',
+    '/version.js',
+    '/config-loader.js',
+    '/config.js',
+    '/shared/common.css',
+    '/shared/utils.js',
+    '/shared/offline-queue.js',
+    '/shared/api.js',
+    '/shared/history-panel.js',
+    '/shared/sync.js',
+    '/shared/pwa.js',
+    '/shared/auth.js',
+    '/shared/share-dialog.js',
+    '/shared/document-picker.js',
+    '/shared/recents.js',
+    '/tasks/tasks.css',
+    '/tasks/task-mutations.js',
+    '/tasks/task-filter.js',
+    '/tasks/task-store.js',
+    '/tasks/tasks.js',
+    '/swarmspace/swarmspace.css',
+    '/swarmspace/swarmspace-store.js',
+    '/swarmspace/swarmspace.js',
+    '/mealboard/mealboard.css',
+    '/mealboard/meal-plan.js',
+    '/mealboard/mealboard.js',
+    '/mealboard/meals.json'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop shell caches from earlier versions (document copies are kept)
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('checklist-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (url.pathname === '/.auth/logout') {
+        // The next user of this device must not open this user's lists offline
+        event.waitUntil(caches.delete(DOCUMENT_CACHE));
+        return;
+    }
+
+    if (url.pathname.startsWith('/api/')) {
+        if (!DOCUMENT_ROUTE.test(url.pathname) || url.search) return;
+        const key = url.origin + url.pathname.replace(/\/$/, '');
+        if (request.method === 'GET') {
+            event.respondWith(fetchDocument(event, request, key));
+        } else if (request.method !== 'OPTIONS') {
+            event.respondWith(fetchWrite(event, request, key));
+        }
+        return;
+    }
+
+    if (request.method === 'GET') {
+        event.respondWith(fetchShell(request));
+    }
+});
+
+/**
+ * Fetch a page, style or script, falling back to the cached copy offline
+ * Pages are matched without their query (/tasks/?list=x uses the cached /tasks/).
+ */
+async function fetchShell(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok && SHELL_FILES.includes(new URL(request.url).pathname)) {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put(request.url.split('?')[0], response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (!cached) throw error;
+        return cached;
+    }
+}
+
+/**
+ * Fetch a document, keeping a copy; offline, return the last copy marked with X-Offline-Copy
+ */
+async function fetchDocument(event, request, key) {
+    let response;
+    try {
+        response = await fetch(request);
+    } catch (error) {
+        const cache = await caches.open(DOCUMENT_CACHE);
+        const cached = await cache.match(key);
+        if (!cached) throw error;
+        return cached;
+    }
+
+    if (response.status === 200 && isCacheable(response)) {
+        event.waitUntil(response.clone().text().then(content => saveCopy(key, content)));
+    } else if (response.status === 200 || response.status === 404) {
+        // Gone, or not to be kept: drop any earlier copy
+        event.waitUntil(caches.open(DOCUMENT_CACHE).then(cache => cache.delete(key)));
+    }
+    return response;
+}
+
+/**
+ * Send a write; if it returns the updated document ({ data }), keep that as the copy
+ * Network errors are passed on (the page queues the write, see shared/offline-queue.js).
+ */
+async function fetchWrite(event, request, key) {
+    const response = await fetch(request);
+    if (response.ok && !isCacheable(response)) {
+        event.waitUntil(caches.open(DOCUMENT_CACHE).then(cache => cache.delete(key)));
+    } else if (response.ok) {
+        event.waitUntil(response.clone().json()
+            .then(body => {
+                if (body && body.data !== undefined) return saveCopy(key, JSON.stringify(body.data));
+            })
+            .catch(() => { /* not a document response */ }));
+    }
+    return response;
+}
+
+/**
+ * Whether a document response may be kept on the device
+ * @param {Response} response
+ * @returns {boolean} - False for Cache-Control: no-store or private
+ */
+function isCacheable(response) {
+    return !/\b(no-store|private)\b/i.test(response.headers.get('Cache-Control') || '');
+}
+
+/**
+ * Store a document as the device's last-known copy
+ * @param {string} key - Document URL without query
+ * @param {string} content - Document JSON
+ */
+async function saveCopy(key, content) {
+    const cache = await caches.open(DOCUMENT_CACHE);
+    await cache.put(key, new Response(content, {
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Offline-Copy': new Date().toISOString()
+        }
+    }));
+}
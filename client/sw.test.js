@@ -0,0 +1,121 @@
+/**
+ * Tests for the service worker's app shell list and its document copies.
+ *
+ * The worker caches SHELL_FILES on install and the install fails if any is missing,
+ * so every listed file must exist and every page script must be listed. Document
+ * copies are tested by evaluating sw.js with fake self, caches and fetch.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const swCode = fs.readFileSync(path.join(__dirname, 'sw.js'), 'utf-8');
+const SHELL_FILES = JSON.parse(swCode.match(/const SHELL_FILES = (\[[\s\S]*?\]);/)[1].replace(/'/g, '"'));
+
+/**
+ * Map a site path to its file in client/ (folders serve index.html)
+ */
+function toFile(sitePath) {
+    return path.join(__dirname, sitePath.endsWith('/') ? sitePath + 'index.html' : sitePath);
+}
+
+test('every shell file exists', () => {
+    SHELL_FILES.forEach(sitePath => {
+        expect(fs.existsSync(toFile(sitePath))).toBe(true);
+    });
+});
+
+test('every script and stylesheet the pages load is in the shell', () => {
+    ['/home/', '/tasks/', '/swarmspace/', '/mealboard/'].forEach(page => {
+        const html = fs.readFileSync(toFile(page), 'utf-8');
+        const assets = [...html.matchAll(/(?:src|href)="([^"]+\.(?:js|css|webmanifest|svg))"/g)]
+            .map(match => path.posix.resolve(page, match[1]));
+        assets.forEach(asset => expect(SHELL_FILES).toContain(asset));
+    });
+});
+
+describe('document copies', () => {
+    const ORIGIN = 'https://lists.example';
+    const DOC_URL = `${ORIGIN}/api/store/tasks/grocery`;
+    let listeners;
+    let cacheStore;
+
+    /**
+     * Fake Cache Storage: caches by name, each a Map from URL to Response
+     */
+    function createCaches() {
+        cacheStore = new Map();
+        const open = async (name) => {
+            if (!cacheStore.has(name)) cacheStore.set(name, new Map());
+            const entries = cacheStore.get(name);
+            return {
+                match: async (key) => entries.get(key),
+                put: async (key, response) => { entries.set(key, response); },
+                delete: async (key) => entries.delete(key),
+                addAll: async () => {}
+            };
+        };
+        return { open, delete: async (name) => cacheStore.delete(name), keys: async () => [...cacheStore.keys()] };
+    }
+
+    /**
+     * Send a request through the worker's fetch handler
+     * @returns {Promise<Response|undefined>} - undefined when the worker leaves it to the browser
+     */
+    async function dispatch(url, method = 'GET') {
+        const waits = [];
+        let response;
+        listeners.fetch({
+            request: { url, method, mode: 'cors' },
+            respondWith: (promise) => { response = promise; },
+            waitUntil: (promise) => waits.push(promise)
+        });
+        const result = await response;
+        await Promise.all(waits);
+        return result;
+    }
+
+    beforeEach(() => {
+        listeners = {};
+        global.self = { location: { origin: ORIGIN }, addEventListener: (type, listener) => { listeners[type] = listener; } };
+        global.caches = createCaches();
+        global.importScripts = () => {};
+        global.APP_VERSION = 'test';
+        eval(swCode);
+    });
+
+    afterEach(() => {
+        ['self', 'caches', 'importScripts', 'APP_VERSION', 'fetch'].forEach(name => delete global[name]);
+    });
+
+    test('keeps a copy of a document and returns it offline', async () => {
+        global.fetch = async () => new Response('["Milk"]', { status: 200 });
+        await dispatch(DOC_URL);
+
+        global.fetch = async () => { throw new TypeError('Failed to fetch'); };
+        const offline = await dispatch(DOC_URL);
+
+        expect(await offline.text()).toBe('["Milk"]');
+        expect(offline.headers.get('X-Offline-Copy')).not.toBeNull();
+    });
+
+    test('keeps no copy of a document marked private, no-store, and drops an earlier one', async () => {
+        global.fetch = async () => new Response('["Milk"]', { status: 200 });
+        await dispatch(DOC_URL);
+
+        global.fetch = async () => new Response('["Milk"]', { status: 200, headers: { 'Cache-Control': 'private, no-store' } });
+        await dispatch(DOC_URL);
+        global.fetch = async () => new Response('{"success":true,"data":["Eggs"]}', { status: 200, headers: { 'Cache-Control': 'private, no-store' } });
+        await dispatch(DOC_URL, 'PATCH');
+
+        expect([...cacheStore.get('checklist-documents').keys()]).toEqual([]);
+    });
+
+    test('logging out deletes every copy', async () => {
+        global.fetch = async () => new Response('["Milk"]', { status: 200 });
+        await dispatch(DOC_URL);
+
+        expect(await dispatch(`${ORIGIN}/.auth/logout?post_logout_redirect_uri=%2Ftasks%2F`)).toBeUndefined();
+        expect(cacheStore.has('checklist-documents')).toBe(false);
+    });
+});
@@ -15,20 +15,46 @@ const SwarmSpaceUI = (function() {
      * Initialize the UI
      */
     async function init(listName) {
-        api = createApi(listName, CONFIG.API_BASE_SWARM);
+        api = createApi(listName, CONFIG.API_BASE_SWARM, getShareToken());
 
         // Set up event listeners
         setupEventListeners();
 
+        // Sign-in state (read-only for viewers who may not edit)
+        Auth.init(api);
+
         // Load session data
-        await loadSession();
+        if (await loadSession()) {
+            Recents.record('swarm', listName, SwarmSpaceStore.getSession());
+        }
+
+        if (api.offlineCopy()) {
+            // Server unreachable - showing this device's saved copy
+            OfflineMode.enter({
+                savedAt: api.offlineCopy(),
+                content: [document.querySelector('.container')],
+                onReconnect: resumeOnline
+            });
+            return;
+        }
 
         // Initialize sync polling for multi-user support
-        SwarmSpaceSync.init(api, handleSyncRefresh);
+        DocumentSync.init(api, handleSyncRefresh);
+    }
+
+    /**
+     * Reload the session once the server is reachable again (callback for OfflineMode)
+     * @returns {Promise<boolean>} - True if the live session was loaded
+     */
+    async function resumeOnline() {
+        await loadSession();
+        if (api.offlineCopy()) return false;
+        DocumentSync.init(api, handleSyncRefresh);
+        return true;
     }
 
     /**
-     * Handle sync refresh from server (callback for SwarmSpaceSync)
+     * Handle sync refresh from server (callback for DocumentSync)
      */
     function handleSyncRefresh(data) {
         SwarmSpaceStore.setSession(data);
@@ -43,7 +69,7 @@ const SwarmSpaceUI = (function() {
      * Manual refresh for UI (exposed for sync indicator click)
      */
     function manualRefresh() {
-        SwarmSpaceSync.manualRefresh();
+        DocumentSync.manualRefresh();
     }
 
     /**
@@ -76,6 +102,8 @@ const SwarmSpaceUI = (function() {
      */
     function showError(message, error) {
         console.error('SwarmSpace error:', message, error);
+        // The server rejected the change as invalid - say what was wrong
+        if (error && error.violations) message = `${message} (${formatViolations(error.violations)})`;
         const errorEl = document.getElementById('errorDisplay');
         if (errorEl) {
             errorEl.textContent = message;
@@ -106,6 +134,9 @@ const SwarmSpaceUI = (function() {
         // Export button
         document.getElementById('exportBtn').addEventListener('click', handleExport);
 
+        // Version history
+        document.getElementById('historyBtn').addEventListener('click', openHistory);
+
         // Comment modal
         document.getElementById('cancelCommentBtn').addEventListener('click', () => closeModal('commentModal'));
         document.getElementById('saveCommentBtn').addEventListener('click', handleSaveComment);
@@ -214,12 +245,14 @@ const SwarmSpaceUI = (function() {
 
     /**
      * Load session data from API/localStorage
+     * @returns {Promise<boolean>} - True if a session is shown (loaded or newly created)
      */
     async function loadSession() {
         try {
             const data = await api.fetchTasks(null);
             SwarmSpaceStore.setSession(data);
             renderAll();
+            return true;
         } catch (error) {
             if (error.code === 'NOT_FOUND') {
                 // No existing session - auto-create the list
@@ -228,10 +261,12 @@ const SwarmSpaceUI = (function() {
                 renderAll();
                 // Create the list on the server with default session data
                 await createList();
+                return true;
             } else {
                 // Actual error (500, network failure, etc.)
                 console.error('Failed to load session:', error);
                 showError(`Failed to load session: ${error.message}`);
+                return false;
             }
         }
     }
@@ -631,12 +666,12 @@ const SwarmSpaceUI = (function() {
             if (title !== session.title) {
                 const updatedDoc = await api.patchItem('title', title);
                 SwarmSpaceStore.setSession(updatedDoc);
-                SwarmSpaceSync.resetActivity();
+                DocumentSync.resetActivity();
             }
             if (setting !== session.setting) {
                 const updatedDoc = await api.patchItem('setting', setting);
                 SwarmSpaceStore.setSession(updatedDoc);
-                SwarmSpaceSync.resetActivity();
+                DocumentSync.resetActivity();
             }
         } catch (error) {
             showError('Failed to save metadata. Please try again.', error);
@@ -660,7 +695,7 @@ const SwarmSpaceUI = (function() {
             SwarmSpaceStore.setSession(updatedDoc);
             renderWeeks(newWeek.id); // Keep new week expanded
             renderProjectsSummary();
-            SwarmSpaceSync.resetActivity();
+            DocumentSync.resetActivity();
         } catch (error) {
             showError('Failed to add week. Please try again.', error);
         }
@@ -687,7 +722,7 @@ const SwarmSpaceUI = (function() {
                         .filter((w, i) => i >= currentIndex)
                         .map(w => w.id);
                     renderWeeks(expandIds);
-                    SwarmSpaceSync.resetActivity();
+                    DocumentSync.resetActivity();
                 } catch (error) {
                     showError('Failed to set current week. Please try again.', error);
                 }
@@ -712,7 +747,7 @@ const SwarmSpaceUI = (function() {
                     const updatedDoc = await api.patchItem(`weeks.${weekIndex}.action.type`, type);
                     SwarmSpaceStore.setSession(updatedDoc);
                     rerenderWeeksPreserveState();
-                    SwarmSpaceSync.resetActivity();
+                    DocumentSync.resetActivity();
                 } catch (error) {
                     showError('Failed to update action type. Please try again.', error);
                 }
@@ -755,7 +790,7 @@ const SwarmSpaceUI = (function() {
                         SwarmSpaceStore.setSession(updatedDoc);
                         rerenderWeeksPreserveState();
                         renderProjectsSummary();
-                        SwarmSpaceSync.resetActivity();
+                        DocumentSync.resetActivity();
                     } catch (error) {
                         showError('Failed to delete completion. Please try again.', error);
                     }
@@ -789,7 +824,7 @@ const SwarmSpaceUI = (function() {
                     const updatedDoc = await api.deleteItem(path, commentId);
                     SwarmSpaceStore.setSession(updatedDoc);
                     rerenderWeeksPreserveState();
-                    SwarmSpaceSync.resetActivity();
+                    DocumentSync.resetActivity();
                 } catch (error) {
                     showError('Failed to delete comment. Please try again.', error);
                 }
@@ -805,7 +840,7 @@ const SwarmSpaceUI = (function() {
         try {
             const updatedDoc = await api.patchItem(`weeks.${weekIndex}.event.text`, value);
             SwarmSpaceStore.setSession(updatedDoc);
-            SwarmSpaceSync.resetActivity();
+            DocumentSync.resetActivity();
         } catch (error) {
             showError('Failed to save event text. Please try again.', error);
         }
@@ -819,7 +854,7 @@ const SwarmSpaceUI = (function() {
             const updatedDoc = await api.patchItem(`weeks.${weekIndex}.weekNumber`, value);
             SwarmSpaceStore.setSession(updatedDoc);
             renderProjectsSummary();
-            SwarmSpaceSync.resetActivity();
+            DocumentSync.resetActivity();
         } catch (error) {
             showError('Failed to save week number. Please try again.', error);
         }
@@ -880,14 +915,14 @@ const SwarmSpaceUI = (function() {
             const updatedDoc = await api.appendItem(path, comment);
             SwarmSpaceStore.setSession(updatedDoc);
             rerenderWeeksPreserveState();
-            SwarmSpaceSync.resetActivity();
+            DocumentSync.resetActivity();
         } catch (error) {
             showError('Failed to add comment. Please try again.', error);
         }
     }
 
     /**
-     * Handle save project (atomic operations: PATCH action + POST weeks + POST completion)
+     * Handle save project (single batch: PATCH action + append weeks + append completion)
      */
     async function handleSaveProject() {
         const name = document.getElementById('projectName').value.trim();
@@ -898,7 +933,7 @@ const SwarmSpaceUI = (function() {
         closeModal('projectModal');
 
         try {
-            let session = SwarmSpaceStore.getSession();
+            const session = SwarmSpaceStore.getSession();
             const weekIndex = getWeekIndex(currentProjectWeekId);
             if (weekIndex === -1) return;
 
@@ -912,40 +947,31 @@ const SwarmSpaceUI = (function() {
                 projectDuration: duration,
                 comments: week.action.comments || []
             };
-            let updatedDoc = await api.patchItem(`weeks.${weekIndex}.action`, newAction);
-            SwarmSpaceStore.setSession(updatedDoc);
-            session = SwarmSpaceStore.getSession();
-
-            // 2. Create missing weeks up to completion week (using POST for each)
-            // Keep adding weeks until the last week's weekNumber reaches completionWeekNum
-            while (session.weeks.length === 0 ||
-                   session.weeks[session.weeks.length - 1].weekNumber < completionWeekNum) {
-                const newWeek = {
-                    id: Date.now().toString(36) + Math.random().toString(36).substr(2, 9),
-                    event: { text: '', comments: [] },
-                    action: { type: 'discussion', text: '', comments: [] },
-                    completions: []
-                };
-                updatedDoc = await api.appendItem('weeks', newWeek);
-                SwarmSpaceStore.setSession(updatedDoc);
-                session = SwarmSpaceStore.getSession();
+            const operations = [{ op: 'patch', path: `weeks.${weekIndex}.action`, value: newAction }];
+
+            // 2. Append missing weeks up to completion week
+            // Track week numbers the same way the server assigns them (last + 1)
+            const weekNumbers = session.weeks.map(w => w.weekNumber);
+            while (weekNumbers[weekNumbers.length - 1] < completionWeekNum) {
+                operations.push({ op: 'append', path: 'weeks', value: createEmptyWeek() });
+                weekNumbers.push((weekNumbers[weekNumbers.length - 1] || 1) + 1);
             }
 
             // 3. Append completion to target week
-            const targetWeekIndex = session.weeks.findIndex(w => w.weekNumber === completionWeekNum);
+            const targetWeekIndex = weekNumbers.indexOf(completionWeekNum);
             if (targetWeekIndex !== -1) {
-                const completion = {
-                    id: Date.now().toString(36) + Math.random().toString(36).substr(2, 9),
-                    projectName: name,
-                    comments: []
-                };
-                updatedDoc = await api.appendItem(`weeks.${targetWeekIndex}.completions`, completion);
-                SwarmSpaceStore.setSession(updatedDoc);
+                operations.push({
+                    op: 'append',
+                    path: `weeks.${targetWeekIndex}.completions`,
+                    value: { id: generateId(), projectName: name, comments: [] }
+                });
             }
 
+            const updatedDoc = await api.batch(operations);
+            SwarmSpaceStore.setSession(updatedDoc);
             rerenderWeeksPreserveState();
             renderProjectsSummary();
-            SwarmSpaceSync.resetActivity();
+            DocumentSync.resetActivity();
         } catch (error) {
             showError('Failed to start project. Please try again.', error);
         }
@@ -974,7 +1000,7 @@ const SwarmSpaceUI = (function() {
             SwarmSpaceStore.setSession(updatedDoc);
             rerenderWeeksPreserveState();
             renderProjectsSummary();
-            SwarmSpaceSync.resetActivity();
+            DocumentSync.resetActivity();
         } catch (error) {
             showError('Failed to add completion. Please try again.', error);
         }
@@ -1001,7 +1027,7 @@ const SwarmSpaceUI = (function() {
                     const updatedDoc = await api.deleteItem('resources', resourceId);
                     SwarmSpaceStore.setSession(updatedDoc);
                     renderResourcesSummary();
-                    SwarmSpaceSync.resetActivity();
+                    DocumentSync.resetActivity();
                 } catch (error) {
                     showError('Failed to delete resource. Please try again.', error);
                 }
@@ -1024,7 +1050,7 @@ const SwarmSpaceUI = (function() {
                     const updatedDoc = await api.deleteItem('locations', locationId);
                     SwarmSpaceStore.setSession(updatedDoc);
                     renderLocationsSummary();
-                    SwarmSpaceSync.resetActivity();
+                    DocumentSync.resetActivity();
                 } catch (error) {
                     showError('Failed to delete location. Please try again.', error);
                 }
@@ -1064,7 +1090,7 @@ const SwarmSpaceUI = (function() {
             const updatedDoc = await api.appendItem('resources', resource);
             SwarmSpaceStore.setSession(updatedDoc);
             renderResourcesSummary();
-            SwarmSpaceSync.resetActivity();
+            DocumentSync.resetActivity();
         } catch (error) {
             showError('Failed to add resource. Please try again.', error);
         }
@@ -1104,7 +1130,7 @@ const SwarmSpaceUI = (function() {
             const updatedDoc = await api.appendItem('locations', location);
             SwarmSpaceStore.setSession(updatedDoc);
             renderLocationsSummary();
-            SwarmSpaceSync.resetActivity();
+            DocumentSync.resetActivity();
         } catch (error) {
             showError('Failed to add location. Please try again.', error);
         }
@@ -1236,7 +1262,7 @@ const SwarmSpaceUI = (function() {
                     const updatedDoc = await api.deleteItem('names', nameId);
                     SwarmSpaceStore.setSession(updatedDoc);
                     renderNamesSummary();
-                    SwarmSpaceSync.resetActivity();
+                    DocumentSync.resetActivity();
                 } catch (error) {
                     showError('Failed to delete name. Please try again.', error);
                 }
@@ -1289,7 +1315,7 @@ const SwarmSpaceUI = (function() {
             const updatedDoc = await api.appendItem('names', nameEntry);
             SwarmSpaceStore.setSession(updatedDoc);
             renderNamesSummary();
-            SwarmSpaceSync.resetActivity();
+            DocumentSync.resetActivity();
         } catch (error) {
             showError('Failed to add name. Please try again.', error);
         }
@@ -1355,7 +1381,7 @@ const SwarmSpaceUI = (function() {
             const updatedDoc = await api.patchItem(`names.${nameIndex}.group`, newGroup);
             SwarmSpaceStore.setSession(updatedDoc);
             renderNamesSummary();
-            SwarmSpaceSync.resetActivity();
+            DocumentSync.resetActivity();
         } catch (error) {
             showError('Failed to update group. Please try again.', error);
         }
@@ -1365,7 +1391,7 @@ const SwarmSpaceUI = (function() {
     }
 
     /**
-     * Import parsed JSON data into a target session via its API (atomic operations).
+     * Import parsed JSON data into a target session via its API (single atomic batch).
      * @param {object} targetApi - API object (from createApi) for the target session
      * @param {string} jsonString - JSON export string from exportForImport()
      * @returns {{ projects: number, scarcities: number, abundances: number, locations: number, names: number }}
@@ -1374,9 +1400,10 @@ const SwarmSpaceUI = (function() {
         const parsed = SwarmSpaceStore.parseJsonImport(jsonString);
 
         // Fetch current state of target session
-        let session = await targetApi.fetchTasks(null);
+        const session = await targetApi.fetchTasks(null);
 
         let imported = { projects: 0, scarcities: 0, abundances: 0, locations: 0, names: 0 };
+        const operations = [];
 
         // Helper to check if resource exists
         const resourceExists = (name) => session.resources.some(r =>
@@ -1393,17 +1420,10 @@ const SwarmSpaceUI = (function() {
             n.name.toLowerCase() === name.toLowerCase()
         );
 
-        // Helper to generate ID
-        const generateId = () => Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
-
         // Filter out duplicates and assign IDs
-        const resourcesToAdd = [];
-        const locationsToAdd = [];
-        const namesToAdd = [];
-
         parsed.resources.forEach(r => {
             if (!resourceExists(r.name)) {
-                resourcesToAdd.push({ id: generateId(), ...r });
+                operations.push({ op: 'append', path: 'resources', value: { id: generateId(), ...r } });
                 if (r.status === 'scarce' || r.status === 'critical') imported.scarcities++;
                 else imported.abundances++;
             }
@@ -1411,38 +1431,31 @@ const SwarmSpaceUI = (function() {
 
         parsed.locations.forEach(l => {
             if (!locationExists(l.name)) {
-                locationsToAdd.push({ id: generateId(), ...l });
+                operations.push({ op: 'append', path: 'locations', value: { id: generateId(), ...l } });
                 imported.locations++;
             }
         });
 
         parsed.names.forEach(n => {
             if (!nameExists(n.name)) {
-                namesToAdd.push({ id: generateId(), ...n });
+                operations.push({ op: 'append', path: 'names', value: { id: generateId(), ...n } });
                 imported.names++;
             }
         });
 
-        // Use atomic appends for each item
-        for (const resource of resourcesToAdd) {
-            session = await targetApi.appendItem('resources', resource);
-        }
-        for (const location of locationsToAdd) {
-            session = await targetApi.appendItem('locations', location);
-        }
-        for (const name of namesToAdd) {
-            session = await targetApi.appendItem('names', name);
-        }
-
         // Import unfinished projects: create weeks with completion entries
         if (parsed.unfinishedProjects.length > 0) {
             // Use startingWeekNumber for the first week if session has no weeks
             const startingWeekNumber = parsed.startingWeekNumber || 1;
 
+            // Track weeks as they will be after the batch (numbers assigned like the server: last + 1)
+            const weeks = session.weeks.map(w => ({
+                weekNumber: w.weekNumber,
+                projectNames: (w.completions || []).map(c => c.projectName.toLowerCase())
+            }));
+
             // Helper to check if a completion with this project name already exists
-            const completionExists = (name) => session.weeks.some(w =>
-                (w.completions || []).some(c => c.projectName.toLowerCase() === name.toLowerCase())
-            );
+            const completionExists = (name) => weeks.some(w => w.projectNames.includes(name.toLowerCase()));
 
             for (const project of parsed.unfinishedProjects) {
                 if (!project.remaining || project.remaining < 1) continue;
@@ -1453,35 +1466,38 @@ const SwarmSpaceUI = (function() {
                 const completionWeekNum = startingWeekNumber + project.remaining - 1;
 
                 // Create weeks up to the completion week number
-                while (session.weeks.length === 0 ||
-                       session.weeks[session.weeks.length - 1].weekNumber < completionWeekNum) {
-                    const newWeek = {
-                        id: generateId(),
-                        event: { text: '', comments: [] },
-                        action: { type: 'discussion', text: '', comments: [] },
-                        completions: []
-                    };
+                while (weeks.length === 0 || weeks[weeks.length - 1].weekNumber < completionWeekNum) {
+                    const newWeek = createEmptyWeek();
                     // Include weekNumber on the first week if session had no weeks
-                    if (session.weeks.length === 0) {
+                    if (weeks.length === 0) {
                         newWeek.weekNumber = startingWeekNumber;
                     }
-                    session = await targetApi.appendItem('weeks', newWeek);
+                    operations.push({ op: 'append', path: 'weeks', value: newWeek });
+                    weeks.push({
+                        weekNumber: weeks.length === 0 ? startingWeekNumber : (weeks[weeks.length - 1].weekNumber || 1) + 1,
+                        projectNames: []
+                    });
                 }
 
                 // Append completion to the target week
-                const targetWeekIndex = session.weeks.findIndex(w => w.weekNumber === completionWeekNum);
+                const targetWeekIndex = weeks.findIndex(w => w.weekNumber === completionWeekNum);
                 if (targetWeekIndex !== -1) {
-                    const completion = {
-                        id: generateId(),
-                        projectName: project.name,
-                        comments: []
-                    };
-                    session = await targetApi.appendItem(`weeks.${targetWeekIndex}.completions`, completion);
+                    operations.push({
+                        op: 'append',
+                        path: `weeks.${targetWeekIndex}.completions`,
+                        value: { id: generateId(), projectName: project.name, comments: [] }
+                    });
+                    weeks[targetWeekIndex].projectNames.push(project.name.toLowerCase());
                     imported.projects++;
                 }
             }
         }
 
+        // Apply everything in one all-or-nothing write
+        if (operations.length > 0) {
+            await targetApi.batch(operations);
+        }
+
         return imported;
     }
 
@@ -1510,7 +1526,7 @@ const SwarmSpaceUI = (function() {
             SwarmSpaceStore.setSession(freshDoc);
 
             renderAll();
-            SwarmSpaceSync.resetActivity();
+            DocumentSync.resetActivity();
 
             // Show summary
             const parts = [];
@@ -1588,6 +1604,55 @@ const SwarmSpaceUI = (function() {
         }
     }
 
+    /**
+     * Open the version history panel for this session
+     */
+    function openHistory() {
+        HistoryPanel.open({
+            api,
+            renderPreview: renderHistoryPreview,
+            canRestore: Auth.canWrite(),
+            onRestore: (data) => {
+                SwarmSpaceStore.setSession(data);
+                renderAll();
+                DocumentSync.resetActivity();
+            }
+        });
+    }
+
+    /**
+     * Render a read-only preview of a stored version of the session
+     * @param {Object} data - Session document from the version
+     * @returns {string} - HTML
+     */
+    function renderHistoryPreview(data) {
+        const session = data || {};
+        const weeks = session.weeks || [];
+        const weeksHtml = weeks.map(week => {
+            const eventText = (week.event && week.event.text) || '';
+            const comments = ((week.event && week.event.comments) || []).length +
+                ((week.action && week.action.comments) || []).length;
+            const completions = (week.completions || []).map(c => escapeHtml(c.projectName)).join(', ');
+            return `
+                <div class="history-week">
+                    <strong>Week ${escapeHtml(String(week.weekNumber))}</strong>
+                    ${week.id === session.currentWeekId ? '<span class="current-label">Current</span>' : ''}
+                    <div class="history-week-detail">${escapeHtml(eventText.slice(0, 120)) || '<em>No event</em>'}</div>
+                    <div class="history-week-detail">${comments} comment(s)${completions ? ' · Completed: ' + completions : ''}</div>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="history-session-title">${escapeHtml(session.title || 'Untitled session')}</div>
+            <div class="history-week-detail">
+                ${weeks.length} week(s) · ${(session.resources || []).length} resource(s) ·
+                ${(session.locations || []).length} location(s) · ${(session.names || []).length} name(s)
+            </div>
+            ${weeksHtml}
+        `;
+    }
+
     /**
      * Handle export
      */
@@ -1634,6 +1699,25 @@ const SwarmSpaceUI = (function() {
 
     // ============ UTILITIES ============
 
+    /**
+     * Generate a unique ID for new session entries
+     */
+    function generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Create an empty week (server assigns weekNumber on append)
+     */
+    function createEmptyWeek() {
+        return {
+            id: generateId(),
+            event: { text: '', comments: [] },
+            action: { type: 'discussion', text: '', comments: [] },
+            completions: []
+        };
+    }
+
     /**
      * Get week index by ID
      */
@@ -1706,16 +1790,32 @@ const SwarmSpaceUI = (function() {
                            title="Use letters, numbers, hyphens, and underscores only">
                     <button type="submit" class="btn btn-primary">Open Session</button>
                 </form>
+                <div id="existingSessions" class="existing-sessions"></div>
             </div>
         `;
+
+        DocumentPicker.render(document.getElementById('existingSessions'), {
+            baseUrl: CONFIG.API_BASE_SWARM,
+            hrefFor: (name) => `?list=${encodeURIComponent(name)}`,
+            placeholder: 'Filter sessions...',
+            emptyText: 'No sessions yet.'
+        });
         
+        const listNameInput = document.getElementById('listNameInput');
         document.getElementById('listSelectorForm').addEventListener('submit', (e) => {
             e.preventDefault();
-            const listName = document.getElementById('listNameInput').value.trim();
-            if (listName) {
-                window.location.href = `?list=${encodeURIComponent(listName)}`;
+            const listName = listNameInput.value.trim();
+            if (!listName) return;
+            // Sessions are created on first open, so reserved names are refused here
+            const error = validateListName(listName);
+            if (error) {
+                listNameInput.setCustomValidity(error);
+                listNameInput.reportValidity();
+                return;
             }
+            window.location.href = `?list=${encodeURIComponent(listName)}`;
         });
+        listNameInput.addEventListener('input', () => listNameInput.setCustomValidity(''));
     }
 
     // Public API
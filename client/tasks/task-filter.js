@@ -0,0 +1,197 @@
+// ===========================================
+// Task Filter and Saved Views (Pure/Functional)
+// ===========================================
+// A filter narrows the task list:
+//   { text, statuses, tags, excludeTags, dueFrom, dueTo }
+// text matches task names (case-insensitive), statuses is the set of
+// statuses to show (empty = any), a task must have every tag in tags
+// and none in excludeTags, and with dueFrom/dueTo ('2026-01-19', null =
+// open-ended) only tasks due in that range are shown.
+//
+// The active filter is kept in the page URL so it can be reloaded and
+// shared: ?list=x&q=milk&status=in-progress&tag=backend&notag=old
+// &due-from=2026-01-19&due-to=2026-01-25 (status, tag and notag repeat).
+//
+// Saved views: named filters stored for everyone who uses the list, in
+// a sibling document named {listName}~views (an array of
+// { id, name, filter }, see addView). They are not kept in the list
+// itself: it is a bare array of tasks, which every client and the
+// tasks schema expect, and the sub-list shares the list's access.
+// ===========================================
+
+const TaskFilter = (function() {
+
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    /**
+     * Create a filter, filling in what is not set
+     * @param {Object} values - Any of { text, statuses, tags, excludeTags, dueFrom, dueTo }
+     * @returns {Object} - A complete filter (an empty one matches every task)
+     */
+    function createFilter(values = {}) {
+        const list = value => (Array.isArray(value) ? [...new Set(value.filter(Boolean))] : []);
+        const date = value => (datePattern.test(value || '') ? value : null);
+        return {
+            text: typeof values.text === 'string' ? values.text.trim() : '',
+            statuses: list(values.statuses),
+            tags: list(values.tags),
+            excludeTags: list(values.excludeTags),
+            dueFrom: date(values.dueFrom),
+            dueTo: date(values.dueTo)
+        };
+    }
+
+    /**
+     * Check if a filter narrows anything
+     * @param {Object} filter
+     * @returns {boolean} - True if every task matches
+     */
+    function isEmpty(filter) {
+        return equals(filter, createFilter());
+    }
+
+    /**
+     * Check if two filters select the same tasks
+     * @returns {boolean}
+     */
+    function equals(a, b) {
+        const key = filter => {
+            const normalized = createFilter(filter);
+            ['statuses', 'tags', 'excludeTags'].forEach(field => normalized[field].sort());
+            normalized.text = normalized.text.toLowerCase();
+            return JSON.stringify(normalized);
+        };
+        return key(a) === key(b);
+    }
+
+    /**
+     * Check if a task passes a filter
+     * @param {Object} task
+     * @param {Object} filter - From createFilter
+     * @returns {boolean}
+     */
+    function matches(task, filter) {
+        const tags = task.tags || [];
+        if (filter.text && !(task.name || '').toLowerCase().includes(filter.text.toLowerCase())) return false;
+        if (filter.statuses.length > 0 && !filter.statuses.includes(task.status)) return false;
+        if (!filter.tags.every(tag => tags.includes(tag))) return false;
+        if (filter.excludeTags.some(tag => tags.includes(tag))) return false;
+        if (filter.dueFrom || filter.dueTo) {
+            if (!task.dueDate) return false;
+            if (filter.dueFrom && task.dueDate < filter.dueFrom) return false;
+            if (filter.dueTo && task.dueDate > filter.dueTo) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Read a filter from a URL query
+     * @param {string} search - e.g., '?list=x&status=in-progress&tag=backend'
+     * @returns {Object} - Filter
+     */
+    function fromQuery(search) {
+        const params = new URLSearchParams(search);
+        return createFilter({
+            text: params.get('q'),
+            statuses: params.getAll('status'),
+            tags: params.getAll('tag'),
+            excludeTags: params.getAll('notag'),
+            dueFrom: params.get('due-from'),
+            dueTo: params.get('due-to')
+        });
+    }
+
+    /**
+     * Write a filter into URL query parameters, leaving other parameters (list, token) as they are
+     * @param {Object} filter
+     * @param {URLSearchParams} params - Parameters to update (mutated)
+     */
+    function toQuery(filter, params) {
+        ['q', 'status', 'tag', 'notag', 'due-from', 'due-to'].forEach(key => params.delete(key));
+        if (filter.text) params.set('q', filter.text);
+        filter.statuses.forEach(status => params.append('status', status));
+        filter.tags.forEach(tag => params.append('tag', tag));
+        filter.excludeTags.forEach(tag => params.append('notag', tag));
+        if (filter.dueFrom) params.set('due-from', filter.dueFrom);
+        if (filter.dueTo) params.set('due-to', filter.dueTo);
+    }
+
+    /**
+     * Read tags typed into the filter bar ('-' in front excludes a tag)
+     * @param {string} text - e.g., 'backend -old'
+     * @returns {{tags: string[], excludeTags: string[]}}
+     */
+    function parseTagInput(text) {
+        const words = text.toLowerCase().split(/[\s,]+/).filter(Boolean);
+        return {
+            tags: words.filter(word => !word.startsWith('-')),
+            excludeTags: words.filter(word => word.startsWith('-')).map(word => word.slice(1)).filter(Boolean)
+        };
+    }
+
+    /**
+     * Show a filter's tags the way they are typed into the filter bar
+     * @param {Object} filter
+     * @returns {string} - e.g., 'backend -old'
+     */
+    function formatTagInput(filter) {
+        return [...filter.tags, ...filter.excludeTags.map(tag => `-${tag}`)].join(' ');
+    }
+
+    // ============ SAVED VIEWS ============
+
+    /**
+     * Save a filter as a named view, replacing a view with the same name
+     * @param {Array} views - The views array to mutate
+     * @param {string} name - View name
+     * @param {Object} filter - Filter to save
+     * @param {string} id - Optional ID (generated if not provided)
+     * @returns {{added: string|null, deleted: string|null}} - ID of the new view, and of the one it replaced
+     */
+    function addView(views, name, filter, id = TaskMutations.generateId()) {
+        const trimmed = name.trim();
+        if (!trimmed) return { added: null, deleted: null };
+        const existing = views.find(view => view.name.toLowerCase() === trimmed.toLowerCase());
+        if (existing) views.splice(views.indexOf(existing), 1);
+        views.push({ id, name: trimmed, filter: createFilter(filter) });
+        return { added: id, deleted: existing ? existing.id : null };
+    }
+
+    /**
+     * Delete a saved view
+     * @param {Array} views - The views array to mutate
+     * @param {string} viewId - View ID
+     * @returns {boolean} - True if the view was found and deleted
+     */
+    function deleteView(views, viewId) {
+        const index = views.findIndex(view => view.id === viewId);
+        if (index === -1) return false;
+        views.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Find the saved view showing a filter
+     * @param {Array} views
+     * @param {Object} filter
+     * @returns {Object|null} - The first view with the same filter, or null
+     */
+    function findView(views, filter) {
+        return views.find(view => equals(view.filter, filter)) || null;
+    }
+
+    // Public API
+    return {
+        createFilter,
+        isEmpty,
+        equals,
+        matches,
+        fromQuery,
+        toQuery,
+        parseTagInput,
+        formatTagInput,
+        addView,
+        deleteView,
+        findView
+    };
+})();
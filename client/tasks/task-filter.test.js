@@ -0,0 +1,125 @@
+/**
+ * Tests for TaskFilter (filtering the task list and saved views).
+ *
+ * task-filter.js is browser IIFE code on top of TaskMutations, so we eval both to get them on globalThis.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+eval(fs.readFileSync(path.join(__dirname, 'task-mutations.js'), 'utf-8')
+    .replace('const TaskMutations = (function()', 'global.TaskMutations = (function()'));
+eval(fs.readFileSync(path.join(__dirname, 'task-filter.js'), 'utf-8')
+    .replace('const TaskFilter = (function()', 'global.TaskFilter = (function()'));
+
+const filters = global.TaskFilter;
+
+const TASKS = [
+    { id: 'a', name: 'Fix login API', status: 'in-progress', tags: ['backend'], dueDate: '2026-01-19' },
+    { id: 'b', name: 'Login page', status: 'not-started', tags: ['frontend'] },
+    { id: 'c', name: 'Old API docs', status: 'done', tags: ['backend', 'old'], dueDate: '2026-01-30' },
+    { id: 'd', name: 'Untagged chore', status: 'removed' }
+];
+
+/**
+ * IDs of the tasks a filter shows
+ */
+function matching(values) {
+    const filter = filters.createFilter(values);
+    return TASKS.filter(task => filters.matches(task, filter)).map(task => task.id);
+}
+
+describe('matches', () => {
+    test('an empty filter shows every task', () => {
+        expect(matching({})).toEqual(['a', 'b', 'c', 'd']);
+        expect(filters.isEmpty(filters.createFilter({ text: '  ', statuses: [] }))).toBe(true);
+    });
+
+    test('text matches names case-insensitively', () => {
+        expect(matching({ text: 'login' })).toEqual(['a', 'b']);
+        expect(matching({ text: ' API ' })).toEqual(['a', 'c']);
+    });
+
+    test('statuses are a set to show', () => {
+        expect(matching({ statuses: ['in-progress', 'done'] })).toEqual(['a', 'c']);
+    });
+
+    test('tasks need every included tag and none of the excluded ones', () => {
+        expect(matching({ tags: ['backend'] })).toEqual(['a', 'c']);
+        expect(matching({ tags: ['backend', 'old'] })).toEqual(['c']);
+        expect(matching({ excludeTags: ['old'] })).toEqual(['a', 'b', 'd']);
+        expect(matching({ tags: ['backend'], excludeTags: ['old'], statuses: ['in-progress'] })).toEqual(['a']);
+    });
+
+    test('a due date range shows only tasks due in it, either end open', () => {
+        expect(matching({ dueFrom: '2026-01-19', dueTo: '2026-01-25' })).toEqual(['a']);
+        expect(matching({ dueFrom: '2026-01-20' })).toEqual(['c']);
+        expect(matching({ dueTo: '2026-12-31' })).toEqual(['a', 'c']);
+        expect(matching({ dueFrom: 'soon' })).toEqual(['a', 'b', 'c', 'd']);
+    });
+});
+
+describe('URL query', () => {
+    test('a filter round-trips through the query, keeping other parameters', () => {
+        const filter = filters.createFilter({
+            text: 'login', statuses: ['in-progress', 'done'], tags: ['backend'], excludeTags: ['old'], dueFrom: '2026-01-19'
+        });
+        const params = new URLSearchParams('?list=work&token=abc&q=stale');
+
+        filters.toQuery(filter, params);
+
+        expect(params.toString()).toBe('list=work&token=abc&q=login&status=in-progress&status=done&tag=backend&notag=old&due-from=2026-01-19');
+        expect(filters.fromQuery(`?${params}`)).toEqual(filter);
+    });
+
+    test('an empty filter leaves only the other parameters', () => {
+        const params = new URLSearchParams('?list=work&status=done&tag=x');
+        filters.toQuery(filters.createFilter(), params);
+
+        expect(params.toString()).toBe('list=work');
+        expect(filters.isEmpty(filters.fromQuery('?list=work'))).toBe(true);
+    });
+});
+
+describe('tag input', () => {
+    test('a leading - excludes a tag', () => {
+        const parsed = filters.parseTagInput('Backend, -old  api');
+
+        expect(parsed).toEqual({ tags: ['backend', 'api'], excludeTags: ['old'] });
+        expect(filters.formatTagInput(filters.createFilter(parsed))).toBe('backend api -old');
+        expect(filters.parseTagInput(' - ')).toEqual({ tags: [], excludeTags: [] });
+    });
+});
+
+describe('saved views', () => {
+    test('addView stores a complete filter and replaces a view with the same name', () => {
+        const views = [];
+        const first = filters.addView(views, ' Backend ', { tags: ['backend'] }, 'v1');
+        const second = filters.addView(views, 'Review', { statuses: ['needs-review'] }, 'v2');
+        const replaced = filters.addView(views, 'backend', { tags: ['backend'], excludeTags: ['old'] }, 'v3');
+
+        expect(first).toEqual({ added: 'v1', deleted: null });
+        expect(second.deleted).toBeNull();
+        expect(replaced).toEqual({ added: 'v3', deleted: 'v1' });
+        expect(views.map(view => [view.id, view.name])).toEqual([['v2', 'Review'], ['v3', 'backend']]);
+        expect(views[1].filter).toEqual(filters.createFilter({ tags: ['backend'], excludeTags: ['old'] }));
+        expect(filters.addView(views, '  ', {})).toEqual({ added: null, deleted: null });
+    });
+
+    test('findView matches filters regardless of order and text case', () => {
+        const views = [];
+        filters.addView(views, 'Mine', { text: 'Login', statuses: ['done', 'in-progress'] }, 'v1');
+
+        expect(filters.findView(views, filters.createFilter({ text: 'login', statuses: ['in-progress', 'done'] })).id).toBe('v1');
+        expect(filters.findView(views, filters.createFilter({ text: 'login' }))).toBeNull();
+    });
+
+    test('deleteView removes a view by ID', () => {
+        const views = [];
+        filters.addView(views, 'Mine', {}, 'v1');
+
+        expect(filters.deleteView(views, 'nope')).toBe(false);
+        expect(filters.deleteView(views, 'v1')).toBe(true);
+        expect(views).toEqual([]);
+    });
+});
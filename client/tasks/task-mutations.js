@@ -2,13 +2,33 @@
 // Task Mutation Functions (Pure/Functional)
 // ===========================================
 // These functions take a tasks array as input and mutate it.
-// This allows them to be used on both:
-// - The UI state (TaskStore's internal array)
-// - Server data (after fetching, before merging)
+// TasksUI applies them to the UI state (TaskStore's internal array)
+// right away, then saves the result as atomic operations addressed
+// by task id (e.g., '[id=abc].status'), so concurrent edits by others
+// are never overwritten.
 //
-// Task ID: Currently using array index as ID. This is acceptable
-// because there is no way to delete or reorder tasks yet. When
-// those features are added, we should switch to unique IDs.
+// Task ID: Every task has a generated unique `id`. Lists created
+// before ids existed are migrated with ensureTaskIds.
+//
+// Position: Tasks are shown in `position` order (a number; tasks without
+// one follow in array order). A move sets only the moved task's position,
+// between its new neighbours, so concurrent edits to other tasks are kept;
+// tasks without a position get one only when the moved task goes below them.
+//
+// Details: Tasks may also have `notes` (multi-line text), a `dueDate`
+// ('2026-01-19') and a `priority` ('high', 'medium' or 'low'); null or
+// missing means not set.
+//
+// Subtasks: A task may have `subtasks`, an array of { id, name, status }
+// using the same statuses, addressed as '[id=abc].subtasks.[id=def]'.
+// With `autoComplete` set, the task is marked done once all of its
+// subtasks are (removed ones do not count).
+//
+// Layouts: tasks can be shown grouped by tag, as one flat list, grouped
+// by status, or as a status board with a column per status (groupTasks).
+//
+// Archive: done and removed tasks can be moved to the list's archive,
+// a sibling task list named {listName}~archive (see moveTask).
 // ===========================================
 
 const TaskMutations = (function() {
@@ -16,6 +36,13 @@ const TaskMutations = (function() {
     // Status cycle order
     const statusCycle = ['not-started', 'in-progress', 'needs-review', 'done', 'removed'];
 
+    // Statuses of tasks that "Archive" moves out of the list
+    const archivedStatuses = ['done', 'removed'];
+
+    // Priorities, highest first
+    const priorities = ['high', 'medium', 'low'];
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
     /**
      * Get the status cycle array
      * @returns {string[]} - Array of status values in cycle order
@@ -24,77 +51,401 @@ const TaskMutations = (function() {
         return statusCycle;
     }
 
+    /**
+     * Get the priority values
+     * @returns {string[]} - Priorities, highest first
+     */
+    function getPriorities() {
+        return priorities;
+    }
+
+    /**
+     * Generate a unique task ID
+     * @returns {string} - Random ID (e.g., 'lx2k9a3b7c1d2e3f')
+     */
+    function generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Find a task by ID
+     * @param {Array} tasks - The tasks array
+     * @param {string} taskId - Task ID
+     * @returns {Object|null} - The task or null if not found
+     */
+    function findTask(tasks, taskId) {
+        return tasks.find(task => task.id === taskId) || null;
+    }
+
+    /**
+     * Give every task without an ID one (one-time migration for older lists)
+     * Legacy tasks get 'legacy-{index}', so clients migrating the same list
+     * concurrently agree on the IDs; a random ID is used if that one is taken.
+     * @param {Array} tasks - The tasks array to mutate
+     * @returns {number} - Number of tasks that were given an ID
+     */
+    function ensureTaskIds(tasks) {
+        const usedIds = new Set(tasks.map(task => task.id).filter(Boolean));
+        let count = 0;
+        tasks.forEach((task, index) => {
+            if (task.id) return;
+            const legacyId = `legacy-${index}`;
+            task.id = usedIds.has(legacyId) ? generateId() : legacyId;
+            usedIds.add(task.id);
+            count++;
+        });
+        return count;
+    }
+
     /**
      * Add a new task to a tasks array
      * @param {Array} tasks - The tasks array to mutate
      * @param {string} name - Task name
-     * @returns {number} - The index of the new task
+     * @param {string} id - Task ID (generated if omitted)
+     * @returns {string} - The ID of the new task
      */
-    function addTask(tasks, name) {
-        const newTask = { name, status: 'not-started', tags: [] };
+    function addTask(tasks, name, id = generateId()) {
+        if (findTask(tasks, id)) return id;
+        const newTask = { id, name, status: 'not-started', tags: [] };
         tasks.push(newTask);
-        return tasks.length - 1;
+        return id;
+    }
+
+    /**
+     * Delete a task from a tasks array
+     * @param {Array} tasks - The tasks array to mutate
+     * @param {string} taskId - Task ID
+     * @returns {boolean} - True if the task was deleted
+     */
+    function deleteTask(tasks, taskId) {
+        const index = tasks.findIndex(task => task.id === taskId);
+        if (index === -1) return false;
+        tasks.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Move a task from one tasks array to another (e.g., into the list's archive)
+     * If the target already has a task with that ID (a move repeated after a
+     * failed save), it is kept and the task is only taken out of the source.
+     * @param {Array} from - The tasks array to take the task out of
+     * @param {Array} to - The tasks array to add it to
+     * @param {string} taskId - Task ID
+     * @returns {Object|null} - The moved task, or null if it is not in from
+     */
+    function moveTask(from, to, taskId) {
+        const task = findTask(from, taskId);
+        if (!task) return null;
+        deleteTask(from, taskId);
+        if (!findTask(to, taskId)) to.push(task);
+        return task;
+    }
+
+    /**
+     * Get the tasks "Archive" would move out of the list
+     * @param {Array} tasks - The tasks array
+     * @returns {Array} - Done and removed tasks
+     */
+    function getArchivableTasks(tasks) {
+        return tasks.filter(task => archivedStatuses.includes(task.status));
+    }
+
+    function hasPosition(task) {
+        return typeof task.position === 'number';
+    }
+
+    /**
+     * Sort tasks by position
+     * @param {Array} tasks - The tasks array (not changed)
+     * @returns {Array} - A new array: tasks with a position in position order, then the rest in array order
+     */
+    function sortByPosition(tasks) {
+        return tasks
+            .map((task, index) => ({ task, index }))
+            .sort((a, b) => {
+                if (hasPosition(a.task) && hasPosition(b.task)) {
+                    return a.task.position - b.task.position || a.index - b.index;
+                }
+                if (hasPosition(a.task) !== hasPosition(b.task)) return hasPosition(a.task) ? -1 : 1;
+                return a.index - b.index;
+            })
+            .map(entry => entry.task);
+    }
+
+    /**
+     * Move a task to just before or after another task
+     * Only the moved task gets a new position, except that tasks without one that
+     * end up above it are given one first (they would otherwise drop below it), and
+     * tasks with a position are renumbered when there is no room left between two
+     * neighbours. The first move in a list without positions changes just one task.
+     * @param {Array} tasks - The tasks array to mutate
+     * @param {string} taskId - Task to move
+     * @param {string} targetId - Task to place it next to
+     * @param {string} placement - 'before' or 'after' the target
+     * @returns {string[]} - IDs of the tasks whose position changed
+     */
+    function reorderTask(tasks, taskId, targetId, placement = 'before') {
+        const task = findTask(tasks, taskId);
+        const target = findTask(tasks, targetId);
+        if (!task || !target || task === target) return [];
+
+        const changed = new Set();
+        const others = sortByPosition(tasks).filter(t => t !== task);
+        const index = others.indexOf(target) + (placement === 'after' ? 1 : 0);
+        let next = others.reduce((max, t) => (hasPosition(t) ? Math.max(max, t.position + 1) : max), 0);
+        others.slice(0, index).forEach(t => {
+            if (hasPosition(t)) return;
+            t.position = next++;
+            changed.add(t.id);
+        });
+
+        const before = others[index - 1];
+        const after = others[index] && hasPosition(others[index]) ? others[index] : undefined;
+        let position;
+        if (before && after) position = (before.position + after.position) / 2;
+        else if (before) position = before.position + 1;
+        else position = after ? after.position - 1 : 0;
+
+        if (before && after && (position <= before.position || position >= after.position)) {
+            // No room left between the neighbours - renumber the tasks with a position in the new order
+            const positioned = others.filter(hasPosition);
+            positioned.splice(index, 0, task);
+            positioned.forEach((t, i) => {
+                if (t.position !== i) changed.add(t.id);
+                t.position = i;
+            });
+        } else {
+            task.position = position;
+            changed.add(task.id);
+        }
+        return [...changed];
+    }
+
+    /**
+     * Sort tasks for display
+     * Sorting by due date or priority puts tasks without one last; ties keep position order.
+     * @param {Array} tasks - The tasks array (not changed)
+     * @param {string} sortBy - 'position', 'dueDate' or 'priority'
+     * @returns {Array} - A new array
+     */
+    function sortTasks(tasks, sortBy = 'position') {
+        const sorted = sortByPosition(tasks);
+        if (sortBy === 'dueDate') {
+            // Date strings ('2026-01-19') sort like the dates; '~' sorts after any of them
+            const key = task => task.dueDate || '~';
+            return sorted.sort((a, b) => (key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : 0));
+        }
+        if (sortBy === 'priority') {
+            const rank = task => (priorities.includes(task.priority) ? priorities.indexOf(task.priority) : priorities.length);
+            return sorted.sort((a, b) => rank(a) - rank(b));
+        }
+        return sorted;
+    }
+
+    /**
+     * Group tasks for a layout, keeping their order within each group
+     * @param {Array} tasks - Tasks in display order (not changed)
+     * @param {string} layout - 'tag' (a group per tag, alphabetical, then 'Untagged'; a task with
+     *   several tags is in each), 'status' (a group per status in cycle order, without empty ones),
+     *   'board' (like 'status', with empty ones) or 'flat' (one group, 'all')
+     * @returns {Array<{key: string, tasks: Array}>} - Groups keyed by tag, status or 'all'
+     */
+    function groupTasks(tasks, layout = 'tag') {
+        if (layout === 'flat') return [{ key: 'all', tasks: [...tasks] }];
+        if (layout === 'status' || layout === 'board') {
+            return statusCycle
+                .map(status => ({ key: status, tasks: tasks.filter(task => task.status === status) }))
+                .filter(group => layout === 'board' || group.tasks.length > 0);
+        }
+
+        const tagGroups = new Map();
+        const untagged = [];
+        tasks.forEach(task => {
+            if (!task.tags || task.tags.length === 0) {
+                untagged.push(task);
+                return;
+            }
+            task.tags.forEach(tag => {
+                if (!tagGroups.has(tag)) tagGroups.set(tag, []);
+                tagGroups.get(tag).push(task);
+            });
+        });
+        const groups = [...tagGroups.keys()].sort().map(tag => ({ key: tag, tasks: tagGroups.get(tag) }));
+        if (untagged.length > 0) groups.push({ key: 'Untagged', tasks: untagged });
+        return groups;
+    }
+
+    /**
+     * Set a task's notes, due date, priority and subtask auto-completion
+     * Empty notes, invalid dates and unknown priorities clear the field (set it to null).
+     * @param {Array} tasks - The tasks array to mutate
+     * @param {string} taskId - Task ID
+     * @param {Object} details - Any of { notes, dueDate, priority, autoComplete }
+     * @returns {string[]} - Names of the fields that changed
+     */
+    function updateTaskDetails(tasks, taskId, details) {
+        const task = findTask(tasks, taskId);
+        if (!task) return [];
+        const values = {
+            notes: typeof details.notes === 'string' && details.notes.trim() ? details.notes : null,
+            dueDate: datePattern.test(details.dueDate) ? details.dueDate : null,
+            priority: priorities.includes(details.priority) ? details.priority : null,
+            autoComplete: details.autoComplete === true
+        };
+        const unset = { notes: null, dueDate: null, priority: null, autoComplete: false };
+        return Object.keys(values).filter(field => {
+            if (!(field in details) || (task[field] ?? unset[field]) === values[field]) return false;
+            task[field] = values[field];
+            return true;
+        });
+    }
+
+    // ============ Subtasks ============
+
+    function findSubtask(task, subtaskId) {
+        return (task && Array.isArray(task.subtasks) && task.subtasks.find(subtask => subtask.id === subtaskId)) || null;
+    }
+
+    /**
+     * Add a subtask to a task
+     * @param {Array} tasks - The tasks array to mutate
+     * @param {string} taskId - Parent task ID
+     * @param {string} name - Subtask name
+     * @param {string} id - Subtask ID (generated if omitted)
+     * @returns {string|null} - The ID of the new subtask, or null if the task does not exist
+     */
+    function addSubtask(tasks, taskId, name, id = generateId()) {
+        const task = findTask(tasks, taskId);
+        if (!task) return null;
+        if (!Array.isArray(task.subtasks)) task.subtasks = [];
+        if (!findSubtask(task, id)) task.subtasks.push({ id, name, status: 'not-started' });
+        return id;
+    }
+
+    /**
+     * Delete a subtask
+     * @param {Array} tasks - The tasks array to mutate
+     * @param {string} taskId - Parent task ID
+     * @param {string} subtaskId - Subtask ID
+     * @returns {boolean} - True if the subtask was deleted
+     */
+    function deleteSubtask(tasks, taskId, subtaskId) {
+        const task = findTask(tasks, taskId);
+        if (!findSubtask(task, subtaskId)) return false;
+        task.subtasks = task.subtasks.filter(subtask => subtask.id !== subtaskId);
+        return true;
+    }
+
+    /**
+     * Cycle a subtask's status to the next value (same cycle as tasks)
+     * @param {Array} tasks - The tasks array to mutate
+     * @param {string} taskId - Parent task ID
+     * @param {string} subtaskId - Subtask ID
+     * @returns {boolean} - True if cycle was successful
+     */
+    function cycleSubtaskStatus(tasks, taskId, subtaskId) {
+        const subtask = findSubtask(findTask(tasks, taskId), subtaskId);
+        if (!subtask) return false;
+        subtask.status = statusCycle[(statusCycle.indexOf(subtask.status) + 1) % statusCycle.length];
+        return true;
+    }
+
+    /**
+     * Count a task's subtasks and how many are done
+     * @param {Object} task
+     * @returns {{done: number, total: number}} - Removed subtasks left out
+     */
+    function getSubtaskProgress(task) {
+        const subtasks = (task.subtasks || []).filter(subtask => subtask.status !== 'removed');
+        return { done: subtasks.filter(subtask => subtask.status === 'done').length, total: subtasks.length };
+    }
+
+    /**
+     * Mark a task done if it has autoComplete set and all its subtasks are done
+     * @param {Array} tasks - The tasks array to mutate
+     * @param {string} taskId - Parent task ID
+     * @returns {boolean} - True if the task's status was changed
+     */
+    function completeIfSubtasksDone(tasks, taskId) {
+        const task = findTask(tasks, taskId);
+        if (!task || task.autoComplete !== true || task.status === 'done') return false;
+        const { done, total } = getSubtaskProgress(task);
+        if (total === 0 || done < total) return false;
+        task.status = 'done';
+        return true;
+    }
+
+    /**
+     * Check if a task is past its due date
+     * @param {Object} task
+     * @param {string} today - Today's date ('2026-01-19')
+     * @returns {boolean} - True if due before today and not done or removed
+     */
+    function isOverdue(task, today) {
+        return Boolean(task.dueDate) && task.dueDate < today && !archivedStatuses.includes(task.status);
     }
 
     /**
      * Update a task's status
      * @param {Array} tasks - The tasks array to mutate
-     * @param {number} taskId - Task index
+     * @param {string} taskId - Task ID
      * @param {string} newStatus - New status value
      * @returns {boolean} - True if update was successful
      */
     function updateTaskStatus(tasks, taskId, newStatus) {
-        if (taskId < 0 || taskId >= tasks.length) return false;
-        tasks[taskId].status = newStatus;
+        const task = findTask(tasks, taskId);
+        if (!task) return false;
+        task.status = newStatus;
         return true;
     }
 
     /**
      * Add a tag to a task
      * @param {Array} tasks - The tasks array to mutate
-     * @param {number} taskId - Task index
+     * @param {string} taskId - Task ID
      * @param {string} tag - Tag to add
      * @returns {boolean} - True if tag was added, false if already exists or invalid
      */
     function addTagToTask(tasks, taskId, tag) {
-        if (taskId < 0 || taskId >= tasks.length) return false;
-        if (!tasks[taskId].tags) {
-            tasks[taskId].tags = [];
+        const task = findTask(tasks, taskId);
+        if (!task) return false;
+        if (!task.tags) {
+            task.tags = [];
         }
-        if (tasks[taskId].tags.includes(tag)) {
+        if (task.tags.includes(tag)) {
             return false;
         }
-        tasks[taskId].tags.push(tag);
+        task.tags.push(tag);
         return true;
     }
 
     /**
      * Remove a tag from a task
      * @param {Array} tasks - The tasks array to mutate
-     * @param {number} taskId - Task index
+     * @param {string} taskId - Task ID
      * @param {string} tag - Tag to remove
      * @returns {boolean} - True if removal was successful
      */
     function removeTagFromTask(tasks, taskId, tag) {
-        if (taskId < 0 || taskId >= tasks.length) return false;
-        if (!tasks[taskId].tags) return false;
-        const originalLength = tasks[taskId].tags.length;
-        tasks[taskId].tags = tasks[taskId].tags.filter(t => t !== tag);
-        return tasks[taskId].tags.length < originalLength;
+        const task = findTask(tasks, taskId);
+        if (!task || !task.tags) return false;
+        const originalLength = task.tags.length;
+        task.tags = task.tags.filter(t => t !== tag);
+        return task.tags.length < originalLength;
     }
 
     /**
      * Cycle a task's status to the next value
      * @param {Array} tasks - The tasks array to mutate
-     * @param {number} taskId - Task index
+     * @param {string} taskId - Task ID
      * @returns {boolean} - True if cycle was successful
      */
     function cycleTaskStatus(tasks, taskId) {
-        if (taskId < 0 || taskId >= tasks.length) return false;
-        const currentStatus = tasks[taskId].status;
-        const currentIndex = statusCycle.indexOf(currentStatus);
+        const task = findTask(tasks, taskId);
+        if (!task) return false;
+        const currentIndex = statusCycle.indexOf(task.status);
         const nextIndex = (currentIndex + 1) % statusCycle.length;
-        tasks[taskId].status = statusCycle[nextIndex];
+        task.status = statusCycle[nextIndex];
         return true;
     }
 
@@ -128,7 +479,25 @@ const TaskMutations = (function() {
     // Public API
     return {
         getStatusCycle,
+        getPriorities,
+        generateId,
+        findTask,
+        ensureTaskIds,
         addTask,
+        deleteTask,
+        moveTask,
+        getArchivableTasks,
+        sortByPosition,
+        reorderTask,
+        sortTasks,
+        groupTasks,
+        updateTaskDetails,
+        isOverdue,
+        addSubtask,
+        deleteSubtask,
+        cycleSubtaskStatus,
+        getSubtaskProgress,
+        completeIfSubtasksDone,
         updateTaskStatus,
         addTagToTask,
         removeTagFromTask,
@@ -0,0 +1,467 @@
+/**
+ * Tests for TaskMutations (tasks addressed by stable IDs).
+ *
+ * The mutations are browser IIFE code, so we eval them to get TaskMutations on globalThis.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const mutationsCode = fs.readFileSync(path.join(__dirname, 'task-mutations.js'), 'utf-8');
+eval(mutationsCode.replace('const TaskMutations = (function()', 'global.TaskMutations = (function()'));
+
+const mutations = global.TaskMutations;
+
+function createTasks() {
+    return [
+        { id: 'a1', name: 'Milk', status: 'not-started', tags: ['grocery'] },
+        { id: 'b2', name: 'Eggs', status: 'done', tags: [] }
+    ];
+}
+
+// ============ addTask ============
+
+describe('addTask', () => {
+    test('adds a task with a generated ID and returns it', () => {
+        const tasks = createTasks();
+        const id = mutations.addTask(tasks, 'Bread');
+
+        expect(typeof id).toBe('string');
+        expect(tasks[2]).toEqual({ id, name: 'Bread', status: 'not-started', tags: [] });
+    });
+
+    test('replaying with the same ID on server data adds it once', () => {
+        const local = createTasks();
+        const id = mutations.addTask(local, 'Bread');
+
+        // Server copy already has a concurrent add from someone else
+        const server = createTasks();
+        mutations.addTask(server, 'Butter');
+        mutations.addTask(server, 'Bread', id);
+        mutations.addTask(server, 'Bread', id);
+
+        expect(server.map(t => t.name)).toEqual(['Milk', 'Eggs', 'Butter', 'Bread']);
+        expect(server[3].id).toBe(id);
+    });
+
+    test('generates unique IDs', () => {
+        const tasks = [];
+        for (let i = 0; i < 50; i++) mutations.addTask(tasks, `Task ${i}`);
+        expect(new Set(tasks.map(t => t.id)).size).toBe(50);
+    });
+});
+
+// ============ deleteTask ============
+
+describe('deleteTask', () => {
+    test('removes the task with that ID', () => {
+        const tasks = createTasks();
+
+        expect(mutations.deleteTask(tasks, 'a1')).toBe(true);
+        expect(tasks.map(t => t.id)).toEqual(['b2']);
+    });
+
+    test('unknown IDs (e.g., already deleted by someone else) change nothing', () => {
+        const tasks = createTasks();
+
+        expect(mutations.deleteTask(tasks, 'zz')).toBe(false);
+        expect(tasks).toEqual(createTasks());
+    });
+});
+
+// ============ Positions ============
+
+describe('positions', () => {
+    function names(tasks) {
+        return mutations.sortByPosition(tasks).map(t => t.name);
+    }
+
+    function createList() {
+        return [
+            { id: 'a', name: 'A', status: 'not-started', tags: [] },
+            { id: 'b', name: 'B', status: 'not-started', tags: [] },
+            { id: 'c', name: 'C', status: 'not-started', tags: [] },
+            { id: 'd', name: 'D', status: 'not-started', tags: [] }
+        ];
+    }
+
+    test('sortByPosition puts positioned tasks first, then the rest in array order', () => {
+        const tasks = createList();
+        tasks[2].position = 0;
+        tasks[0].position = 1;
+
+        expect(names(tasks)).toEqual(['C', 'A', 'B', 'D']);
+        expect(tasks.map(t => t.name)).toEqual(['A', 'B', 'C', 'D']);
+    });
+
+    test('reorderTask moves a task before or after another', () => {
+        const tasks = createList();
+
+        mutations.reorderTask(tasks, 'd', 'a', 'before');
+        expect(names(tasks)).toEqual(['D', 'A', 'B', 'C']);
+
+        mutations.reorderTask(tasks, 'd', 'b', 'after');
+        expect(names(tasks)).toEqual(['A', 'B', 'D', 'C']);
+
+        mutations.reorderTask(tasks, 'a', 'c', 'after');
+        expect(names(tasks)).toEqual(['B', 'D', 'C', 'A']);
+    });
+
+    test('reorderTask changes only the moved task in a list without positions', () => {
+        const tasks = createList();
+
+        expect(mutations.reorderTask(tasks, 'c', 'a')).toEqual(['c']);
+        expect(mutations.reorderTask(tasks, 'b', 'a')).toEqual(['b']);
+        expect(names(tasks)).toEqual(['C', 'B', 'A', 'D']);
+        expect(tasks.filter(t => 'position' in t).map(t => t.id)).toEqual(['b', 'c']);
+    });
+
+    test('reorderTask gives a position only to tasks without one that end up above the moved task', () => {
+        const tasks = createList();
+
+        expect(mutations.reorderTask(tasks, 'a', 'c', 'after')).toEqual(['b', 'c', 'a']);
+        expect(names(tasks)).toEqual(['B', 'C', 'A', 'D']);
+        expect(tasks[3].position).toBeUndefined();
+    });
+
+    test('a first move patches one task, so a task deleted meanwhile cannot fail it', () => {
+        const local = createList();
+        const server = createList();
+        mutations.deleteTask(server, 'b');
+
+        const changed = mutations.reorderTask(local, 'd', 'a');
+
+        expect(changed).toEqual(['d']);
+        changed.forEach(id => { mutations.findTask(server, id).position = mutations.findTask(local, id).position; });
+        expect(names(server)).toEqual(['D', 'A', 'C']);
+    });
+
+    test('a move stored as a position patch keeps concurrent changes to other tasks', () => {
+        const local = createList();
+        local.forEach((t, i) => { t.position = i; });
+        const server = JSON.parse(JSON.stringify(local));
+
+        // Someone else renames B and adds a task while we move D to the top
+        server[1].name = 'B2';
+        mutations.addTask(server, 'E', 'e');
+        mutations.reorderTask(local, 'd', 'a').forEach(id => {
+            mutations.findTask(server, id).position = mutations.findTask(local, id).position;
+        });
+
+        expect(names(server)).toEqual(['D', 'A', 'B2', 'C', 'E']);
+    });
+
+    test('renumbers every task when there is no room left between neighbours', () => {
+        const tasks = createList();
+        tasks[0].position = 0;
+        tasks[1].position = Number.MIN_VALUE;
+        tasks[2].position = 5;
+        tasks[3].position = 6;
+
+        const changed = mutations.reorderTask(tasks, 'd', 'b', 'before');
+
+        expect(names(tasks)).toEqual(['A', 'D', 'B', 'C']);
+        expect(tasks.map(t => t.position)).toEqual([0, 2, 3, 1]);
+        expect(changed.sort()).toEqual(['b', 'c', 'd']);
+    });
+
+    test('unknown IDs and moving a task next to itself change nothing', () => {
+        const tasks = createList();
+
+        expect(mutations.reorderTask(tasks, 'zz', 'a')).toEqual([]);
+        expect(mutations.reorderTask(tasks, 'a', 'a')).toEqual([]);
+        expect(tasks).toEqual(createList());
+    });
+});
+
+// ============ Details ============
+
+describe('details', () => {
+    test('updateTaskDetails sets notes, due date and priority and reports what changed', () => {
+        const tasks = createTasks();
+
+        const changed = mutations.updateTaskDetails(tasks, 'a1', { notes: 'Oat\nif they have it', dueDate: '2026-01-19', priority: 'high' });
+
+        expect(changed).toEqual(['notes', 'dueDate', 'priority']);
+        expect(tasks[0]).toMatchObject({ notes: 'Oat\nif they have it', dueDate: '2026-01-19', priority: 'high' });
+        expect(mutations.updateTaskDetails(tasks, 'a1', { notes: 'Oat\nif they have it', priority: 'low' })).toEqual(['priority']);
+    });
+
+    test('empty or invalid values clear a field; fields not given are left alone', () => {
+        const tasks = createTasks();
+        mutations.updateTaskDetails(tasks, 'a1', { notes: 'x', dueDate: '2026-01-19', priority: 'high' });
+
+        expect(mutations.updateTaskDetails(tasks, 'a1', { notes: '  ', dueDate: 'soon' })).toEqual(['notes', 'dueDate']);
+        expect(tasks[0]).toMatchObject({ notes: null, dueDate: null, priority: 'high' });
+
+        // Tasks without details already count as cleared
+        expect(mutations.updateTaskDetails(tasks, 'b2', { notes: '', dueDate: '', priority: '' })).toEqual([]);
+        expect(mutations.updateTaskDetails(tasks, 'zz', { notes: 'x' })).toEqual([]);
+    });
+
+    test('isOverdue: due before today and not done or removed', () => {
+        const today = '2026-01-19';
+
+        expect(mutations.isOverdue({ status: 'not-started', dueDate: '2026-01-18' }, today)).toBe(true);
+        expect(mutations.isOverdue({ status: 'in-progress', dueDate: '2026-01-19' }, today)).toBe(false);
+        expect(mutations.isOverdue({ status: 'done', dueDate: '2026-01-01' }, today)).toBe(false);
+        expect(mutations.isOverdue({ status: 'not-started', dueDate: null }, today)).toBe(false);
+    });
+
+    test('sortTasks by due date or priority puts tasks without one last, ties in position order', () => {
+        const tasks = [
+            { id: 'a', name: 'A', status: 'not-started', priority: 'low' },
+            { id: 'b', name: 'B', status: 'not-started', dueDate: '2026-02-01', priority: 'high' },
+            { id: 'c', name: 'C', status: 'not-started', dueDate: '2026-01-19' },
+            { id: 'd', name: 'D', status: 'not-started', dueDate: '2026-02-01', priority: 'low', position: -1 }
+        ];
+        const names = (sortBy) => mutations.sortTasks(tasks, sortBy).map(t => t.name);
+
+        expect(names('position')).toEqual(['D', 'A', 'B', 'C']);
+        expect(names('dueDate')).toEqual(['C', 'D', 'B', 'A']);
+        expect(names('priority')).toEqual(['B', 'D', 'A', 'C']);
+    });
+});
+
+// ============ Subtasks ============
+
+describe('subtasks', () => {
+    test('addSubtask creates the list, and replaying with the same ID adds it once', () => {
+        const local = createTasks();
+        const id = mutations.addSubtask(local, 'a1', 'Check the fridge');
+
+        expect(local[0].subtasks).toEqual([{ id, name: 'Check the fridge', status: 'not-started' }]);
+
+        // Server copy already has a concurrent subtask from someone else
+        const server = createTasks();
+        mutations.addSubtask(server, 'a1', 'Bring a bag', 's0');
+        mutations.addSubtask(server, 'a1', 'Check the fridge', id);
+        mutations.addSubtask(server, 'a1', 'Check the fridge', id);
+
+        expect(server[0].subtasks.map(s => s.name)).toEqual(['Bring a bag', 'Check the fridge']);
+        expect(mutations.addSubtask(server, 'zz', 'x')).toBeNull();
+    });
+
+    test('subtask statuses cycle on their own and count towards progress', () => {
+        const tasks = createTasks();
+        ['One', 'Two', 'Three'].forEach((name, i) => mutations.addSubtask(tasks, 'a1', name, `s${i}`));
+
+        mutations.cycleSubtaskStatus(tasks, 'a1', 's0');
+        expect(tasks[0].subtasks[0].status).toBe('in-progress');
+        expect(tasks[0].status).toBe('not-started');
+
+        tasks[0].subtasks[0].status = 'done';
+        tasks[0].subtasks[2].status = 'removed';
+        expect(mutations.getSubtaskProgress(tasks[0])).toEqual({ done: 1, total: 2 });
+        expect(mutations.getSubtaskProgress(tasks[1])).toEqual({ done: 0, total: 0 });
+        expect(mutations.cycleSubtaskStatus(tasks, 'a1', 'zz')).toBe(false);
+    });
+
+    test('completeIfSubtasksDone marks the task done only with autoComplete and every subtask done', () => {
+        const tasks = createTasks();
+        mutations.addSubtask(tasks, 'a1', 'One', 's1');
+        mutations.addSubtask(tasks, 'a1', 'Two', 's2');
+        tasks[0].subtasks[0].status = 'done';
+        tasks[0].subtasks[1].status = 'done';
+
+        expect(mutations.completeIfSubtasksDone(tasks, 'a1')).toBe(false);
+
+        expect(mutations.updateTaskDetails(tasks, 'a1', { autoComplete: true })).toEqual(['autoComplete']);
+        tasks[0].subtasks[1].status = 'needs-review';
+        expect(mutations.completeIfSubtasksDone(tasks, 'a1')).toBe(false);
+
+        mutations.deleteSubtask(tasks, 'a1', 's2');
+        expect(mutations.completeIfSubtasksDone(tasks, 'a1')).toBe(true);
+        expect(tasks[0].status).toBe('done');
+        expect(mutations.completeIfSubtasksDone(tasks, 'a1')).toBe(false);
+    });
+
+    test('deleteSubtask removes only that subtask', () => {
+        const tasks = createTasks();
+        mutations.addSubtask(tasks, 'a1', 'One', 's1');
+        mutations.addSubtask(tasks, 'a1', 'Two', 's2');
+
+        expect(mutations.deleteSubtask(tasks, 'a1', 's1')).toBe(true);
+        expect(tasks[0].subtasks.map(s => s.id)).toEqual(['s2']);
+        expect(mutations.deleteSubtask(tasks, 'a1', 's1')).toBe(false);
+        expect(mutations.deleteSubtask(tasks, 'b2', 's2')).toBe(false);
+    });
+});
+
+// ============ Layouts ============
+
+describe('groupTasks', () => {
+    const TASKS = [
+        { id: 'a', name: 'API', status: 'in-progress', tags: ['backend', 'urgent'] },
+        { id: 'b', name: 'Chore', status: 'not-started', tags: [] },
+        { id: 'c', name: 'CSS', status: 'in-progress', tags: ['frontend'] },
+        { id: 'd', name: 'Docs', status: 'done' }
+    ];
+    const summary = groups => groups.map(group => [group.key, group.tasks.map(t => t.id)]);
+
+    test('tag groups are alphabetical, then Untagged, with multi-tag tasks in each', () => {
+        expect(summary(mutations.groupTasks(TASKS, 'tag'))).toEqual([
+            ['backend', ['a']], ['frontend', ['c']], ['urgent', ['a']], ['Untagged', ['b', 'd']]
+        ]);
+    });
+
+    test('the flat layout shows every task once, in order', () => {
+        expect(summary(mutations.groupTasks(TASKS, 'flat'))).toEqual([['all', ['a', 'b', 'c', 'd']]]);
+    });
+
+    test('status groups follow the status cycle; the board keeps empty columns', () => {
+        expect(summary(mutations.groupTasks(TASKS, 'status'))).toEqual([
+            ['not-started', ['b']], ['in-progress', ['a', 'c']], ['done', ['d']]
+        ]);
+        expect(mutations.groupTasks(TASKS, 'board').map(group => group.key)).toEqual(mutations.getStatusCycle());
+        expect(mutations.groupTasks([], 'board').every(group => group.tasks.length === 0)).toBe(true);
+    });
+});
+
+// ============ Archive ============
+
+describe('archive', () => {
+    test('getArchivableTasks returns done and removed tasks', () => {
+        const tasks = createTasks();
+        tasks.push({ id: 'c3', name: 'Old', status: 'removed', tags: [] });
+
+        expect(mutations.getArchivableTasks(tasks).map(t => t.id)).toEqual(['b2', 'c3']);
+    });
+
+    test('moveTask takes the task out of one array and adds it to the other', () => {
+        const tasks = createTasks();
+        const archive = [];
+
+        const moved = mutations.moveTask(tasks, archive, 'b2');
+
+        expect(moved).toEqual({ id: 'b2', name: 'Eggs', status: 'done', tags: [] });
+        expect(tasks.map(t => t.id)).toEqual(['a1']);
+        expect(archive).toEqual([moved]);
+
+        mutations.moveTask(archive, tasks, 'b2');
+        expect(tasks.map(t => t.id)).toEqual(['a1', 'b2']);
+        expect(archive).toEqual([]);
+    });
+
+    test('moveTask keeps a copy the target already has, and ignores unknown IDs', () => {
+        const tasks = createTasks();
+        const archive = [{ id: 'b2', name: 'Eggs', status: 'done', tags: ['archived-earlier'] }];
+
+        mutations.moveTask(tasks, archive, 'b2');
+
+        expect(archive).toEqual([{ id: 'b2', name: 'Eggs', status: 'done', tags: ['archived-earlier'] }]);
+        expect(tasks.map(t => t.id)).toEqual(['a1']);
+        expect(mutations.moveTask(tasks, archive, 'zz')).toBeNull();
+    });
+});
+
+// ============ Mutations by ID ============
+
+describe('mutations address tasks by ID', () => {
+    test('cycleTaskStatus hits the right task after a concurrent insert', () => {
+        const server = createTasks();
+        // Someone else's add landed first on the server
+        server.unshift({ id: 'z9', name: 'Coffee', status: 'not-started', tags: [] });
+
+        expect(mutations.cycleTaskStatus(server, 'a1')).toBe(true);
+
+        expect(server.find(t => t.id === 'a1').status).toBe('in-progress');
+        expect(server.find(t => t.id === 'z9').status).toBe('not-started');
+    });
+
+    test('cycleTaskStatus wraps from removed to not-started', () => {
+        const tasks = [{ id: 'a1', name: 'Milk', status: 'removed' }];
+        mutations.cycleTaskStatus(tasks, 'a1');
+        expect(tasks[0].status).toBe('not-started');
+    });
+
+    test('updateTaskStatus sets the status', () => {
+        const tasks = createTasks();
+        expect(mutations.updateTaskStatus(tasks, 'b2', 'needs-review')).toBe(true);
+        expect(tasks[1].status).toBe('needs-review');
+    });
+
+    test('addTagToTask and removeTagFromTask', () => {
+        const tasks = createTasks();
+
+        expect(mutations.addTagToTask(tasks, 'b2', 'dairy')).toBe(true);
+        expect(mutations.addTagToTask(tasks, 'b2', 'dairy')).toBe(false);
+        expect(tasks[1].tags).toEqual(['dairy']);
+
+        expect(mutations.removeTagFromTask(tasks, 'a1', 'grocery')).toBe(true);
+        expect(mutations.removeTagFromTask(tasks, 'a1', 'grocery')).toBe(false);
+        expect(tasks[0].tags).toEqual([]);
+    });
+
+    test('unknown IDs (including old numeric indexes) change nothing', () => {
+        const tasks = createTasks();
+
+        expect(mutations.cycleTaskStatus(tasks, 'missing')).toBe(false);
+        expect(mutations.updateTaskStatus(tasks, 0, 'done')).toBe(false);
+        expect(mutations.addTagToTask(tasks, 'missing', 'x')).toBe(false);
+        expect(mutations.removeTagFromTask(tasks, 'missing', 'grocery')).toBe(false);
+        expect(tasks).toEqual(createTasks());
+    });
+
+    test('findTask returns the task or null', () => {
+        const tasks = createTasks();
+        expect(mutations.findTask(tasks, 'b2').name).toBe('Eggs');
+        expect(mutations.findTask(tasks, 'missing')).toBeNull();
+    });
+});
+
+// ============ ensureTaskIds ============
+
+describe('ensureTaskIds', () => {
+    test('gives legacy tasks deterministic IDs and reports how many', () => {
+        const tasks = [
+            { name: 'Milk', status: 'done' },
+            { id: 'keep', name: 'Eggs', status: 'done' },
+            { name: 'Bread', status: 'not-started' }
+        ];
+
+        expect(mutations.ensureTaskIds(tasks)).toBe(2);
+        expect(tasks.map(t => t.id)).toEqual(['legacy-0', 'keep', 'legacy-2']);
+    });
+
+    test('two clients migrating the same list agree on the IDs', () => {
+        const legacy = [{ name: 'Milk' }, { name: 'Eggs' }];
+        const first = JSON.parse(JSON.stringify(legacy));
+        const second = JSON.parse(JSON.stringify(legacy));
+
+        mutations.ensureTaskIds(first);
+        mutations.ensureTaskIds(second);
+
+        expect(first).toEqual(second);
+    });
+
+    test('avoids IDs that are already taken', () => {
+        const tasks = [{ id: 'legacy-1', name: 'Milk' }, { name: 'Eggs' }];
+
+        mutations.ensureTaskIds(tasks);
+
+        expect(tasks[1].id).not.toBe('legacy-1');
+        expect(tasks[1].id).toBeTruthy();
+    });
+
+    test('is a no-op once every task has an ID', () => {
+        const tasks = createTasks();
+        expect(mutations.ensureTaskIds(tasks)).toBe(0);
+        expect(tasks).toEqual(createTasks());
+    });
+});
+
+// ============ renameTag ============
+
+describe('renameTag', () => {
+    test('renames across tasks and drops duplicates', () => {
+        const tasks = [
+            { id: 'a', name: 'A', tags: ['old'] },
+            { id: 'b', name: 'B', tags: ['old', 'new'] },
+            { id: 'c', name: 'C', tags: ['other'] }
+        ];
+
+        expect(mutations.renameTag(tasks, 'old', 'new')).toBe(2);
+        expect(tasks.map(t => t.tags)).toEqual([['new'], ['new'], ['other']]);
+    });
+});
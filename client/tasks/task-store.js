@@ -23,12 +23,20 @@ const TaskStore = (function() {
 
     /**
      * Get a single task by ID
-     * @param {number} taskId - Task index
+     * @param {string} taskId - Task ID
      * @returns {Object|null} - The task or null if not found
      */
     function getTask(taskId) {
-        if (taskId < 0 || taskId >= tasks.length) return null;
-        return tasks[taskId];
+        return TaskMutations.findTask(tasks, taskId);
+    }
+
+    /**
+     * Get all tasks in the order they are shown
+     * @param {string} sortBy - 'position' (default), 'dueDate' or 'priority'
+     * @returns {Array} - A new array of the same task objects
+     */
+    function getTasksInOrder(sortBy) {
+        return TaskMutations.sortTasks(tasks, sortBy);
     }
 
     /**
@@ -43,8 +51,44 @@ const TaskStore = (function() {
     // Mutations (delegate to TaskMutations)
     // ===========================================
 
-    function addTask(name) {
-        return TaskMutations.addTask(tasks, name);
+    function addTask(name, id) {
+        return TaskMutations.addTask(tasks, name, id);
+    }
+
+    function deleteTask(taskId) {
+        return TaskMutations.deleteTask(tasks, taskId);
+    }
+
+    function archiveTask(taskId, archive) {
+        return TaskMutations.moveTask(tasks, archive, taskId);
+    }
+
+    function restoreTask(archive, taskId) {
+        return TaskMutations.moveTask(archive, tasks, taskId);
+    }
+
+    function reorderTask(taskId, targetId, placement) {
+        return TaskMutations.reorderTask(tasks, taskId, targetId, placement);
+    }
+
+    function updateTaskDetails(taskId, details) {
+        return TaskMutations.updateTaskDetails(tasks, taskId, details);
+    }
+
+    function addSubtask(taskId, name) {
+        return TaskMutations.addSubtask(tasks, taskId, name);
+    }
+
+    function deleteSubtask(taskId, subtaskId) {
+        return TaskMutations.deleteSubtask(tasks, taskId, subtaskId);
+    }
+
+    function cycleSubtaskStatus(taskId, subtaskId) {
+        return TaskMutations.cycleSubtaskStatus(tasks, taskId, subtaskId);
+    }
+
+    function completeIfSubtasksDone(taskId) {
+        return TaskMutations.completeIfSubtasksDone(tasks, taskId);
     }
 
     function updateTaskStatus(taskId, newStatus) {
@@ -72,10 +116,22 @@ const TaskStore = (function() {
         // Accessors
         getTasks,
         getTask,
+        getTasksInOrder,
         setTasks,
         getStatusCycle: TaskMutations.getStatusCycle,
+        getPriorities: TaskMutations.getPriorities,
+        getSubtaskProgress: TaskMutations.getSubtaskProgress,
         // Mutations
         addTask,
+        deleteTask,
+        archiveTask,
+        restoreTask,
+        reorderTask,
+        updateTaskDetails,
+        addSubtask,
+        deleteSubtask,
+        cycleSubtaskStatus,
+        completeIfSubtasksDone,
         updateTaskStatus,
         addTagToTask,
         removeTagFromTask,
@@ -23,14 +23,30 @@ const TasksUI = (function() {
 
     // State
     let api = null;
-    let isSaving = false;
-    let editingTagIndex = null;
+    let saveQueue = Promise.resolve();
+    let pendingSaves = 0;
+    let editingTaskId = null;
     let renamingTag = null;  // Tag being renamed (null = add mode)
     let knownTags = new Set();
+    let showHidden = false;      // Show removed tasks and the archive
+    let archiveApi = null;       // The list's archive ({listName}~archive; null for a sub-list)
+    let archivedTasks = null;    // Tasks in the archive (null = not loaded yet)
+    let archiveExists = false;   // The archive is created by the first "Archive done"
+    let dragging = null;         // Task being dragged ({ taskId, listEl })
+    let sortBy = 'position';     // Order within each group (see TaskMutations.sortTasks)
+    let layout = 'tag';          // How tasks are grouped (see TaskMutations.groupTasks)
+    let openDetails = null;      // Task whose detail panel is open ({ group, taskId })
+    let filter = TaskFilter.createFilter();  // Active filter (kept in the URL)
+    let viewsApi = null;         // The list's saved views ({listName}~views; null for a sub-list)
+    let views = [];              // Saved views ({ id, name, filter })
+    let viewsExist = false;      // The views document is created by the first "Save view"
 
     // DOM elements (set during init)
     let taskListEl, savingIndicator, addTaskForm, taskInput;
     let tagModal, tagModalTitle, tagInput, tagSuggestions, saveTagBtn, cancelTagBtn;
+    let historyBtn, archiveBtn, showHiddenToggle, hiddenCountEl, sortSelect, layoutSelect;
+    let filterText, filterTags, filterStatuses, filterDue, filterDueFrom, filterDueTo;
+    let viewSelect, saveViewBtn, deleteViewBtn, clearFilterBtn, viewModal, viewNameInput, confirmViewBtn, cancelViewBtn;
 
     /**
      * Load known tags from localStorage
@@ -81,8 +97,15 @@ const TasksUI = (function() {
      * @param {string} listName - Name of the list to load
      */
     async function init(listName) {
-        // Create API instance
-        api = createApi(listName, CONFIG.API_BASE_TASKS);
+        // Create API instances
+        api = createApi(listName, CONFIG.API_BASE_TASKS, getShareToken());
+        // A sub-list (e.g., a meal board's shopping list) has no archive or saved views:
+        // sub-lists of sub-lists are not allowed
+        const isSubList = listName.includes('~');
+        if (!isSubList) {
+            archiveApi = createApi(`${listName}~archive`, CONFIG.API_BASE_TASKS, getShareToken());
+            viewsApi = createApi(`${listName}~views`, CONFIG.API_BASE_TASKS, getShareToken());
+        }
 
         // Cache DOM elements
         taskListEl = document.getElementById('taskList');
@@ -95,9 +118,45 @@ const TasksUI = (function() {
         tagSuggestions = document.getElementById('tagSuggestions');
         saveTagBtn = document.getElementById('saveTagBtn');
         cancelTagBtn = document.getElementById('cancelTagBtn');
+        historyBtn = document.getElementById('historyBtn');
+        archiveBtn = document.getElementById('archiveBtn');
+        showHiddenToggle = document.getElementById('showHiddenToggle');
+        hiddenCountEl = document.getElementById('hiddenCount');
+        sortSelect = document.getElementById('sortSelect');
+        layoutSelect = document.getElementById('layoutSelect');
+        filterText = document.getElementById('filterText');
+        filterTags = document.getElementById('filterTags');
+        filterStatuses = document.getElementById('filterStatuses');
+        filterDue = document.getElementById('filterDue');
+        filterDueFrom = document.getElementById('filterDueFrom');
+        filterDueTo = document.getElementById('filterDueTo');
+        viewSelect = document.getElementById('viewSelect');
+        saveViewBtn = document.getElementById('saveViewBtn');
+        deleteViewBtn = document.getElementById('deleteViewBtn');
+        clearFilterBtn = document.getElementById('clearFilterBtn');
+        viewModal = document.getElementById('viewModal');
+        viewNameInput = document.getElementById('viewNameInput');
+        confirmViewBtn = document.getElementById('confirmViewBtn');
+        cancelViewBtn = document.getElementById('cancelViewBtn');
+        archiveBtn.hidden = isSubList;
+        viewSelect.hidden = isSubList;
+        saveViewBtn.hidden = isSubList;
 
-        // Load known tags from localStorage
+        // Load known tags, the removed/archived toggle, the sort order and the layout from localStorage
         loadKnownTags();
+        showHidden = localStorage.getItem(`showHidden_${listName}`) === 'true';
+        showHiddenToggle.checked = showHidden;
+        sortBy = localStorage.getItem(`taskSort_${listName}`) || 'position';
+        sortSelect.value = sortBy;
+        layout = localStorage.getItem(`taskLayout_${listName}`) || 'tag';
+        layoutSelect.value = layout;
+        document.body.classList.toggle('board-layout', layout === 'board');
+
+        // The filter comes from the URL (?status=in-progress&tag=backend)
+        filter = TaskFilter.fromQuery(window.location.search);
+        renderStatusFilters();
+        showFilter();
+        renderViewSelect();
 
         // Set up page title
         document.title = `${listName} - Task List`;
@@ -106,8 +165,66 @@ const TasksUI = (function() {
         // Set up event listeners
         setupEventListeners();
 
-        // Load tasks
-        await fetchTasks();
+        // Sign-in state (read-only for viewers who may not edit)
+        Auth.init(api);
+
+        // Load tasks, then keep them in sync with other users' changes
+        if (await fetchTasks()) {
+            Recents.record('tasks', listName, TaskStore.getTasks());
+            if (showHidden) showArchive();
+            loadViews().catch(error => console.error('Failed to load saved views:', error));
+            if (api.offlineCopy()) {
+                // Server unreachable - showing this device's saved copy
+                OfflineMode.enter({
+                    savedAt: api.offlineCopy(),
+                    content: [document.querySelector('.container')],
+                    onReconnect: resumeOnline
+                });
+            } else {
+                DocumentSync.init(api, handleSyncRefresh);
+            }
+        }
+    }
+
+    /**
+     * Reload the list once the server is reachable again (callback for OfflineMode)
+     * @returns {Promise<boolean>} - True if the live list was loaded
+     */
+    async function resumeOnline() {
+        if (!(await fetchTasks()) || api.offlineCopy()) return false;
+        DocumentSync.init(api, handleSyncRefresh);
+        return true;
+    }
+
+    /**
+     * Handle sync refresh from server (callback for DocumentSync)
+     * Only the task list is re-rendered, so an open tag modal and a task name
+     * being typed are left as they are.
+     * @param {Array} tasks - Server copy of the tasks
+     */
+    function handleSyncRefresh(tasks) {
+        // Our own saves are still in flight - their response brings the server copy
+        if (pendingSaves > 0) return;
+        showServerTasks(tasks);
+    }
+
+    /**
+     * Replace the local tasks with the server copy and re-render the list
+     * @param {Array} tasks - Tasks from the server
+     */
+    function showServerTasks(tasks) {
+        const missingIds = TaskMutations.ensureTaskIds(tasks) > 0;
+        TaskStore.setTasks(tasks);
+        collectKnownTags(tasks);
+        renderTasks();
+        if (missingIds) storeTaskIds();
+    }
+
+    /**
+     * Manual refresh (exposed for sync indicator click)
+     */
+    function manualRefresh() {
+        DocumentSync.manualRefresh();
     }
 
     /**
@@ -117,9 +234,78 @@ const TasksUI = (function() {
         // Task list clicks (delegation)
         taskListEl.addEventListener('click', handleTaskListClick);
 
+        // Reordering: drag and drop, or Alt+Up/Down on a focused task
+        taskListEl.addEventListener('dragstart', handleDragStart);
+        taskListEl.addEventListener('dragover', handleDragOver);
+        taskListEl.addEventListener('dragleave', clearDropMarker);
+        taskListEl.addEventListener('drop', handleDrop);
+        taskListEl.addEventListener('dragend', handleDragEnd);
+        taskListEl.addEventListener('keydown', handleTaskKeydown);
+
         // Add task form
         addTaskForm.addEventListener('submit', handleAddTask);
 
+        // Version history
+        historyBtn.addEventListener('click', openHistory);
+
+        // Archive
+        archiveBtn.addEventListener('click', handleArchive);
+        showHiddenToggle.addEventListener('change', () => {
+            showHidden = showHiddenToggle.checked;
+            localStorage.setItem(`showHidden_${api.listName}`, String(showHidden));
+            renderTasks();
+            if (showHidden) showArchive();
+        });
+
+        // Sort order
+        sortSelect.addEventListener('change', () => {
+            sortBy = sortSelect.value;
+            localStorage.setItem(`taskSort_${api.listName}`, sortBy);
+            renderTasks();
+        });
+
+        // Layout (tag groups, flat list, status groups or status board)
+        layoutSelect.addEventListener('change', () => {
+            layout = layoutSelect.value;
+            localStorage.setItem(`taskLayout_${api.listName}`, layout);
+            document.body.classList.toggle('board-layout', layout === 'board');
+            openDetails = null;
+            renderTasks();
+        });
+
+        // Filter bar (the name search narrows as you type; tags apply once typed)
+        filterText.addEventListener('input', handleFilterChange);
+        filterTags.addEventListener('change', handleFilterChange);
+        filterTags.addEventListener('focus', updateTagSuggestions);
+        filterStatuses.addEventListener('change', handleFilterChange);
+        filterDueFrom.addEventListener('change', handleFilterChange);
+        filterDueTo.addEventListener('change', handleFilterChange);
+        clearFilterBtn.addEventListener('click', () => {
+            setFilter(TaskFilter.createFilter());
+            showFilter();
+        });
+
+        // Saved views (reloaded when picking one, to see views others saved)
+        viewSelect.addEventListener('focus', () => {
+            loadViews().catch(error => console.error('Failed to load saved views:', error));
+        });
+        viewSelect.addEventListener('change', handleSelectView);
+        saveViewBtn.addEventListener('click', openViewModal);
+        deleteViewBtn.addEventListener('click', handleDeleteView);
+        cancelViewBtn.addEventListener('click', closeViewModal);
+        viewModal.addEventListener('click', (e) => {
+            if (e.target === viewModal) closeViewModal();
+        });
+        confirmViewBtn.addEventListener('click', handleSaveView);
+        viewNameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                confirmViewBtn.click();
+            } else if (e.key === 'Escape') {
+                closeViewModal();
+            }
+        });
+
         // Tag modal
         cancelTagBtn.addEventListener('click', closeTagModal);
         tagModal.addEventListener('click', (e) => {
@@ -138,13 +324,19 @@ const TasksUI = (function() {
 
     /**
      * Fetch tasks from API
+     * @returns {Promise<boolean>} - True if the list was loaded
      */
     async function fetchTasks() {
         try {
             const tasks = await api.fetchTasks([...MOCK_TASKS]);
+            const missingIds = TaskMutations.ensureTaskIds(tasks) > 0;
             TaskStore.setTasks(tasks);
             collectKnownTags(tasks);
             renderTasks();
+
+            // Older lists have no task IDs - store the ones just assigned (not to an offline copy)
+            if (missingIds && !api.offlineCopy()) storeTaskIds();
+            return true;
         } catch (error) {
             if (error.code === 'NOT_FOUND') {
                 taskListEl.innerHTML = `
@@ -159,41 +351,89 @@ const TasksUI = (function() {
             } else {
                 taskListEl.innerHTML = `<div class="error">Error loading tasks: ${escapeHtml(error.message)}</div>`;
             }
+            return false;
         }
     }
 
     /**
-     * Save tasks with a mutation
-     * @param {Function} mutate - Function to mutate the tasks array
+     * Store IDs for tasks that have none (lists from before task IDs)
+     * Legacy tasks have no ID to address them by, and their positions change as others edit
+     * the list, so the whole list is replaced - only the version just read (If-Match), reading
+     * it again if someone changed it first. Queued with the saves, so later edits addressed
+     * by the new IDs reach the server after them.
+     */
+    function storeTaskIds() {
+        saveQueue = saveQueue.then(async () => {
+            try {
+                for (let attempt = 0; attempt < 3; attempt++) {
+                    const { data, etag } = await api.fetchDocument([]);
+                    if (TaskMutations.ensureTaskIds(data) === 0) return;
+                    if (await api.replaceDocument(data, etag)) {
+                        if (pendingSaves === 0) showServerTasks(data);
+                        return;
+                    }
+                }
+            } catch (error) {
+                console.error('Failed to store task IDs:', error);
+            }
+        });
+    }
+
+    /**
+     * Build the path to a task (or one of its fields) by ID for atomic operations
+     * @param {string} taskId - Task ID
+     * @param {string} field - Optional field name (e.g., 'status')
+     * @returns {string} - e.g., '[id=abc123].status'
+     */
+    function taskPath(taskId, field) {
+        return field ? `[id=${taskId}].${field}` : `[id=${taskId}]`;
+    }
+
+    /**
+     * Save a change that has already been applied locally
+     * Operations are sent as one ETag-locked batch (retried on conflict), so concurrent
+     * edits by others are never overwritten. Saves run one at a time in order; the
+     * server's copy is shown once the last pending save completes.
+     * @param {Array} operations - Atomic operations ({ op, path, value, id })
+     * @returns {Promise<boolean>} - False if the save failed (the server's copy is shown again)
      */
-    async function saveTasks(mutate) {
+    function saveOperations(operations) {
+        DocumentSync.resetActivity();
+
         if (api.isMock) {
             // For mock, save current state directly
             localStorage.setItem(`mockTasks_${api.listName}`, JSON.stringify(TaskStore.getTasks()));
             showSaveIndicator();
-            return;
+            return Promise.resolve(true);
         }
 
-        if (isSaving) {
-            console.warn('Save skipped - already saving');
-            return;
-        }
-        isSaving = true;
+        // Snapshot values now; the local tasks keep changing while saves are queued
+        const snapshot = JSON.parse(JSON.stringify(operations));
+        pendingSaves++;
         savingIndicator.classList.add('visible');
 
-        try {
-            console.log('Saving tasks...');
-            const updatedTasks = await api.saveTasks(mutate);
-            console.log('Save complete, tasks:', updatedTasks);
-            TaskStore.setTasks(updatedTasks);
-            renderTasks();
-        } catch (error) {
-            console.error('Save error:', error);
-            alert('Failed to save: ' + error.message);
-        } finally {
-            isSaving = false;
-            savingIndicator.classList.remove('visible');
-        }
+        saveQueue = saveQueue.then(async () => {
+            try {
+                const updatedTasks = await api.batch(snapshot);
+                // Later saves are still queued - keep showing their optimistic changes
+                // (null: queued before the list was loaded, so the local copy is all there is)
+                if (pendingSaves === 1 && updatedTasks) {
+                    TaskStore.setTasks(updatedTasks);
+                    renderTasks();
+                }
+                return true;
+            } catch (error) {
+                console.error('Save error:', error);
+                alert('Failed to save: ' + error.message);
+                // Drop the failed optimistic change by reloading the server's copy
+                await fetchTasks();
+                return false;
+            } finally {
+                pendingSaves--;
+                if (pendingSaves === 0) savingIndicator.classList.remove('visible');
+            }
+        });
+        return saveQueue;
     }
 
     /**
@@ -205,75 +445,222 @@ const TasksUI = (function() {
     }
 
     /**
-     * Render tasks grouped by tags
+     * Render tasks in the chosen layout, each group in the chosen sort order
+     * Only tasks that pass the filter are shown. Removed tasks and the archive are only
+     * shown with "Show removed and archived" (or removed ones when filtering by that status).
+     * A focused task keeps the focus (e.g., while moving it with the keyboard), and
+     * an open detail panel keeps what is being typed into it.
      */
     function renderTasks() {
-        const tasks = TaskStore.getTasks();
+        const focused = getFocusedTask();
+        const draft = readDetailsDraft();
+        renderTaskList();
+        if (draft) restoreDetailsDraft(draft);
+        else if (focused) focusTask(focused.group, focused.taskId);
+    }
+
+    /**
+     * Render the groups (and the archive) into the task list
+     */
+    function renderTaskList() {
+        const allTasks = TaskStore.getTasksInOrder(sortBy);
+        const removedCount = allTasks.filter(task => task.status === 'removed').length;
+        hiddenCountEl.textContent = removedCount > 0 ? `(${removedCount} removed)` : '';
+
+        // The due date filter is offered once tasks have due dates
+        filterDue.hidden = !allTasks.some(task => task.dueDate) && !filter.dueFrom && !filter.dueTo;
+
+        const showRemoved = showHidden || filter.statuses.includes('removed');
+        const tasks = allTasks.filter(task => (showRemoved || task.status !== 'removed') && TaskFilter.matches(task, filter));
+        const archived = showHidden && archivedTasks ? archivedTasks.filter(task => TaskFilter.matches(task, filter)) : [];
+        const archiveHtml = archived.length > 0 ? renderArchive(archived) : '';
         if (tasks.length === 0) {
-            taskListEl.innerHTML = '<div class="loading">No tasks yet. Add one above!</div>';
+            let message = 'No tasks to show.';
+            if (allTasks.length === 0) message = 'No tasks yet. Add one above!';
+            else if (!TaskFilter.isEmpty(filter)) message = 'No tasks match the filter.';
+            taskListEl.innerHTML = `<div class="loading">${message}</div>${archiveHtml}`;
             return;
         }
 
-        // Collect all unique tags and group tasks
-        const tagGroups = new Map();
-        const untaggedTasks = [];
+        const html = TaskMutations.groupTasks(tasks, layout).map(group => renderGroup(group.key, group.tasks)).join('');
+        // The status board shows its groups side by side, as columns
+        taskListEl.innerHTML = (layout === 'board' ? `<div class="task-board">${html}</div>` : html) + archiveHtml;
+    }
 
-        tasks.forEach((task, index) => {
-            if (task.tags && task.tags.length > 0) {
-                task.tags.forEach(tag => {
-                    if (!tagGroups.has(tag)) {
-                        tagGroups.set(tag, []);
-                    }
-                    tagGroups.get(tag).push({ task, index });
-                });
-            } else {
-                untaggedTasks.push({ task, index });
-            }
-        });
+    /**
+     * Render a single group (a tag, a status, or 'all' in the flat layout)
+     * @param {string} groupKey - Key from TaskMutations.groupTasks
+     * @param {Array} groupTasks - Tasks in the group
+     * @returns {string} - HTML
+     */
+    function renderGroup(groupKey, groupTasks) {
+        const today = getTodayTag();
+        const tasksHtml = groupTasks.map(task => {
+            const overdue = TaskMutations.isOverdue(task, today);
+            const isOpen = openDetails !== null && openDetails.group === groupKey && openDetails.taskId === task.id;
+            // Tasks can only be moved in manual order (or to another column of the status board),
+            // and not while their details are being edited
+            const draggable = (sortBy === 'position' || layout === 'board') && !isOpen;
+            const progress = TaskStore.getSubtaskProgress(task);
+            return `
+            <li class="task ${task.status}${overdue ? ' overdue' : ''}" data-id="${escapeHtml(task.id)}" draggable="${draggable}" tabindex="0">
+                <span class="task-icon">${statusIcons[task.status] || '○'}</span>
+                <span class="task-name">${escapeHtml(task.name)}</span>
+                <span class="task-meta">
+                    ${task.priority ? `<span class="task-priority priority-${escapeHtml(task.priority)}" title="Priority">${escapeHtml(task.priority)}</span>` : ''}
+                    ${task.dueDate ? `<span class="task-due" title="${overdue ? 'Overdue' : 'Due date'}">📅 ${escapeHtml(formatDueDate(task.dueDate))}</span>` : ''}
+                    ${task.notes ? '<span class="task-has-notes" title="Has notes">📝</span>' : ''}
+                    ${progress.total > 0 ? `<span class="task-progress" title="Subtasks done">☑ ${progress.done}/${progress.total}</span>` : ''}
+                </span>
+                <div class="task-tags">
+                    ${(task.tags || []).map(t => `<span class="task-tag" data-id="${escapeHtml(task.id)}" data-tag="${escapeHtml(t)}">${escapeHtml(t)}</span>`).join('')}
+                    <button class="add-tag-btn" data-id="${escapeHtml(task.id)}">+</button>
+                </div>
+                <button class="task-action-btn details-btn" data-id="${escapeHtml(task.id)}" title="Notes, due date and priority" aria-expanded="${isOpen}">${isOpen ? '▾' : '▸'}</button>
+                <button class="task-action-btn delete-task-btn" data-id="${escapeHtml(task.id)}" title="Delete task">🗑</button>
+                ${renderSubtasks(task)}
+                ${isOpen ? renderDetails(task) : ''}
+            </li>
+        `;
+        }).join('');
 
-        // Sort tags alphabetically
-        const sortedTags = Array.from(tagGroups.keys()).sort();
+        const byStatus = layout === 'status' || layout === 'board';
+        let label = groupKey;
+        if (layout === 'flat') label = 'All tasks';
+        else if (byStatus) label = `${statusIcons[groupKey]} ${groupKey}`;
+        const editBtn = layout !== 'tag' || groupKey === 'Untagged'
+            ? ''
+            : `<button class="edit-tag-btn" data-tag="${escapeHtml(groupKey)}" title="Rename tag">✎</button>`;
 
-        let html = '';
+        return `
+            <div class="tag-group${layout === 'board' ? ' board-column' : ''}">
+                <div class="tag-group-header">
+                    <span class="tag-group-name">${escapeHtml(label)}</span>
+                    <span class="tag-group-count">(${groupTasks.length})</span>
+                    ${editBtn}
+                </div>
+                <ul class="task-list" data-group="${escapeHtml(groupKey)}"${byStatus ? ` data-status="${escapeHtml(groupKey)}"` : ''}>${tasksHtml}</ul>
+            </div>
+        `;
+    }
 
-        // Render each tag group
-        sortedTags.forEach(tag => {
-            const groupTasks = tagGroups.get(tag);
-            html += renderTagGroup(tag, groupTasks);
-        });
+    /**
+     * Render a task's subtasks, indented under it (removed ones only with "Show removed and archived")
+     * @param {Object} task
+     * @returns {string} - HTML
+     */
+    function renderSubtasks(task) {
+        const subtasks = (task.subtasks || []).filter(subtask => showHidden || subtask.status !== 'removed');
+        if (subtasks.length === 0) return '';
+        return `
+            <ul class="subtask-list">
+                ${subtasks.map(subtask => `
+                    <li class="subtask ${subtask.status}" data-id="${escapeHtml(task.id)}" data-subtask-id="${escapeHtml(subtask.id)}" tabindex="0">
+                        <span class="task-icon">${statusIcons[subtask.status] || '○'}</span>
+                        <span class="task-name">${escapeHtml(subtask.name)}</span>
+                        <button class="task-action-btn delete-subtask-btn" title="Delete subtask">🗑</button>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
 
-        // Render untagged group at the end
-        if (untaggedTasks.length > 0) {
-            html += renderTagGroup('Untagged', untaggedTasks);
-        }
+    /**
+     * Render the detail panel of a task (notes, due date, priority and adding subtasks)
+     * @param {Object} task
+     * @returns {string} - HTML
+     */
+    function renderDetails(task) {
+        const priorityOptions = TaskStore.getPriorities()
+            .map(priority => `<option value="${priority}"${task.priority === priority ? ' selected' : ''}>${priority}</option>`)
+            .join('');
+        return `
+            <div class="task-details">
+                <label class="task-details-notes">
+                    Notes
+                    <textarea name="notes" rows="3">${escapeHtml(task.notes || '')}</textarea>
+                </label>
+                <div class="task-details-row">
+                    <label>Due <input type="date" name="dueDate" value="${escapeHtml(task.dueDate || '')}"></label>
+                    <label>Priority <select name="priority"><option value="">None</option>${priorityOptions}</select></label>
+                </div>
+                <div class="task-details-row">
+                    <input type="text" name="subtask" class="subtask-input" placeholder="Add a subtask...">
+                    <button class="modal-btn secondary add-subtask-btn">Add</button>
+                </div>
+                <label class="task-details-check">
+                    <input type="checkbox" name="autoComplete"${task.autoComplete ? ' checked' : ''}>
+                    Mark done when all subtasks are done
+                </label>
+                <div class="modal-buttons">
+                    <button class="modal-btn secondary details-cancel-btn">Cancel</button>
+                    <button class="modal-btn primary details-save-btn">Save</button>
+                </div>
+            </div>
+        `;
+    }
 
-        taskListEl.innerHTML = html;
+    /**
+     * Format a due date for the task list
+     * @param {string} dateTag - e.g., '2026-01-19'
+     * @returns {string} - e.g., 'Jan 19'
+     */
+    function formatDueDate(dateTag) {
+        const [year, month, day] = dateTag.split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
     }
 
     /**
-     * Render a single tag group
+     * Today's date in due date format (local time)
+     * @returns {string} - e.g., '2026-01-19'
      */
-    function renderTagGroup(tagName, groupTasks) {
-        const tasksHtml = groupTasks.map(({ task, index }) => `
-            <li class="task ${task.status}" data-index="${index}">
+    function getTodayTag() {
+        const now = new Date();
+        return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Get the task that has the keyboard focus
+     * @returns {{group: string, taskId: string}|null}
+     */
+    function getFocusedTask() {
+        const taskEl = document.activeElement;
+        if (!taskEl || !taskEl.classList.contains('task') || !taskListEl.contains(taskEl)) return null;
+        return { group: taskEl.parentElement.dataset.group, taskId: taskEl.dataset.id };
+    }
+
+    /**
+     * Focus a task in a group (in the tag layout, tasks with several tags are shown once per tag)
+     * @param {string} group - Group key (tag, status or 'all')
+     * @param {string} taskId - Task ID
+     */
+    function focusTask(group, taskId) {
+        const selector = `.task-list[data-group="${CSS.escape(group)}"] > .task[data-id="${CSS.escape(taskId)}"]`;
+        const taskEl = taskListEl.querySelector(selector);
+        if (taskEl) taskEl.focus();
+    }
+
+    /**
+     * Render the archive (read-only tasks that can be restored or deleted)
+     * @param {Array} tasks - Archived tasks to show (those passing the filter)
+     * @returns {string} - HTML
+     */
+    function renderArchive(tasks) {
+        const tasksHtml = tasks.map(task => `
+            <li class="task archived ${task.status}" data-id="${escapeHtml(task.id)}">
                 <span class="task-icon">${statusIcons[task.status] || '○'}</span>
                 <span class="task-name">${escapeHtml(task.name)}</span>
-                <div class="task-tags">
-                    ${(task.tags || []).map(t => `<span class="task-tag" data-index="${index}" data-tag="${escapeHtml(t)}">${escapeHtml(t)}</span>`).join('')}
-                    <button class="add-tag-btn" data-index="${index}">+</button>
-                </div>
+                <span class="archived-task-tags">${(task.tags || []).map(escapeHtml).join(', ')}</span>
+                <button class="task-action-btn restore-task-btn" data-id="${escapeHtml(task.id)}" title="Move back to the list">Restore</button>
+                <button class="task-action-btn delete-task-btn" data-id="${escapeHtml(task.id)}" data-archived="true" title="Delete permanently">🗑</button>
             </li>
         `).join('');
 
-        const isUntagged = tagName === 'Untagged';
-        const editBtn = isUntagged ? '' : `<button class="edit-tag-btn" data-tag="${escapeHtml(tagName)}" title="Rename tag">✎</button>`;
-
         return `
-            <div class="tag-group">
+            <div class="tag-group archive-group">
                 <div class="tag-group-header">
-                    <span class="tag-group-name">${escapeHtml(tagName)}</span>
-                    <span class="tag-group-count">(${groupTasks.length})</span>
-                    ${editBtn}
+                    <span class="tag-group-name">Archived</span>
+                    <span class="tag-group-count">(${tasks.length})</span>
                 </div>
                 <ul class="task-list">${tasksHtml}</ul>
             </div>
@@ -284,11 +671,62 @@ const TasksUI = (function() {
      * Handle clicks on task list (event delegation)
      */
     function handleTaskListClick(e) {
+        // Clicks inside a detail panel only use its buttons (they do not cycle the status)
+        if (e.target.closest('.task-details')) {
+            if (e.target.classList.contains('details-save-btn')) saveDetails();
+            else if (e.target.classList.contains('details-cancel-btn')) closeDetails();
+            else if (e.target.classList.contains('add-subtask-btn')) addSubtask();
+            return;
+        }
+
+        // Handle subtasks (delete button, or click to cycle status)
+        const subtaskEl = e.target.closest('.subtask');
+        if (subtaskEl) {
+            e.stopPropagation();
+            if (e.target.classList.contains('delete-subtask-btn')) {
+                deleteSubtask(subtaskEl.dataset.id, subtaskEl.dataset.subtaskId);
+            } else {
+                cycleSubtaskStatus(subtaskEl.dataset.id, subtaskEl.dataset.subtaskId);
+            }
+            return;
+        }
+
+        // Handle details button (open or close the task's detail panel)
+        if (e.target.classList.contains('details-btn')) {
+            e.stopPropagation();
+            const group = e.target.closest('.task-list').dataset.group;
+            const taskId = e.target.dataset.id;
+            const isOpen = openDetails !== null && openDetails.group === group && openDetails.taskId === taskId;
+            openDetails = isOpen ? null : { group, taskId };
+            renderTasks();
+            const notesInput = taskListEl.querySelector('.task-details textarea');
+            if (notesInput) notesInput.focus();
+            return;
+        }
+
+        // Handle delete button (the list's task, or an archived one)
+        if (e.target.classList.contains('delete-task-btn')) {
+            e.stopPropagation();
+            if (e.target.dataset.archived) {
+                deleteArchivedTask(e.target.dataset.id);
+            } else {
+                deleteTask(e.target.dataset.id);
+            }
+            return;
+        }
+
+        // Handle restore button (archived tasks)
+        if (e.target.classList.contains('restore-task-btn')) {
+            e.stopPropagation();
+            restoreTask(e.target.dataset.id);
+            return;
+        }
+
         // Handle edit tag button (rename)
         if (e.target.classList.contains('edit-tag-btn')) {
             e.stopPropagation();
             renamingTag = e.target.dataset.tag;
-            editingTagIndex = null;
+            editingTaskId = null;
             tagModalTitle.textContent = 'Rename Tag';
             saveTagBtn.textContent = 'Rename';
             tagInput.value = renamingTag;
@@ -303,7 +741,7 @@ const TasksUI = (function() {
         if (e.target.classList.contains('add-tag-btn')) {
             e.stopPropagation();
             renamingTag = null;
-            editingTagIndex = parseInt(e.target.dataset.index, 10);
+            editingTaskId = e.target.dataset.id;
             tagModalTitle.textContent = 'Add Tag';
             saveTagBtn.textContent = 'Add';
             tagInput.value = '';
@@ -316,22 +754,157 @@ const TasksUI = (function() {
         // Handle tag click (remove tag)
         if (e.target.classList.contains('task-tag')) {
             e.stopPropagation();
-            const taskId = parseInt(e.target.dataset.index, 10);
+            const taskId = e.target.dataset.id;
             const tag = e.target.dataset.tag;
-            TaskStore.removeTagFromTask(taskId, tag);
-            renderTasks();
-            saveTasks((tasks) => TaskMutations.removeTagFromTask(tasks, taskId, tag));
+            if (TaskStore.removeTagFromTask(taskId, tag)) {
+                renderTasks();
+                saveOperations([{ op: 'removeValue', path: taskPath(taskId, 'tags'), value: tag }]);
+            }
             return;
         }
 
-        // Handle task click (cycle status)
+        // Handle task click (cycle status; archived tasks are read-only)
         const taskEl = e.target.closest('.task');
-        if (!taskEl) return;
+        if (!taskEl || taskEl.classList.contains('archived')) return;
+
+        const taskId = taskEl.dataset.id;
+        if (!TaskStore.cycleTaskStatus(taskId)) return;
+        renderTasks();
+        // Store the resulting status (not "next"), so two people cycling at once agree
+        saveOperations([{ op: 'patch', path: taskPath(taskId, 'status'), value: TaskStore.getTask(taskId).status }]);
+    }
+
+    // ============ REORDERING ============
+
+    /**
+     * Move a task next to another one and save its new position
+     * @param {string} taskId - Task to move
+     * @param {string} targetId - Task to place it next to
+     * @param {string} placement - 'before' or 'after'
+     */
+    function reorderTask(taskId, targetId, placement) {
+        const changed = TaskStore.reorderTask(taskId, targetId, placement);
+        if (changed.length === 0) return;
+        renderTasks();
+        saveOperations(changed.map(id => ({ op: 'patch', path: taskPath(id, 'position'), value: TaskStore.getTask(id).position })));
+    }
 
-        const taskId = parseInt(taskEl.dataset.index, 10);
-        TaskStore.cycleTaskStatus(taskId);
+    /**
+     * Set a task's status (moving it to another column of the status board) and save it
+     * @param {string} taskId - Task ID
+     * @param {string} status - New status
+     */
+    function changeTaskStatus(taskId, status) {
+        const task = TaskStore.getTask(taskId);
+        if (!task || task.status === status || !TaskStore.updateTaskStatus(taskId, status)) return;
         renderTasks();
-        saveTasks((tasks) => TaskMutations.cycleTaskStatus(tasks, taskId));
+        saveOperations([{ op: 'patch', path: taskPath(taskId, 'status'), value: status }]);
+    }
+
+    /**
+     * Alt+Up/Down moves the focused task within its group (in manual order), and on the status
+     * board Alt+Left/Right moves it to the previous or next column; Enter or Space cycles its status
+     */
+    function handleTaskKeydown(e) {
+        if (e.target.closest('.task-details')) {
+            if (e.key === 'Escape') {
+                closeDetails();
+            } else if (e.key === 'Enter' && e.target.name === 'subtask') {
+                e.preventDefault();
+                addSubtask();
+            }
+            return;
+        }
+
+        if (e.target.classList.contains('subtask') && (e.key === 'Enter' || e.key === ' ')) {
+            e.preventDefault();
+            e.target.click();
+            return;
+        }
+
+        const taskEl = e.target;
+        if (!taskEl.classList.contains('task') || taskEl.classList.contains('archived')) return;
+
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            taskEl.click();
+            return;
+        }
+        if (e.altKey && layout === 'board' && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+            e.preventDefault();
+            const cycle = TaskMutations.getStatusCycle();
+            const current = cycle.indexOf(TaskStore.getTask(taskEl.dataset.id).status);
+            const status = cycle[current + (e.key === 'ArrowLeft' ? -1 : 1)];
+            if (!status) return;
+            changeTaskStatus(taskEl.dataset.id, status);
+            focusTask(status, taskEl.dataset.id);
+            return;
+        }
+        if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') || sortBy !== 'position') return;
+        e.preventDefault();
+        const neighbour = e.key === 'ArrowUp' ? taskEl.previousElementSibling : taskEl.nextElementSibling;
+        if (!neighbour) return;
+        reorderTask(taskEl.dataset.id, neighbour.dataset.id, e.key === 'ArrowUp' ? 'before' : 'after');
+    }
+
+    function handleDragStart(e) {
+        const taskEl = e.target.closest('.task');
+        if (!taskEl || taskEl.classList.contains('archived')) return;
+        dragging = { taskId: taskEl.dataset.id, listEl: taskEl.parentElement };
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', dragging.taskId);
+        taskEl.classList.add('dragging');
+    }
+
+    /**
+     * Get where a dragged task would be dropped: next to a task in its own group (in manual
+     * order), or anywhere in another column of the status board
+     * @returns {{taskEl: Element, placement: string}|{listEl: Element, status: string}|null} - Task to
+     *   drop next to and on which side, or the column to move it to
+     */
+    function getDropTarget(e) {
+        if (!dragging) return null;
+        const column = layout === 'board' ? e.target.closest('.board-column') : null;
+        const columnList = column && column.querySelector('.task-list');
+        if (columnList && columnList !== dragging.listEl) {
+            return { listEl: columnList, status: columnList.dataset.status };
+        }
+
+        const taskEl = e.target.closest('.task');
+        if (sortBy !== 'position' || !taskEl || taskEl.parentElement !== dragging.listEl || taskEl.dataset.id === dragging.taskId) {
+            return null;
+        }
+        const rect = taskEl.getBoundingClientRect();
+        return { taskEl, placement: e.clientY < rect.top + rect.height / 2 ? 'before' : 'after' };
+    }
+
+    function handleDragOver(e) {
+        const drop = getDropTarget(e);
+        clearDropMarker();
+        if (!drop) return;
+        e.preventDefault();
+        if (drop.status) drop.listEl.classList.add('drop-target');
+        else drop.taskEl.classList.add(`drop-${drop.placement}`);
+    }
+
+    function handleDrop(e) {
+        const drop = getDropTarget(e);
+        clearDropMarker();
+        if (!drop) return;
+        e.preventDefault();
+        if (drop.status) changeTaskStatus(dragging.taskId, drop.status);
+        else reorderTask(dragging.taskId, drop.taskEl.dataset.id, drop.placement);
+    }
+
+    function handleDragEnd() {
+        clearDropMarker();
+        taskListEl.querySelectorAll('.dragging').forEach(el => el.classList.remove('dragging'));
+        dragging = null;
+    }
+
+    function clearDropMarker() {
+        taskListEl.querySelectorAll('.drop-before, .drop-after, .drop-target')
+            .forEach(el => el.classList.remove('drop-before', 'drop-after', 'drop-target'));
     }
 
     /**
@@ -342,10 +915,490 @@ const TasksUI = (function() {
         const name = taskInput.value.trim();
         if (!name) return;
 
-        TaskStore.addTask(name);
+        const taskId = TaskStore.addTask(name);
         taskInput.value = '';
         renderTasks();
-        saveTasks((tasks) => TaskMutations.addTask(tasks, name));
+        saveOperations([{ op: 'append', path: '', value: TaskStore.getTask(taskId) }]);
+    }
+
+    /**
+     * Delete a task from the list (after confirming)
+     * @param {string} taskId - Task ID
+     */
+    function deleteTask(taskId) {
+        const task = TaskStore.getTask(taskId);
+        if (!task || !confirm(`Delete "${task.name}"? History can still bring it back.`)) return;
+        TaskStore.deleteTask(taskId);
+        renderTasks();
+        saveOperations([{ op: 'delete', path: '', id: taskId }]);
+    }
+
+    // ============ DETAILS ============
+
+    /**
+     * Read what is in the open detail panel
+     * @returns {Object|null} - { notes, dueDate, priority, autoComplete, subtask, focusedField },
+     *   or null if no panel is open
+     */
+    function readDetailsDraft() {
+        const panel = taskListEl.querySelector('.task-details');
+        if (!panel) return null;
+        const focusedField = panel.contains(document.activeElement) ? document.activeElement.name : null;
+        return {
+            notes: panel.querySelector('[name="notes"]').value,
+            dueDate: panel.querySelector('[name="dueDate"]').value,
+            priority: panel.querySelector('[name="priority"]').value,
+            autoComplete: panel.querySelector('[name="autoComplete"]').checked,
+            subtask: panel.querySelector('[name="subtask"]').value,
+            focusedField
+        };
+    }
+
+    /**
+     * Put a draft back into the detail panel after re-rendering
+     * @param {Object} draft - From readDetailsDraft
+     */
+    function restoreDetailsDraft(draft) {
+        const panel = taskListEl.querySelector('.task-details');
+        if (!panel) return;
+        ['notes', 'dueDate', 'priority', 'subtask'].forEach(field => {
+            panel.querySelector(`[name="${field}"]`).value = draft[field];
+        });
+        panel.querySelector('[name="autoComplete"]').checked = draft.autoComplete;
+        if (draft.focusedField) panel.querySelector(`[name="${draft.focusedField}"]`).focus();
+    }
+
+    /**
+     * Close the detail panel without saving
+     */
+    function closeDetails() {
+        const taskId = openDetails && openDetails.taskId;
+        const group = openDetails && openDetails.group;
+        openDetails = null;
+        renderTaskList();
+        if (taskId) focusTask(group, taskId);
+    }
+
+    /**
+     * Save the open detail panel and close it
+     */
+    function saveDetails() {
+        const draft = readDetailsDraft();
+        if (!draft || !openDetails) return;
+        const taskId = openDetails.taskId;
+
+        const changed = TaskStore.updateTaskDetails(taskId, draft);
+        // Turning on autoComplete completes a task whose subtasks are all done already
+        if (TaskStore.completeIfSubtasksDone(taskId)) changed.push('status');
+        closeDetails();
+        if (changed.length > 0) {
+            saveOperations(changed.map(field => ({ op: 'patch', path: taskPath(taskId, field), value: TaskStore.getTask(taskId)[field] })));
+        }
+    }
+
+    // ============ SUBTASKS ============
+
+    /**
+     * Build the path to a subtask (or one of its fields) for atomic operations
+     * @returns {string} - e.g., '[id=abc].subtasks.[id=def].status'
+     */
+    function subtaskPath(taskId, subtaskId, field) {
+        const path = `${taskPath(taskId, 'subtasks')}.[id=${subtaskId}]`;
+        return field ? `${path}.${field}` : path;
+    }
+
+    /**
+     * Add the subtask typed into the open detail panel
+     */
+    function addSubtask() {
+        const input = taskListEl.querySelector('.task-details [name="subtask"]');
+        const name = input ? input.value.trim() : '';
+        if (!name || !openDetails) return;
+        const taskId = openDetails.taskId;
+        const task = TaskStore.getTask(taskId);
+        if (!task) return;
+
+        const subtaskId = TaskStore.addSubtask(taskId, name);
+        input.value = '';
+        renderTasks();
+        const subtask = task.subtasks.find(s => s.id === subtaskId);
+        // Append creates the array for the first subtask
+        saveOperations([{ op: 'append', path: taskPath(taskId, 'subtasks'), value: subtask }]);
+    }
+
+    /**
+     * Cycle a subtask's status, completing its task if that was the last one (with autoComplete)
+     */
+    function cycleSubtaskStatus(taskId, subtaskId) {
+        if (!TaskStore.cycleSubtaskStatus(taskId, subtaskId)) return;
+        const subtask = TaskStore.getTask(taskId).subtasks.find(s => s.id === subtaskId);
+        // Store the resulting status (not "next"), like tasks
+        const operations = [{ op: 'patch', path: subtaskPath(taskId, subtaskId, 'status'), value: subtask.status }];
+        if (TaskStore.completeIfSubtasksDone(taskId)) {
+            operations.push({ op: 'patch', path: taskPath(taskId, 'status'), value: 'done' });
+        }
+        renderTasks();
+        saveOperations(operations);
+    }
+
+    /**
+     * Delete a subtask (after confirming)
+     */
+    function deleteSubtask(taskId, subtaskId) {
+        const task = TaskStore.getTask(taskId);
+        const subtask = task && (task.subtasks || []).find(s => s.id === subtaskId);
+        if (!subtask || !confirm(`Delete subtask "${subtask.name}"?`)) return;
+        TaskStore.deleteSubtask(taskId, subtaskId);
+        const operations = [{ op: 'delete', path: taskPath(taskId, 'subtasks'), id: subtaskId }];
+        if (TaskStore.completeIfSubtasksDone(taskId)) {
+            operations.push({ op: 'patch', path: taskPath(taskId, 'status'), value: 'done' });
+        }
+        renderTasks();
+        saveOperations(operations);
+    }
+
+    // ============ FILTER AND SAVED VIEWS ============
+
+    /**
+     * Render a checkbox per status into the filter bar
+     */
+    function renderStatusFilters() {
+        filterStatuses.innerHTML = TaskMutations.getStatusCycle().map(status => `
+            <label class="filter-status">
+                <input type="checkbox" value="${status}">
+                ${statusIcons[status]} ${status}
+            </label>
+        `).join('');
+    }
+
+    /**
+     * Show the active filter in the filter bar
+     */
+    function showFilter() {
+        filterText.value = filter.text;
+        filterTags.value = TaskFilter.formatTagInput(filter);
+        filterStatuses.querySelectorAll('input').forEach(input => {
+            input.checked = filter.statuses.includes(input.value);
+        });
+        filterDueFrom.value = filter.dueFrom || '';
+        filterDueTo.value = filter.dueTo || '';
+    }
+
+    /**
+     * Apply what is in the filter bar
+     */
+    function handleFilterChange() {
+        const checked = [...filterStatuses.querySelectorAll('input:checked')].map(input => input.value);
+        setFilter(TaskFilter.createFilter({
+            text: filterText.value,
+            statuses: checked,
+            ...TaskFilter.parseTagInput(filterTags.value),
+            dueFrom: filterDueFrom.value,
+            dueTo: filterDueTo.value
+        }));
+    }
+
+    /**
+     * Make a filter the active one, keep it in the URL (so reloading or sharing the page keeps it)
+     * and re-render the list
+     * @param {Object} newFilter - From TaskFilter.createFilter
+     */
+    function setFilter(newFilter) {
+        filter = newFilter;
+        const url = new URL(window.location.href);
+        TaskFilter.toQuery(filter, url.searchParams);
+        history.replaceState(null, '', url);
+        renderViewSelect();
+        renderTasks();
+    }
+
+    /**
+     * Render the saved views picker, selecting the view that shows the active filter
+     */
+    function renderViewSelect() {
+        const current = TaskFilter.findView(views, filter);
+        viewSelect.innerHTML = `<option value="">${views.length > 0 ? 'Saved views...' : 'No saved views'}</option>` +
+            views.map(view => `<option value="${escapeHtml(view.id)}">${escapeHtml(view.name)}</option>`).join('');
+        viewSelect.value = current ? current.id : '';
+        deleteViewBtn.hidden = !current;
+        clearFilterBtn.hidden = TaskFilter.isEmpty(filter);
+    }
+
+    /**
+     * Load the saved views (none if nobody saved one yet)
+     * @returns {Promise<void>}
+     */
+    async function loadViews() {
+        if (!viewsApi) return;
+        let loaded;
+        try {
+            loaded = await viewsApi.fetchTasks([]);
+            viewsExist = true;
+        } catch (error) {
+            if (error.code !== 'NOT_FOUND') throw error;
+            loaded = [];
+            viewsExist = false;
+        }
+        // Rebuilding the options would close the picker if it is open
+        if (JSON.stringify(loaded) === JSON.stringify(views)) return;
+        views = loaded;
+        renderViewSelect();
+    }
+
+    /**
+     * Show the view picked from the saved views
+     */
+    function handleSelectView() {
+        const view = views.find(v => v.id === viewSelect.value);
+        if (!view) {
+            renderViewSelect();
+            return;
+        }
+        setFilter(TaskFilter.createFilter(view.filter));
+        showFilter();
+    }
+
+    function openViewModal() {
+        const current = TaskFilter.findView(views, filter);
+        viewNameInput.value = current ? current.name : '';
+        viewModal.classList.add('visible');
+        viewNameInput.focus();
+        viewNameInput.select();
+    }
+
+    function closeViewModal() {
+        viewModal.classList.remove('visible');
+    }
+
+    /**
+     * Save the active filter as a named view (replacing one with the same name)
+     */
+    async function handleSaveView() {
+        const name = viewNameInput.value.trim();
+        if (!name) return;
+        const existing = views.find(view => view.name.toLowerCase() === name.toLowerCase());
+        if (existing && !confirm(`Replace the view "${existing.name}"?`)) return;
+        closeViewModal();
+
+        const { added, deleted } = TaskFilter.addView(views, name, filter);
+        renderViewSelect();
+        const operations = [{ op: 'append', path: '', value: views.find(view => view.id === added) }];
+        if (deleted) operations.unshift({ op: 'delete', path: '', id: deleted });
+        await updateViews(operations);
+    }
+
+    /**
+     * Delete the selected view for everyone (after confirming)
+     */
+    async function handleDeleteView() {
+        const view = TaskFilter.findView(views, filter);
+        if (!view || !confirm(`Delete the view "${view.name}" for everyone using this list?`)) return;
+        TaskFilter.deleteView(views, view.id);
+        renderViewSelect();
+        await updateViews([{ op: 'delete', path: '', id: view.id }]);
+    }
+
+    /**
+     * Save a change to the views that has already been applied locally, reloading them if it fails
+     * The views document is created on first use, with the local copy.
+     * @param {Array} operations - Atomic operations ({ op, path, value, id })
+     */
+    async function updateViews(operations) {
+        try {
+            if (viewsExist) {
+                // Null when queued before the views were loaded - keep the local copy
+                views = (await viewsApi.batch(operations)) || views;
+            } else {
+                await createViews(operations);
+            }
+        } catch (error) {
+            console.error('Views save error:', error);
+            alert('Failed to save the view: ' + error.message);
+            await loadViews().catch(e => console.error('Failed to load saved views:', e));
+        }
+        renderViewSelect();
+    }
+
+    /**
+     * Create the views document with the local copy
+     * If another user has just created it, the change is made to theirs instead (a view
+     * replaces theirs with the same name, as in TaskFilter.addView).
+     * @param {Array} operations - The change to the local copy
+     */
+    async function createViews(operations) {
+        try {
+            await viewsApi.createDocument(views, { onlyIfNew: true });
+            viewsExist = true;
+            return;
+        } catch (error) {
+            if (error.code !== 'EXISTS') throw error;
+        }
+        viewsExist = true;
+        const current = await viewsApi.fetchTasks([]);
+        const sameName = view => current.filter(other => other.name.toLowerCase() === view.name.toLowerCase());
+        const changes = operations.flatMap(op => {
+            if (op.op === 'append') return [...sameName(op.value).map(other => ({ op: 'delete', path: '', id: other.id })), op];
+            return current.some(view => view.id === op.id) ? [op] : [];
+        });
+        views = changes.length > 0 ? (await viewsApi.batch(changes)) || current : current;
+    }
+
+    // ============ ARCHIVE ============
+
+    /**
+     * Load the archive (empty if nothing was archived yet)
+     * @returns {Promise<void>}
+     */
+    async function loadArchive() {
+        if (!archiveApi) {
+            archivedTasks = [];
+            return;
+        }
+        try {
+            archivedTasks = await archiveApi.fetchTasks([]);
+            archiveExists = true;
+        } catch (error) {
+            if (error.code !== 'NOT_FOUND') throw error;
+            archivedTasks = [];
+            archiveExists = false;
+        }
+    }
+
+    /**
+     * Load the archive if needed and show it
+     */
+    async function showArchive() {
+        if (archivedTasks !== null) return;
+        try {
+            await loadArchive();
+            renderTasks();
+        } catch (error) {
+            console.error('Failed to load archive:', error);
+            alert('Failed to load the archive: ' + error.message);
+        }
+    }
+
+    /**
+     * Store a change to the archive that has already been applied locally
+     * The archive is created on first use, with its local copy, unless another user has just
+     * created it (then the changes are added to theirs).
+     * @param {Array} operations - Atomic operations ({ op, path, value, id })
+     * @returns {Promise<void>}
+     */
+    async function saveArchive(operations) {
+        if (!archiveExists) {
+            try {
+                await archiveApi.createDocument(archivedTasks, { onlyIfNew: true });
+                archiveExists = true;
+                return;
+            } catch (error) {
+                if (error.code !== 'EXISTS') throw error;
+            }
+            // Another user created the archive first - add to theirs, skipping tasks they archived
+            archiveExists = true;
+            const current = await archiveApi.fetchTasks([]);
+            operations = operations.filter(op => op.op !== 'append' || !TaskMutations.findTask(current, op.value.id));
+            if (operations.length === 0) {
+                archivedTasks = current;
+                return;
+            }
+        }
+        if (operations.length > 0) {
+            // Null when queued before the archive was loaded - keep the local copy
+            archivedTasks = (await archiveApi.batch(operations)) || archivedTasks;
+        }
+    }
+
+    /**
+     * Move every done and removed task to the archive
+     * The archive is saved first, so a failed save never loses tasks.
+     */
+    async function handleArchive() {
+        const archivable = TaskMutations.getArchivableTasks(TaskStore.getTasks());
+        if (archivable.length === 0) {
+            alert('There are no done or removed tasks to archive.');
+            return;
+        }
+        const count = archivable.length;
+        if (!confirm(`Move ${count} done and removed task${count === 1 ? '' : 's'} to the archive?`)) return;
+
+        archiveBtn.disabled = true;
+        try {
+            if (archivedTasks === null) await loadArchive();
+            // Tasks a failed earlier attempt already archived are not added twice
+            const alreadyArchived = new Set(archivedTasks.map(task => task.id));
+            const taskIds = archivable.map(task => task.id);
+            taskIds.forEach(taskId => TaskStore.archiveTask(taskId, archivedTasks));
+            renderTasks();
+
+            await saveArchive(taskIds
+                .filter(taskId => !alreadyArchived.has(taskId))
+                .map(taskId => ({ op: 'append', path: '', value: TaskMutations.findTask(archivedTasks, taskId) })));
+            const removed = await saveOperations(taskIds.map(taskId => ({ op: 'delete', path: '', id: taskId })));
+            if (!removed) {
+                alert('The tasks were archived but are still in the list. Archive again to remove them.');
+            }
+        } catch (error) {
+            console.error('Archive error:', error);
+            alert('Failed to archive: ' + error.message);
+            // Nothing was deleted from the list yet - reload both copies
+            archivedTasks = null;
+            await fetchTasks();
+            if (showHidden) await showArchive();
+        } finally {
+            archiveBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Move an archived task back to the list
+     * The list is saved first, so a failed save never loses the task.
+     * @param {string} taskId - Task ID
+     */
+    async function restoreTask(taskId) {
+        const alreadyInList = TaskStore.getTask(taskId) !== null;
+        const task = TaskStore.restoreTask(archivedTasks, taskId);
+        if (!task) return;
+        renderTasks();
+
+        if (!alreadyInList) {
+            await saveOperations([{ op: 'append', path: '', value: task }]);
+            // The save failed (saveOperations reloaded the list) - leave the archive as it is
+            if (!TaskStore.getTask(taskId)) {
+                archivedTasks.push(task);
+                renderTasks();
+                return;
+            }
+        }
+        await updateArchive([{ op: 'delete', path: '', id: taskId }]);
+    }
+
+    /**
+     * Delete an archived task permanently (after confirming)
+     * @param {string} taskId - Task ID
+     */
+    async function deleteArchivedTask(taskId) {
+        const task = TaskMutations.findTask(archivedTasks, taskId);
+        if (!task || !confirm(`Delete "${task.name}" permanently?`)) return;
+        TaskMutations.deleteTask(archivedTasks, taskId);
+        renderTasks();
+        await updateArchive([{ op: 'delete', path: '', id: taskId }]);
+    }
+
+    /**
+     * Save a change to the archive, reloading it if the save fails
+     * @param {Array} operations - Atomic operations ({ op, path, value, id })
+     */
+    async function updateArchive(operations) {
+        try {
+            await saveArchive(operations);
+        } catch (error) {
+            console.error('Archive save error:', error);
+            alert('Failed to save the archive: ' + error.message);
+            archivedTasks = null;
+            await showArchive();
+        }
+        renderTasks();
     }
 
     /**
@@ -353,7 +1406,7 @@ const TasksUI = (function() {
      */
     function closeTagModal() {
         tagModal.classList.remove('visible');
-        editingTagIndex = null;
+        editingTaskId = null;
         renamingTag = null;
     }
 
@@ -376,31 +1429,72 @@ const TasksUI = (function() {
             knownTags.add(newTag);
             saveKnownTags();
 
-            // Rename in store and save
+            // Rename in store and swap the tag on each affected task in one batch
+            // (only that tag, so tags others change at the same time are kept)
+            const affected = TaskStore.getTasks().filter(task => (task.tags || []).includes(oldTag));
             TaskStore.renameTag(oldTag, newTag);
             renderTasks();
-            saveTasks((tasks) => TaskMutations.renameTag(tasks, oldTag, newTag));
+            if (affected.length > 0) {
+                saveOperations(affected.flatMap(task => [
+                    { op: 'removeValue', path: taskPath(task.id, 'tags'), value: oldTag },
+                    { op: 'addValue', path: taskPath(task.id, 'tags'), value: newTag }
+                ]));
+            }
             closeTagModal();
             return;
         }
 
         // Add mode
-        if (editingTagIndex === null) return;
+        if (editingTaskId === null) return;
 
-        // Capture index before closing modal (closeTagModal sets it to null)
-        const taskIndex = editingTagIndex;
+        // Capture ID before closing modal (closeTagModal sets it to null)
+        const taskId = editingTaskId;
 
         // Remember this tag for future suggestions
         knownTags.add(newTag);
         saveKnownTags();
 
-        if (TaskStore.addTagToTask(taskIndex, newTag)) {
+        if (TaskStore.addTagToTask(taskId, newTag)) {
             renderTasks();
-            saveTasks((tasks) => TaskMutations.addTagToTask(tasks, taskIndex, newTag));
+            saveOperations([{ op: 'addValue', path: taskPath(taskId, 'tags'), value: newTag }]);
         }
         closeTagModal();
     }
 
+    /**
+     * Open the version history panel for this list
+     */
+    function openHistory() {
+        HistoryPanel.open({
+            api,
+            renderPreview: renderHistoryPreview,
+            canRestore: Auth.canWrite(),
+            onRestore: (tasks) => {
+                // Versions saved before task IDs existed may need migrating
+                showServerTasks(tasks);
+                DocumentSync.resetActivity();
+            }
+        });
+    }
+
+    /**
+     * Render a read-only preview of a stored version of the list
+     * @param {Array} tasks - Tasks array from the version
+     * @returns {string} - HTML
+     */
+    function renderHistoryPreview(tasks) {
+        if (!Array.isArray(tasks) || tasks.length === 0) {
+            return '<div class="history-empty">Empty list</div>';
+        }
+        return tasks.map(task => `
+            <div class="history-task ${task.status}">
+                <span class="task-icon">${statusIcons[task.status] || '○'}</span>
+                <span class="task-name">${escapeHtml(task.name)}</span>
+                <span class="history-task-tags">${(task.tags || []).map(escapeHtml).join(', ')}</span>
+            </div>
+        `).join('');
+    }
+
     // Public API
-    return { init };
+    return { init, manualRefresh };
 })();